@@ -1,10 +1,14 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getEncryptionPolicy } = require('../services/encryptionPolicy');
+const { getPasswordService } = require('../services/passwordService');
 
 // Database configuration
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'citizen_services.db');
 
 let db = null;
+let sampleDataSeeded = false; // seeded by this process, as plaintext (see encryptedDb.initializeEncryption)
 
 // Initialize database connection
 const initializeDatabase = async () => {
@@ -21,6 +25,8 @@ const initializeDatabase = async () => {
       console.log('✅ Connected to SQLite database');
       
       try {
+        // Overwrite deleted content so destroyed keys do not linger in free pages
+        await runQuery('PRAGMA secure_delete = ON');
         await createTables();
         await seedSampleData();
         console.log('✅ Database initialization complete');
@@ -163,16 +169,247 @@ const createTables = async () => {
       lastLogin DATETIME,
       createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
       updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Data-encryption keys for envelope encryption (wrapped by the key provider)
+    `CREATE TABLE IF NOT EXISTS data_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      keyRef TEXT UNIQUE NOT NULL,
+      scope TEXT NOT NULL,
+      wrappedKey TEXT NOT NULL,
+      kekId TEXT,
+      provider TEXT,
+      status TEXT DEFAULT 'active',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Key rotation / re-encryption job progress
+    `CREATE TABLE IF NOT EXISTS key_rotation_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fromKeyId TEXT,
+      toKeyId TEXT NOT NULL,
+      status TEXT DEFAULT 'running',
+      currentTable TEXT,
+      lastRowId INTEGER DEFAULT 0,
+      processedRows INTEGER DEFAULT 0,
+      reencryptedFields INTEGER DEFAULT 0,
+      failedFields INTEGER DEFAULT 0,
+      batchSize INTEGER DEFAULT 100,
+      error TEXT,
+      startedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completedAt DATETIME
+    )`,
+
+    // Proof of right-to-erasure requests (crypto-shredded citizens)
+    `CREATE TABLE IF NOT EXISTS erasure_certificates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      certificateId TEXT UNIQUE NOT NULL,
+      citizenRowId INTEGER NOT NULL,
+      citizenId TEXT NOT NULL,
+      keyScope TEXT NOT NULL,
+      destroyedKeys TEXT NOT NULL,
+      shreddedFields INTEGER DEFAULT 0,
+      wipedFields INTEGER DEFAULT 0,
+      serviceRequests INTEGER DEFAULT 0,
+      requestedBy TEXT NOT NULL,
+      reason TEXT,
+      erasedAt DATETIME NOT NULL,
+      digest TEXT NOT NULL
+    )`,
+
+    // Who decrypted which citizen's PII; each entry is hash-chained to the previous one
+    `CREATE TABLE IF NOT EXISTS pii_access_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accessedAt TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      actorRole TEXT,
+      citizenId TEXT NOT NULL,
+      fields TEXT NOT NULL,
+      endpoint TEXT,
+      purpose TEXT,
+      requestId TEXT,
+      prevHash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )`,
+
+    // Login sessions; the refresh token is stored hashed and rotated on every use
+    `CREATE TABLE IF NOT EXISTS auth_sessions (
+      id TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL,
+      refreshTokenHash TEXT NOT NULL,
+      ip TEXT,
+      userAgent TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      lastUsedAt DATETIME,
+      expiresAt TEXT NOT NULL,
+      revokedAt DATETIME,
+      revokedReason TEXT,
+      FOREIGN KEY (userId) REFERENCES users (id)
+    )`,
+
+    // Single-use MFA recovery codes (SHA-256 of the code)
+    `CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      codeHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      usedAt DATETIME,
+      FOREIGN KEY (userId) REFERENCES users (id)
+    )`,
+
+    // Single sign-on: pending authorization requests (PKCE verifier and nonce) and
+    // one-time codes handing a completed SSO login to the React app
+    `CREATE TABLE IF NOT EXISTS oidc_login_states (
+      state TEXT PRIMARY KEY,
+      codeVerifier TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expiresAt TEXT NOT NULL
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS oidc_handoffs (
+      codeHash TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL,
+      expiresAt TEXT NOT NULL,
+      usedAt DATETIME,
+      FOREIGN KEY (userId) REFERENCES users (id)
+    )`,
+
+    // Failed login attempts per username and per client IP (services/loginThrottleService)
+    `CREATE TABLE IF NOT EXISTS login_throttle (
+      scope TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      failures INTEGER NOT NULL DEFAULT 0,
+      lastFailureAt TEXT,
+      nextAttemptAt TEXT,
+      lockedUntil TEXT,
+      lockouts INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (scope, subject)
+    )`,
+
+    // Single-use password reset and email verification links (services/accountTokenService)
+    `CREATE TABLE IF NOT EXISTS account_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tokenHash TEXT UNIQUE NOT NULL,
+      userId INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      email TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT,
+      FOREIGN KEY (userId) REFERENCES users (id)
+    )`,
+
+    // Service-to-service API keys (services/apiKeyService); keyId is the public part of the key
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      keyId TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      secretHash TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      agencyId INTEGER,
+      createdBy TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      rotatedAt TEXT,
+      previousSecretHash TEXT,
+      previousSecretExpiresAt TEXT,
+      lastUsedAt TEXT,
+      lastUsedIp TEXT,
+      revokedAt TEXT,
+      FOREIGN KEY (agencyId) REFERENCES government_agencies (id)
+    )`,
+
+    // Logins, lockouts and unlocks
+    `CREATE TABLE IF NOT EXISTS security_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      occurredAt TEXT NOT NULL,
+      eventType TEXT NOT NULL,
+      username TEXT,
+      userId INTEGER,
+      ip TEXT,
+      userAgent TEXT,
+      details TEXT
+    )`,
+
+    // Keyed HMAC tokens for name prefix search (blind index)
+    `CREATE TABLE IF NOT EXISTS citizen_search_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      citizenRowId INTEGER NOT NULL,
+      token TEXT NOT NULL,
+      FOREIGN KEY (citizenRowId) REFERENCES citizens (id)
     )`
   ];
   
   for (const tableSQL of tables) {
     await runQuery(tableSQL);
   }
+
+  // Columns added after the first release, and encrypted / blind-index columns
+  // declared in the encryption policy - existing databases are migrated in place
+  const policyColumns = getEncryptionPolicy().requiredColumns();
+  const columns = [
+    ...policyColumns,
+    ['citizens', 'searchIndexVersion', 'TEXT'],
+    ['users', 'mustChangePassword', 'BOOLEAN DEFAULT 0'],
+    ['users', 'passwordChangedAt', 'DATETIME'],
+    // Citizen record of a citizen-role account (row scoping, see services/permissions)
+    ['users', 'citizenId', 'INTEGER REFERENCES citizens (id)'],
+    // TOTP MFA; the secret itself is the policy column users.totpSecret_encrypted
+    ['users', 'mfaEnabled', 'BOOLEAN DEFAULT 0'],
+    ['users', 'mfaEnabledAt', 'DATETIME'],
+    ['users', 'mfaLastUsedStep', 'INTEGER'],
+    // Identity-provider account of an SSO user (services/oidcService)
+    ['users', 'oidcIssuer', 'TEXT'],
+    ['users', 'oidcSubject', 'TEXT'],
+    ['auth_sessions', 'authMethod', "TEXT DEFAULT 'password'"],
+    // Set once the user has followed a verification (or password reset) link sent to users.email
+    ['users', 'emailVerified', 'BOOLEAN DEFAULT 0'],
+    ['users', 'emailVerifiedAt', 'DATETIME'],
+    // Portal account closed along with an erased citizen (services/erasureService)
+    ['erasure_certificates', 'linkedUserId', 'INTEGER'],
+    ['erasure_certificates', 'revokedSessions', 'INTEGER DEFAULT 0']
+  ];
+
+  for (const [table, column, definition] of columns) {
+    await addColumnIfMissing(table, column, definition);
+  }
+
+  const indexes = [
+    ...policyColumns
+      .filter(([, column]) => column.endsWith('_bidx'))
+      .map(([table, column]) => `CREATE INDEX IF NOT EXISTS idx_${table}_${column} ON ${table} (${column})`),
+    'CREATE INDEX IF NOT EXISTS idx_citizen_search_tokens_token ON citizen_search_tokens (token)',
+    'CREATE INDEX IF NOT EXISTS idx_citizen_search_tokens_citizen ON citizen_search_tokens (citizenRowId)',
+    'CREATE INDEX IF NOT EXISTS idx_pii_access_log_citizen ON pii_access_log (citizenId, accessedAt)',
+    'CREATE INDEX IF NOT EXISTS idx_pii_access_log_actor ON pii_access_log (actor, accessedAt)',
+    'CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (userId)',
+    'CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes (userId, codeHash)',
+    'CREATE INDEX IF NOT EXISTS idx_security_events_username ON security_events (username, occurredAt)',
+    'CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events (eventType, occurredAt)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc ON users (oidcIssuer, oidcSubject)',
+    'CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens (userId, purpose, createdAt)',
+    // One portal account per citizen record
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_citizen ON users (citizenId)'
+  ];
+
+  for (const indexSQL of indexes) {
+    await runQuery(indexSQL);
+  }
   
   console.log('✅ Database tables created');
 };
 
+// Add a column to an existing table unless it is already there
+const addColumnIfMissing = async (table, column, definition) => {
+  const existingColumns = await allQuery(`PRAGMA table_info(${table})`);
+  if (!existingColumns.some(existing => existing.name === column)) {
+    console.log(`🔧 Adding column ${table}.${column}`);
+    await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
 // Seed sample data
 const seedSampleData = async () => {
   console.log('🌱 Seeding sample data...');
@@ -292,64 +529,107 @@ const seedSampleData = async () => {
     await runQuery(paymentInsertSQL, payment);
   }
   
-  // Sample users for authentication (passwords are hashed using simple method for demo)
+  // Sample users for authentication - the demo passwords are public, so each must be changed on first login
   const users = [
-    ['admin', 'admin123', 'admin', 'System', 'Administrator', 'admin@springfield.gov', 1],
-    ['jsmith', 'password123', 'citizen', 'John', 'Smith', 'john.smith@email.com', 1],
-    ['mgarcia', 'secure456', 'staff', 'Maria', 'Garcia', 'maria.garcia@springfield.gov', 1]
+    ['admin', 'admin123', 'admin', 'System', 'Administrator', 'admin@springfield.gov', 1, null],
+    ['jsmith', 'password123', 'citizen', 'John', 'Smith', 'john.smith@email.com', 1, 1],
+    ['mgarcia', 'secure456', 'staff', 'Maria', 'Garcia', 'maria.garcia@springfield.gov', 1, null]
   ];
   
   const userInsertSQL = `
-    INSERT INTO users (username, password, role, firstName, lastName, email, isActive)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO users (username, password, role, firstName, lastName, email, isActive, citizenId, mustChangePassword)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
   `;
   
-  for (const user of users) {
-    await runQuery(userInsertSQL, user);
+  for (const [username, password, ...user] of users) {
+    await runQuery(userInsertSQL, [username, await getPasswordService().hash(password), ...user]);
   }
   
+  sampleDataSeeded = true;
   console.log('✅ Sample data seeded successfully');
 };
 
+// Transactions run on the one shared connection. While one is open, statements
+// issued from anywhere else are held back until COMMIT or ROLLBACK, so they never
+// join it (and are never rolled back with it).
+const transactionScope = new AsyncLocalStorage();
+let openTransaction = null;
+
+/**
+ * Hand a statement to the connection, after the open transaction unless it belongs to it
+ * @param {Function} execute - () => Promise, issues the statement
+ * @returns {Promise<*>}
+ */
+const onConnection = (execute) => {
+  if (!openTransaction || transactionScope.getStore() === openTransaction) {
+    return execute();
+  }
+  return openTransaction.done.then(() => onConnection(execute));
+};
+
 // Database query helpers
-const runQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function(err) {
-      if (err) {
-        console.error('🚨 Query error:', err.message);
-        reject(err);
-      } else {
-        resolve({ id: this.lastID, changes: this.changes });
-      }
-    });
+const runQuery = (sql, params = []) => onConnection(() => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) {
+      console.error('🚨 Query error:', err.message);
+      reject(err);
+    } else {
+      resolve({ id: this.lastID, changes: this.changes });
+    }
   });
-};
+}));
 
-const getQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        console.error('🚨 Query error:', err.message);
-        reject(err);
-      } else {
-        resolve(row);
-      }
-    });
+const getQuery = (sql, params = []) => onConnection(() => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      console.error('🚨 Query error:', err.message);
+      reject(err);
+    } else {
+      resolve(row);
+    }
   });
-};
+}));
 
-const allQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        console.error('🚨 Query error:', err.message);
-        reject(err);
-      } else {
-        resolve(rows);
+const allQuery = (sql, params = []) => onConnection(() => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('🚨 Query error:', err.message);
+      reject(err);
+    } else {
+      resolve(rows);
+    }
+  });
+}));
+
+/**
+ * Run statements atomically (BEGIN IMMEDIATE ... COMMIT, ROLLBACK when work throws)
+ * Every other query waits until the transaction ends, so keep work short and do
+ * not start another transaction from inside it.
+ * @param {Function} work - async () => result, using runQuery/getQuery/allQuery
+ * @returns {Promise<*>} - What work returns
+ */
+const runTransaction = (work) => onConnection(() => {
+  let end;
+  const transaction = { done: new Promise(resolve => { end = resolve; }) };
+  openTransaction = transaction;
+
+  return transactionScope.run(transaction, async () => {
+    try {
+      await runQuery('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK').catch(rollbackError => console.error('🚨 Rollback failed:', rollbackError.message));
+        throw error;
       }
-    });
+    } finally {
+      openTransaction = null;
+      end();
+    }
   });
-};
+});
 
 // Database service functions
 const citizenService = {
@@ -424,6 +704,29 @@ const serviceRequestService = {
       ORDER BY r.submittedDate DESC
     `, [citizenId]);
   },
+
+  // Agency handling a request (plain columns, nothing to decrypt)
+  async getAgencyId(id) {
+    const row = await getQuery(`
+      SELECT st.agencyId
+      FROM service_requests r
+      JOIN service_types st ON r.serviceTypeId = st.id
+      WHERE r.id = ?
+    `, [id]);
+    return row ? row.agencyId : null;
+  },
+
+  // Citizen a request was filed for (plain column, nothing to decrypt)
+  async getCitizenId(id) {
+    const row = await getQuery('SELECT citizenId FROM service_requests WHERE id = ?', [id]);
+    return row ? row.citizenId : null;
+  },
+
+  // Request numbers only (plain column), so numbering does not decrypt every request
+  async getRequestNumbers(prefix) {
+    const rows = await allQuery('SELECT requestNumber FROM service_requests WHERE requestNumber LIKE ?', [`${prefix}%`]);
+    return rows.map(row => row.requestNumber);
+  },
   
   async create(request) {
     const result = await runQuery(
@@ -435,24 +738,126 @@ const serviceRequestService = {
     return await this.getById(result.id);
   },
   
-  async updateStatus(id, status, comments = null, changedBy = 'System') {
-    const currentRequest = await this.getById(id);
-    
-    // Update the request
+  async getHistory(requestId) {
+    return await allQuery(
+      'SELECT oldStatus, newStatus, changedBy, changedDate, comments FROM request_history WHERE requestId = ? ORDER BY changedDate, id',
+      [requestId]
+    );
+  }
+};
+
+const paymentService = {
+  async getByCitizenId(citizenId) {
+    return await allQuery(`
+      SELECT p.*, r.requestNumber, st.name as serviceName, ga.name as agencyName
+      FROM payments p
+      JOIN service_requests r ON p.requestId = r.id
+      JOIN service_types st ON r.serviceTypeId = st.id
+      JOIN government_agencies ga ON st.agencyId = ga.id
+      WHERE r.citizenId = ?
+      ORDER BY p.paymentDate DESC
+    `, [citizenId]);
+  },
+
+  async getByRequestId(requestId) {
+    return await allQuery('SELECT * FROM payments WHERE requestId = ? ORDER BY paymentDate DESC', [requestId]);
+  },
+
+  async getById(id) {
+    return await getQuery(`
+      SELECT p.*, r.requestNumber, r.citizenId, st.name as serviceName, st.fee,
+             ga.name as agencyName, ga.contactEmail, ga.contactPhone
+      FROM payments p
+      JOIN service_requests r ON p.requestId = r.id
+      JOIN service_types st ON r.serviceTypeId = st.id
+      JOIN government_agencies ga ON st.agencyId = ga.id
+      WHERE p.id = ?
+    `, [id]);
+  }
+};
+
+const userService = {
+  async getByUsername(username) {
+    return await getQuery('SELECT * FROM users WHERE username = ? AND isActive = 1', [username]);
+  },
+
+  async getById(id) {
+    return await getQuery('SELECT * FROM users WHERE id = ?', [id]);
+  },
+
+  async updatePassword(id, passwordHash, mustChangePassword = false) {
     await runQuery(
-      `UPDATE service_requests 
-       SET status = ?, updatedAt = CURRENT_TIMESTAMP
+      `UPDATE users
+       SET password = ?, mustChangePassword = ?, passwordChangedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
        WHERE id = ?`,
-      [status, id]
+      [passwordHash, mustChangePassword ? 1 : 0, id]
     );
-    
-    // Add to history
+  },
+
+  // Re-hash without counting as a password change (legacy plaintext, higher bcrypt cost)
+  async rehashPassword(id, passwordHash) {
+    await runQuery('UPDATE users SET password = ? WHERE id = ?', [passwordHash, id]);
+  },
+
+  async setMustChangePassword(id, mustChangePassword) {
+    await runQuery('UPDATE users SET mustChangePassword = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [mustChangePassword ? 1 : 0, id]);
+  },
+
+  // Link an account to its citizen record (null unlinks)
+  async linkCitizen(id, citizenId) {
+    await runQuery('UPDATE users SET citizenId = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?', [citizenId, id]);
+    return await this.getById(id);
+  },
+
+  async getByCitizenRowId(citizenId) {
+    return await getQuery('SELECT * FROM users WHERE citizenId = ?', [citizenId]);
+  },
+
+  async recordLogin(id) {
+    await runQuery('UPDATE users SET lastLogin = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  },
+
+  // Emails are compared without case; the UNIQUE constraint on users.email is not
+  async getByEmail(email) {
+    return await getQuery('SELECT * FROM users WHERE lower(email) = lower(?)', [email]);
+  },
+
+  // Verified address; also how a confirmed email change is stored (fails on the UNIQUE email constraint if taken)
+  async setVerifiedEmail(id, email) {
     await runQuery(
-      `INSERT INTO request_history (requestId, oldStatus, newStatus, changedBy, comments)
-       VALUES (?, ?, ?, ?, ?)`,
-      [id, currentRequest.status, status, changedBy, comments]
+      `UPDATE users
+       SET email = ?, emailVerified = 1, emailVerifiedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [email, id]
+    );
+    return await this.getById(id);
+  },
+
+  async getByOidcSubject(issuer, subject) {
+    return await getQuery('SELECT * FROM users WHERE oidcIssuer = ? AND oidcSubject = ?', [issuer, subject]);
+  },
+
+  // Any account (active or not) already holding a username or email
+  async findConflicting(username, email) {
+    return await getQuery('SELECT id, username, email, oidcSubject FROM users WHERE username = ? OR email = ?', [username, email]);
+  },
+
+  // Just-in-time account for an SSO user; the password is random, so only SSO (or an admin reset) signs it in
+  async createSsoUser({ username, passwordHash, role, firstName, lastName, email, oidcIssuer, oidcSubject }) {
+    const result = await runQuery(
+      `INSERT INTO users (username, password, role, firstName, lastName, email, oidcIssuer, oidcSubject, passwordChangedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [username, passwordHash, role, firstName, lastName, email, oidcIssuer, oidcSubject]
+    );
+    return await this.getById(result.id);
+  },
+
+  // Role and profile follow the identity provider on every SSO login
+  async updateSsoProfile(id, { role, firstName, lastName, email }) {
+    await runQuery(
+      'UPDATE users SET role = ?, firstName = ?, lastName = ?, email = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [role, firstName, lastName, email, id]
     );
-    
     return await this.getById(id);
   }
 };
@@ -476,6 +881,10 @@ const serviceTypeService = {
       WHERE st.category = ? AND st.isActive = 1
       ORDER BY st.name
     `, [category]);
+  },
+
+  async getById(id) {
+    return await getQuery('SELECT * FROM service_types WHERE id = ?', [id]);
   }
 };
 
@@ -517,6 +926,21 @@ const dashboardService = {
       ORDER BY r.submittedDate DESC
       LIMIT ?
     `, [limit]);
+  },
+
+  // Statistics read plain columns only, so they never decrypt PII
+  async getCitizenSummaries() {
+    return await allQuery('SELECT city, status, createdAt FROM citizens');
+  },
+
+  async getRequestSummaries() {
+    return await allQuery(`
+      SELECT r.status, r.priority, r.submittedDate, r.completedDate,
+             st.category, ga.name as agencyName
+      FROM service_requests r
+      JOIN service_types st ON r.serviceTypeId = st.id
+      JOIN government_agencies ga ON st.agencyId = ga.id
+    `);
   }
 };
 
@@ -524,11 +948,15 @@ const dashboardService = {
 module.exports = {
   initializeDatabase,
   getDb: () => db,
+  wasSampleDataSeeded: () => sampleDataSeeded,
   runQuery,
   getQuery,
   allQuery,
+  runTransaction,
   citizenService,
   serviceRequestService,
+  paymentService,
+  userService,
   serviceTypeService,
   agencyService,
   dashboardService
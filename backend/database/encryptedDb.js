@@ -1,13 +1,158 @@
 const EncryptionService = require('../services/encryptionService');
-const { runQuery, getQuery, allQuery } = require('./db');
+const KeyRotationService = require('../services/keyRotationService');
+const ErasureService = require('../services/erasureService');
+const PiiAccessLogService = require('../services/piiAccessLogService');
+const { MfaService } = require('../services/mfaService');
+const { getEncryptionPolicy } = require('../services/encryptionPolicy');
+const { runQuery, getQuery, allQuery, runTransaction, wasSampleDataSeeded } = require('./db');
+
+// Column lists below are generated from config/encryption-policy.json
+const policy = getEncryptionPolicy();
 
 // Initialize encryption service
 let encryptionService = null;
+let keyRotationService = null;
+let erasureService = null;
+let piiAccessLogService = null;
+let mfaService = null;
 
 const initializeEncryption = async () => {
   encryptionService = new EncryptionService();
   await encryptionService.initialize();
+
+  // Log decryption from the start, including the search index rebuild below
+  piiAccessLogService = new PiiAccessLogService();
+  await piiAccessLogService.initialize();
+  encryptionService.accessLog = piiAccessLogService;
+
+  keyRotationService = new KeyRotationService(encryptionService);
+  await keyRotationService.initialize();
+  // Sample data is seeded before the key provider is up; encrypt it before anything reads it
+  if (wasSampleDataSeeded()) {
+    await keyRotationService.upgradeLegacyValues();
+  }
+  erasureService = new ErasureService(encryptionService);
+  mfaService = new MfaService(encryptionService);
   console.log('🔐 Encryption service initialized for database operations');
+
+  await encryptedCitizenService.rebuildSearchIndex();
+};
+
+// Key rotation is only available once encryption is initialized
+const getKeyRotationService = () => keyRotationService;
+
+// Citizen erasure needs the data keys, so it is also only available once encryption is initialized
+const getErasureService = () => erasureService;
+
+// Decryption is only logged while encryption is initialized
+const getPiiAccessLogService = () => piiAccessLogService;
+
+// TOTP secrets are stored encrypted, so MFA also needs the encryption layer
+const getMfaService = () => mfaService;
+
+/**
+ * Key provider and key in use, for attestation reports
+ * The report is public, so the provider endpoint (an internal URL, or the keystore
+ * path of the local provider) is left out.
+ * @returns {Object|null} - { provider, authMethod, keyId }, null when encryption is off
+ */
+const getKeyProviderInfo = () => {
+  if (!encryptionService || !encryptionService.dataKeyService) {
+    return null;
+  }
+
+  const { name, authMethod, keyId } = encryptionService.keyProvider;
+  return { provider: name, authMethod: authMethod || null, keyId };
+};
+
+/**
+ * Key provider health for /api/admin/health, including circuit breaker and mTLS certificate state
+ * @returns {Object} - { status: 'healthy' | 'degraded' | 'unhealthy' | 'disabled', ... }
+ */
+const getEncryptionHealth = async () => {
+  if (!encryptionService || !encryptionService.dataKeyService) {
+    return { status: 'disabled' };
+  }
+
+  const { status, provider, error, resilience, mtls } = await encryptionService.healthCheck();
+  return { status, provider, ...(error && { error }), ...(resilience && { resilience }), ...(mtls && { mtls }) };
+};
+
+const TOKEN_INSERT_CHUNK = 200;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Escape LIKE wildcards in user input (used with ESCAPE '\')
+const likePattern = (term) => `%${String(term).replace(/[\\%_]/g, match => `\\${match}`)}%`;
+
+/**
+ * Columns to write for a row: the public fields the caller supplied and every encrypted column
+ * @param {string} tableName - Table in the encryption policy
+ * @param {Object} encryptedData - Output of encryptionService.encryptRecord()
+ * @param {string[]} exclude - Public fields that must not be written (e.g. the row id on update)
+ * @returns {Object} - { columns, values }
+ */
+const writeColumns = (tableName, encryptedData, exclude = []) => {
+  const columns = [
+    ...policy.table(tableName).public.filter(field => field in encryptedData && !exclude.includes(field)),
+    ...policy.encryptedColumns(tableName)
+  ];
+  return { columns, values: columns.map(column => encryptedData[column] ?? null) };
+};
+
+/**
+ * Store blind index values and prefix tokens for a citizen row
+ * @param {number} citizenRowId - citizens.id
+ * @param {Object} citizenData - Plaintext citizen fields
+ */
+const updateSearchIndex = async (citizenRowId, citizenData) => {
+  const index = await encryptionService.blindIndexService.indexRecord('citizens', citizenData);
+  const columns = Object.keys(index.columns);
+
+  await runQuery(
+    `UPDATE citizens SET ${columns.map(column => `${column} = ?, `).join('')}searchIndexVersion = ? WHERE id = ?`,
+    [...columns.map(column => index.columns[column]), index.version, citizenRowId]
+  );
+
+  await runQuery('DELETE FROM citizen_search_tokens WHERE citizenRowId = ?', [citizenRowId]);
+  for (let i = 0; i < index.prefixTokens.length; i += TOKEN_INSERT_CHUNK) {
+    const chunk = index.prefixTokens.slice(i, i + TOKEN_INSERT_CHUNK);
+    await runQuery(
+      `INSERT INTO citizen_search_tokens (citizenRowId, token) VALUES ${chunk.map(() => '(?, ?)').join(', ')}`,
+      chunk.flatMap(token => [citizenRowId, token])
+    );
+  }
+};
+
+/**
+ * SQL condition matching citizen rows through the blind indexes: any exact-match
+ * column equals its token, or every word of the term is a stored prefix
+ * @param {Object} tokens - Output of blindIndexService.searchTokens('citizens', term)
+ * @param {string} idColumn - Column holding citizens.id in the outer query
+ * @param {string} alias - Alias of the citizens table in the outer query
+ * @returns {Object} - { sql, params }
+ */
+const citizenIndexCondition = (tokens, idColumn, alias = null) => {
+  const prefix = alias ? `${alias}.` : '';
+  const exactFields = Object.keys(tokens.exact);
+  const conditions = exactFields.map(field => `${prefix}${field}_bidx = ?`);
+  const params = exactFields.map(field => tokens.exact[field]);
+
+  if (tokens.prefixes.length > 0) {
+    conditions.push(`${idColumn} IN (
+      SELECT citizenRowId FROM citizen_search_tokens
+      WHERE token IN (${tokens.prefixes.map(() => '?').join(', ')})
+      GROUP BY citizenRowId
+      HAVING COUNT(DISTINCT token) = ?
+    )`);
+    params.push(...tokens.prefixes, tokens.prefixes.length);
+  }
+
+  return { sql: conditions.length > 0 ? conditions.join(' OR ') : '0', params };
 };
 
 // Encrypted Citizen Service
@@ -17,20 +162,13 @@ const encryptedCitizenService = {
     
     // Get encrypted data from database using new schema
     const encryptedCitizens = await allQuery(`
-      SELECT id, citizenId, 
-             firstName_encrypted, lastName_encrypted, email_encrypted, 
-             phone_encrypted, address_encrypted, zipCode_encrypted, dateOfBirth_encrypted,
-             city, state, status, createdAt, updatedAt
+      SELECT ${policy.selectColumns('citizens')}
       FROM citizens 
       ORDER BY createdAt DESC
     `);
 
-    // Decrypt sensitive fields for each citizen
-    const decryptedCitizens = await Promise.all(
-      encryptedCitizens.map(async (citizen) => {
-        return await encryptionService.decryptCitizenData(citizen);
-      })
-    );
+    // Decrypt sensitive fields for all citizens (key provider calls are batched)
+    const decryptedCitizens = await encryptionService.decryptCitizenList(encryptedCitizens);
 
     console.log(`✅ Retrieved and decrypted ${decryptedCitizens.length} citizens`);
     return decryptedCitizens;
@@ -41,10 +179,7 @@ const encryptedCitizenService = {
     
     // Get encrypted data from database
     const encryptedCitizen = await getQuery(`
-      SELECT id, citizenId, 
-             firstName_encrypted, lastName_encrypted, email_encrypted, 
-             phone_encrypted, address_encrypted, zipCode_encrypted, dateOfBirth_encrypted,
-             city, state, status, createdAt, updatedAt
+      SELECT ${policy.selectColumns('citizens')}
       FROM citizens 
       WHERE id = ?
     `, [id]);
@@ -66,10 +201,7 @@ const encryptedCitizenService = {
     
     // Get encrypted data from database
     const encryptedCitizen = await getQuery(`
-      SELECT id, citizenId, 
-             firstName_encrypted, lastName_encrypted, email_encrypted, 
-             phone_encrypted, address_encrypted, zipCode_encrypted, dateOfBirth_encrypted,
-             city, state, status, createdAt, updatedAt
+      SELECT ${policy.selectColumns('citizens')}
       FROM citizens 
       WHERE citizenId = ?
     `, [citizenId]);
@@ -93,27 +225,14 @@ const encryptedCitizenService = {
     const encryptedData = await encryptionService.encryptCitizenData(citizenData);
     
     // Insert encrypted data into database using new schema
+    const { columns, values } = writeColumns('citizens', encryptedData);
     const result = await runQuery(
-      `INSERT INTO citizens (
-        citizenId, 
-        firstName_encrypted, lastName_encrypted, email_encrypted, 
-        phone_encrypted, address_encrypted, zipCode_encrypted, dateOfBirth_encrypted,
-        city, state
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        encryptedData.citizenId,
-        encryptedData.firstName_encrypted,
-        encryptedData.lastName_encrypted, 
-        encryptedData.email_encrypted,
-        encryptedData.phone_encrypted,
-        encryptedData.address_encrypted,
-        encryptedData.zipCode_encrypted,
-        encryptedData.dateOfBirth_encrypted,
-        encryptedData.city,
-        encryptedData.state
-      ]
+      `INSERT INTO citizens (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      values
     );
 
+    await updateSearchIndex(result.id, citizenData);
+
     console.log(`✅ Citizen created successfully with encrypted PII data (ID: ${result.id})`);
     
     // Return the original unencrypted data with the new ID
@@ -122,38 +241,137 @@ const encryptedCitizenService = {
   
   async update(id, citizenData) {
     console.log(`🔐 Updating citizen ID ${id} with encryption...`);
+
+    // Encrypted values are bound to the citizen's public identifier
+    const existing = await getQuery('SELECT citizenId, status FROM citizens WHERE id = ?', [id]);
+    if (!existing) {
+      console.log(`❌ Citizen ID ${id} not found`);
+      return null;
+    }
+    if (existing.status === 'erased') {
+      throw createError(409, 'Citizen has been erased and cannot be updated');
+    }
     
     // Encrypt sensitive fields before storing
-    const encryptedData = await encryptionService.encryptCitizenData(citizenData);
+    const encryptedData = await encryptionService.encryptCitizenData({
+      ...citizenData,
+      citizenId: existing.citizenId
+    });
     
-    // Update encrypted data in database
+    // Update encrypted data in database (the row id is bound into the ciphertext and never changes)
+    const { columns, values } = writeColumns('citizens', encryptedData, [policy.table('citizens').rowId]);
     await runQuery(
       `UPDATE citizens 
-       SET firstName_encrypted = ?, lastName_encrypted = ?, email_encrypted = ?, 
-           phone_encrypted = ?, address_encrypted = ?, zipCode_encrypted = ?, 
-           dateOfBirth_encrypted = ?, city = ?, state = ?, 
-           updatedAt = CURRENT_TIMESTAMP
+       SET ${columns.map(column => `${column} = ?, `).join('')}updatedAt = CURRENT_TIMESTAMP
        WHERE id = ?`,
-      [
-        encryptedData.firstName_encrypted,
-        encryptedData.lastName_encrypted,
-        encryptedData.email_encrypted,
-        encryptedData.phone_encrypted,
-        encryptedData.address_encrypted,
-        encryptedData.zipCode_encrypted,
-        encryptedData.dateOfBirth_encrypted,
-        encryptedData.city,
-        encryptedData.state,
-        id
-      ]
+      [...values, id]
     );
 
+    await updateSearchIndex(id, citizenData);
+
     console.log(`✅ Citizen ID ${id} updated successfully with encrypted PII data`);
     
     // Return updated citizen data
     return await this.getById(id);
   },
 
+  /**
+   * Change some fields of a citizen and keep the rest
+   * update() rewrites every encrypted column, so the stored record is decrypted
+   * and merged first; a record that could not be fully decrypted is never written
+   * back, or its fallback labels would be encrypted as data.
+   * @param {number} id - citizens.id
+   * @param {Object} changes - Plaintext fields to change
+   * @returns {Object|null} - Updated citizen, null when not found
+   */
+  async updateProfile(id, changes) {
+    const current = await this.getById(id);
+    if (!current) return null;
+
+    const { encrypted, fallbacks } = policy.table('citizens');
+    const placeholders = new Set([...Object.values(fallbacks), '[Encrypted Data]', '[Integrity Error]']);
+    if (current.integrityErrors || encrypted.some(field => placeholders.has(current[field]))) {
+      throw createError(503, 'Citizen record cannot be decrypted right now - please try again later');
+    }
+
+    // Encrypted fields plus the plain address columns; status and timestamps are not profile data
+    const citizenData = {};
+    for (const field of [...encrypted, 'city', 'state']) {
+      citizenData[field] = field in changes ? changes[field] : current[field];
+    }
+    return await this.update(id, citizenData);
+  },
+
+  /**
+   * Search citizens without decrypting the table
+   * Matches citizenId substrings and the blind indexes declared in the
+   * encryption policy; only the matching rows are decrypted.
+   * @param {string} term - Search term
+   * @returns {Array} - Decrypted matching citizens
+   */
+  async search(term) {
+    console.log('🔎 Searching citizens by blind index...');
+
+    const tokens = await encryptionService.blindIndexService.searchTokens('citizens', term);
+    const index = citizenIndexCondition(tokens, 'id');
+
+    const encryptedCitizens = await allQuery(`
+      SELECT ${policy.selectColumns('citizens')}
+      FROM citizens 
+      WHERE citizenId LIKE ? ESCAPE '\\'
+         OR ${index.sql}
+      ORDER BY createdAt DESC
+    `, [likePattern(term), ...index.params]);
+
+    const decryptedCitizens = await encryptionService.decryptCitizenList(encryptedCitizens);
+
+    console.log(`✅ Search matched ${decryptedCitizens.length} citizens`);
+    return decryptedCitizens;
+  },
+
+  /**
+   * Build blind index entries for rows that do not have them yet, or that were
+   * indexed under a different index definition in the encryption policy
+   * @returns {number} - Number of citizens indexed
+   */
+  async rebuildSearchIndex() {
+    const indexedFields = Object.keys(policy.table('citizens').indexed);
+    const rows = await allQuery(`
+      SELECT id, citizenId, ${indexedFields.map(field => policy.encryptedColumn(field)).join(', ')}
+      FROM citizens
+      WHERE (searchIndexVersion IS NULL OR searchIndexVersion != ?)
+        AND status != 'erased'
+      ORDER BY id
+    `, [policy.indexVersion('citizens')]);
+    if (rows.length === 0) return 0;
+
+    console.log(`🔎 Building search index for ${rows.length} citizens...`);
+    let indexed = 0;
+
+    for (const row of rows) {
+      const citizen = {};
+      try {
+        for (const field of indexedFields) {
+          citizen[field] = await encryptionService.decryptField(row[policy.encryptedColumn(field)], {
+            table: 'citizens',
+            field,
+            rowId: row.citizenId
+          });
+        }
+      } catch (error) {
+        // Never index fallback labels - the row is retried on the next start
+        console.warn(`⚠️  Skipping search index for citizen ${row.citizenId}: ${error.message}`);
+        continue;
+      }
+
+      await updateSearchIndex(row.id, citizen);
+      indexed++;
+    }
+
+    console.log(`✅ Search index built for ${indexed} citizens`);
+    return indexed;
+  },
+
   // Analytics method that works with non-encrypted fields only
   async getAnalytics() {
     console.log('📊 Generating citizen analytics from non-encrypted fields...');
@@ -167,107 +385,204 @@ const encryptedCitizenService = {
   }
 };
 
+/**
+ * Load service requests joined with citizen, service and agency details and decrypt them
+ * @param {string} whereClause - Optional SQL WHERE clause over r / c / st / ga
+ * @param {Array} params - Parameters for the WHERE clause
+ * @returns {Array} - Decrypted service requests
+ */
+const selectServiceRequests = async (whereClause = '', params = []) => {
+  const citizenFields = policy.table('service_requests').related.citizens || [];
+
+  // Get data with encrypted fields from database
+  const encryptedRequests = await allQuery(`
+    SELECT ${policy.selectColumns('service_requests', 'r')},
+           c.citizenId as citizenNumber, c.city, c.state,
+           ${citizenFields.map(field => `c.${policy.encryptedColumn(field)}`).join(', ')},
+           st.name as serviceName, st.category, st.fee, st.processingDays, st.agencyId,
+           ga.name as agencyName, ga.contactEmail, ga.contactPhone
+    FROM service_requests r
+    JOIN citizens c ON r.citizenId = c.id
+    JOIN service_types st ON r.serviceTypeId = st.id
+    JOIN government_agencies ga ON st.agencyId = ga.id
+    ${whereClause}
+    ORDER BY r.submittedDate DESC
+  `, params);
+
+  // Decrypt citizen data (bound to the citizen's row id, not the request's)
+  const decryptedCitizens = await encryptionService.decryptCitizenList(encryptedRequests.map((request) => {
+    const citizenData = { citizenId: request.citizenNumber };
+    for (const field of citizenFields) {
+      citizenData[policy.encryptedColumn(field)] = request[policy.encryptedColumn(field)];
+    }
+    return citizenData;
+  }));
+
+  // Decrypt service request data
+  const decryptedRequests = await encryptionService.decryptServiceRequestList(encryptedRequests);
+
+  decryptedRequests.forEach((decryptedRequest, index) => {
+    for (const field of citizenFields) {
+      // Replace encrypted citizen fields with decrypted versions
+      decryptedRequest[field] = decryptedCitizens[index][field];
+      delete decryptedRequest[policy.encryptedColumn(field)];
+    }
+  });
+
+  return decryptedRequests;
+};
+
 // Encrypted Service Request Service  
 const encryptedServiceRequestService = {
   async getAll() {
     console.log('📋 Retrieving all service requests with decryption...');
     
-    // Get data with encrypted fields from database
-    const encryptedRequests = await allQuery(`
-      SELECT r.id, r.requestNumber, r.citizenId, r.serviceTypeId, r.status, r.priority,
-             r.submittedDate, r.processedDate, r.completedDate, r.assignedAgent,
-             r.notes_encrypted, r.applicationData_encrypted, r.estimatedCompletionDate,
-             c.firstName_encrypted, c.lastName_encrypted, c.email_encrypted, c.phone_encrypted,
-             c.address_encrypted, c.city, c.state,
-             st.name as serviceName, st.category, st.fee, st.processingDays,
-             ga.name as agencyName, ga.contactEmail, ga.contactPhone
-      FROM service_requests r
-      JOIN citizens c ON r.citizenId = c.id
-      JOIN service_types st ON r.serviceTypeId = st.id
-      JOIN government_agencies ga ON st.agencyId = ga.id
-      ORDER BY r.submittedDate DESC
-    `);
+    const decryptedRequests = await selectServiceRequests();
 
-    // Decrypt sensitive fields for each request
-    const decryptedRequests = await Promise.all(
-      encryptedRequests.map(async (request) => {
-        // Decrypt citizen data
-        const citizenData = {
-          firstName_encrypted: request.firstName_encrypted,
-          lastName_encrypted: request.lastName_encrypted,
-          email_encrypted: request.email_encrypted,
-          phone_encrypted: request.phone_encrypted,
-          address_encrypted: request.address_encrypted
-        };
-        const decryptedCitizen = await encryptionService.decryptCitizenData(citizenData);
-        
-        // Decrypt service request data
-        const serviceRequestData = {
-          notes_encrypted: request.notes_encrypted,
-          applicationData_encrypted: request.applicationData_encrypted
-        };
-        const decryptedServiceRequest = await encryptionService.decryptServiceRequestData(serviceRequestData);
-
-        return {
-          ...request,
-          // Replace encrypted citizen fields with decrypted versions
-          firstName: decryptedCitizen.firstName,
-          lastName: decryptedCitizen.lastName,
-          email: decryptedCitizen.email,
-          phone: decryptedCitizen.phone,
-          address: decryptedCitizen.address,
-          // Replace encrypted service request fields
-          notes: decryptedServiceRequest.notes,
-          applicationData: decryptedServiceRequest.applicationData,
-          // Remove encrypted field references
-          firstName_encrypted: undefined,
-          lastName_encrypted: undefined,
-          email_encrypted: undefined,
-          phone_encrypted: undefined,
-          address_encrypted: undefined,
-          notes_encrypted: undefined,
-          applicationData_encrypted: undefined
-        };
-      })
-    );
+    console.log(`✅ Retrieved and decrypted ${decryptedRequests.length} service requests`);
+    return decryptedRequests;
+  },
+
+  async getById(id) {
+    console.log(`📋 Retrieving service request ID ${id} with decryption...`);
+
+    const [request] = await selectServiceRequests('WHERE r.id = ?', [id]);
+
+    if (request) {
+      console.log(`✅ Retrieved and decrypted service request ${request.requestNumber}`);
+    }
+    return request || null;
+  },
+
+  async getByCitizenId(citizenId, agencyId = null) {
+    console.log(`📋 Retrieving service requests of citizen ID ${citizenId} with decryption...`);
+
+    const decryptedRequests = agencyId
+      ? await selectServiceRequests('WHERE r.citizenId = ? AND st.agencyId = ?', [citizenId, agencyId])
+      : await selectServiceRequests('WHERE r.citizenId = ?', [citizenId]);
+
+    console.log(`✅ Retrieved and decrypted ${decryptedRequests.length} service requests`);
+    return decryptedRequests;
+  },
+
+  // Requests for the services of one agency (agency-limited API keys)
+  async getByAgencyId(agencyId) {
+    console.log(`📋 Retrieving service requests of agency ID ${agencyId} with decryption...`);
+
+    const decryptedRequests = await selectServiceRequests('WHERE st.agencyId = ?', [agencyId]);
 
     console.log(`✅ Retrieved and decrypted ${decryptedRequests.length} service requests`);
     return decryptedRequests;
   },
 
+  /**
+   * Search service requests without decrypting the table
+   * Matches request number, service and agency names (plain columns) and the
+   * citizen through its blind indexes. Encrypted notes are not searched.
+   * @param {string} term - Search term
+   * @returns {Array} - Decrypted matching service requests
+   */
+  async search(term) {
+    console.log('🔎 Searching service requests by blind index...');
+
+    const tokens = await encryptionService.blindIndexService.searchTokens('citizens', term);
+    const citizen = citizenIndexCondition(tokens, 'r.citizenId', 'c');
+    const pattern = likePattern(term);
+
+    const decryptedRequests = await selectServiceRequests(
+      `WHERE r.requestNumber LIKE ? ESCAPE '\\'
+          OR st.name LIKE ? ESCAPE '\\'
+          OR ga.name LIKE ? ESCAPE '\\'
+          OR ${citizen.sql}`,
+      [pattern, pattern, pattern, ...citizen.params]
+    );
+
+    console.log(`✅ Search matched ${decryptedRequests.length} service requests`);
+    return decryptedRequests;
+  },
+
   async create(requestData) {
     console.log(`🔐 Creating new service request with encryption: ${requestData.requestNumber}`);
+
+    // Request data is encrypted under the owning citizen's data key
+    const citizen = await getQuery('SELECT citizenId, status FROM citizens WHERE id = ?', [requestData.citizenId]);
+    if (!citizen) {
+      throw createError(400, 'Invalid citizen ID or service type ID');
+    }
+    if (citizen.status === 'erased') {
+      throw createError(409, 'Citizen has been erased');
+    }
     
     // Encrypt sensitive fields before storing
-    const encryptedData = await encryptionService.encryptServiceRequestData(requestData);
+    const encryptedData = await encryptionService.encryptServiceRequestData({
+      ...requestData,
+      citizenNumber: citizen.citizenId
+    });
     
     // Insert encrypted data into database
+    const { columns, values } = writeColumns('service_requests', encryptedData);
     const result = await runQuery(
-      `INSERT INTO service_requests (
-        requestNumber, citizenId, serviceTypeId, status, priority, 
-        assignedAgent, notes_encrypted, applicationData_encrypted
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        encryptedData.requestNumber,
-        encryptedData.citizenId,
-        encryptedData.serviceTypeId,
-        encryptedData.status,
-        encryptedData.priority,
-        encryptedData.assignedAgent,
-        encryptedData.notes_encrypted,
-        encryptedData.applicationData_encrypted
-      ]
+      `INSERT INTO service_requests (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      values
     );
 
     console.log(`✅ Service request created successfully with encrypted sensitive data (ID: ${result.id})`);
     
     // Return the original unencrypted data with the new ID
     return { id: result.id, ...requestData };
+  },
+
+  /**
+   * Change the status of a request and add the change to request_history
+   * processedDate is set when the request first leaves 'submitted'; completedDate
+   * while it is in a final status (approved, rejected, completed).
+   * @param {number} id - Request ID
+   * @param {string} status - New status
+   * @param {string} comments - Optional comment stored with the history entry
+   * @param {string} changedBy - Username (or API key) making the change
+   * @returns {Object|null} - The updated, decrypted request; null when there is no such request
+   */
+  async updateStatus(id, status, comments = null, changedBy = 'System') {
+    const current = await getQuery('SELECT status FROM service_requests WHERE id = ?', [id]);
+    if (!current) {
+      return null;
+    }
+
+    // The status change and its history entry are written together or not at all
+    await runTransaction(async () => {
+      // Only applies if nobody changed the status in between, so history never skips a step
+      const result = await runQuery(
+        `UPDATE service_requests
+         SET status = ?,
+             processedDate = CASE WHEN ? = 'submitted' THEN processedDate ELSE COALESCE(processedDate, CURRENT_TIMESTAMP) END,
+             completedDate = CASE WHEN ? IN ('approved', 'rejected', 'completed') THEN COALESCE(completedDate, CURRENT_TIMESTAMP) ELSE NULL END
+         WHERE id = ? AND status IS ?`,
+        [status, status, status, id, current.status]
+      );
+      if (result.changes !== 1) {
+        throw createError(409, 'Service request status was changed by someone else - reload it and try again');
+      }
+
+      await runQuery(
+        `INSERT INTO request_history (requestId, oldStatus, newStatus, changedBy, comments)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, current.status, status, changedBy, comments || null]
+      );
+    });
+    console.log(`📝 Service request ID ${id} status ${current.status} -> ${status} by ${changedBy}`);
+
+    return await this.getById(id);
   }
 };
 
 module.exports = {
   initializeEncryption,
+  getKeyRotationService,
+  getErasureService,
+  getPiiAccessLogService,
+  getMfaService,
+  getEncryptionHealth,
+  getKeyProviderInfo,
   encryptedCitizenService,
   encryptedServiceRequestService
 };
\ No newline at end of file
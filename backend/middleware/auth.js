@@ -0,0 +1,57 @@
+const { getSessionService } = require('../services/sessionService');
+const { getApiKeyService } = require('../services/apiKeyService');
+const { userHasPermission } = require('../services/permissions');
+const { sendErrorResponse, clientIp } = require('../utils/helpers');
+
+/**
+ * Require a valid access token or API key (Authorization: Bearer <token>) and set req.user
+ * Users who must change their password or enroll in MFA are refused everywhere
+ * except where allowPendingSetup is set (the auth endpoints that let them do so).
+ * @param {Object} options - { optional: continue without req.user when no token is sent, allowPendingSetup }
+ */
+const authenticate = ({ optional = false, allowPendingSetup = false } = {}) => async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    if (optional) return next();
+    return sendErrorResponse(res, 401, 'Authentication required');
+  }
+
+  try {
+    req.user = getApiKeyService().isApiKey(token)
+      ? await getApiKeyService().authenticate(token, clientIp(req))
+      : await getSessionService().authenticate(token);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    return next(error);
+  }
+
+  if (!allowPendingSetup) {
+    if (req.user.mustChangePassword) {
+      return sendErrorResponse(res, 403, 'Password change required', { mustChangePassword: true });
+    }
+    if (req.user.mfaEnrollmentRequired) {
+      return sendErrorResponse(res, 403, 'MFA enrollment required', { mfaEnrollmentRequired: true });
+    }
+  }
+  next();
+};
+
+/**
+ * Require every listed permission (see services/permissions); use after authenticate
+ * @param {...string} permissions - Required permissions
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !userHasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return sendErrorResponse(res, 403, 'Insufficient permissions', { required: missing });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requirePermission
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context that services can read without it being passed down every
+// call (e.g. who is decrypting PII, on which endpoint and for what purpose)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Route pattern that handled the request, e.g. "GET /api/citizens/citizen-id/:citizenId"
+ * Concrete URLs carry citizen ids and search terms in path parameters, so they are
+ * never used. Only complete once the route has matched (read it when the response finishes).
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const routePattern = (req) => {
+  const path = req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)';
+  return `${req.method} ${path}`;
+};
+
+/**
+ * Express middleware: run the rest of the request inside its own context
+ * The purpose of an access can be given with the X-Access-Purpose header.
+ */
+const requestContext = (req, res, next) => {
+  const context = {
+    requestId: crypto.randomUUID(),
+    req,
+    res,
+    get endpoint() {
+      return routePattern(req);
+    },
+    purpose: String(req.get('X-Access-Purpose') || '').trim().substring(0, 200) || null
+  };
+  storage.run(context, next);
+};
+
+/**
+ * Context of the request being handled
+ * @returns {Object|null} - { requestId, req, res, endpoint, purpose }, null outside a request
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+module.exports = {
+  requestContext,
+  getRequestContext
+};
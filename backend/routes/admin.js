@@ -0,0 +1,444 @@
+const express = require('express');
+const router = express.Router();
+const { getKeyRotationService, getErasureService, getPiiAccessLogService, getMfaService, getEncryptionHealth } = require('../database/encryptedDb');
+const { userService, citizenService, agencyService } = require('../database/db');
+const { getPasswordService } = require('../services/passwordService');
+const { getSessionService } = require('../services/sessionService');
+const { MFA_REQUIRED_ROLES } = require('../services/mfaService');
+const { getLoginThrottleService } = require('../services/loginThrottleService');
+const { getSecurityEventService } = require('../services/securityEventService');
+const { getApiKeyService } = require('../services/apiKeyService');
+const { requirePermission } = require('../middleware/auth');
+const { sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync } = require('../utils/helpers');
+
+router.use('/key-rotation', requirePermission('manage-keys'));
+router.use('/health', requirePermission('manage-keys'));
+router.use('/erasure-certificates', requirePermission('erase-citizens'));
+router.use('/pii-access', requirePermission('view-pii-access-log'));
+router.use('/users', requirePermission('manage-users'));
+router.use('/mfa', requirePermission('manage-users'));
+router.use('/lockouts', requirePermission('manage-users'));
+router.use('/security-events', requirePermission('view-security-events'));
+router.use('/api-keys', requirePermission('manage-api-keys'));
+
+// Detailed health: process stats and the key provider's circuit breaker, errors and mTLS certificate
+router.get('/health', handleAsync(async (req, res) => {
+  const uptime = process.uptime();
+  const memoryUsage = process.memoryUsage();
+  const encryption = await getEncryptionHealth();
+
+  sendSuccessResponse(res, {
+    status: ['healthy', 'disabled'].includes(encryption.status) ? 'healthy' : 'degraded',
+    uptime: `${Math.floor(uptime / 60)}m ${Math.floor(uptime % 60)}s`,
+    memory: {
+      used: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB`,
+      total: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`
+    },
+    encryption,
+    environment: process.env.NODE_ENV || 'development'
+  }, 'System health retrieved successfully');
+}));
+
+// Key rotation needs the encryption layer to be running
+router.use('/key-rotation', (req, res, next) => {
+  if (!getKeyRotationService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - key rotation unavailable');
+  }
+  next();
+});
+
+// List key rotation jobs
+router.get('/key-rotation', handleAsync(async (req, res) => {
+  const jobs = await getKeyRotationService().list();
+  sendSuccessResponse(res, jobs, 'Key rotation jobs retrieved successfully');
+}));
+
+// Start rotating encrypted columns onto a new key
+router.post('/key-rotation', handleAsync(async (req, res) => {
+  const toKeyId = sanitizeInput(req.body.toKeyId);
+  const { batchSize } = req.body;
+
+  try {
+    const job = await getKeyRotationService().start({ toKeyId, batchSize });
+    sendSuccessResponse(res, job, 'Key rotation started', 202);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+// Rewrite legacy (plaintext, AES-CBC) values as AES-GCM in place - a one-off migration, reads refuse them
+router.post('/key-rotation/upgrade-legacy', handleAsync(async (req, res) => {
+  try {
+    const counts = await getKeyRotationService().upgradeLegacyValues({ batchSize: req.body.batchSize });
+    sendSuccessResponse(res, counts, 'Legacy values upgraded');
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+// Get key rotation job status
+router.get('/key-rotation/:id', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid job ID format');
+  }
+
+  const job = await getKeyRotationService().getStatus(parseInt(id));
+
+  if (!job) {
+    return sendErrorResponse(res, 404, 'Key rotation job not found');
+  }
+
+  sendSuccessResponse(res, job, 'Key rotation status retrieved successfully');
+}));
+
+// Resume a failed key rotation job from its last batch
+router.post('/key-rotation/:id/resume', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid job ID format');
+  }
+
+  try {
+    const job = await getKeyRotationService().resume(parseInt(id));
+    sendSuccessResponse(res, job, 'Key rotation resumed', 202);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+// List erasure certificates issued by DELETE /api/citizens/:id/erase
+router.get('/erasure-certificates', handleAsync(async (req, res) => {
+  if (!getErasureService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - erasure unavailable');
+  }
+
+  const certificates = await getErasureService().listCertificates();
+  sendSuccessResponse(res, certificates, 'Erasure certificates retrieved successfully');
+}));
+
+// The PII access log is written by the encryption layer
+router.use('/pii-access', (req, res, next) => {
+  if (!getPiiAccessLogService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - PII access log unavailable');
+  }
+  next();
+});
+
+// Who decrypted PII, newest first (e.g. ?citizenId=CTZ001&days=90)
+router.get('/pii-access', handleAsync(async (req, res) => {
+  const { citizenId, actor, days = 90, limit = 500 } = req.query;
+
+  if (!/^\d+$/.test(String(days)) || !/^\d+$/.test(String(limit))) {
+    return sendErrorResponse(res, 400, 'days and limit must be positive integers');
+  }
+
+  const entries = await getPiiAccessLogService().query({
+    citizenId: sanitizeInput(citizenId) || null,
+    actor: sanitizeInput(actor) || null,
+    days: parseInt(days),
+    limit: Math.min(parseInt(limit), 5000)
+  });
+  sendSuccessResponse(res, entries, 'PII access log retrieved successfully');
+}));
+
+// Check that no log entry was altered or removed
+router.get('/pii-access/verify', handleAsync(async (req, res) => {
+  const result = await getPiiAccessLogService().verify();
+  sendSuccessResponse(res, result, result.valid ? 'PII access log chain is intact' : 'PII access log chain is broken');
+}));
+
+// Reset a user's password; the user must change it at next login
+// Without newPassword a temporary password is generated and returned once
+router.post('/users/:id/reset-password', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid user ID format');
+  }
+
+  const user = await userService.getById(parseInt(id));
+  if (!user) {
+    return sendErrorResponse(res, 404, 'User not found');
+  }
+
+  const passwordService = getPasswordService();
+  const { newPassword } = req.body;
+  if (newPassword !== undefined) {
+    const errors = passwordService.validate(newPassword, { username: user.username });
+    if (errors.length > 0) {
+      return sendErrorResponse(res, 400, 'Password does not meet the password policy', errors);
+    }
+  }
+
+  const password = newPassword === undefined ? passwordService.generateTemporary() : newPassword;
+  await userService.updatePassword(user.id, await passwordService.hash(password), true);
+  await getSessionService().revokeAllForUser(user.id, 'password reset');
+  console.log(`🔑 Password reset for user ${user.username}`);
+
+  sendSuccessResponse(res, {
+    userId: user.id,
+    username: user.username,
+    mustChangePassword: true,
+    ...(newPassword === undefined && { temporaryPassword: password })
+  }, 'Password reset - the user must change it at next login');
+}));
+
+// Link a citizen account to its citizen record for the portal ({ citizenId: citizens.id }, null unlinks)
+router.put('/users/:id/citizen', handleAsync(async (req, res) => {
+  const { id } = req.params;
+  const { citizenId } = req.body;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid user ID format');
+  }
+  if (citizenId !== null && !/^\d+$/.test(String(citizenId))) {
+    return sendErrorResponse(res, 400, 'citizenId must be a citizen record ID or null');
+  }
+
+  const user = await userService.getById(parseInt(id));
+  if (!user) {
+    return sendErrorResponse(res, 404, 'User not found');
+  }
+  if (user.role !== 'citizen') {
+    return sendErrorResponse(res, 400, 'Only citizen accounts can be linked to a citizen record');
+  }
+
+  if (citizenId !== null) {
+    const citizen = await citizenService.getById(parseInt(citizenId));
+    if (!citizen) {
+      return sendErrorResponse(res, 404, 'Citizen not found');
+    }
+    if (citizen.status === 'erased') {
+      return sendErrorResponse(res, 409, 'Citizen has been erased');
+    }
+    const linked = await userService.getByCitizenRowId(citizen.id);
+    if (linked && linked.id !== user.id) {
+      return sendErrorResponse(res, 409, `Citizen record is already linked to ${linked.username}`);
+    }
+  }
+
+  // Takes effect on the user's next request: sessions read citizenId from the users row
+  const updated = await userService.linkCitizen(user.id, citizenId === null ? null : parseInt(citizenId));
+  await getSecurityEventService().record(citizenId === null ? 'citizen_unlinked' : 'citizen_linked', {
+    username: user.username,
+    userId: user.id,
+    details: { by: req.user.username, citizenId: updated.citizenId, previousCitizenId: user.citizenId }
+  });
+  console.log(`🔗 User ${user.username} ${citizenId === null ? 'unlinked from its citizen record' : `linked to citizen record ${updated.citizenId}`} by ${req.user.username}`);
+
+  sendSuccessResponse(res, { userId: updated.id, username: updated.username, citizenId: updated.citizenId }, citizenId === null ? 'Citizen record unlinked' : 'Citizen record linked');
+}));
+
+// MFA policy and who still has to enroll
+router.get('/mfa', handleAsync(async (req, res) => {
+  if (!getMfaService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - MFA unavailable');
+  }
+
+  const unenrolled = await getMfaService().listUnenrolled();
+  sendSuccessResponse(res, { requiredRoles: MFA_REQUIRED_ROLES, unenrolled }, 'MFA policy retrieved successfully');
+}));
+
+// Remove a user's MFA (lost device); users of MFA-required roles enroll again at next login
+router.post('/users/:id/reset-mfa', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid user ID format');
+  }
+  if (!getMfaService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - MFA unavailable');
+  }
+
+  const user = await userService.getById(parseInt(id));
+  if (!user) {
+    return sendErrorResponse(res, 404, 'User not found');
+  }
+
+  await getMfaService().disable(user);
+  await getSessionService().revokeAllForUser(user.id, 'MFA reset');
+
+  sendSuccessResponse(res, { userId: user.id, username: user.username, mfaEnabled: false }, 'MFA reset - the user has been signed out');
+}));
+
+// Logins, lockouts and unlocks, newest first (e.g. ?eventType=login_failed&username=jsmith)
+router.get('/security-events', handleAsync(async (req, res) => {
+  const { eventType, username, ip, days = 30, limit = 500 } = req.query;
+
+  if (!/^\d+$/.test(String(days)) || !/^\d+$/.test(String(limit))) {
+    return sendErrorResponse(res, 400, 'days and limit must be positive integers');
+  }
+
+  const events = await getSecurityEventService().query({
+    eventType: sanitizeInput(eventType) || null,
+    username: sanitizeInput(username) || null,
+    ip: sanitizeInput(ip) || null,
+    days: parseInt(days),
+    limit: Math.min(parseInt(limit), 5000)
+  });
+  sendSuccessResponse(res, events, 'Security events retrieved successfully');
+}));
+
+// Usernames and client IPs that are locked out right now
+router.get('/lockouts', handleAsync(async (req, res) => {
+  const lockouts = await getLoginThrottleService().listLocked();
+  sendSuccessResponse(res, lockouts, 'Lockouts retrieved successfully');
+}));
+
+// Lift the lockout of a client IP
+router.post('/lockouts/unlock-ip', handleAsync(async (req, res) => {
+  const ip = sanitizeInput(req.body.ip);
+
+  if (!ip) {
+    return sendErrorResponse(res, 400, 'ip is required');
+  }
+
+  const cleared = await getLoginThrottleService().unlock('ip', ip);
+  await getSecurityEventService().record('ip_unlocked', { ip, details: { by: req.user.username, cleared } });
+  console.log(`🔓 Login lockout for IP ${ip} lifted by ${req.user.username}`);
+
+  sendSuccessResponse(res, { ip, cleared }, cleared ? 'IP unlocked' : 'IP had no failed attempts');
+}));
+
+// Lift a user's login lockout and clear their failed attempts
+router.post('/users/:id/unlock', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid user ID format');
+  }
+
+  const user = await userService.getById(parseInt(id));
+  if (!user) {
+    return sendErrorResponse(res, 404, 'User not found');
+  }
+
+  const cleared = await getLoginThrottleService().unlock('username', user.username);
+  await getSecurityEventService().record('account_unlocked', {
+    username: user.username,
+    userId: user.id,
+    details: { by: req.user.username, cleared }
+  });
+  console.log(`🔓 Login lockout for user ${user.username} lifted by ${req.user.username}`);
+
+  sendSuccessResponse(res, { userId: user.id, username: user.username, cleared }, cleared ? 'User unlocked' : 'User had no failed attempts');
+}));
+
+// Service-to-service API keys (scopes, optional agency limit, expiry)
+router.get('/api-keys', handleAsync(async (req, res) => {
+  const apiKeys = await getApiKeyService().list();
+  sendSuccessResponse(res, apiKeys, 'API keys retrieved successfully');
+}));
+
+// Create an API key; the key is only returned in this response
+router.post('/api-keys', handleAsync(async (req, res) => {
+  const { scopes, agencyId = null, expiresInDays } = req.body;
+  const settings = { name: sanitizeInput(req.body.name), scopes, agencyId, expiresInDays };
+  const apiKeyService = getApiKeyService();
+
+  const errors = apiKeyService.validate(settings);
+  if (errors.length > 0) {
+    return sendErrorResponse(res, 400, 'Validation failed', errors);
+  }
+  if (agencyId !== null && !await agencyService.getById(parseInt(agencyId))) {
+    return sendErrorResponse(res, 404, 'Agency not found');
+  }
+
+  const { key, apiKey } = await apiKeyService.create(settings, req.user.username);
+  await getSecurityEventService().record('api_key_created', {
+    username: `api-key:${apiKey.name}`,
+    details: { by: req.user.username, apiKeyId: apiKey.id, keyId: apiKey.keyId, scopes: apiKey.scopes, agencyId: apiKey.agencyId }
+  });
+  console.log(`🔑 API key ${apiKey.keyPrefix} (${apiKey.name}) created by ${req.user.username}`);
+
+  sendSuccessResponse(res, { ...apiKey, key }, 'API key created - store the key now, it is not shown again', 201);
+}));
+
+// Get one API key
+router.get('/api-keys/:id', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid API key ID format');
+  }
+
+  const apiKey = await getApiKeyService().getById(parseInt(id));
+  if (!apiKey) {
+    return sendErrorResponse(res, 404, 'API key not found');
+  }
+
+  sendSuccessResponse(res, apiKey, 'API key retrieved successfully');
+}));
+
+// Issue a new secret for an API key; the old one keeps working for graceMinutes (default API_KEY_ROTATION_GRACE_MINUTES)
+router.post('/api-keys/:id/rotate', handleAsync(async (req, res) => {
+  const { id } = req.params;
+  const { graceMinutes = parseInt(process.env.API_KEY_ROTATION_GRACE_MINUTES || '60') } = req.body;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid API key ID format');
+  }
+
+  let rotated;
+  try {
+    rotated = await getApiKeyService().rotate(parseInt(id), graceMinutes);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+  if (!rotated) {
+    return sendErrorResponse(res, 404, 'API key not found');
+  }
+
+  const { key, apiKey } = rotated;
+  await getSecurityEventService().record('api_key_rotated', {
+    username: `api-key:${apiKey.name}`,
+    details: { by: req.user.username, apiKeyId: apiKey.id, keyId: apiKey.keyId, previousSecretExpiresAt: apiKey.previousSecretExpiresAt }
+  });
+  console.log(`🔑 API key ${apiKey.keyPrefix} (${apiKey.name}) rotated by ${req.user.username}`);
+
+  sendSuccessResponse(res, { ...apiKey, key }, 'API key rotated - store the new key now, it is not shown again');
+}));
+
+// Revoke an API key (takes effect on its next request)
+router.post('/api-keys/:id/revoke', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid API key ID format');
+  }
+
+  const apiKeyService = getApiKeyService();
+  const existing = await apiKeyService.getById(parseInt(id));
+  if (!existing) {
+    return sendErrorResponse(res, 404, 'API key not found');
+  }
+  if (existing.status === 'revoked') {
+    return sendErrorResponse(res, 409, 'API key has already been revoked');
+  }
+
+  const apiKey = await apiKeyService.revoke(existing.id);
+  await getSecurityEventService().record('api_key_revoked', {
+    username: `api-key:${apiKey.name}`,
+    details: { by: req.user.username, apiKeyId: apiKey.id, keyId: apiKey.keyId }
+  });
+  console.log(`🚫 API key ${apiKey.keyPrefix} (${apiKey.name}) revoked by ${req.user.username}`);
+
+  sendSuccessResponse(res, apiKey, 'API key revoked');
+}));
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { agencyService, serviceTypeService } = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
 const { sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync } = require('../utils/helpers');
 
+// The catalog is readable by every role
+router.use(requirePermission('read-catalog'));
+
 // Get all government agencies
 router.get('/', handleAsync(async (req, res) => {
   const { category } = req.query;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { AttestationService, getAttestationService } = require('../services/attestationService');
+const { getKeyProviderInfo } = require('../database/encryptedDb');
+const { sendErrorResponse, sendSuccessResponse, handleAsync } = require('../utils/helpers');
+
+// Signed attestation report bound to the caller's nonce
+router.get('/', handleAsync(async (req, res) => {
+  const { nonce } = req.query;
+
+  if (!AttestationService.isValidNonce(nonce)) {
+    return sendErrorResponse(res, 400, 'nonce is required: 16-128 characters of A-Z, a-z, 0-9, - or _');
+  }
+
+  try {
+    const report = getAttestationService().report(nonce, getKeyProviderInfo());
+    // Reports are per nonce and must never be served from a cache
+    res.set('Cache-Control', 'no-store');
+    sendSuccessResponse(res, report, 'Attestation report generated successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,761 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const { userService } = require('../database/db');
+const { getMfaService } = require('../database/encryptedDb');
+const { getPasswordService } = require('../services/passwordService');
+const { getSessionService } = require('../services/sessionService');
+const { getLoginThrottleService } = require('../services/loginThrottleService');
+const { getSecurityEventService } = require('../services/securityEventService');
+const { getOidcService } = require('../services/oidcService');
+const { getAccountTokenService } = require('../services/accountTokenService');
+const { getMailService } = require('../services/mailService');
+const { getApiKeyService } = require('../services/apiKeyService');
+const { permissionsForRole } = require('../services/permissions');
+const { isMfaRequiredForRole } = require('../services/mfaService');
+const { authenticate } = require('../middleware/auth');
+const { sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync, clientIp } = require('../utils/helpers');
+
+const passwordService = getPasswordService();
+const sessionService = getSessionService();
+const loginThrottle = getLoginThrottleService();
+const securityEvents = getSecurityEventService();
+const accountTokens = getAccountTokenService();
+
+const clientInfo = (req) => ({ ip: clientIp(req), userAgent: req.get('User-Agent') || null });
+
+// Answer a login attempt refused by the login throttle (423 while locked, 429 while delayed)
+const sendThrottled = (res, block) => {
+  let message = `Too many failed attempts - wait ${block.retryAfter} second${block.retryAfter === 1 ? '' : 's'} before trying again`;
+  if (block.locked) {
+    message = block.scope === 'ip'
+      ? 'Too many failed login attempts from this address - try again later'
+      : 'Account temporarily locked after too many failed login attempts';
+  }
+
+  res.set('Retry-After', String(block.retryAfter));
+  return sendErrorResponse(res, block.locked ? 423 : 429, message, {
+    locked: block.locked,
+    lockedUntil: block.locked ? block.until : null,
+    retryAfter: block.retryAfter
+  });
+};
+
+// Refuse the attempt if the username or client IP is locked out or has to wait
+const checkThrottle = async (req, username) => {
+  const block = await loginThrottle.check({ username, ip: clientIp(req) });
+  if (block) {
+    await securityEvents.record('login_blocked', {
+      username,
+      ...clientInfo(req),
+      details: { scope: block.scope, locked: block.locked, retryAfter: block.retryAfter }
+    });
+  }
+  return block;
+};
+
+// Count a failed password or MFA code; returns the lockout of the username if this failure caused one
+const recordLoginFailure = async (req, username, user, reason) => {
+  const client = clientInfo(req);
+  await securityEvents.record('login_failed', { username, userId: user?.id ?? null, ...client, details: { reason } });
+
+  const lockouts = await loginThrottle.recordFailure({ username, ip: client.ip });
+  for (const lockout of lockouts) {
+    console.warn(`🚫 Login locked for ${lockout.scope} ${lockout.subject} until ${lockout.until}`);
+    await securityEvents.record(lockout.scope === 'ip' ? 'ip_locked' : 'account_locked', {
+      username,
+      userId: user?.id ?? null,
+      ...client,
+      details: { until: lockout.until, lockouts: lockout.lockouts }
+    });
+  }
+
+  const lockout = lockouts.find(entry => entry.scope === 'username');
+  return lockout ? loginThrottle.block('username', true, lockout.until, Date.now()) : null;
+};
+
+// User fields returned to the client (never the password hash or MFA secret)
+const userResponse = (user, authMethod = 'password') => {
+  const { password: _, totpSecret_encrypted: __, mfaLastUsedStep: ___, ...userInfo } = user;
+  return {
+    ...userInfo,
+    permissions: permissionsForRole(user.role),
+    mustChangePassword: !!user.mustChangePassword,
+    emailVerified: !!user.emailVerified,
+    mfaEnabled: !!user.mfaEnabled,
+    mfaEnrollmentRequired: sessionService.mfaEnrollmentRequired(user, authMethod),
+    authMethod
+  };
+};
+
+// Start a session for a fully authenticated user and answer the login request
+// Until a required password change or MFA enrollment is done the session only reaches the auth endpoints (see middleware/auth)
+const sendLoginSession = async (req, res, user, authMethod = 'password') => {
+  await userService.recordLogin(user.id);
+  await loginThrottle.recordSuccess(user.username);
+  await securityEvents.record('login_succeeded', {
+    username: user.username,
+    userId: user.id,
+    ...clientInfo(req),
+    details: { method: authMethod, mfa: authMethod === 'password' && !!user.mfaEnabled }
+  });
+  const { accessToken, refreshToken, expiresIn } = await sessionService.create(user, clientInfo(req), authMethod);
+  const userInfo = userResponse(user, authMethod);
+
+  let message = 'Login successful';
+  if (userInfo.mustChangePassword) {
+    message = 'Login successful - password change required';
+  } else if (userInfo.mfaEnrollmentRequired) {
+    message = 'Login successful - MFA enrollment required';
+  }
+
+  res.json({
+    success: true,
+    message,
+    user: userInfo,
+    accessToken,
+    refreshToken,
+    expiresIn
+  });
+};
+
+// These endpoints manage user accounts and sessions; API keys have neither
+router.use((req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token && getApiKeyService().isApiKey(token)) {
+    return sendErrorResponse(res, 403, 'API keys cannot be used for account endpoints');
+  }
+  next();
+});
+
+// Log in with username and password
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required'
+      });
+    }
+
+    // Checked before the password so a locked account tells nothing about it
+    const block = await checkThrottle(req, String(username));
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
+    const user = await userService.getByUsername(String(username));
+    const { valid, needsRehash } = await passwordService.verify(user?.password, String(password));
+    
+    if (!user || !valid) {
+      const lockout = await recordLoginFailure(req, String(username), user, user ? 'invalid_password' : 'unknown_user');
+      if (lockout) {
+        return sendThrottled(res, lockout);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    // Rows from before hashing (or with a lower bcrypt cost) are upgraded transparently
+    if (needsRehash) {
+      await userService.rehashPassword(user.id, await passwordService.hash(String(password)));
+      console.log(`🔐 Upgraded stored password hash for user ${user.username}`);
+    }
+
+    // A password that no longer meets the policy has to be replaced
+    let mustChangePassword = !!user.mustChangePassword;
+    if (!mustChangePassword && passwordService.validate(String(password), { username: user.username }).length > 0) {
+      await userService.setMustChangePassword(user.id, true);
+      mustChangePassword = true;
+    }
+
+    // Second step: the session is only created once the MFA code is verified (POST /login/mfa)
+    if (user.mfaEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: sessionService.issueMfaChallenge(user)
+      });
+    }
+
+    await sendLoginSession(req, res, { ...user, mustChangePassword });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Second login step for users with MFA: a TOTP code or a recovery code
+router.post('/login/mfa', handleAsync(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return sendErrorResponse(res, 400, 'mfaToken and code (or recoveryCode) are required');
+  }
+
+  const mfaService = getMfaService();
+  if (!mfaService) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - MFA unavailable');
+  }
+
+  let user;
+  let valid;
+  try {
+    user = await userService.getById(sessionService.verifyMfaChallenge(String(mfaToken)));
+    if (!user || !user.isActive) {
+      return sendErrorResponse(res, 401, 'MFA challenge expired - please log in again');
+    }
+
+    // Codes count towards the same lockout as passwords
+    const block = await checkThrottle(req, user.username);
+    if (block) {
+      return sendThrottled(res, block);
+    }
+
+    valid = await mfaService.verifyLogin(user, {
+      code: code && String(code),
+      recoveryCode: recoveryCode && String(recoveryCode)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+
+  if (!valid) {
+    const lockout = await recordLoginFailure(req, user.username, user, recoveryCode ? 'invalid_recovery_code' : 'invalid_mfa_code');
+    if (lockout) {
+      return sendThrottled(res, lockout);
+    }
+    return sendErrorResponse(res, 401, 'Invalid authentication code');
+  }
+
+  await sendLoginSession(req, res, user);
+}));
+
+// Single sign-on (OpenID Connect) for staff; see services/oidcService
+router.get('/oidc/config', (req, res) => {
+  const oidcService = getOidcService();
+  sendSuccessResponse(res, oidcService
+    ? { enabled: true, providerName: oidcService.providerName, loginUrl: oidcService.loginUrl }
+    : { enabled: false }, 'SSO configuration retrieved successfully');
+});
+
+// Start an SSO login: redirects the browser to the identity provider
+router.get('/oidc/login', handleAsync(async (req, res) => {
+  const oidcService = getOidcService();
+  if (!oidcService) {
+    return sendErrorResponse(res, 404, 'Single sign-on is not configured');
+  }
+
+  try {
+    res.redirect(await oidcService.authorizationUrl());
+  } catch (error) {
+    console.error(`❌ Cannot start SSO login: ${error.message}`);
+    res.redirect(oidcService.postLoginUrl({ error: 'The identity provider is not reachable - please try again later' }));
+  }
+}));
+
+// The identity provider redirects here; the browser goes on to the app with a one-time handoff code
+router.get('/oidc/callback', handleAsync(async (req, res) => {
+  const oidcService = getOidcService();
+  if (!oidcService) {
+    return sendErrorResponse(res, 404, 'Single sign-on is not configured');
+  }
+
+  const fail = async (message, reason, username = null) => {
+    await securityEvents.record('sso_login_failed', { username, ...clientInfo(req), details: { reason } });
+    res.redirect(oidcService.postLoginUrl({ error: message }));
+  };
+
+  if (req.query.error) {
+    return fail('Sign-in was cancelled or refused by the identity provider', String(req.query.error));
+  }
+
+  let claims;
+  try {
+    claims = await oidcService.completeLogin({ code: req.query.code && String(req.query.code), state: req.query.state && String(req.query.state) });
+    const user = await oidcService.provisionUser(claims);
+    res.redirect(oidcService.postLoginUrl({ code: await oidcService.createHandoff(user) }));
+  } catch (error) {
+    if (error.statusCode) {
+      return fail(error.message, error.message, claims?.preferred_username || claims?.email || null);
+    }
+    throw error;
+  }
+}));
+
+// Exchange the handoff code for a session (same response as a password login)
+router.post('/oidc/session', handleAsync(async (req, res) => {
+  const oidcService = getOidcService();
+  if (!oidcService) {
+    return sendErrorResponse(res, 404, 'Single sign-on is not configured');
+  }
+  if (!req.body.code) {
+    return sendErrorResponse(res, 400, 'code is required');
+  }
+
+  let user;
+  try {
+    user = await userService.getById(await oidcService.redeemHandoff(String(req.body.code)));
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+  if (!user || !user.isActive) {
+    return sendErrorResponse(res, 401, 'SSO login expired - please sign in again');
+  }
+
+  await sendLoginSession(req, res, user, 'oidc');
+}));
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', handleAsync(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return sendErrorResponse(res, 400, 'refreshToken is required');
+  }
+
+  try {
+    const { sessionId: _, ...session } = await sessionService.refresh(refreshToken);
+    sendSuccessResponse(res, session, 'Session refreshed');
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+// End the session; works with the access token or, once that has expired, the refresh token
+router.post('/logout', authenticate({ optional: true, allowPendingSetup: true }), handleAsync(async (req, res) => {
+  if (req.user) {
+    await sessionService.revoke(req.user.sessionId);
+  } else if (typeof req.body.refreshToken === 'string') {
+    await sessionService.revokeByRefreshToken(req.body.refreshToken);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logout successful'
+  });
+}));
+
+// Current user
+router.get('/me', authenticate({ allowPendingSetup: true }), handleAsync(async (req, res) => {
+  const user = await userService.getById(req.user.id);
+  if (!user) {
+    return sendErrorResponse(res, 401, 'Session has been revoked');
+  }
+
+  sendSuccessResponse(res, userResponse(user, req.user.authMethod), 'Current user retrieved successfully');
+}));
+
+// Change a password (also used for forced rotation after login or an admin reset)
+// Signed-in callers are identified by their session; otherwise username is required.
+// Accounts with MFA need the session, so a stolen password alone cannot change it.
+router.post('/change-password', authenticate({ optional: true, allowPendingSetup: true }), handleAsync(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const username = req.user ? req.user.username : req.body.username;
+
+  if (!username || !currentPassword || !newPassword) {
+    return sendErrorResponse(res, 400, 'username, currentPassword and newPassword are required');
+  }
+
+  // The current password check is another way to guess passwords, so it shares the login lockout
+  const block = await checkThrottle(req, String(username));
+  if (block) {
+    return sendThrottled(res, block);
+  }
+
+  const user = await userService.getByUsername(sanitizeInput(String(username)));
+  const { valid } = await passwordService.verify(user?.password, String(currentPassword));
+  if (!user || !valid) {
+    const lockout = await recordLoginFailure(req, String(username), user, 'invalid_current_password');
+    if (lockout) {
+      return sendThrottled(res, lockout);
+    }
+    return sendErrorResponse(res, 401, 'Invalid username or password');
+  }
+
+  if (!req.user && user.mfaEnabled) {
+    return sendErrorResponse(res, 401, 'Log in with your authentication code to change the password of an account with MFA');
+  }
+
+  const errors = passwordService.validate(newPassword, { username: user.username });
+  if (newPassword === currentPassword) {
+    errors.push('New password must be different from the current password');
+  }
+  if (errors.length > 0) {
+    return sendErrorResponse(res, 400, 'Password does not meet the password policy', errors);
+  }
+
+  await userService.updatePassword(user.id, await passwordService.hash(newPassword));
+  // Sign out everywhere else; the session making the change stays valid
+  await sessionService.revokeAllForUser(user.id, 'password change', req.user?.sessionId);
+  console.log(`🔑 Password changed for user ${user.username}`);
+
+  sendSuccessResponse(res, {
+    username: user.username,
+    mustChangePassword: false,
+    mfaEnrollmentRequired: sessionService.mfaEnrollmentRequired(user)
+  }, 'Password changed successfully');
+}));
+
+// Password reset and email verification links (services/accountTokenService).
+// Besides the per-user hourly cap on links, each client IP may only ask for a few emails
+// (refused requests do not count), and token attempts are limited separately.
+const accountLimiter = (max, what, options = {}) => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => sendErrorResponse(res, 429, `Too many ${what} from this address - please try again later`),
+  ...options
+});
+const mailRequestLimiter = accountLimiter(parseInt(process.env.MAIL_REQUESTS_PER_IP || '5'), 'email requests', { skipFailedRequests: true });
+const tokenLimiter = accountLimiter(parseInt(process.env.ACCOUNT_TOKEN_ATTEMPTS_PER_IP || '20'), 'attempts');
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+// SSO accounts get their password and email from the identity provider
+const isSsoManaged = (user) => !!user.oidcSubject;
+
+const sendVerificationEmail = async (user, email, token) => {
+  await getMailService().send('email-verification', email, {
+    firstName: user.firstName,
+    username: user.username,
+    email,
+    link: getMailService().appLink('verify', token.token),
+    expiresInHours: Math.round(accountTokens.ttlMinutes.email_verification / 60)
+  });
+};
+
+// Ask for a password reset link, by email address or username.
+// The answer is the same whether or not an account matched, so it cannot be used to find accounts.
+router.post('/password-reset', mailRequestLimiter, handleAsync(async (req, res) => {
+  const { email, username } = req.body;
+  if (!email && !username) {
+    return sendErrorResponse(res, 400, 'email or username is required');
+  }
+
+  const user = email
+    ? await userService.getByEmail(sanitizeInput(String(email)))
+    : await userService.getByUsername(sanitizeInput(String(username)));
+
+  if (user && user.isActive && !isSsoManaged(user)) {
+    const token = await accountTokens.issue(user, 'password_reset');
+    await securityEvents.record('password_reset_requested', {
+      username: user.username,
+      userId: user.id,
+      ...clientInfo(req),
+      details: { sent: !!token }
+    });
+
+    if (token) {
+      // Not awaited: a slow mail server would otherwise show which requests matched an account
+      getMailService().send('password-reset', user.email, {
+        firstName: user.firstName,
+        username: user.username,
+        link: getMailService().appLink('reset', token.token),
+        expiresInMinutes: accountTokens.ttlMinutes.password_reset
+      }).catch(error => console.error(`❌ Password reset email for user ${user.username} failed: ${error.message}`));
+    } else {
+      console.warn(`⚠️ Password reset link limit reached for user ${user.username}`);
+    }
+  }
+
+  sendSuccessResponse(res, null, 'If an account matches, a password reset link has been sent to its email address', 202);
+}));
+
+// Set a new password with a reset link; signs the account out everywhere
+router.post('/password-reset/confirm', tokenLimiter, handleAsync(async (req, res) => {
+  const { token, newPassword } = req.body;
+  if (!token || !newPassword) {
+    return sendErrorResponse(res, 400, 'token and newPassword are required');
+  }
+
+  // Check the password before using the token up, so a rejected password does not cost the link
+  const pending = await accountTokens.peek(String(token), 'password_reset');
+  const user = pending && await userService.getById(pending.userId);
+  if (!user || !user.isActive || isSsoManaged(user)) {
+    return sendErrorResponse(res, 400, 'This link is invalid or has expired - please request a new one');
+  }
+
+  const errors = passwordService.validate(String(newPassword), { username: user.username });
+  if (errors.length > 0) {
+    return sendErrorResponse(res, 400, 'Password does not meet the password policy', errors);
+  }
+
+  try {
+    await accountTokens.redeem(String(token), 'password_reset');
+  } catch (error) {
+    if (error.statusCode) return sendErrorResponse(res, error.statusCode, error.message);
+    throw error;
+  }
+
+  await userService.updatePassword(user.id, await passwordService.hash(String(newPassword)));
+  await sessionService.revokeAllForUser(user.id, 'password reset');
+  await loginThrottle.recordSuccess(user.username);
+  // Following the link proves the mailbox belongs to the user
+  if (!user.emailVerified && pending.email.toLowerCase() === user.email.toLowerCase()) {
+    await userService.setVerifiedEmail(user.id, user.email);
+  }
+  await securityEvents.record('password_reset', { username: user.username, userId: user.id, ...clientInfo(req) });
+  console.log(`🔑 Password reset with emailed link for user ${user.username}`);
+
+  getMailService().send('password-changed', user.email, {
+    firstName: user.firstName,
+    username: user.username,
+    changedAt: new Date().toUTCString()
+  }).catch(error => console.error(`❌ Password change notice for user ${user.username} failed: ${error.message}`));
+
+  sendSuccessResponse(res, { username: user.username }, 'Password has been reset - please log in with the new password');
+}));
+
+// Send a new verification link for the signed-in user's current address
+router.post('/email/verification', authenticate({ allowPendingSetup: true }), mailRequestLimiter, handleAsync(async (req, res) => {
+  const user = await userService.getById(req.user.id);
+  if (user.emailVerified) {
+    return sendErrorResponse(res, 409, 'Email address is already verified');
+  }
+
+  const token = await accountTokens.issue(user, 'email_verification');
+  if (!token) {
+    return sendErrorResponse(res, 429, 'Too many verification emails - please try again later');
+  }
+
+  try {
+    await sendVerificationEmail(user, user.email, token);
+  } catch (error) {
+    if (error.statusCode) return sendErrorResponse(res, 502, 'Verification email could not be sent - please try again later');
+    throw error;
+  }
+
+  sendSuccessResponse(res, { expiresAt: token.expiresAt }, 'Verification email sent', 202);
+}));
+
+// Change the signed-in user's email address; it only changes once the link sent to the new address is followed
+router.post('/email/change', authenticate(), mailRequestLimiter, handleAsync(async (req, res) => {
+  const { email, currentPassword } = req.body;
+  if (!email || !currentPassword) {
+    return sendErrorResponse(res, 400, 'email and currentPassword are required');
+  }
+
+  const newEmail = sanitizeInput(String(email));
+  if (!isValidEmail(newEmail)) {
+    return sendErrorResponse(res, 400, 'Invalid email format');
+  }
+
+  const block = await checkThrottle(req, req.user.username);
+  if (block) {
+    return sendThrottled(res, block);
+  }
+
+  const user = await userService.getById(req.user.id);
+  if (isSsoManaged(user)) {
+    return sendErrorResponse(res, 409, 'Email address is managed by the single sign-on provider');
+  }
+
+  const { valid } = await passwordService.verify(user.password, String(currentPassword));
+  if (!valid) {
+    const lockout = await recordLoginFailure(req, user.username, user, 'invalid_current_password');
+    if (lockout) {
+      return sendThrottled(res, lockout);
+    }
+    return sendErrorResponse(res, 401, 'Invalid password');
+  }
+
+  const owner = await userService.getByEmail(newEmail);
+  if (owner && owner.id === user.id) {
+    return sendErrorResponse(res, 409, 'This is already the email address of the account');
+  }
+  if (owner) {
+    return sendErrorResponse(res, 409, 'Email address is already in use');
+  }
+
+  const token = await accountTokens.issue(user, 'email_verification', newEmail);
+  if (!token) {
+    return sendErrorResponse(res, 429, 'Too many verification emails - please try again later');
+  }
+
+  try {
+    await sendVerificationEmail(user, newEmail, token);
+  } catch (error) {
+    if (error.statusCode) return sendErrorResponse(res, 502, 'Verification email could not be sent - please try again later');
+    throw error;
+  }
+
+  await securityEvents.record('email_change_requested', { username: user.username, userId: user.id, ...clientInfo(req) });
+  sendSuccessResponse(res, { expiresAt: token.expiresAt }, 'Verification email sent to the new address', 202);
+}));
+
+// Confirm an address with a verification link (no session needed: the link may be opened on another device)
+router.post('/email/verify', tokenLimiter, handleAsync(async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return sendErrorResponse(res, 400, 'token is required');
+  }
+
+  let verification;
+  try {
+    verification = await accountTokens.redeem(String(token), 'email_verification');
+  } catch (error) {
+    if (error.statusCode) return sendErrorResponse(res, error.statusCode, error.message);
+    throw error;
+  }
+
+  const user = await userService.getById(verification.userId);
+  if (!user || !user.isActive) {
+    return sendErrorResponse(res, 400, 'This link is invalid or has expired - please request a new one');
+  }
+
+  // The address may have been taken by another account since the link was sent
+  let updated;
+  try {
+    updated = await userService.setVerifiedEmail(user.id, verification.email);
+  } catch (error) {
+    if (/UNIQUE constraint failed/.test(error.message)) {
+      return sendErrorResponse(res, 409, 'Email address is already in use');
+    }
+    throw error;
+  }
+
+  await securityEvents.record('email_verified', {
+    username: user.username,
+    userId: user.id,
+    ...clientInfo(req),
+    details: { changed: user.email.toLowerCase() !== verification.email.toLowerCase() }
+  });
+  console.log(`📧 Email address verified for user ${user.username}`);
+
+  sendSuccessResponse(res, { username: updated.username, email: updated.email, emailVerified: true }, 'Email address verified');
+}));
+
+// MFA management for the signed-in user (also reachable while enrollment is required)
+router.use('/mfa', authenticate({ allowPendingSetup: true }), (req, res, next) => {
+  if (!getMfaService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - MFA unavailable');
+  }
+  next();
+});
+
+// MFA status
+router.get('/mfa', handleAsync(async (req, res) => {
+  const user = await userService.getById(req.user.id);
+  const status = await getMfaService().status(user);
+  sendSuccessResponse(res, status, 'MFA status retrieved successfully');
+}));
+
+// Start enrollment: returns the secret and otpauth:// URI (for the QR code); confirm with /mfa/activate
+router.post('/mfa/enroll', handleAsync(async (req, res) => {
+  const user = await userService.getById(req.user.id);
+
+  try {
+    const enrollment = await getMfaService().startEnrollment(user);
+    sendSuccessResponse(res, enrollment, 'Add the account to your authenticator app, then confirm with a code');
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+// Finish enrollment with a code from the app; returns the recovery codes once
+router.post('/mfa/activate', handleAsync(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return sendErrorResponse(res, 400, 'code is required');
+  }
+
+  const user = await userService.getById(req.user.id);
+  try {
+    const recoveryCodes = await getMfaService().activate(user, String(code));
+    sendSuccessResponse(res, { enabled: true, recoveryCodes }, 'MFA enabled - store the recovery codes somewhere safe');
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+}));
+
+// Replace the recovery codes (requires a current code)
+// Codes checked here count towards the login lockout, like those at /login/mfa
+router.post('/mfa/recovery-codes', handleAsync(async (req, res) => {
+  const { code } = req.body;
+  const user = await userService.getById(req.user.id);
+  const mfaService = getMfaService();
+
+  if (!user.mfaEnabled) {
+    return sendErrorResponse(res, 409, 'MFA is not enabled');
+  }
+  if (!code) {
+    return sendErrorResponse(res, 400, 'code is required');
+  }
+
+  const block = await checkThrottle(req, user.username);
+  if (block) {
+    return sendThrottled(res, block);
+  }
+  if (!await mfaService.verifyCode(user, String(code))) {
+    const lockout = await recordLoginFailure(req, user.username, user, 'invalid_mfa_code');
+    if (lockout) {
+      return sendThrottled(res, lockout);
+    }
+    return sendErrorResponse(res, 401, 'Invalid authentication code');
+  }
+
+  const recoveryCodes = await mfaService.regenerateRecoveryCodes(user);
+  sendSuccessResponse(res, { recoveryCodes }, 'Recovery codes replaced - the old codes no longer work');
+}));
+
+// Turn MFA off (not allowed for roles the MFA policy covers)
+router.post('/mfa/disable', handleAsync(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await userService.getById(req.user.id);
+  const mfaService = getMfaService();
+
+  if (isMfaRequiredForRole(user.role)) {
+    return sendErrorResponse(res, 403, `MFA is required for the ${user.role} role`);
+  }
+  if (!user.mfaEnabled) {
+    return sendErrorResponse(res, 409, 'MFA is not enabled');
+  }
+  if (!password || !code) {
+    return sendErrorResponse(res, 400, 'password and code are required');
+  }
+
+  const block = await checkThrottle(req, user.username);
+  if (block) {
+    return sendThrottled(res, block);
+  }
+
+  const { valid } = await passwordService.verify(user.password, String(password));
+  if (!valid || !await mfaService.verifyCode(user, String(code))) {
+    const lockout = await recordLoginFailure(req, user.username, user, valid ? 'invalid_mfa_code' : 'invalid_current_password');
+    if (lockout) {
+      return sendThrottled(res, lockout);
+    }
+    return sendErrorResponse(res, 401, 'Invalid password or authentication code');
+  }
+
+  await mfaService.disable(user);
+  sendSuccessResponse(res, { enabled: false }, 'MFA disabled');
+}));
+
+module.exports = router;
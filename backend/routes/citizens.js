@@ -1,63 +1,76 @@
 const express = require('express');
 const router = express.Router();
-const { encryptedCitizenService } = require('../database/encryptedDb');
+const { dashboardService } = require('../database/db');
+const { encryptedCitizenService, getErasureService } = require('../database/encryptedDb');
+const { getMaskingProfile, maskRecord, maskRecords } = require('../services/piiMasking');
+const { citizenScope, canAccessCitizen } = require('../services/permissions');
+const { requirePermission } = require('../middleware/auth');
 const { validateCitizen, sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync, paginate } = require('../utils/helpers');
 
 // Get all citizens with optional pagination and search
-router.get('/', handleAsync(async (req, res) => {
+router.get('/', requirePermission('read-citizens'), handleAsync(async (req, res) => {
   const { page = 1, limit = 10, search } = req.query;
-  
-  let citizens = await encryptedCitizenService.getAll();
-  
-  // Apply search filter if provided
-  if (search) {
-    const searchTerm = search.toLowerCase();
-    citizens = citizens.filter(citizen => 
-      citizen.firstName.toLowerCase().includes(searchTerm) ||
-      citizen.lastName.toLowerCase().includes(searchTerm) ||
-      citizen.email.toLowerCase().includes(searchTerm) ||
-      citizen.citizenId.toLowerCase().includes(searchTerm)
-    );
+  const scope = citizenScope(req.user);
+  
+  // Scoped users only get their own record; search runs against the blind index, so only matching rows are decrypted
+  let citizens;
+  if (scope !== null) {
+    citizens = scope ? [await encryptedCitizenService.getById(scope)].filter(Boolean) : [];
+  } else {
+    citizens = search
+      ? await encryptedCitizenService.search(sanitizeInput(search))
+      : await encryptedCitizenService.getAll();
   }
   
   // Apply pagination
   const result = paginate(citizens, parseInt(page), parseInt(limit));
+  result.data = maskRecords('citizens', result.data, getMaskingProfile(req));
   
   sendSuccessResponse(res, result, 'Citizens retrieved successfully');
 }));
 
 // Get citizen by ID
-router.get('/:id', handleAsync(async (req, res) => {
+router.get('/:id', requirePermission('read-citizens'), handleAsync(async (req, res) => {
   const { id } = req.params;
   
   if (!/^\d+$/.test(id)) {
     return sendErrorResponse(res, 400, 'Invalid citizen ID format');
   }
   
-  const citizen = await encryptedCitizenService.getById(parseInt(id));
+  // Other citizens' records are reported as missing rather than forbidden
+  const citizen = canAccessCitizen(req.user, parseInt(id))
+    ? await encryptedCitizenService.getById(parseInt(id))
+    : null;
   
   if (!citizen) {
     return sendErrorResponse(res, 404, 'Citizen not found');
   }
   
-  sendSuccessResponse(res, citizen, 'Citizen retrieved successfully');
+  sendSuccessResponse(res, maskRecord('citizens', citizen, getMaskingProfile(req)), 'Citizen retrieved successfully');
 }));
 
 // Get citizen by citizen ID (e.g., CTZ001)
-router.get('/citizen-id/:citizenId', handleAsync(async (req, res) => {
+router.get('/citizen-id/:citizenId', requirePermission('read-citizens'), handleAsync(async (req, res) => {
   const { citizenId } = req.params;
-  
-  const citizen = await encryptedCitizenService.getByCitizenId(sanitizeInput(citizenId));
+  const scope = citizenScope(req.user);
+  
+  let citizen;
+  if (scope !== null) {
+    const own = scope ? await encryptedCitizenService.getById(scope) : null;
+    citizen = own && own.citizenId === citizenId ? own : null;
+  } else {
+    citizen = await encryptedCitizenService.getByCitizenId(sanitizeInput(citizenId));
+  }
   
   if (!citizen) {
     return sendErrorResponse(res, 404, 'Citizen not found');
   }
   
-  sendSuccessResponse(res, citizen, 'Citizen retrieved successfully');
+  sendSuccessResponse(res, maskRecord('citizens', citizen, getMaskingProfile(req)), 'Citizen retrieved successfully');
 }));
 
 // Create new citizen
-router.post('/', handleAsync(async (req, res) => {
+router.post('/', requirePermission('manage-citizens'), handleAsync(async (req, res) => {
   const citizenData = {
     citizenId: sanitizeInput(req.body.citizenId),
     firstName: sanitizeInput(req.body.firstName),
@@ -79,7 +92,7 @@ router.post('/', handleAsync(async (req, res) => {
   
   try {
     const newCitizen = await encryptedCitizenService.create(citizenData);
-    sendSuccessResponse(res, newCitizen, 'Citizen created successfully', 201);
+    sendSuccessResponse(res, maskRecord('citizens', newCitizen, getMaskingProfile(req)), 'Citizen created successfully', 201);
   } catch (error) {
     if (error.message.includes('UNIQUE constraint failed')) {
       return sendErrorResponse(res, 409, 'Citizen ID or email already exists');
@@ -89,7 +102,7 @@ router.post('/', handleAsync(async (req, res) => {
 }));
 
 // Update citizen
-router.put('/:id', handleAsync(async (req, res) => {
+router.put('/:id', requirePermission('manage-citizens'), handleAsync(async (req, res) => {
   const { id } = req.params;
   
   if (!/^\d+$/.test(id)) {
@@ -113,49 +126,70 @@ router.put('/:id', handleAsync(async (req, res) => {
     return sendErrorResponse(res, 400, 'Validation failed', validation.errors);
   }
   
-  const updatedCitizen = await encryptedCitizenService.update(parseInt(id), citizenData);
+  let updatedCitizen;
+  try {
+    updatedCitizen = await encryptedCitizenService.update(parseInt(id), citizenData);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
   
   if (!updatedCitizen) {
     return sendErrorResponse(res, 404, 'Citizen not found');
   }
   
-  sendSuccessResponse(res, updatedCitizen, 'Citizen updated successfully');
+  sendSuccessResponse(res, maskRecord('citizens', updatedCitizen, getMaskingProfile(req)), 'Citizen updated successfully');
 }));
 
-// Get citizen statistics
-router.get('/stats/overview', handleAsync(async (req, res) => {
-  const citizens = await encryptedCitizenService.getAll();
+// Erase a citizen (right to erasure) by destroying their data key
+router.delete('/:id/erase', requirePermission('erase-citizens'), handleAsync(async (req, res) => {
+  const { id } = req.params;
   
-  // Calculate age groups
-  const today = new Date();
-  const ageGroups = {
-    '18-25': 0,
-    '26-35': 0,
-    '36-50': 0,
-    '51-65': 0,
-    '65+': 0
-  };
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid citizen ID format');
+  }
+
+  if (!getErasureService()) {
+    return sendErrorResponse(res, 503, 'Encryption is not initialized - erasure unavailable');
+  }
+
+  let certificate;
+  try {
+    certificate = await getErasureService().erase(parseInt(id), {
+      requestedBy: sanitizeInput(req.body.requestedBy) || req.user.username,
+      reason: sanitizeInput(req.body.reason) || null
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+
+  if (!certificate) {
+    return sendErrorResponse(res, 404, 'Citizen not found');
+  }
+
+  sendSuccessResponse(res, certificate, 'Citizen erased - erasure certificate issued');
+}));
+
+// Get citizen statistics
+// Counted from public columns; there are no age figures, since those would need every date of birth decrypted
+router.get('/stats/overview', requirePermission('view-dashboard'), handleAsync(async (req, res) => {
+  const citizens = await dashboardService.getCitizenSummaries();
   
   // Calculate city distribution
   const cityStats = {};
   
   citizens.forEach(citizen => {
-    const birthDate = new Date(citizen.dateOfBirth);
-    const age = today.getFullYear() - birthDate.getFullYear();
-    
-    if (age >= 18 && age <= 25) ageGroups['18-25']++;
-    else if (age >= 26 && age <= 35) ageGroups['26-35']++;
-    else if (age >= 36 && age <= 50) ageGroups['36-50']++;
-    else if (age >= 51 && age <= 65) ageGroups['51-65']++;
-    else if (age > 65) ageGroups['65+']++;
-    
     cityStats[citizen.city] = (cityStats[citizen.city] || 0) + 1;
   });
   
   const stats = {
     totalCitizens: citizens.length,
     activeAccounts: citizens.filter(c => c.status === 'active').length,
-    ageDistribution: ageGroups,
     topCities: Object.entries(cityStats)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 5)
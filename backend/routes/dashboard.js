@@ -2,8 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { dashboardService, serviceTypeService, agencyService } = require('../database/db');
 const { encryptedServiceRequestService, encryptedCitizenService } = require('../database/encryptedDb');
+const { getMaskingProfile, maskRecord, maskRecords } = require('../services/piiMasking');
+const { requirePermission } = require('../middleware/auth');
+const { userHasPermission } = require('../services/permissions');
 const { sendErrorResponse, sendSuccessResponse, handleAsync, formatCurrency } = require('../utils/helpers');
 
+router.use(requirePermission('view-dashboard'));
+
+// Revenue figures are only shown to callers with view-revenue
+const revenueFor = (req, entry) => {
+  if (userHasPermission(req.user, 'view-revenue')) return entry;
+  const { totalRevenue, formattedRevenue, ...rest } = entry;
+  return rest;
+};
+
 // Get main dashboard statistics
 router.get('/stats', handleAsync(async (req, res) => {
   const stats = await dashboardService.getStats();
@@ -20,7 +32,7 @@ router.get('/stats', handleAsync(async (req, res) => {
       : 0
   };
   
-  sendSuccessResponse(res, enhancedStats, 'Dashboard statistics retrieved successfully');
+  sendSuccessResponse(res, revenueFor(req, enhancedStats), 'Dashboard statistics retrieved successfully');
 }));
 
 // Get recent activity
@@ -39,8 +51,10 @@ router.get('/recent-activity', handleAsync(async (req, res) => {
     const citizensList = Array.isArray(citizensData) ? citizensData : 
                          (citizensData && citizensData.data ? citizensData.data : []);
     
+    // Names are shown as the caller's role allows (initials for clerks, citizen ID for analysts)
+    const profile = getMaskingProfile(req);
     const citizensMap = {};
-    citizensList.forEach(citizen => {
+    maskRecords('citizens', citizensList, profile).forEach(citizen => {
       citizensMap[citizen.id] = citizen;
     });
     
@@ -48,7 +62,7 @@ router.get('/recent-activity', handleAsync(async (req, res) => {
     const enhancedActivity = recentRequests.map(request => {
       const citizen = citizensMap[request.citizenId];
       return {
-        ...request,
+        ...maskRecord('service_requests', request, profile),
         statusInfo: getStatusInfo(request.status),
         formattedDate: new Date(request.submittedDate).toLocaleDateString('en-US', {
           year: 'numeric',
@@ -57,7 +71,8 @@ router.get('/recent-activity', handleAsync(async (req, res) => {
           hour: '2-digit',
           minute: '2-digit'
         }),
-        citizenName: citizen ? `${citizen.firstName} ${citizen.lastName}` : 'Unknown Citizen'
+        citizenName: !citizen ? 'Unknown Citizen'
+          : 'firstName' in citizen ? `${citizen.firstName} ${citizen.lastName}` : citizen.citizenId
       };
     });
     
@@ -163,7 +178,7 @@ router.get('/performance/categories', handleAsync(async (req, res) => {
   // Sort by completion rate
   performanceData.sort((a, b) => b.completionRate - a.completionRate);
   
-  sendSuccessResponse(res, performanceData, 'Category performance data retrieved successfully');
+  sendSuccessResponse(res, performanceData.map(category => revenueFor(req, category)), 'Category performance data retrieved successfully');
 }));
 
 // Get agency workload distribution
@@ -209,7 +224,7 @@ router.get('/workload/agencies', handleAsync(async (req, res) => {
   // Sort by total requests
   agencyWorkload.sort((a, b) => b.totalRequests - a.totalRequests);
   
-  sendSuccessResponse(res, agencyWorkload, 'Agency workload distribution retrieved successfully');
+  sendSuccessResponse(res, agencyWorkload.map(agency => revenueFor(req, agency)), 'Agency workload distribution retrieved successfully');
 }));
 
 // Get citizen engagement metrics
@@ -274,7 +289,7 @@ router.get('/engagement/citizens', handleAsync(async (req, res) => {
 }));
 
 // Get revenue analytics
-router.get('/analytics/revenue', handleAsync(async (req, res) => {
+router.get('/analytics/revenue', requirePermission('view-revenue'), handleAsync(async (req, res) => {
   const allRequests = await encryptedServiceRequestService.getAll();
   const { period = '12' } = req.query; // months
   
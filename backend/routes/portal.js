@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { serviceRequestService, paymentService } = require('../database/db');
+const { encryptedCitizenService, encryptedServiceRequestService } = require('../database/encryptedDb');
+const { getMaskingProfile, maskRecord, maskRecords } = require('../services/piiMasking');
+const { requirePermission } = require('../middleware/auth');
+const { sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync } = require('../utils/helpers');
+
+// Profile fields a citizen may change themselves; name, date of birth and citizen ID go through staff
+const EDITABLE_PROFILE_FIELDS = ['email', 'phone', 'address', 'city', 'state', 'zipCode'];
+
+// Everything here works on the citizen record linked to the signed-in account (users.citizenId)
+router.use(requirePermission('use-portal'), (req, res, next) => {
+  if (!req.user.citizenId) {
+    return sendErrorResponse(res, 403, 'No citizen record is linked to this account');
+  }
+  next();
+});
+
+// Own service requests (decrypted under the citizen's own key only)
+const ownRequests = (req) => encryptedServiceRequestService.getByCitizenId(req.user.citizenId);
+
+// Get own citizen profile
+router.get('/profile', handleAsync(async (req, res) => {
+  const citizen = await encryptedCitizenService.getById(req.user.citizenId);
+
+  if (!citizen) {
+    return sendErrorResponse(res, 404, 'Citizen not found');
+  }
+
+  sendSuccessResponse(res, {
+    ...maskRecord('citizens', citizen, getMaskingProfile(req)),
+    editableFields: EDITABLE_PROFILE_FIELDS
+  }, 'Profile retrieved successfully');
+}));
+
+// Update own contact details
+router.put('/profile', handleAsync(async (req, res) => {
+  const changes = {};
+  for (const field of EDITABLE_PROFILE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      changes[field] = sanitizeInput(String(req.body[field]));
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return sendErrorResponse(res, 400, 'No profile changes supplied', { editableFields: EDITABLE_PROFILE_FIELDS });
+  }
+
+  // Contact details can be changed but not cleared
+  const errors = Object.keys(changes).filter(field => !changes[field]).map(field => `${field} is required`);
+  if (changes.email && !changes.email.includes('@')) {
+    errors.push('Email must contain @ symbol');
+  }
+  if (errors.length > 0) {
+    return sendErrorResponse(res, 400, 'Validation failed', errors);
+  }
+
+  let updatedCitizen;
+  try {
+    updatedCitizen = await encryptedCitizenService.updateProfile(req.user.citizenId, changes);
+  } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    throw error;
+  }
+
+  if (!updatedCitizen) {
+    return sendErrorResponse(res, 404, 'Citizen not found');
+  }
+
+  console.log(`👤 Citizen ${updatedCitizen.citizenId} updated own profile (${Object.keys(changes).join(', ')})`);
+  sendSuccessResponse(res, {
+    ...maskRecord('citizens', updatedCitizen, getMaskingProfile(req)),
+    editableFields: EDITABLE_PROFILE_FIELDS
+  }, 'Profile updated successfully');
+}));
+
+// Get own service requests
+router.get('/requests', handleAsync(async (req, res) => {
+  const { status } = req.query;
+
+  let requests = await ownRequests(req);
+  if (status) {
+    requests = requests.filter(request => request.status === status);
+  }
+
+  sendSuccessResponse(res, maskRecords('service_requests', requests, getMaskingProfile(req)), 'Service requests retrieved successfully');
+}));
+
+// Get one own service request with its status history and payments
+router.get('/requests/:id', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid request ID format');
+  }
+
+  const request = (await ownRequests(req)).find(candidate => candidate.id === parseInt(id));
+  if (!request) {
+    return sendErrorResponse(res, 404, 'Service request not found');
+  }
+
+  const [history, payments] = await Promise.all([
+    serviceRequestService.getHistory(request.id),
+    paymentService.getByRequestId(request.id)
+  ]);
+
+  sendSuccessResponse(res, {
+    ...maskRecord('service_requests', request, getMaskingProfile(req)),
+    history,
+    payments
+  }, 'Service request retrieved successfully');
+}));
+
+// Get own payments
+router.get('/payments', handleAsync(async (req, res) => {
+  const payments = await paymentService.getByCitizenId(req.user.citizenId);
+
+  const totalPaid = payments
+    .filter(payment => payment.status === 'completed')
+    .reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+
+  sendSuccessResponse(res, { payments, totalPaid }, 'Payments retrieved successfully');
+}));
+
+// Get the receipt for an own completed payment
+router.get('/payments/:id/receipt', handleAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    return sendErrorResponse(res, 400, 'Invalid payment ID format');
+  }
+
+  // Other citizens' payments are reported as missing rather than forbidden
+  const payment = await paymentService.getById(parseInt(id));
+  if (!payment || payment.citizenId !== req.user.citizenId) {
+    return sendErrorResponse(res, 404, 'Payment not found');
+  }
+  if (payment.status !== 'completed' || !payment.receiptNumber) {
+    return sendErrorResponse(res, 409, 'No receipt is available until the payment has completed');
+  }
+
+  const citizen = maskRecord('citizens', await encryptedCitizenService.getById(req.user.citizenId), getMaskingProfile(req));
+
+  sendSuccessResponse(res, {
+    receiptNumber: payment.receiptNumber,
+    paymentDate: payment.paymentDate,
+    amount: parseFloat(payment.amount),
+    paymentMethod: payment.paymentMethod,
+    transactionId: payment.transactionId,
+    requestNumber: payment.requestNumber,
+    serviceName: payment.serviceName,
+    agency: {
+      name: payment.agencyName,
+      contactEmail: payment.contactEmail,
+      contactPhone: payment.contactPhone
+    },
+    paidBy: {
+      citizenId: citizen.citizenId,
+      firstName: citizen.firstName,
+      lastName: citizen.lastName,
+      address: citizen.address,
+      city: citizen.city,
+      state: citizen.state,
+      zipCode: citizen.zipCode
+    }
+  }, 'Receipt retrieved successfully');
+}));
+
+module.exports = router;
@@ -1,13 +1,37 @@
 const express = require('express');
 const router = express.Router();
+const { citizenService, serviceRequestService, serviceTypeService, dashboardService } = require('../database/db');
 const { encryptedServiceRequestService } = require('../database/encryptedDb');
+const { getMaskingProfile, maskRecord, maskRecords } = require('../services/piiMasking');
+const { citizenScope, agencyScope, canAccessCitizen } = require('../services/permissions');
+const { requirePermission } = require('../middleware/auth');
 const { validateServiceRequest, sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync, paginate } = require('../utils/helpers');
 
+// Requests the user may see; scoped users only ever load (and decrypt) their own,
+// and agency-limited API keys those of their agency
+const visibleRequests = async (user) => {
+  const agency = agencyScope(user);
+  if (agency) {
+    return encryptedServiceRequestService.getByAgencyId(agency);
+  }
+  const scope = citizenScope(user);
+  if (scope === null) {
+    return encryptedServiceRequestService.getAll();
+  }
+  return scope ? encryptedServiceRequestService.getByCitizenId(scope) : [];
+};
+
+// Whether a request is handled by another agency than the one the caller is limited to
+const outsideAgency = async (user, requestId) => {
+  const agency = agencyScope(user);
+  return agency !== null && await serviceRequestService.getAgencyId(requestId) !== agency;
+};
+
 // Get all service requests with optional filtering and pagination
-router.get('/', handleAsync(async (req, res) => {
+router.get('/', requirePermission('read-requests'), handleAsync(async (req, res) => {
   const { page = 1, limit = 10, status, category, citizenId, priority } = req.query;
   
-  let requests = await encryptedServiceRequestService.getAll();
+  let requests = await visibleRequests(req.user);
   
   // Apply filters
   if (status) {
@@ -28,45 +52,80 @@ router.get('/', handleAsync(async (req, res) => {
   
   // Apply pagination
   const result = paginate(requests, parseInt(page), parseInt(limit));
+  result.data = maskRecords('service_requests', result.data, getMaskingProfile(req));
   
   sendSuccessResponse(res, result, 'Service requests retrieved successfully');
 }));
 
 // Get service request by ID
-router.get('/:id', handleAsync(async (req, res) => {
+router.get('/:id', requirePermission('read-requests'), handleAsync(async (req, res) => {
   const { id } = req.params;
   
   if (!/^\d+$/.test(id)) {
     return sendErrorResponse(res, 400, 'Invalid request ID format');
   }
   
+  // Other agencies' requests are not decrypted at all
+  if (await outsideAgency(req.user, parseInt(id))) {
+    return sendErrorResponse(res, 404, 'Service request not found');
+  }
+  
+  // Other citizens' requests are reported as missing rather than forbidden, and not decrypted either
+  if (!canAccessCitizen(req.user, await serviceRequestService.getCitizenId(parseInt(id)))) {
+    return sendErrorResponse(res, 404, 'Service request not found');
+  }
+  
   const request = await encryptedServiceRequestService.getById(parseInt(id));
   
   if (!request) {
     return sendErrorResponse(res, 404, 'Service request not found');
   }
   
-  sendSuccessResponse(res, request, 'Service request retrieved successfully');
+  const history = await serviceRequestService.getHistory(request.id);
+  
+  sendSuccessResponse(res, {
+    ...maskRecord('service_requests', request, getMaskingProfile(req)),
+    history
+  }, 'Service request retrieved successfully');
 }));
 
 // Get service requests by citizen ID
-router.get('/citizen/:citizenId', handleAsync(async (req, res) => {
+router.get('/citizen/:citizenId', requirePermission('read-requests'), handleAsync(async (req, res) => {
   const { citizenId } = req.params;
   
   if (!/^\d+$/.test(citizenId)) {
     return sendErrorResponse(res, 400, 'Invalid citizen ID format');
   }
   
-  const requests = await encryptedServiceRequestService.getByCitizenId(parseInt(citizenId));
+  if (!canAccessCitizen(req.user, parseInt(citizenId)) || !await citizenService.getById(parseInt(citizenId))) {
+    return sendErrorResponse(res, 404, 'Citizen not found');
+  }
+  
+  const requests = await encryptedServiceRequestService.getByCitizenId(parseInt(citizenId), agencyScope(req.user));
   
-  sendSuccessResponse(res, requests, 'Citizen service requests retrieved successfully');
+  sendSuccessResponse(res, maskRecords('service_requests', requests, getMaskingProfile(req)), 'Citizen service requests retrieved successfully');
 }));
 
 // Create new service request
-router.post('/', handleAsync(async (req, res) => {
+router.post('/', requirePermission('create-requests'), handleAsync(async (req, res) => {
+  // Scoped users can only apply for themselves
+  const scope = citizenScope(req.user);
+  if (scope === 0) {
+    return sendErrorResponse(res, 403, 'No citizen record is linked to this account');
+  }
+
+  // Agency-limited API keys file requests for their agency's services only
+  const agency = agencyScope(req.user);
+  if (agency) {
+    const serviceType = await serviceTypeService.getById(parseInt(req.body.serviceTypeId));
+    if (serviceType && serviceType.agencyId !== agency) {
+      return sendErrorResponse(res, 403, 'This API key is limited to the services of another agency');
+    }
+  }
+
   const requestData = {
     requestNumber: await generateRequestNumber(),
-    citizenId: parseInt(req.body.citizenId),
+    citizenId: scope || parseInt(req.body.citizenId),
     serviceTypeId: parseInt(req.body.serviceTypeId),
     status: 'submitted',
     priority: sanitizeInput(req.body.priority) || 'normal',
@@ -83,8 +142,11 @@ router.post('/', handleAsync(async (req, res) => {
   
   try {
     const newRequest = await encryptedServiceRequestService.create(requestData);
-    sendSuccessResponse(res, newRequest, 'Service request created successfully', 201);
+    sendSuccessResponse(res, maskRecord('service_requests', newRequest, getMaskingProfile(req)), 'Service request created successfully', 201);
   } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
     if (error.message.includes('FOREIGN KEY constraint failed')) {
       return sendErrorResponse(res, 400, 'Invalid citizen ID or service type ID');
     }
@@ -93,9 +155,9 @@ router.post('/', handleAsync(async (req, res) => {
 }));
 
 // Update service request status
-router.patch('/:id/status', handleAsync(async (req, res) => {
+router.patch('/:id/status', requirePermission('update-request-status'), handleAsync(async (req, res) => {
   const { id } = req.params;
-  const { status, comments, changedBy } = req.body;
+  const { status, comments } = req.body;
   
   if (!/^\d+$/.test(id)) {
     return sendErrorResponse(res, 400, 'Invalid request ID format');
@@ -106,27 +168,35 @@ router.patch('/:id/status', handleAsync(async (req, res) => {
     return sendErrorResponse(res, 400, 'Invalid status value', { validStatuses });
   }
   
+  if (await outsideAgency(req.user, parseInt(id))) {
+    return sendErrorResponse(res, 404, 'Service request not found');
+  }
+  
   try {
     const updatedRequest = await encryptedServiceRequestService.updateStatus(
       parseInt(id), 
       sanitizeInput(status),
       sanitizeInput(comments),
-      sanitizeInput(changedBy) || 'System'
+      req.user.username
     );
     
     if (!updatedRequest) {
       return sendErrorResponse(res, 404, 'Service request not found');
     }
     
-    sendSuccessResponse(res, updatedRequest, 'Service request status updated successfully');
+    sendSuccessResponse(res, maskRecord('service_requests', updatedRequest, getMaskingProfile(req)), 'Service request status updated successfully');
   } catch (error) {
+    if (error.statusCode) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
     throw error;
   }
 }));
 
 // Get service request statistics
-router.get('/stats/overview', handleAsync(async (req, res) => {
-  const requests = await encryptedServiceRequestService.getAll();
+router.get('/stats/overview', requirePermission('view-dashboard'), handleAsync(async (req, res) => {
+  // Plain columns only: counting does not need the encrypted notes and application data
+  const requests = await dashboardService.getRequestSummaries();
   
   // Status distribution
   const statusStats = {};
@@ -175,7 +245,7 @@ router.get('/stats/overview', handleAsync(async (req, res) => {
 }));
 
 // Get requests by status
-router.get('/status/:status', handleAsync(async (req, res) => {
+router.get('/status/:status', requirePermission('read-requests'), handleAsync(async (req, res) => {
   const { status } = req.params;
   const { page = 1, limit = 10 } = req.query;
   
@@ -184,33 +254,33 @@ router.get('/status/:status', handleAsync(async (req, res) => {
     return sendErrorResponse(res, 400, 'Invalid status value', { validStatuses });
   }
   
-  let requests = await encryptedServiceRequestService.getAll();
+  let requests = await visibleRequests(req.user);
   requests = requests.filter(req => req.status === status);
   
   const result = paginate(requests, parseInt(page), parseInt(limit));
+  result.data = maskRecords('service_requests', result.data, getMaskingProfile(req));
   
   sendSuccessResponse(res, result, `Service requests with status '${status}' retrieved successfully`);
 }));
 
 // Search service requests
-router.get('/search/:term', handleAsync(async (req, res) => {
+router.get('/search/:term', requirePermission('read-requests'), handleAsync(async (req, res) => {
   const { term } = req.params;
   const { page = 1, limit = 10 } = req.query;
   
-  const searchTerm = term.toLowerCase();
-  let requests = await encryptedServiceRequestService.getAll();
-  
-  // Search across multiple fields
-  requests = requests.filter(req => 
-    req.requestNumber.toLowerCase().includes(searchTerm) ||
-    req.serviceName.toLowerCase().includes(searchTerm) ||
-    req.firstName.toLowerCase().includes(searchTerm) ||
-    req.lastName.toLowerCase().includes(searchTerm) ||
-    req.agencyName.toLowerCase().includes(searchTerm) ||
-    (req.notes && req.notes.toLowerCase().includes(searchTerm))
-  );
+  // Search runs against plain columns and the citizen blind index; scoped users and agency-limited keys search the requests they can see
+  let requests;
+  if (citizenScope(req.user) === null && !agencyScope(req.user)) {
+    requests = await encryptedServiceRequestService.search(sanitizeInput(term));
+  } else {
+    const lowered = term.toLowerCase();
+    requests = (await visibleRequests(req.user)).filter(request =>
+      [request.requestNumber, request.serviceName, request.agencyName].some(value => value && value.toLowerCase().includes(lowered))
+    );
+  }
   
   const result = paginate(requests, parseInt(page), parseInt(limit));
+  result.data = maskRecords('service_requests', result.data, getMaskingProfile(req));
   
   sendSuccessResponse(res, result, `Search results for '${term}'`);
 }));
@@ -218,16 +288,13 @@ router.get('/search/:term', handleAsync(async (req, res) => {
 // Generate unique request number
 async function generateRequestNumber() {
   const year = new Date().getFullYear();
-  const requests = await encryptedServiceRequestService.getAll();
   
   // Find the highest number for current year
-  const currentYearRequests = requests.filter(req => 
-    req.requestNumber.startsWith(`REQ-${year}-`)
-  );
+  const currentYearNumbers = await serviceRequestService.getRequestNumbers(`REQ-${year}-`);
   
   let highestNumber = 0;
-  currentYearRequests.forEach(req => {
-    const num = parseInt(req.requestNumber.split('-')[2]);
+  currentYearNumbers.forEach(requestNumber => {
+    const num = parseInt(requestNumber.split('-')[2]);
     if (num > highestNumber) highestNumber = num;
   });
   
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { serviceTypeService } = require('../database/db');
+const { requirePermission } = require('../middleware/auth');
 const { sanitizeInput, sendErrorResponse, sendSuccessResponse, handleAsync, formatCurrency } = require('../utils/helpers');
 
+// The catalog is readable by every role
+router.use(requirePermission('read-catalog'));
+
 // Get all service types
 router.get('/', handleAsync(async (req, res) => {
   const { category, agency } = req.query;
@@ -9,19 +9,31 @@ const morgan = require('morgan');
 const path = require('path');
 
 // Import database and services
-const { initializeDatabase, getQuery, runQuery } = require('./database/db');
+const { initializeDatabase } = require('./database/db');
 
 // Import encryption services
-const { initializeEncryption, encryptedCitizenService, encryptedServiceRequestService } = require('./database/encryptedDb');
+const { initializeEncryption, getEncryptionHealth, encryptedCitizenService, encryptedServiceRequestService } = require('./database/encryptedDb');
+const { isKeyProviderConfigured } = require('./services/keyProviders');
+const { requestContext } = require('./middleware/requestContext');
+const { authenticate } = require('./middleware/auth');
+const { parseTrustProxy } = require('./utils/helpers');
+const authRoutes = require('./routes/auth');
 const citizenRoutes = require('./routes/citizens');
+const portalRoutes = require('./routes/portal');
 const serviceRequestRoutes = require('./routes/service-requests');
 const serviceTypeRoutes = require('./routes/service-types');
 const agencyRoutes = require('./routes/agencies');
 const dashboardRoutes = require('./routes/dashboard');
+const adminRoutes = require('./routes/admin');
+const attestationRoutes = require('./routes/attestation');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy (nginx in the container) req.ip is the proxy's address unless the
+// proxy is trusted to report the client in X-Forwarded-For; rate limits and login lockouts key on it
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false,
@@ -32,8 +44,8 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? false : ['http://localhost:3000', 'http://localhost:80'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Access-Purpose']
 }));
 
 // Rate limiting
@@ -50,7 +62,7 @@ app.use('/api/', limiter);
 
 // Request logging
 app.use(morgan('combined', {
-  skip: (req, res) => req.path === '/api/health'
+  skip: (req, res) => req.path === '/api/health' || process.env.NODE_ENV === 'test'
 }));
 
 // Body parsing middleware
@@ -63,71 +75,20 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request context (actor, endpoint, purpose) for the PII access log
+app.use(requestContext);
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  const uptime = process.uptime();
-  const memoryUsage = process.memoryUsage();
+// Public and unauthenticated, so only the coarse status; details are at /api/admin/health
+app.get('/api/health', async (req, res) => {
+  const encryption = await getEncryptionHealth();
   
+  // Still 200 when the key service is down: the API keeps serving with fallback values
   res.json({
-    status: 'healthy',
+    status: ['healthy', 'disabled'].includes(encryption.status) ? 'healthy' : 'degraded',
     timestamp: new Date().toISOString(),
-    uptime: `${Math.floor(uptime / 60)}m ${Math.floor(uptime % 60)}s`,
-    memory: {
-      used: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB`,
-      total: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`
-    },
-    version: '1.0.0',
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// Authentication endpoints
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Username and password are required'
-      });
-    }
-
-    // Simple authentication - in production, use proper password hashing
-    const user = await getQuery('SELECT * FROM users WHERE username = ? AND password = ? AND isActive = 1', [username, password]);
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid username or password'
-      });
-    }
-
-    // Update last login
-    await runQuery('UPDATE users SET lastLogin = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
-
-    // Return user info (excluding password)
-    const { password: _, ...userInfo } = user;
-    
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: userInfo
-    });
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
-});
-
-app.post('/api/auth/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
+    encryption: { status: encryption.status },
+    version: '1.0.0'
   });
 });
 
@@ -138,12 +99,15 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     description: 'Government Citizen Services Management System with 3-Tier Architecture',
     endpoints: {
-      auth: '/api/auth - Authentication (login/logout)',
+      auth: '/api/auth - Authentication (login/refresh/logout/me/change-password/password-reset/email)',
       citizens: '/api/citizens - Citizen management and registration',
+      portal: '/api/portal - Citizen self-service (own profile, requests, payments and receipts)',
       'service-requests': '/api/service-requests - Service applications and permits',
       'service-types': '/api/service-types - Available government services',
       agencies: '/api/agencies - Government departments and agencies',
       dashboard: '/api/dashboard - System statistics and analytics',
+      admin: '/api/admin - Key rotation, system health and administration',
+      attestation: '/api/attestation?nonce= - Signed enclave attestation report',
       health: '/api/health - System health check'
     },
     features: [
@@ -165,11 +129,16 @@ app.get('/api', (req, res) => {
 });
 
 // API routes
-app.use('/api/citizens', citizenRoutes);
-app.use('/api/service-requests', serviceRequestRoutes);
-app.use('/api/service-types', serviceTypeRoutes);
-app.use('/api/agencies', agencyRoutes);
-app.use('/api/dashboard', dashboardRoutes);
+// Everything except auth, attestation, health and the docs needs a signed-in user
+app.use('/api/auth', authRoutes);
+app.use('/api/citizens', authenticate(), citizenRoutes);
+app.use('/api/portal', authenticate(), portalRoutes);
+app.use('/api/service-requests', authenticate(), serviceRequestRoutes);
+app.use('/api/service-types', authenticate(), serviceTypeRoutes);
+app.use('/api/agencies', authenticate(), agencyRoutes);
+app.use('/api/dashboard', authenticate(), dashboardRoutes);
+app.use('/api/admin', authenticate(), adminRoutes);
+app.use('/api/attestation', attestationRoutes);
 
 // Response time logging
 app.use((req, res, next) => {
@@ -190,10 +159,13 @@ app.use('/api/*', (req, res) => {
     path: req.originalUrl,
     availableEndpoints: [
       '/api/citizens',
+      '/api/portal',
       '/api/service-requests',
       '/api/service-types',
       '/api/agencies',
       '/api/dashboard',
+      '/api/admin',
+      '/api/attestation',
       '/api/health'
     ]
   });
@@ -268,20 +240,20 @@ const startServer = async () => {
     await initializeDatabase();
     console.log('✅ Database layer ready');
 
-    // Initialize Fortanix DSM encryption if configured
-    if (process.env.FORTANIX_DSM_ENDPOINT && process.env.FORTANIX_API_KEY && process.env.FORTANIX_KEY_ID) {
+    // Initialize application-level encryption if a key provider is configured
+    if (isKeyProviderConfigured() || process.env.KEY_PROVIDER_FALLBACK) {
       try {
-        console.log('🔐 Initializing Fortanix DSM encryption...');
+        console.log(`🔐 Initializing encryption with key provider '${process.env.KEY_PROVIDER || 'fortanix'}'...`);
         await initializeEncryption();
         console.log('✅ Application-level encryption ready');
-        console.log('🛡️  All citizen PII data will be encrypted with Fortanix DSM');
+        console.log('🛡️  All citizen PII data will be encrypted before storage');
       } catch (error) {
-        console.log('⚠️  Fortanix DSM initialization failed - running without encryption');
+        console.log('⚠️  Key provider initialization failed - running without encryption');
         console.log('   Error:', error.message);
       }
     } else {
-      console.log('⚠️  Fortanix DSM not configured - running without encryption');
-      console.log('   Set FORTANIX_DSM_ENDPOINT, FORTANIX_API_KEY, and FORTANIX_KEY_ID to enable encryption');
+      console.log('⚠️  No key provider configured - running without encryption');
+      console.log('   Set FORTANIX_DSM_ENDPOINT, FORTANIX_API_KEY, and FORTANIX_KEY_ID, or KEY_PROVIDER=local, to enable encryption');
     }
     
     // Start HTTP server (Tier 2)
@@ -308,5 +280,9 @@ const startServer = async () => {
   }
 };
 
-// Start the server
-startServer();
\ No newline at end of file
+// Start the server when run directly; the test suites load the app and listen themselves
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app };
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { runQuery, getQuery } = require('../database/db');
+
+// Lifetime of each kind of link, in minutes
+const PURPOSES = {
+  password_reset: { ttlEnv: 'PASSWORD_RESET_TTL_MINUTES', defaultTtl: 30 },
+  email_verification: { ttlEnv: 'EMAIL_VERIFICATION_TTL_MINUTES', defaultTtl: 24 * 60 }
+};
+// Used and expired tokens are kept this long (they count towards the hourly limit), then deleted
+const RETENTION_DAYS = 7;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Single-use, time-limited tokens for password reset and email verification links.
+ * Only the SHA-256 of a token is stored. Issuing a token invalidates the user's
+ * earlier unused tokens for the same purpose, so only the newest link works, and
+ * each user gets at most ACCOUNT_TOKENS_PER_HOUR links per purpose.
+ */
+class AccountTokenService {
+  constructor() {
+    this.ttlMinutes = Object.fromEntries(Object.entries(PURPOSES).map(([purpose, settings]) =>
+      [purpose, parseInt(process.env[settings.ttlEnv] || String(settings.defaultTtl))]
+    ));
+    this.perHour = parseInt(process.env.ACCOUNT_TOKENS_PER_HOUR || '3');
+  }
+
+  /**
+   * Issue a token
+   * @param {Object} user - users row
+   * @param {string} purpose - 'password_reset' or 'email_verification'
+   * @param {string} email - Address the link is sent to (and, for verification, the address being verified)
+   * @returns {Object|null} - { token, expiresAt }, null when the user has reached the hourly limit
+   */
+  async issue(user, purpose, email = user.email) {
+    if (!PURPOSES[purpose]) {
+      throw new Error(`Unknown account token purpose: ${purpose}`);
+    }
+
+    const now = new Date();
+    await runQuery('DELETE FROM account_tokens WHERE createdAt < ?', [new Date(now - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()]);
+
+    const { count } = await getQuery(
+      'SELECT COUNT(*) as count FROM account_tokens WHERE userId = ? AND purpose = ? AND createdAt > ?',
+      [user.id, purpose, new Date(now - 60 * 60 * 1000).toISOString()]
+    );
+    if (count >= this.perHour) {
+      return null;
+    }
+
+    await runQuery(
+      'UPDATE account_tokens SET expiresAt = ? WHERE userId = ? AND purpose = ? AND usedAt IS NULL AND expiresAt > ?',
+      [now.toISOString(), user.id, purpose, now.toISOString()]
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + this.ttlMinutes[purpose] * 60 * 1000).toISOString();
+    await runQuery(
+      'INSERT INTO account_tokens (tokenHash, userId, purpose, email, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?, ?)',
+      [hashToken(token), user.id, purpose, email, now.toISOString(), expiresAt]
+    );
+    return { token, expiresAt };
+  }
+
+  /**
+   * Look at a token without using it up (e.g. to check a new password before the reset)
+   * @returns {Object|null} - { userId, purpose, email, expiresAt } of a valid token
+   */
+  async peek(token, purpose) {
+    const row = await getQuery(
+      'SELECT userId, purpose, email, expiresAt FROM account_tokens WHERE tokenHash = ? AND purpose = ? AND usedAt IS NULL AND expiresAt > ?',
+      [hashToken(token), purpose, new Date().toISOString()]
+    );
+    return row || null;
+  }
+
+  /**
+   * Use a token; each token can be redeemed once
+   * @param {string} token - Token from the link
+   * @param {string} purpose - Purpose it was issued for
+   * @returns {Object} - { userId, purpose, email }
+   */
+  async redeem(token, purpose) {
+    const tokenHash = hashToken(token);
+    const now = new Date().toISOString();
+    const result = await runQuery(
+      'UPDATE account_tokens SET usedAt = ? WHERE tokenHash = ? AND purpose = ? AND usedAt IS NULL AND expiresAt > ?',
+      [now, tokenHash, purpose, now]
+    );
+    if (result.changes !== 1) {
+      throw createError(400, 'This link is invalid or has expired - please request a new one');
+    }
+    return await getQuery('SELECT userId, purpose, email FROM account_tokens WHERE tokenHash = ?', [tokenHash]);
+  }
+}
+
+let accountTokenService = null;
+
+/**
+ * The account token store used by the auth routes (created on first use)
+ * @returns {AccountTokenService}
+ */
+const getAccountTokenService = () => {
+  if (!accountTokenService) {
+    accountTokenService = new AccountTokenService();
+  }
+  return accountTokenService;
+};
+
+module.exports = {
+  AccountTokenService,
+  getAccountTokenService
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../database/db');
+const { API_KEY_SCOPES, UNSCOPED_API_KEY_SCOPES, permissionsForScopes } = require('./permissions');
+
+// Keys look like csk_<keyId>.<secret>; the prefix tells them apart from session access tokens
+const KEY_PREFIX = 'csk_';
+const KEY_PATTERN = /^csk_([0-9a-f]{16})\.([A-Za-z0-9_-]{43})$/;
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const MAX_ROTATION_GRACE_MINUTES = 7 * 24 * 60;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashMatches = (hash, secret) => !!hash && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(sha256(secret), 'hex'));
+
+/**
+ * Service-to-service API keys for partner systems (tax assessor, 311 call center, ...).
+ * A key is sent like an access token (Authorization: Bearer csk_...) and is accepted by
+ * middleware/auth. Only the SHA-256 of the secret is stored. Each key has scopes
+ * (services/permissions API_KEY_SCOPES), optionally one agency it is limited to, and an
+ * expiry. Rotating a key issues a new secret; the old one keeps working for a grace
+ * period so the partner can switch over without downtime.
+ */
+class ApiKeyService {
+  constructor() {
+    this.defaultTtlDays = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS || '365');
+    this.maxTtlDays = parseInt(process.env.API_KEY_MAX_TTL_DAYS || '730');
+  }
+
+  isApiKey(token) {
+    return String(token).startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Check the settings of a new key
+   * @param {Object} settings - { name, scopes, agencyId, expiresInDays }
+   * @returns {string[]} - Validation errors
+   */
+  validate({ name, scopes, agencyId = null, expiresInDays = this.defaultTtlDays }) {
+    const errors = [];
+    if (!name || !String(name).trim()) {
+      errors.push('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push(`scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+    } else {
+      const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown scopes: ${unknown.join(', ')}`);
+      }
+      if (agencyId !== null && scopes.some(scope => UNSCOPED_API_KEY_SCOPES.includes(scope))) {
+        errors.push(`${UNSCOPED_API_KEY_SCOPES.join(', ')} cannot be limited to an agency`);
+      }
+    }
+    if (agencyId !== null && !/^\d+$/.test(String(agencyId))) {
+      errors.push('agencyId must be an agency ID or null');
+    }
+    if (!/^\d+$/.test(String(expiresInDays)) || expiresInDays < 1 || expiresInDays > this.maxTtlDays) {
+      errors.push(`expiresInDays must be between 1 and ${this.maxTtlDays}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Create a key; the returned key is the only time its secret is available
+   * @param {Object} settings - { name, scopes, agencyId, expiresInDays } (see validate)
+   * @param {string} createdBy - Username of the administrator
+   * @returns {Object} - { key, apiKey }
+   */
+  async create({ name, scopes, agencyId = null, expiresInDays = this.defaultTtlDays }, createdBy) {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const result = await runQuery(
+      `INSERT INTO api_keys (keyId, name, secretHash, scopes, agencyId, createdBy, createdAt, expiresAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        keyId,
+        String(name).trim(),
+        sha256(secret),
+        JSON.stringify([...new Set(scopes)].sort()),
+        agencyId === null ? null : parseInt(agencyId),
+        createdBy,
+        now.toISOString(),
+        new Date(now.getTime() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000).toISOString()
+      ]
+    );
+
+    return { key: `${KEY_PREFIX}${keyId}.${secret}`, apiKey: await this.getById(result.id) };
+  }
+
+  /**
+   * Replace the secret of a key
+   * @param {number} id - api_keys.id
+   * @param {number} graceMinutes - How long the current secret keeps working (0 ends it now)
+   * @returns {Object|null} - { key, apiKey }, null when there is no such key
+   */
+  async rotate(id, graceMinutes = 0) {
+    const row = await getQuery('SELECT * FROM api_keys WHERE id = ?', [id]);
+    if (!row) return null;
+    if (row.revokedAt) {
+      throw createError(409, 'API key has been revoked');
+    }
+    if (new Date(row.expiresAt) <= new Date()) {
+      throw createError(409, 'API key has expired - create a new one');
+    }
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_ROTATION_GRACE_MINUTES) {
+      throw createError(400, `graceMinutes must be between 0 and ${MAX_ROTATION_GRACE_MINUTES}`);
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    await runQuery(
+      `UPDATE api_keys
+       SET secretHash = ?, rotatedAt = ?, previousSecretHash = ?, previousSecretExpiresAt = ?
+       WHERE id = ?`,
+      [
+        sha256(secret),
+        now.toISOString(),
+        graceMinutes > 0 ? row.secretHash : null,
+        graceMinutes > 0 ? new Date(now.getTime() + graceMinutes * 60 * 1000).toISOString() : null,
+        id
+      ]
+    );
+
+    return { key: `${KEY_PREFIX}${row.keyId}.${secret}`, apiKey: await this.getById(id) };
+  }
+
+  /**
+   * Revoke a key (takes effect on its next request)
+   * @param {number} id - api_keys.id
+   * @returns {Object|null} - The key, null when there is no such key
+   */
+  async revoke(id) {
+    await runQuery(
+      'UPDATE api_keys SET revokedAt = ?, previousSecretHash = NULL, previousSecretExpiresAt = NULL WHERE id = ? AND revokedAt IS NULL',
+      [new Date().toISOString(), id]
+    );
+    return await this.getById(id);
+  }
+
+  async getById(id) {
+    const row = await getQuery('SELECT * FROM api_keys WHERE id = ?', [id]);
+    return row ? this.describe(row) : null;
+  }
+
+  async list() {
+    const rows = await allQuery('SELECT * FROM api_keys ORDER BY id DESC');
+    return rows.map(row => this.describe(row));
+  }
+
+  // Key as shown to administrators (never the hashes)
+  describe(row) {
+    const now = new Date();
+    let status = 'active';
+    if (row.revokedAt) {
+      status = 'revoked';
+    } else if (new Date(row.expiresAt) <= now) {
+      status = 'expired';
+    }
+
+    return {
+      id: row.id,
+      keyId: row.keyId,
+      keyPrefix: `${KEY_PREFIX}${row.keyId}`,
+      name: row.name,
+      scopes: JSON.parse(row.scopes),
+      agencyId: row.agencyId,
+      status,
+      createdBy: row.createdBy,
+      createdAt: row.createdAt,
+      expiresAt: row.expiresAt,
+      rotatedAt: row.rotatedAt,
+      previousSecretExpiresAt: row.previousSecretExpiresAt && new Date(row.previousSecretExpiresAt) > now ? row.previousSecretExpiresAt : null,
+      lastUsedAt: row.lastUsedAt,
+      lastUsedIp: row.lastUsedIp,
+      revokedAt: row.revokedAt
+    };
+  }
+
+  /**
+   * Resolve an API key to the caller it acts as
+   * @param {string} key - Bearer token
+   * @param {string} ip - Client IP (last-used tracking)
+   * @returns {Object} - { id: null, username, role: 'api-key', apiKeyId, agencyId, scopes, permissions, authMethod, ... }
+   */
+  async authenticate(key, ip = null) {
+    const match = String(key).match(KEY_PATTERN);
+    const row = match ? await getQuery('SELECT * FROM api_keys WHERE keyId = ?', [match[1]]) : null;
+    const now = new Date();
+
+    const current = row && hashMatches(row.secretHash, match[2]);
+    const previous = row && !current && row.previousSecretExpiresAt && new Date(row.previousSecretExpiresAt) > now
+      && hashMatches(row.previousSecretHash, match[2]);
+    if (!current && !previous) {
+      throw createError(401, 'Invalid API key');
+    }
+    if (row.revokedAt) {
+      throw createError(401, 'API key has been revoked');
+    }
+    if (new Date(row.expiresAt) <= now) {
+      throw createError(401, 'API key has expired');
+    }
+
+    await runQuery(
+      'UPDATE api_keys SET lastUsedAt = ?, lastUsedIp = ? WHERE id = ? AND (lastUsedAt IS NULL OR lastUsedAt < ?)',
+      [now.toISOString(), ip, row.id, new Date(now.getTime() - LAST_USED_RESOLUTION_MS).toISOString()]
+    );
+
+    const scopes = JSON.parse(row.scopes);
+    return {
+      id: null,
+      username: `api-key:${row.name}`,
+      role: 'api-key',
+      citizenId: null,
+      apiKeyId: row.id,
+      agencyId: row.agencyId,
+      scopes,
+      permissions: permissionsForScopes(scopes),
+      authMethod: 'api-key',
+      mustChangePassword: false,
+      mfaEnrollmentRequired: false
+    };
+  }
+}
+
+let apiKeyService = null;
+
+/**
+ * The API key store used by the auth middleware and admin routes (created on first use)
+ * @returns {ApiKeyService}
+ */
+const getApiKeyService = () => {
+  if (!apiKeyService) {
+    apiKeyService = new ApiKeyService();
+  }
+  return apiKeyService;
+};
+
+module.exports = {
+  ApiKeyService,
+  getApiKeyService
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const MtlsAgent = require('./mtlsAgent');
+
+const STATEMENT_TYPE = 'citizen-services-attestation/v1';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const PEM_CERTIFICATE_PATTERN = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Split a PEM bundle into certificates, leaf first
+ * @param {Buffer|string} pem - One or more PEM certificates
+ * @param {string} source - File name for the error message
+ * @returns {crypto.X509Certificate[]}
+ */
+const parseChain = (pem, source) => {
+  const chain = (String(pem).match(PEM_CERTIFICATE_PATTERN) || []).map(block => new crypto.X509Certificate(block));
+  if (chain.length === 0) {
+    throw createError(503, `Attestation unavailable: no certificate found in ${source}`);
+  }
+  return chain;
+};
+
+/**
+ * SHA-256 of a public key (SubjectPublicKeyInfo DER), hex
+ */
+const publicKeySha256 = (publicKey) => {
+  return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex');
+};
+
+// Every attestation provider exposes:
+//   name, simulated
+//   getCredentials() -> { chain: [X509Certificate], privateKey: KeyObject, publicKey: KeyObject }
+
+/**
+ * Identity from the enclave certificate CCM provisions after attesting the
+ * enclave; it is the same certificate the DSM client presents over mTLS and
+ * is re-read when CCM rotates it.
+ */
+class CcmAttestationProvider {
+  constructor(mtlsAgent = new MtlsAgent()) {
+    this.name = 'ccm';
+    this.simulated = false;
+    this.mtlsAgent = mtlsAgent;
+  }
+
+  getCredentials() {
+    try {
+      this.mtlsAgent.getAgent();
+    } catch (error) {
+      throw createError(503, `Attestation unavailable: ${error.message}`);
+    }
+
+    const { cert, key } = this.mtlsAgent.credentials;
+    const chain = parseChain(cert, this.mtlsAgent.certPath);
+    const privateKey = crypto.createPrivateKey(key);
+    if (!chain[0].checkPrivateKey(privateKey)) {
+      throw createError(503, 'Attestation unavailable: enclave private key does not match its certificate');
+    }
+    return { chain, privateKey, publicKey: chain[0].publicKey };
+  }
+}
+
+/**
+ * Stand-in for testing outside an enclave. Uses ATTESTATION_LOCAL_CERT_PATH /
+ * ATTESTATION_LOCAL_KEY_PATH when set, otherwise a key pair generated at startup
+ * with no certificate chain. Reports are marked simulated.
+ */
+class LocalAttestationProvider {
+  constructor() {
+    this.name = 'local';
+    this.simulated = true;
+    this.certPath = process.env.ATTESTATION_LOCAL_CERT_PATH || null;
+    this.keyPath = process.env.ATTESTATION_LOCAL_KEY_PATH || null;
+    this.ephemeralKeys = null;
+  }
+
+  getCredentials() {
+    if (this.certPath && this.keyPath) {
+      const chain = parseChain(fs.readFileSync(this.certPath), this.certPath);
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyPath));
+      return { chain, privateKey, publicKey: chain[0].publicKey };
+    }
+
+    if (!this.ephemeralKeys) {
+      this.ephemeralKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      console.log('🧪 Local attestation provider: generated a simulated signing key (not enclave-backed)');
+    }
+    return { chain: [], ...this.ephemeralKeys };
+  }
+}
+
+const ATTESTATION_PROVIDERS = {
+  ccm: CcmAttestationProvider,
+  local: LocalAttestationProvider
+};
+
+/**
+ * Attestation reports for GET /api/attestation.
+ * A report carries the enclave identity and certificate chain plus the key
+ * management settings in use, and a statement binding them to the caller's
+ * nonce, signed with the enclave key. Verifiers check the signature against the
+ * leaf certificate's public key, the chain against the CCM CA, and the nonce.
+ */
+class AttestationService {
+  constructor(providerName = process.env.ATTESTATION_PROVIDER || (process.env.FORTANIX_AUTH_METHOD === 'trusted_ca' ? 'ccm' : 'local')) {
+    const Provider = ATTESTATION_PROVIDERS[providerName];
+    if (!Provider) {
+      throw new Error(`Unknown attestation provider '${providerName}'. Expected one of: ${Object.keys(ATTESTATION_PROVIDERS).join(', ')}`);
+    }
+    this.provider = new Provider();
+  }
+
+  /**
+   * Check a caller-supplied nonce
+   * @param {string} nonce - 16-128 URL-safe characters (hex or base64url)
+   * @returns {boolean}
+   */
+  static isValidNonce(nonce) {
+    return typeof nonce === 'string' && NONCE_PATTERN.test(nonce);
+  }
+
+  /**
+   * Describe a certificate for the report
+   */
+  describeCertificate(certificate) {
+    return {
+      subject: certificate.subject,
+      issuer: certificate.issuer,
+      subjectAltName: certificate.subjectAltName || null,
+      serialNumber: certificate.serialNumber,
+      validFrom: certificate.validFrom,
+      validTo: certificate.validTo,
+      fingerprint256: certificate.fingerprint256,
+      pem: certificate.toString()
+    };
+  }
+
+  /**
+   * Build a signed attestation report
+   * @param {string} nonce - Caller-supplied nonce (see isValidNonce)
+   * @param {Object|null} keyManagement - { provider, authMethod, keyId }, null when encryption is off
+   * @returns {Object} - { provider, simulated, enclave, certificateChain, keyManagement, statement }
+   */
+  report(nonce, keyManagement) {
+    const { chain, privateKey, publicKey } = this.provider.getCredentials();
+    const leaf = chain[0];
+
+    const enclave = {
+      subject: leaf ? leaf.subject : 'CN=local-attestation (simulated)',
+      subjectAltName: leaf?.subjectAltName || null,
+      certificateSha256: leaf ? leaf.fingerprint256.replace(/:/g, '').toLowerCase() : null,
+      publicKeySha256: publicKeySha256(publicKey),
+      validTo: leaf?.validTo || null
+    };
+    const keys = keyManagement || { provider: null, authMethod: null, keyId: null };
+
+    // The exact bytes signed are returned (base64) so verifiers do not have to re-serialize
+    const payload = Buffer.from(JSON.stringify({
+      type: STATEMENT_TYPE,
+      nonce,
+      issuedAt: new Date().toISOString(),
+      attestationProvider: this.provider.name,
+      simulated: this.provider.simulated,
+      enclave: {
+        subject: enclave.subject,
+        certificateSha256: enclave.certificateSha256,
+        publicKeySha256: enclave.publicKeySha256
+      },
+      keyManagement: keys
+    }), 'utf8');
+
+    // Ed25519/Ed448 sign the message directly; RSA and EC hash it with SHA-256 first
+    const digest = ['ed25519', 'ed448'].includes(privateKey.asymmetricKeyType) ? null : 'sha256';
+    const signature = crypto.sign(digest, payload, privateKey);
+
+    return {
+      provider: this.provider.name,
+      simulated: this.provider.simulated,
+      enclave,
+      certificateChain: chain.map(certificate => this.describeCertificate(certificate)),
+      keyManagement: keys,
+      statement: {
+        payload: payload.toString('base64'),
+        signature: signature.toString('base64'),
+        algorithm: digest ? `${privateKey.asymmetricKeyType.toUpperCase()}-SHA256` : privateKey.asymmetricKeyType.toUpperCase(),
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+      }
+    };
+  }
+}
+
+let attestationService = null;
+
+/**
+ * The attestation service used by the API (created on first use)
+ * @returns {AttestationService}
+ */
+const getAttestationService = () => {
+  if (!attestationService) {
+    attestationService = new AttestationService();
+  }
+  return attestationService;
+};
+
+module.exports = {
+  AttestationService,
+  ATTESTATION_PROVIDERS,
+  getAttestationService
+};
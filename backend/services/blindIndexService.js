@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+const BLIND_INDEX_SCOPE = 'blind-index';
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 24;
+
+/**
+ * Keyed HMAC blind indexes for searching encrypted fields.
+ * Values are normalized and hashed with a secret key kept in data_keys
+ * (scope 'blind-index'), so equal inputs give equal tokens without the
+ * database ever holding the plaintext. Exact tokens are prefixed with their
+ * field name so the same value in two fields does not produce the same token.
+ * Which fields are indexed, and how, comes from the encryption policy.
+ */
+class BlindIndexService {
+  constructor(dataKeyService, policy) {
+    this.dataKeyService = dataKeyService;
+    this.policy = policy;
+    this.scope = BLIND_INDEX_SCOPE;
+  }
+
+  /**
+   * Normalize a value so formatting differences do not change its token
+   * @param {string} kind - Normalizer from the policy: 'email', 'digits', 'name' or 'text'
+   * @param {string} value - Raw value
+   * @returns {string} - Normalized value ('' when nothing is left)
+   */
+  normalize(kind, value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value).trim();
+
+    if (kind === 'email') {
+      return text.toLowerCase();
+    }
+    if (kind === 'digits') {
+      return text.replace(/\D/g, '');
+    }
+    if (kind === 'name') {
+      return this.nameWords(text).join(' ');
+    }
+    return text.toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Split a name into lowercase words without accents or punctuation
+   * @param {string} value - Name or search term
+   * @returns {string[]}
+   */
+  nameWords(value) {
+    return String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Compute the exact-match token for a field value
+   * @param {string} tableName - Table the field belongs to
+   * @param {string} field - Indexed field
+   * @param {string} value - Raw value
+   * @returns {string|null} - Hex HMAC, or null for empty values
+   */
+  async compute(tableName, field, value) {
+    const { normalize } = this.policy.table(tableName).indexed[field];
+    const normalized = this.normalize(normalize, value);
+    if (!normalized) return null;
+
+    return this.hmac(`${field}:${normalized}`);
+  }
+
+  /**
+   * HMAC-SHA256 with the blind index key
+   */
+  async hmac(input) {
+    const { key } = await this.dataKeyService.getActiveKey(BLIND_INDEX_SCOPE);
+    return crypto.createHmac('sha256', key).update(input, 'utf8').digest('hex');
+  }
+
+  /**
+   * Prefix tokens for every word of the given values
+   * ["Mary Ann"] -> tokens for "ma", "mar", "mary", "an", "ann"
+   * @param {string[]} values - Values of the prefix-indexed fields
+   * @returns {string[]} - Unique tokens
+   */
+  async prefixTokens(values) {
+    const prefixes = new Set();
+
+    for (const word of values.flatMap(value => this.nameWords(value))) {
+      const maxLength = Math.min(word.length, MAX_PREFIX_LENGTH);
+      for (let length = MIN_PREFIX_LENGTH; length <= maxLength; length++) {
+        prefixes.add(word.substring(0, length));
+      }
+    }
+
+    return Promise.all([...prefixes].map(prefix => this.hmac(`prefix:${prefix}`)));
+  }
+
+  /**
+   * Everything stored for one row's blind index
+   * @param {string} tableName - Table the row belongs to
+   * @param {Object} data - Plaintext fields
+   * @returns {Object} - { columns: { <field>_bidx: token }, prefixTokens, version }
+   */
+  async indexRecord(tableName, data) {
+    const columns = {};
+    for (const field of this.policy.exactIndexFields(tableName)) {
+      columns[`${field}_bidx`] = await this.compute(tableName, field, data[field]);
+    }
+
+    const prefixFields = this.policy.prefixIndexFields(tableName);
+    return {
+      columns,
+      prefixTokens: await this.prefixTokens(prefixFields.map(field => data[field])),
+      version: this.policy.indexVersion(tableName)
+    };
+  }
+
+  /**
+   * Re-wrap the index key under the active provider key after a rotation
+   * The key itself never changes, so stored tokens stay valid.
+   */
+  async rewrapKey() {
+    await this.dataKeyService.rewrapScope(BLIND_INDEX_SCOPE);
+  }
+
+  /**
+   * Tokens to look up for a free-text search term
+   * Each word of the term must match a prefix token; the whole term is also
+   * tried against every exact-match index.
+   * @param {string} tableName - Table being searched
+   * @param {string} term - Search term
+   * @returns {Object} - { exact: { field: token }, prefixes: [token] }
+   */
+  async searchTokens(tableName, term) {
+    const exact = {};
+    for (const field of this.policy.exactIndexFields(tableName)) {
+      exact[field] = await this.compute(tableName, field, term);
+    }
+
+    const hasPrefixIndex = this.policy.prefixIndexFields(tableName).length > 0;
+    const words = !hasPrefixIndex ? [] : [...new Set(
+      this.nameWords(term)
+        .filter(word => word.length >= MIN_PREFIX_LENGTH)
+        .map(word => word.substring(0, MAX_PREFIX_LENGTH))
+    )];
+
+    return {
+      exact,
+      prefixes: await Promise.all(words.map(word => this.hmac(`prefix:${word}`)))
+    };
+  }
+}
+
+module.exports = BlindIndexService;
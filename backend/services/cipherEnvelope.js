@@ -0,0 +1,123 @@
+// Self-describing ciphertext envelope stored in *_encrypted columns:
+//   {"v":1,"kid":"...","kt":"dek","alg":"AES","mode":"GCM","ts":"...","iv":"...","cipher":"...","tag":"..."}
+// kt says what kid refers to: 'dek' = data_keys.keyRef (envelope encryption),
+// 'kek' = a key provider key id (value encrypted by the provider directly).
+// GCM values are authenticated against buildAad(table, field, rowId), so a value
+// copied to another row or column fails to decrypt. CBC is only read to re-encrypt old values.
+
+const ENVELOPE_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+const KEY_TYPES = ['dek', 'kek'];
+const MODES = ['GCM', 'CBC'];
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+class IntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.isIntegrityError = true;
+  }
+}
+
+/**
+ * Serialize a ciphertext envelope
+ * @param {Object} parts - { kid, kt, alg, mode, iv, cipher, tag }
+ * @returns {string} - JSON envelope
+ */
+const createEnvelope = ({ kid, kt, alg, mode, iv, cipher, tag }) => {
+  return JSON.stringify({
+    v: ENVELOPE_VERSION,
+    kid,
+    kt,
+    alg,
+    mode,
+    ts: new Date().toISOString(),
+    iv,
+    cipher,
+    ...(tag && { tag })
+  });
+};
+
+/**
+ * Build the associated data that binds a value to where it is stored
+ * @param {Object} context - { table, field, rowId } e.g. citizens / email / CTZ001
+ * @returns {string}
+ */
+const buildAad = ({ table, field, rowId }) => {
+  if (!table || !field || rowId === undefined || rowId === null || rowId === '') {
+    throw new Error(`Associated data requires table, field and row id (got ${table}.${field} row ${rowId})`);
+  }
+  return JSON.stringify([table, field, String(rowId)]);
+};
+
+const isBase64 = (value) => typeof value === 'string' && value.length > 0 && BASE64_PATTERN.test(value);
+
+/**
+ * Parse a stored column value
+ * Returns { format: 'envelope' | 'legacy' | 'plaintext', ... } or null for empty values.
+ * Anything that looks like an envelope but does not validate throws IntegrityError.
+ * @param {string} storedValue - Value read from an *_encrypted column
+ * @returns {Object|null}
+ */
+const parseEnvelope = (storedValue) => {
+  if (storedValue === null || storedValue === undefined || storedValue === '') return null;
+
+  const text = String(storedValue);
+  if (!text.trimStart().startsWith('{')) {
+    // Rows written before encryption was enabled (e.g. seed data)
+    return { format: 'plaintext', value: text };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new IntegrityError('Malformed ciphertext envelope: not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new IntegrityError('Malformed ciphertext envelope: not an object');
+  }
+
+  if (data.v === undefined) {
+    // Pre-envelope format: {"cipher","iv"} from the provider, or {"cipher","iv","dek"}
+    if (!isBase64(data.cipher) || !isBase64(data.iv)) {
+      throw new IntegrityError('Malformed legacy ciphertext: cipher and iv are required');
+    }
+    return { format: 'legacy', cipher: data.cipher, iv: data.iv, dek: data.dek || null };
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(data.v)) {
+    throw new IntegrityError(`Unsupported ciphertext envelope version: ${data.v}`);
+  }
+
+  const missing = ['kid', 'kt', 'alg', 'mode', 'ts'].filter(field => typeof data[field] !== 'string' || !data[field]);
+  if (missing.length > 0) {
+    throw new IntegrityError(`Malformed ciphertext envelope: missing ${missing.join(', ')}`);
+  }
+  if (!KEY_TYPES.includes(data.kt)) {
+    throw new IntegrityError(`Malformed ciphertext envelope: unknown key type '${data.kt}'`);
+  }
+  if (!MODES.includes(data.mode)) {
+    throw new IntegrityError(`Unsupported cipher mode: ${data.mode}`);
+  }
+  if (!isBase64(data.cipher) || !isBase64(data.iv)) {
+    throw new IntegrityError('Malformed ciphertext envelope: cipher and iv must be base64');
+  }
+  if (data.mode === 'GCM' && !isBase64(data.tag)) {
+    throw new IntegrityError('Malformed ciphertext envelope: GCM values require an authentication tag');
+  }
+  if (isNaN(Date.parse(data.ts))) {
+    throw new IntegrityError('Malformed ciphertext envelope: invalid timestamp');
+  }
+
+  return { format: 'envelope', ...data };
+};
+
+module.exports = {
+  ENVELOPE_VERSION,
+  IntegrityError,
+  createEnvelope,
+  buildAad,
+  parseEnvelope
+};
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../database/db');
+const { createEnvelope, buildAad, IntegrityError } = require('./cipherEnvelope');
+
+const DEK_BYTES = 32; // AES-256
+const GCM_IV_BYTES = 12;
+const KEY_LOOKUP_CHUNK = 500; // stays under SQLite's bound parameter limit
+
+/**
+ * Envelope encryption: each scope (a citizen, a table or the blind index) gets a data-encryption key (DEK).
+ * The DEK is wrapped by the key provider and stored in data_keys; the
+ * unwrapped DEK is cached in memory so fields are encrypted locally.
+ */
+class DataKeyService {
+  constructor(keyProvider, options = {}) {
+    this.keyProvider = keyProvider;
+    this.ttlMs = options.ttlMs || parseInt(process.env.DEK_CACHE_TTL_SECONDS || '300') * 1000;
+    this.cache = new Map();       // keyRef -> { keyRef, scope, kekId, key, expiresAt }
+    this.activeByScope = new Map(); // scope -> keyRef
+    this.pending = new Map();     // in-flight unwraps, so concurrent rows share one provider call
+    this.stats = { hits: 0, unwraps: 0, created: 0 };
+  }
+
+  /**
+   * Get a cached key entry if it has not expired
+   * @param {string} keyRef - Data key reference
+   * @returns {Object|null}
+   */
+  getCached(keyRef) {
+    const entry = this.cache.get(keyRef);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiresAt) {
+      this.cache.delete(keyRef);
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Cache an unwrapped data key
+   */
+  remember(keyRef, scope, kekId, key) {
+    const entry = { keyRef, scope, kekId, key, expiresAt: Date.now() + this.ttlMs };
+    this.cache.set(keyRef, entry);
+    return entry;
+  }
+
+  /**
+   * Unwrap a data_keys row with the key provider
+   * @param {Object} row - data_keys row
+   * @returns {Object} - Cache entry with the raw key
+   */
+  async unwrap(row) {
+    const material = await this.keyProvider.decryptData(
+      row.wrappedKey,
+      row.kekId || this.keyProvider.keyId,
+      this.wrapAad(row.scope, row.keyRef)
+    );
+    const key = Buffer.from(material, 'base64');
+
+    if (key.length !== DEK_BYTES) {
+      throw new Error(`Data key ${row.keyRef} did not unwrap to a ${DEK_BYTES * 8}-bit key`);
+    }
+
+    this.stats.unwraps++;
+    return this.remember(row.keyRef, row.scope, row.kekId, key);
+  }
+
+  /**
+   * Wrapped keys are bound to their scope and reference, so a wrapped key
+   * cannot be copied onto another data_keys row
+   */
+  wrapAad(scope, keyRef) {
+    return buildAad({ table: 'data_keys', field: scope, rowId: keyRef });
+  }
+
+  /**
+   * Run a key lookup once per keyRef even when many rows ask at the same time
+   */
+  async coalesce(id, loader) {
+    if (this.pending.has(id)) {
+      return this.pending.get(id);
+    }
+
+    const promise = loader().finally(() => this.pending.delete(id));
+    this.pending.set(id, promise);
+    return promise;
+  }
+
+  /**
+   * Generate a new data key for a scope, wrap it and store it
+   * @param {string} scope - Table or tenant the key protects
+   * @returns {Object} - Cache entry for the new key
+   */
+  async createDataKey(scope) {
+    const key = crypto.randomBytes(DEK_BYTES);
+    const keyRef = crypto.randomUUID();
+    const wrappedKey = await this.keyProvider.encryptData(
+      key.toString('base64'),
+      this.keyProvider.keyId,
+      this.wrapAad(scope, keyRef)
+    );
+
+    await runQuery(
+      `INSERT INTO data_keys (keyRef, scope, wrappedKey, kekId, provider)
+       VALUES (?, ?, ?, ?, ?)`,
+      [keyRef, scope, wrappedKey, this.keyProvider.keyId, this.keyProvider.name]
+    );
+
+    console.log(`🗝️  Created data key ${keyRef} for scope '${scope}'`);
+    this.stats.created++;
+    return this.remember(keyRef, scope, this.keyProvider.keyId, key);
+  }
+
+  /**
+   * Get the active data key for a scope, creating one on first use
+   * @param {string} scope - Table or tenant the key protects
+   * @returns {Object} - Cache entry with the raw key
+   */
+  async getActiveKey(scope) {
+    const activeRef = this.activeByScope.get(scope);
+    const cached = activeRef && this.getCached(activeRef);
+    if (cached) return cached;
+
+    return this.coalesce(`scope:${scope}`, async () => {
+      const row = await getQuery(
+        `SELECT keyRef, scope, wrappedKey, kekId FROM data_keys
+         WHERE scope = ? AND status = 'active'
+         ORDER BY id DESC LIMIT 1`,
+        [scope]
+      );
+
+      const entry = row ? await this.unwrap(row) : await this.createDataKey(scope);
+      this.activeByScope.set(scope, entry.keyRef);
+      return entry;
+    });
+  }
+
+  /**
+   * Get a data key by reference (used when decrypting)
+   * @param {string} keyRef - Data key reference stored with the ciphertext
+   * @returns {Object} - Cache entry with the raw key
+   */
+  async getKeyByRef(keyRef) {
+    const cached = this.getCached(keyRef);
+    if (cached) return cached;
+
+    return this.coalesce(`ref:${keyRef}`, async () => {
+      const row = await getQuery(
+        'SELECT keyRef, scope, wrappedKey, kekId, status FROM data_keys WHERE keyRef = ?',
+        [keyRef]
+      );
+
+      if (!row) {
+        throw new Error(`Data key ${keyRef} not found`);
+      }
+      if (row.status === 'destroyed') {
+        const error = new Error(`Data key ${keyRef} was destroyed`);
+        error.isKeyDestroyed = true;
+        throw error;
+      }
+
+      return this.unwrap(row);
+    });
+  }
+
+  /**
+   * Unwrap many data keys in one provider round trip and cache them
+   * Used before decrypting a list of rows that each have their own key.
+   * Keys that are missing, destroyed or fail to unwrap are skipped; reading
+   * a value under them reports the problem through getKeyByRef().
+   * @param {string[]} keyRefs - Data key references
+   * @returns {number} - Number of keys unwrapped
+   */
+  async loadKeys(keyRefs) {
+    const missing = [...new Set(keyRefs)].filter(keyRef => !this.getCached(keyRef) && !this.pending.has(`ref:${keyRef}`));
+    let loaded = 0;
+
+    for (let i = 0; i < missing.length; i += KEY_LOOKUP_CHUNK) {
+      const chunk = missing.slice(i, i + KEY_LOOKUP_CHUNK);
+      const rows = await allQuery(
+        `SELECT keyRef, scope, wrappedKey, kekId FROM data_keys
+         WHERE keyRef IN (${chunk.map(() => '?').join(', ')}) AND status != 'destroyed'`,
+        chunk
+      );
+      if (rows.length === 0) continue;
+
+      const results = await this.keyProvider.decryptBatch(rows.map(row => ({
+        ciphertext: row.wrappedKey,
+        keyId: row.kekId || this.keyProvider.keyId,
+        aad: this.wrapAad(row.scope, row.keyRef)
+      })));
+
+      rows.forEach((row, index) => {
+        if (results[index].error) return;
+        const key = Buffer.from(results[index].value, 'base64');
+        if (key.length !== DEK_BYTES) return;
+
+        this.stats.unwraps++;
+        this.remember(row.keyRef, row.scope, row.kekId, key);
+        loaded++;
+      });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Stop using the active data keys of every scope after a provider key change
+   * Replacement keys are created (wrapped by the current provider key) the next
+   * time a scope encrypts. Older keys stay readable until retireKeys() runs.
+   * @param {string[]} keepScopes - Scopes whose keys must survive (re-wrap those instead)
+   * @returns {number} - Number of keys marked for retirement
+   */
+  async rotateAll(keepScopes = []) {
+    const placeholders = keepScopes.map(() => '?').join(', ');
+    const result = await runQuery(
+      `UPDATE data_keys SET status = 'retiring'
+       WHERE status = 'active' ${keepScopes.length > 0 ? `AND scope NOT IN (${placeholders})` : ''}`,
+      keepScopes
+    );
+
+    for (const scope of [...this.activeByScope.keys()]) {
+      if (!keepScopes.includes(scope)) {
+        this.activeByScope.delete(scope);
+      }
+    }
+    return result.changes;
+  }
+
+  /**
+   * Crypto-shred a scope: drop the wrapped copies of all its keys
+   * Anything encrypted under them can no longer be decrypted.
+   * @param {string} scope - Scope to destroy (e.g. 'citizen:CTZ001')
+   * @returns {string[]} - References of the destroyed keys
+   */
+  async destroyScope(scope) {
+    const rows = await allQuery(
+      `SELECT keyRef FROM data_keys WHERE scope = ? AND status != 'destroyed'`,
+      [scope]
+    );
+
+    await runQuery(
+      `UPDATE data_keys SET wrappedKey = '', status = 'destroyed' WHERE scope = ?`,
+      [scope]
+    );
+
+    for (const { keyRef } of rows) {
+      this.cache.delete(keyRef);
+    }
+    this.activeByScope.delete(scope);
+
+    console.log(`🔥 Destroyed ${rows.length} data key(s) for scope '${scope}'`);
+    return rows.map(row => row.keyRef);
+  }
+
+  /**
+   * Look up a data key's scope and status without unwrapping it
+   * @param {string} keyRef - Data key reference
+   * @returns {Object|null} - { keyRef, scope, kekId, status }
+   */
+  async describeKey(keyRef) {
+    return await getQuery('SELECT keyRef, scope, kekId, status FROM data_keys WHERE keyRef = ?', [keyRef]);
+  }
+
+  /**
+   * Re-wrap the active keys of a scope under the current provider key
+   * For keys that must outlive a rotation (e.g. the blind index key),
+   * where replacing the key would invalidate data derived from it.
+   * @param {string} scope - Scope whose keys are re-wrapped
+   * @returns {number} - Number of keys re-wrapped
+   */
+  async rewrapScope(scope) {
+    const rows = await allQuery(
+      `SELECT keyRef, scope, wrappedKey, kekId FROM data_keys WHERE scope = ? AND status = 'active'`,
+      [scope]
+    );
+    const kekId = this.keyProvider.keyId;
+    let rewrapped = 0;
+
+    for (const row of rows) {
+      if (row.kekId === kekId) continue;
+
+      const { key } = await this.unwrap(row);
+      const wrappedKey = await this.keyProvider.encryptData(key.toString('base64'), kekId, this.wrapAad(scope, row.keyRef));
+      await runQuery(
+        'UPDATE data_keys SET wrappedKey = ?, kekId = ?, provider = ? WHERE keyRef = ?',
+        [wrappedKey, kekId, this.keyProvider.name, row.keyRef]
+      );
+      this.remember(row.keyRef, scope, kekId, key);
+      rewrapped++;
+    }
+
+    return rewrapped;
+  }
+
+  /**
+   * Mark data keys left over from a rotation as retired
+   * Retired keys can still decrypt stray values but are never used to encrypt.
+   * @returns {number} - Number of keys retired
+   */
+  async retireKeys() {
+    const result = await runQuery(`UPDATE data_keys SET status = 'retired' WHERE status = 'retiring'`);
+    return result.changes;
+  }
+
+  /**
+   * Encrypt a value locally with the active data key for a scope (AES-GCM)
+   * @param {string} plaintext - Data to encrypt
+   * @param {string} scope - Table or tenant the value belongs to
+   * @param {string} aad - Associated data binding the value to its row and column
+   * @returns {string} - Ciphertext envelope referencing the data key
+   */
+  async encrypt(plaintext, scope, aad) {
+    if (!plaintext) return null;
+
+    const { keyRef, key } = await this.getActiveKey(scope);
+    const iv = crypto.randomBytes(GCM_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return createEnvelope({
+      kid: keyRef,
+      kt: 'dek',
+      alg: 'AES',
+      mode: 'GCM',
+      iv: iv.toString('base64'),
+      cipher: encrypted.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64')
+    });
+  }
+
+  /**
+   * Decrypt a parsed envelope produced by encrypt()
+   * @param {Object} envelope - Parsed { kid, mode, iv, cipher, tag }
+   * @param {string} aad - Associated data for the row and column being read
+   * @returns {string} - Decrypted plaintext
+   * @throws {IntegrityError} - Value was modified or belongs to another row/column
+   */
+  async decrypt(envelope, aad) {
+    const { key } = await this.getKeyByRef(envelope.kid);
+    const iv = Buffer.from(envelope.iv, 'base64');
+
+    if (envelope.mode === 'CBC') {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+      const decrypted = Buffer.concat([
+        decipher.update(Buffer.from(envelope.cipher, 'base64')),
+        decipher.final()
+      ]);
+      return decrypted.toString('utf8');
+    }
+
+    if (envelope.mode !== 'GCM') {
+      throw new IntegrityError(`Unsupported cipher mode for data keys: ${envelope.mode}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
+      const decrypted = Buffer.concat([
+        decipher.update(Buffer.from(envelope.cipher, 'base64')),
+        decipher.final()
+      ]);
+      return decrypted.toString('utf8');
+    } catch (error) {
+      throw new IntegrityError('Authentication failed: value was modified or does not belong to this row');
+    }
+  }
+
+  /**
+   * Drop all unwrapped keys from memory
+   */
+  clearCache() {
+    this.cache.clear();
+    this.activeByScope.clear();
+  }
+
+  /**
+   * Cache statistics for health checks
+   */
+  getStats() {
+    return {
+      cachedKeys: this.cache.size,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = DataKeyService;
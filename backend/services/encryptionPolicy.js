@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// config/encryption-policy.json declares, per table:
+//   rowId      - public column bound into each ciphertext (associated data)
+//   encrypted  - fields stored as <field>_encrypted
+//   indexed    - blind indexes: { field: { match: ['exact', 'prefix'], normalize } }
+//                exact -> <field>_bidx column, prefix -> citizen_search_tokens (citizens only)
+//   masked     - mask style per field for reduced-visibility views
+//   public     - plain columns returned as-is
+//   related    - encrypted fields of joined tables returned with each row
+//   fallbacks  - label shown when a field cannot be decrypted
+// Adding a field is a policy change; the columns are added by the next start.
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'config', 'encryption-policy.json');
+const MATCH_TYPES = ['exact', 'prefix'];
+const NORMALIZERS = ['email', 'digits', 'name', 'text'];
+const MASK_STYLES = ['initial', 'email', 'last4', 'redact', 'prefix3', 'year'];
+const IDENTIFIER_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+class EncryptionPolicy {
+  constructor(policy, source = 'inline policy') {
+    this.source = source;
+    this.version = policy.version;
+    this.tables = policy.tables || {};
+    this.validate();
+  }
+
+  /**
+   * Load and validate a policy file
+   * @param {string} policyPath - JSON policy file, defaults to ENCRYPTION_POLICY_PATH
+   * @returns {EncryptionPolicy}
+   */
+  static load(policyPath = process.env.ENCRYPTION_POLICY_PATH || DEFAULT_POLICY_PATH) {
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read encryption policy ${policyPath}: ${error.message}`);
+    }
+    return new EncryptionPolicy(policy, policyPath);
+  }
+
+  /**
+   * Reject policies that would generate broken SQL or silently skip fields
+   */
+  validate() {
+    const fail = (message) => {
+      throw new Error(`Invalid encryption policy (${this.source}): ${message}`);
+    };
+
+    if (this.version !== 1) fail(`unsupported version ${this.version}`);
+
+    for (const [tableName, table] of Object.entries(this.tables)) {
+      table.encrypted = table.encrypted || [];
+      table.indexed = table.indexed || {};
+      table.masked = table.masked || {};
+      table.public = table.public || [];
+      table.related = table.related || {};
+      table.fallbacks = table.fallbacks || {};
+
+      const names = [tableName, table.rowId, ...table.encrypted, ...table.public];
+      const invalid = names.filter(name => typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name));
+      if (invalid.length > 0) fail(`invalid identifier(s) ${invalid.join(', ')} in ${tableName}`);
+
+      if (!table.public.includes(table.rowId)) fail(`${tableName}.rowId must be a public field`);
+
+      const overlap = table.encrypted.filter(field => table.public.includes(field));
+      if (overlap.length > 0) fail(`${tableName} fields cannot be both encrypted and public: ${overlap.join(', ')}`);
+
+      for (const [field, index] of Object.entries(table.indexed)) {
+        if (!table.encrypted.includes(field)) fail(`${tableName}.${field} is indexed but not encrypted`);
+        if (!Array.isArray(index.match) || index.match.some(type => !MATCH_TYPES.includes(type))) {
+          fail(`${tableName}.${field} match must be a list of ${MATCH_TYPES.join(', ')}`);
+        }
+        if (!NORMALIZERS.includes(index.normalize)) {
+          fail(`${tableName}.${field} normalize must be one of ${NORMALIZERS.join(', ')}`);
+        }
+        if (index.match.includes('prefix') && tableName !== 'citizens') {
+          fail(`${tableName}.${field}: prefix indexes are only supported for citizens`);
+        }
+      }
+
+      for (const [field, style] of Object.entries(table.masked)) {
+        if (!table.encrypted.includes(field)) fail(`${tableName}.${field} is masked but not encrypted`);
+        if (!MASK_STYLES.includes(style)) fail(`${tableName}.${field} mask must be one of ${MASK_STYLES.join(', ')}`);
+      }
+
+      for (const [relatedTable, fields] of Object.entries(table.related)) {
+        const missing = fields.filter(field => !(this.tables[relatedTable]?.encrypted || []).includes(field));
+        if (missing.length > 0) fail(`${tableName}.related.${relatedTable} lists unknown encrypted fields: ${missing.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Get the policy for a table
+   * @param {string} tableName - Table name
+   * @returns {Object}
+   */
+  table(tableName) {
+    const table = this.tables[tableName];
+    if (!table) {
+      throw new Error(`No encryption policy for table ${tableName}`);
+    }
+    return table;
+  }
+
+  /**
+   * Column that stores an encrypted field
+   */
+  encryptedColumn(field) {
+    return `${field}_encrypted`;
+  }
+
+  /**
+   * Columns that store the table's encrypted fields
+   * @param {string} tableName - Table name
+   * @param {string} alias - Optional table alias to prefix
+   * @returns {string[]}
+   */
+  encryptedColumns(tableName, alias = null) {
+    const prefix = alias ? `${alias}.` : '';
+    return this.table(tableName).encrypted.map(field => `${prefix}${this.encryptedColumn(field)}`);
+  }
+
+  /**
+   * Full select list: id, public columns and encrypted columns
+   * @param {string} tableName - Table name
+   * @param {string} alias - Optional table alias to prefix
+   * @returns {string} - Comma-separated column list
+   */
+  selectColumns(tableName, alias = null) {
+    const prefix = alias ? `${alias}.` : '';
+    return [
+      `${prefix}id`,
+      ...this.table(tableName).public.map(field => `${prefix}${field}`),
+      ...this.encryptedColumns(tableName, alias)
+    ].join(', ');
+  }
+
+  /**
+   * Fields with an exact-match blind index column (<field>_bidx)
+   * @returns {string[]}
+   */
+  exactIndexFields(tableName) {
+    return Object.entries(this.table(tableName).indexed)
+      .filter(([, index]) => index.match.includes('exact'))
+      .map(([field]) => field);
+  }
+
+  /**
+   * Fields whose words are stored as prefix tokens
+   * @returns {string[]}
+   */
+  prefixIndexFields(tableName) {
+    return Object.entries(this.table(tableName).indexed)
+      .filter(([, index]) => index.match.includes('prefix'))
+      .map(([field]) => field);
+  }
+
+  /**
+   * Columns the schema needs for this policy, for add-column migrations
+   * @returns {Array} - [table, column, definition] tuples
+   */
+  requiredColumns() {
+    const columns = [];
+    for (const tableName of Object.keys(this.tables)) {
+      for (const column of this.encryptedColumns(tableName)) {
+        columns.push([tableName, column, 'TEXT']);
+      }
+      for (const field of this.exactIndexFields(tableName)) {
+        columns.push([tableName, `${field}_bidx`, 'TEXT']);
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * Fingerprint of a table's index definition; rows indexed under an older
+   * definition are re-indexed
+   * @returns {string}
+   */
+  indexVersion(tableName) {
+    const { indexed } = this.table(tableName);
+    const canonical = Object.keys(indexed).sort().map(field => [field, [...indexed[field].match].sort(), indexed[field].normalize]);
+    return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').substring(0, 16);
+  }
+}
+
+let loadedPolicy = null;
+
+/**
+ * The policy used by the application (loaded once)
+ * @returns {EncryptionPolicy}
+ */
+const getEncryptionPolicy = () => {
+  if (!loadedPolicy) {
+    loadedPolicy = EncryptionPolicy.load();
+  }
+  return loadedPolicy;
+};
+
+module.exports = {
+  EncryptionPolicy,
+  MASK_STYLES,
+  getEncryptionPolicy
+};
@@ -1,201 +1,478 @@
-const FortanixDSMService = require('./fortanixService');
+const { createKeyProvider } = require('./keyProviders');
+const DataKeyService = require('./dataKeyService');
+const BlindIndexService = require('./blindIndexService');
+const { getEncryptionPolicy } = require('./encryptionPolicy');
+const { createEnvelope, buildAad, parseEnvelope, IntegrityError } = require('./cipherEnvelope');
+
+// Prefetched provider results are keyed by value and associated data, so a
+// value copied to another row is still checked against that row
+const prefetchKey = (storedValue, aad) => `${aad}\n${storedValue}`;
 
 class EncryptionService {
   constructor() {
-    this.fortanixService = new FortanixDSMService();
+    this.keyProvider = createKeyProvider();
+    this.dataKeyService = null;
+    this.blindIndexService = null;
+    this.accessLog = null; // PiiAccessLogService, records every decrypted record
+    this.envelopeEncryption = process.env.ENVELOPE_ENCRYPTION !== 'false';
+    this.previousKeyIds = []; // provider keys replaced by a rotation, still tried for old values
+    // Plaintext and unauthenticated (CBC) values are integrity errors unless explicitly
+    // allowed for a migration window (see KeyRotationService.upgradeLegacyValues)
+    this.allowLegacyPlaintext = process.env.ENCRYPTION_ALLOW_LEGACY_PLAINTEXT === 'true';
+    this.allowLegacyCbc = process.env.ENCRYPTION_ALLOW_LEGACY_CBC === 'true';
     
-    // Define which fields should be encrypted for each entity
-    this.encryptionConfig = {
-      citizens: {
-        sensitiveFields: [
-          'firstName', 'lastName', 'email', 'phone', 
-          'address', 'zipCode', 'dateOfBirth'
-        ],
-        publicFields: [
-          'citizenId', 'city', 'state', 'status', 
-          'createdAt', 'updatedAt'
-        ]
-      },
-      serviceRequests: {
-        sensitiveFields: [
-          'notes', 'applicationData'
-        ],
-        publicFields: [
-          'requestNumber', 'citizenId', 'serviceTypeId', 
-          'status', 'priority', 'submittedDate', 'assignedAgent'
-        ]
-      }
-    };
+    // Which fields are encrypted, indexed, masked or public - config/encryption-policy.json
+    this.policy = getEncryptionPolicy();
   }
 
   /**
    * Initialize the encryption service
    */
   async initialize() {
-    await this.fortanixService.initialize();
+    try {
+      await this.keyProvider.initialize();
+    } catch (error) {
+      const fallbackName = process.env.KEY_PROVIDER_FALLBACK;
+      if (!fallbackName || fallbackName === this.keyProvider.name) {
+        throw error;
+      }
+
+      console.log(`⚠️  Key provider '${this.keyProvider.name}' unavailable, falling back to '${fallbackName}'`);
+      this.keyProvider = createKeyProvider(fallbackName);
+      await this.keyProvider.initialize();
+    }
+
+    // Always available so values written with envelope encryption stay readable
+    this.dataKeyService = new DataKeyService(this.keyProvider);
+    this.blindIndexService = new BlindIndexService(this.dataKeyService, this.policy);
+    if (this.envelopeEncryption) {
+      console.log(`📦 Envelope encryption enabled (data keys cached for ${this.dataKeyService.getStats().ttlSeconds}s)`);
+    }
   }
 
   /**
-   * Encrypt citizen data before saving to database
-   * @param {Object} citizenData - Raw citizen data
-   * @returns {Object} - Citizen data with encrypted sensitive fields
+   * Data key scope for everything that belongs to one citizen
+   * Destroying this scope crypto-shreds the citizen's data.
+   * @param {string} citizenId - Public citizen identifier (e.g. CTZ001)
+   * @returns {string}
    */
-  async encryptCitizenData(citizenData) {
-    try {
-      const encryptedData = { ...citizenData };
-      const { sensitiveFields } = this.encryptionConfig.citizens;
+  citizenKeyScope(citizenId) {
+    if (!citizenId) {
+      throw new Error('Citizen identifier is required to select a data key');
+    }
+    return `citizen:${citizenId}`;
+  }
 
-      console.log('🔐 Encrypting citizen PII data...');
-      
-      for (const field of sensitiveFields) {
-        if (citizenData[field]) {
-          // Encrypt the field and store with _encrypted suffix
-          encryptedData[`${field}_encrypted`] = await this.fortanixService.encryptData(citizenData[field]);
-          
-          // Remove the plaintext field for security
-          delete encryptedData[field];
-          
-          console.log(`  ✓ Encrypted field: ${field}`);
-        }
-      }
+  /**
+   * Encrypt a single field value with AES-GCM, bound to its table, column and row
+   * With envelope encryption the value is encrypted locally with the data key
+   * of context.keyScope (default: the table); otherwise it goes to the key
+   * provider directly.
+   * @param {string} value - Plaintext value
+   * @param {Object} context - { table, field, rowId, keyScope } where the value is stored
+   * @returns {string} - Ciphertext envelope
+   */
+  async encryptField(value, context) {
+    if (!value) return null;
 
-      console.log('✅ Citizen data encrypted and ready for database storage');
-      return encryptedData;
-    } catch (error) {
-      console.error('❌ Failed to encrypt citizen data:', error.message);
-      throw error;
+    const aad = buildAad(context);
+
+    if (this.envelopeEncryption) {
+      return await this.dataKeyService.encrypt(value, context.keyScope || context.table, aad);
     }
+
+    const keyId = this.keyProvider.keyId;
+    const { cipher, iv, tag } = JSON.parse(await this.keyProvider.encryptData(value, keyId, aad));
+    return createEnvelope({ kid: keyId, kt: 'kek', alg: 'AES', mode: 'GCM', iv, cipher, tag });
   }
 
   /**
-   * Decrypt citizen data after retrieving from database
-   * @param {Object} encryptedCitizenData - Citizen data with encrypted fields
-   * @returns {Object} - Citizen data with decrypted sensitive fields (or fallback labels)
+   * Encrypt several field values together
+   * With envelope encryption the values are encrypted locally (at most one
+   * provider call per new data key); otherwise they go to the provider in one batch.
+   * @param {Array} entries - [{ value, context }] as for encryptField()
+   * @returns {string[]} - Ciphertext envelopes in entry order
    */
-  async decryptCitizenData(encryptedCitizenData) {
-    if (!encryptedCitizenData) return null;
+  async encryptFields(entries) {
+    if (this.envelopeEncryption) {
+      return Promise.all(entries.map(({ value, context }) => this.encryptField(value, context)));
+    }
 
-    const decryptedData = { ...encryptedCitizenData };
-    const { sensitiveFields } = this.encryptionConfig.citizens;
+    const keyId = this.keyProvider.keyId;
+    const ciphertexts = await this.keyProvider.encryptBatch(entries.map(({ value, context }) => ({
+      plaintext: value,
+      keyId,
+      aad: buildAad(context)
+    })));
 
-    console.log('🔓 Decrypting citizen PII data...');
+    return ciphertexts.map((ciphertext) => {
+      if (!ciphertext) return null;
+      const { cipher, iv, tag } = JSON.parse(ciphertext);
+      return createEnvelope({ kid: keyId, kt: 'kek', alg: 'AES', mode: 'GCM', iv, cipher, tag });
+    });
+  }
+
+  /**
+   * Fetch what a set of rows needs from the key provider in as few round trips as possible:
+   * data keys are unwrapped in one batch and provider-encrypted (kt 'kek') values
+   * are decrypted in another
+   * @param {string} tableName - Table in the encryption policy
+   * @param {Object[]} rows - Rows with <field>_encrypted values (and the rowId field)
+   * @returns {Map} - Prefetched provider results for decryptField()
+   */
+  async prefetch(tableName, rows) {
+    const { rowId, encrypted } = this.policy.table(tableName);
+    const keyRefs = new Set();
+    const providerItems = [];
 
-    for (const field of sensitiveFields) {
-      const encryptedField = `${field}_encrypted`;
-      if (encryptedCitizenData[encryptedField]) {
+    for (const row of rows) {
+      for (const field of encrypted) {
+        const storedValue = row[this.policy.encryptedColumn(field)];
+        let envelope;
         try {
-          // Decrypt the field and restore original field name
-          decryptedData[field] = await this.fortanixService.decryptData(encryptedCitizenData[encryptedField]);
-          
-          // Remove the encrypted field from response
-          delete decryptedData[encryptedField];
-          
-          console.log(`  ✓ Decrypted field: ${field}`);
+          envelope = parseEnvelope(storedValue);
         } catch (error) {
-          // Graceful fallback for decryption failures
-          console.warn(`⚠️  Decryption failed for field ${field}, using fallback: ${error.message}`);
-          
-          // Provide user-friendly fallback values
-          const fallbackValues = {
-            'firstName': '[Encrypted]',
-            'lastName': '[Data]',
-            'email': '[Encrypted Email]',
-            'phone': '[Encrypted Phone]',
-            'address': '[Encrypted Address]',
-            'zipCode': '[Protected]',
-            'dateOfBirth': '[Protected DOB]'
-          };
-          
-          decryptedData[field] = fallbackValues[field] || '[Encrypted Data]';
-          
-          // Remove the encrypted field from response
-          delete decryptedData[encryptedField];
+          continue; // reported when the field is decrypted
+        }
+        if (!envelope) continue;
+
+        if (envelope.format === 'legacy' && envelope.dek) {
+          keyRefs.add(envelope.dek);
+        } else if (envelope.format === 'envelope' && envelope.kt === 'dek') {
+          keyRefs.add(envelope.kid);
+        } else if (envelope.format === 'envelope' && envelope.mode === 'GCM' && row[rowId]) {
+          const aad = buildAad({ table: tableName, field, rowId: row[rowId] });
+          providerItems.push({
+            key: prefetchKey(storedValue, aad),
+            ciphertext: JSON.stringify({ cipher: envelope.cipher, iv: envelope.iv, tag: envelope.tag }),
+            keyId: envelope.kid,
+            aad
+          });
         }
       }
     }
 
-    console.log('✅ Citizen data processed (with fallbacks for failed decryption)');
-    return decryptedData;
+    const prefetched = new Map();
+    if (keyRefs.size > 0) {
+      await this.dataKeyService.loadKeys([...keyRefs]);
+    }
+    if (providerItems.length > 0) {
+      const results = await this.keyProvider.decryptBatch(providerItems);
+      providerItems.forEach((item, index) => prefetched.set(item.key, results[index]));
+    }
+    return prefetched;
   }
 
   /**
-   * Encrypt service request data before saving to database
-   * @param {Object} requestData - Raw service request data
-   * @returns {Object} - Service request data with encrypted sensitive fields
+   * Decrypt a single stored field value, routing on its envelope
+   * @param {string} storedValue - Value from an *_encrypted column
+   * @param {Object} context - { table, field, rowId } the value was read from
+   * @param {Map} prefetched - Provider results from prefetch(), if any
+   * @param {Object} options - { allowLegacy }: accept legacy values, for re-encryption only
+   * @returns {string} - Plaintext value
+   * @throws {IntegrityError} - Malformed, tampered or transplanted value, or unexpected plaintext
    */
-  async encryptServiceRequestData(requestData) {
+  async decryptField(storedValue, context, prefetched = null, { allowLegacy = false } = {}) {
+    const envelope = parseEnvelope(storedValue);
+    if (!envelope) return null;
+
+    if (envelope.format === 'plaintext') {
+      if (!allowLegacy && !this.allowLegacyPlaintext) {
+        throw new IntegrityError('Unencrypted value found in encrypted column');
+      }
+      return envelope.value;
+    }
+
+    if (envelope.alg !== undefined && envelope.alg !== 'AES') {
+      throw new IntegrityError(`Unsupported algorithm: ${envelope.alg}`);
+    }
+
+    // CBC values carry no authentication or associated data, so a swapped value would go unnoticed
+    if ((envelope.format === 'legacy' || envelope.mode === 'CBC') && !allowLegacy && !this.allowLegacyCbc) {
+      throw new IntegrityError('Unauthenticated (AES-CBC) value found in encrypted column');
+    }
+
+    if (envelope.format === 'legacy') {
+      if (envelope.dek) {
+        return await this.dataKeyService.decrypt({ kid: envelope.dek, mode: 'CBC', iv: envelope.iv, cipher: envelope.cipher });
+      }
+      return await this.decryptLegacyProviderValue(envelope);
+    }
+
+    const aad = envelope.mode === 'GCM' ? buildAad(context) : null;
+
+    if (envelope.kt === 'dek') {
+      return await this.dataKeyService.decrypt(envelope, aad);
+    }
+
+    const result = prefetched && prefetched.get(prefetchKey(storedValue, aad));
+    if (result) {
+      if (result.error) throw result.error;
+      return result.value;
+    }
+
+    const providerCiphertext = JSON.stringify({ cipher: envelope.cipher, iv: envelope.iv, tag: envelope.tag });
+    return await this.keyProvider.decryptData(providerCiphertext, envelope.kid, aad);
+  }
+
+  /**
+   * Whether a stored value is in a legacy format that reads refuse by default:
+   * plaintext written before encryption was enabled, or unauthenticated AES-CBC
+   * @param {string} storedValue - Value from an *_encrypted column
+   * @returns {boolean}
+   */
+  isLegacyValue(storedValue) {
+    let envelope;
     try {
-      const encryptedData = { ...requestData };
-      const { sensitiveFields } = this.encryptionConfig.serviceRequests;
+      envelope = parseEnvelope(storedValue);
+    } catch (error) {
+      return false; // malformed envelopes are integrity errors, not legacy values
+    }
+    return !!envelope && (envelope.format !== 'envelope' || envelope.mode === 'CBC');
+  }
 
-      console.log('🔐 Encrypting service request sensitive data...');
+  /**
+   * Decrypt a pre-envelope provider value, which does not record its key
+   * Values written before a key rotation may still be under a previous key.
+   */
+  async decryptLegacyProviderValue({ cipher, iv }) {
+    const providerCiphertext = JSON.stringify({ cipher, iv });
 
-      for (const field of sensitiveFields) {
-        if (requestData[field]) {
-          // Encrypt the field and store with _encrypted suffix
-          encryptedData[`${field}_encrypted`] = await this.fortanixService.encryptData(requestData[field]);
-          
-          // Remove the plaintext field for security
-          delete encryptedData[field];
-          
-          console.log(`  ✓ Encrypted field: ${field}`);
+    try {
+      return await this.keyProvider.decryptData(providerCiphertext);
+    } catch (error) {
+      for (const keyId of this.previousKeyIds) {
+        try {
+          return await this.keyProvider.decryptData(providerCiphertext, keyId);
+        } catch (retryError) {
+          // Try the next previous key
         }
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Make a new provider key the one used for all new encryptions
+   * Every scope gets a fresh data key wrapped by the new provider key.
+   * @param {string} keyId - Provider key id
+   */
+  async activateKey(keyId) {
+    const previousKeyId = this.keyProvider.keyId;
+    if (previousKeyId === keyId) return;
+
+    await this.keyProvider.setActiveKey(keyId);
+    if (previousKeyId && !this.previousKeyIds.includes(previousKeyId)) {
+      this.previousKeyIds.push(previousKeyId);
+    }
 
-      console.log('✅ Service request data encrypted and ready for database storage');
+    // Search tokens are derived from the index key, so it is kept and only re-wrapped
+    await this.dataKeyService.rotateAll([this.blindIndexService.scope]);
+    await this.blindIndexService.rewrapKey();
+
+    console.log(`🔄 Active encryption key switched from ${previousKeyId} to ${keyId}`);
+  }
+
+  /**
+   * Encrypt a row's policy-encrypted fields before saving to database
+   * @param {string} tableName - Table in the encryption policy
+   * @param {Object} data - Raw row data (must include the table's rowId field)
+   * @param {string} keyScope - Data key scope for the row
+   * @param {string} label - Entity name for log messages
+   * @returns {Object} - Row data with <field>_encrypted values instead of plaintext
+   */
+  async encryptRecord(tableName, data, keyScope, label) {
+    try {
+      const encryptedData = { ...data };
+      const { rowId, encrypted } = this.policy.table(tableName);
+
+      console.log(`🔐 Encrypting ${label} sensitive data...`);
+
+      const fields = encrypted.filter(field => data[field]);
+      const ciphertexts = await this.encryptFields(fields.map(field => ({
+        value: data[field],
+        context: { table: tableName, field, rowId: data[rowId], keyScope }
+      })));
+
+      fields.forEach((field, index) => {
+        // Store with _encrypted suffix and remove the plaintext field for security
+        encryptedData[this.policy.encryptedColumn(field)] = ciphertexts[index];
+        delete encryptedData[field];
+        
+        console.log(`  ✓ Encrypted field: ${field}`);
+      });
+
+      console.log(`✅ ${label} data encrypted and ready for database storage`);
       return encryptedData;
     } catch (error) {
-      console.error('❌ Failed to encrypt service request data:', error.message);
+      console.error(`❌ Failed to encrypt ${label} data:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Decrypt service request data after retrieving from database
-   * @param {Object} encryptedRequestData - Service request data with encrypted fields
-   * @returns {Object} - Service request data with decrypted sensitive fields (or fallback labels)
+   * Decrypt a row's policy-encrypted fields after retrieving from database
+   * @param {string} tableName - Table in the encryption policy
+   * @param {Object} encryptedData - Row with <field>_encrypted values (and the rowId field)
+   * @param {string} label - Entity name for log messages
+   * @param {Map} prefetched - Provider results from prefetch(); fetched for this row when omitted
+   * @returns {Object} - Row with decrypted fields (or fallback labels)
    */
-  async decryptServiceRequestData(encryptedRequestData) {
-    if (!encryptedRequestData) return null;
+  async decryptRecord(tableName, encryptedData, label, prefetched = null) {
+    if (!encryptedData) return null;
+
+    if (!prefetched) {
+      prefetched = await this.prefetchSafely(tableName, [encryptedData]);
+    }
 
-    const decryptedData = { ...encryptedRequestData };
-    const { sensitiveFields } = this.encryptionConfig.serviceRequests;
+    const decryptedData = { ...encryptedData };
+    const { rowId, encrypted, fallbacks } = this.policy.table(tableName);
+    const integrityErrors = [];
+    const failedFields = [];
+    const decryptedFields = [];
+    let failure = null;
 
-    console.log('🔓 Decrypting service request sensitive data...');
+    console.log(`🔓 Decrypting ${label} sensitive data...`);
 
-    for (const field of sensitiveFields) {
-      const encryptedField = `${field}_encrypted`;
-      if (encryptedRequestData[encryptedField]) {
+    for (const field of encrypted) {
+      const encryptedField = this.policy.encryptedColumn(field);
+      if (encryptedData[encryptedField]) {
         try {
           // Decrypt the field and restore original field name
-          decryptedData[field] = await this.fortanixService.decryptData(encryptedRequestData[encryptedField]);
-          
-          // Remove the encrypted field from response
-          delete decryptedData[encryptedField];
+          decryptedData[field] = await this.decryptField(encryptedData[encryptedField], {
+            table: tableName,
+            field,
+            rowId: encryptedData[rowId]
+          }, prefetched);
+          decryptedFields.push(field);
           
           console.log(`  ✓ Decrypted field: ${field}`);
         } catch (error) {
-          // Graceful fallback for decryption failures
-          console.warn(`⚠️  Decryption failed for field ${field}, using fallback: ${error.message}`);
-          
-          // Provide user-friendly fallback values for service requests
-          const fallbackValues = {
-            'notes': '[Encrypted Notes]',
-            'applicationData': '[Encrypted Application Data]'
-          };
-          
-          decryptedData[field] = fallbackValues[field] || '[Encrypted Data]';
-          
-          // Remove the encrypted field from response
-          delete decryptedData[encryptedField];
+          if (error.isKeyDestroyed) {
+            // Crypto-shredded: the citizen was erased
+            decryptedData[field] = '[Erased]';
+          } else if (error.isIntegrityError) {
+            // Tampered or malformed values are reported, never passed through as data
+            console.error(`🚨 Integrity error in ${label} field ${field}: ${error.message}`);
+            integrityErrors.push(field);
+            decryptedData[field] = '[Integrity Error]';
+          } else {
+            // Graceful fallback for decryption failures (reported once per record below)
+            failedFields.push(field);
+            failure = failure || error;
+            decryptedData[field] = fallbacks[field] || '[Encrypted Data]';
+          }
         }
+
+        // Remove the encrypted field from response
+        delete decryptedData[encryptedField];
       }
     }
 
-    console.log('✅ Service request data processed (with fallbacks for failed decryption)');
+    if (integrityErrors.length > 0) {
+      decryptedData.integrityErrors = integrityErrors;
+    }
+
+    if (this.accessLog) {
+      this.accessLog.record(tableName, encryptedData, decryptedFields);
+    }
+
+    // An open circuit is logged once by the breaker, not for every row
+    if (failure && !failure.isCircuitOpen && !failure.isBulkheadFull) {
+      console.warn(`⚠️  Decryption failed for ${label} field(s) ${failedFields.join(', ')}, using fallbacks: ${failure.message}`);
+    }
+
+    console.log(`✅ ${label} data processed (with fallbacks for failed decryption)`);
     return decryptedData;
   }
 
+  /**
+   * Decrypt many rows of a table with batched key provider calls
+   * @param {string} tableName - Table in the encryption policy
+   * @param {Object[]} rows - Rows with <field>_encrypted values (and the rowId field)
+   * @param {string} label - Entity name for log messages
+   * @returns {Object[]} - Decrypted rows in the same order
+   */
+  async decryptRecords(tableName, rows, label) {
+    const prefetched = await this.prefetchSafely(tableName, rows);
+    return Promise.all(rows.map(row => this.decryptRecord(tableName, row, label, prefetched)));
+  }
+
+  /**
+   * prefetch() that never throws: if the batch fails, each field is decrypted
+   * on its own and falls back like any other decryption failure
+   */
+  async prefetchSafely(tableName, rows) {
+    try {
+      return await this.prefetch(tableName, rows);
+    } catch (error) {
+      if (!error.isCircuitOpen && !error.isBulkheadFull) {
+        console.warn(`⚠️  Batch key lookup failed, decrypting fields one by one: ${error.message}`);
+      }
+      return new Map();
+    }
+  }
+
+  /**
+   * Encrypt citizen data before saving to database
+   * @param {Object} citizenData - Raw citizen data (citizenId is required, it is bound into each value)
+   * @returns {Object} - Citizen data with encrypted sensitive fields
+   */
+  async encryptCitizenData(citizenData) {
+    return this.encryptRecord('citizens', citizenData, this.citizenKeyScope(citizenData.citizenId), 'citizen');
+  }
+
+  /**
+   * Decrypt citizen data after retrieving from database
+   * @param {Object} encryptedCitizenData - Citizen data with encrypted fields
+   * @returns {Object} - Citizen data with decrypted sensitive fields (or fallback labels)
+   */
+  async decryptCitizenData(encryptedCitizenData) {
+    return this.decryptRecord('citizens', encryptedCitizenData, 'citizen');
+  }
+
+  /**
+   * Decrypt a list of citizens with batched key provider calls
+   * @param {Object[]} encryptedCitizens - Citizen rows with encrypted fields
+   * @returns {Object[]} - Decrypted citizens in the same order
+   */
+  async decryptCitizenList(encryptedCitizens) {
+    return this.decryptRecords('citizens', encryptedCitizens, 'citizen');
+  }
+
+  /**
+   * Encrypt service request data before saving to database
+   * @param {Object} requestData - Raw service request data (requestNumber is bound into each value;
+   *   citizenNumber, the owner's public citizen id, selects the data key)
+   * @returns {Object} - Service request data with encrypted sensitive fields
+   */
+  async encryptServiceRequestData(requestData) {
+    return this.encryptRecord(
+      'service_requests',
+      requestData,
+      this.citizenKeyScope(requestData.citizenNumber),
+      'service request'
+    );
+  }
+
+  /**
+   * Decrypt service request data after retrieving from database
+   * @param {Object} encryptedRequestData - Service request data with encrypted fields
+   * @returns {Object} - Service request data with decrypted sensitive fields (or fallback labels)
+   */
+  async decryptServiceRequestData(encryptedRequestData) {
+    return this.decryptRecord('service_requests', encryptedRequestData, 'service request');
+  }
+
+  /**
+   * Decrypt a list of service requests with batched key provider calls
+   * @param {Object[]} encryptedRequests - Service request rows with encrypted fields
+   * @returns {Object[]} - Decrypted service requests in the same order
+   */
+  async decryptServiceRequestList(encryptedRequests) {
+    return this.decryptRecords('service_requests', encryptedRequests, 'service request');
+  }
+
   /**
    * Get analytics data without decrypting sensitive fields
    * This is efficient for dashboard statistics
@@ -236,7 +513,12 @@ class EncryptionService {
    * Health check for encryption service
    */
   async healthCheck() {
-    return await this.fortanixService.healthCheck();
+    const health = await this.keyProvider.healthCheck();
+    if (this.dataKeyService) {
+      health.envelopeEncryption = this.envelopeEncryption;
+      health.dataKeys = this.dataKeyService.getStats();
+    }
+    return health;
   }
 
   /**
@@ -244,9 +526,12 @@ class EncryptionService {
    */
   getEncryptionConfig() {
     return {
-      endpoint: this.fortanixService.endpoint,
-      keyId: this.fortanixService.keyId,
-      encryptionConfig: this.encryptionConfig
+      provider: this.keyProvider.name,
+      endpoint: this.keyProvider.endpoint,
+      keyId: this.keyProvider.keyId,
+      envelopeEncryption: this.envelopeEncryption,
+      policy: this.policy.source,
+      tables: this.policy.tables
     };
   }
 }
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery, runTransaction } = require('../database/db');
+const { parseEnvelope } = require('./cipherEnvelope');
+const { getPasswordService } = require('./passwordService');
+
+/**
+ * Right-to-erasure by crypto-shredding.
+ * Everything that belongs to a citizen is encrypted under the citizen's own
+ * data key (scope 'citizen:<citizenId>'). Erasing destroys that key, so the
+ * ciphertext left in the database - and in any backup taken after the value was
+ * written under the citizen key - can never be decrypted again. Values that are
+ * not under the citizen key (legacy plaintext, old per-table keys) cannot be
+ * shredded and are wiped from the live database instead. A portal account
+ * linked to the citizen is anonymized, deactivated and signed out.
+ * The whole erasure is one transaction and the key is destroyed last, so a
+ * failure part-way leaves the citizen untouched and readable.
+ */
+class ErasureService {
+  constructor(encryptionService) {
+    this.encryptionService = encryptionService;
+
+    const { policy } = encryptionService;
+    this.citizenColumns = policy.encryptedColumns('citizens');
+    this.requestColumns = policy.encryptedColumns('service_requests');
+    this.citizenIndexColumns = policy.exactIndexFields('citizens').map(field => `${field}_bidx`);
+  }
+
+  /**
+   * Erase a citizen and issue an erasure certificate
+   * @param {number} id - citizens.id
+   * @param {Object} options - { requestedBy, reason }
+   * @returns {Object|null} - Erasure certificate, or null if the citizen does not exist
+   */
+  async erase(id, { requestedBy = 'System', reason = null } = {}) {
+    // Hashed up front so the transaction does not hold the connection for it
+    const unusablePassword = await getPasswordService().hash(crypto.randomBytes(32).toString('hex'));
+
+    const certificate = await runTransaction(async () => {
+      const citizen = await getQuery(
+        `SELECT id, citizenId, status, ${this.citizenColumns.join(', ')} FROM citizens WHERE id = ?`,
+        [id]
+      );
+      if (!citizen) return null;
+
+      if (citizen.status === 'erased') {
+        throw this.createError(409, `Citizen ${citizen.citizenId} has already been erased`);
+      }
+
+      const keyScope = this.encryptionService.citizenKeyScope(citizen.citizenId);
+      const requests = await allQuery(
+        `SELECT id, ${this.requestColumns.join(', ')} FROM service_requests WHERE citizenId = ?`,
+        [id]
+      );
+
+      // Decide per value before the key is gone: shredded by the key, or wiped
+      const counts = { shreddedFields: 0, wipedFields: 0 };
+      const citizenWipes = await this.classify(citizen, this.citizenColumns, keyScope, counts);
+      const requestWipes = [];
+      for (const request of requests) {
+        requestWipes.push({ id: request.id, columns: await this.classify(request, this.requestColumns, keyScope, counts) });
+      }
+
+      await runQuery(
+        `UPDATE citizens
+         SET ${citizenWipes.map(column => `${column} = NULL, `).join('')}
+             ${this.citizenIndexColumns.map(column => `${column} = NULL, `).join('')}
+             status = 'erased', updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [id]
+      );
+      await runQuery('DELETE FROM citizen_search_tokens WHERE citizenRowId = ?', [id]);
+
+      for (const { id: requestId, columns } of requestWipes) {
+        if (columns.length === 0) continue;
+        await runQuery(
+          `UPDATE service_requests SET ${columns.map(column => `${column} = NULL`).join(', ')} WHERE id = ?`,
+          [requestId]
+        );
+      }
+
+      const linkedAccount = await this.closeLinkedAccount(id, unusablePassword);
+
+      const destroyedKeys = await this.encryptionService.dataKeyService.destroyScope(keyScope);
+
+      const issued = {
+        certificateId: crypto.randomUUID(),
+        citizenRowId: citizen.id,
+        citizenId: citizen.citizenId,
+        keyScope,
+        destroyedKeys,
+        shreddedFields: counts.shreddedFields,
+        wipedFields: counts.wipedFields,
+        serviceRequests: requests.length,
+        linkedUserId: linkedAccount ? linkedAccount.userId : null,
+        revokedSessions: linkedAccount ? linkedAccount.revokedSessions : 0,
+        requestedBy,
+        reason,
+        erasedAt: new Date().toISOString()
+      };
+      issued.digest = crypto.createHash('sha256').update(JSON.stringify(issued)).digest('hex');
+
+      await runQuery(
+        `INSERT INTO erasure_certificates (
+          certificateId, citizenRowId, citizenId, keyScope, destroyedKeys, shreddedFields,
+          wipedFields, serviceRequests, linkedUserId, revokedSessions, requestedBy, reason, erasedAt, digest
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          issued.certificateId,
+          issued.citizenRowId,
+          issued.citizenId,
+          issued.keyScope,
+          JSON.stringify(issued.destroyedKeys),
+          issued.shreddedFields,
+          issued.wipedFields,
+          issued.serviceRequests,
+          issued.linkedUserId,
+          issued.revokedSessions,
+          issued.requestedBy,
+          issued.reason,
+          issued.erasedAt,
+          issued.digest
+        ]
+      );
+      return issued;
+    });
+    if (!certificate) return null;
+
+    console.log(`🔥 Citizen ${certificate.citizenId} erased (certificate ${certificate.certificateId})`);
+    return certificate;
+  }
+
+  /**
+   * Anonymize and deactivate the portal account linked to an erased citizen
+   * The account keeps its row (security events and request history refer to it)
+   * but loses its name, email, password, MFA and SSO identity, and every session
+   * and outstanding reset or verification link is revoked.
+   * @param {number} citizenRowId - citizens.id
+   * @param {string} unusablePassword - Hash of a random password nobody knows
+   * @returns {Object|null} - { userId, revokedSessions }, null when no account is linked
+   */
+  async closeLinkedAccount(citizenRowId, unusablePassword) {
+    const user = await getQuery('SELECT id FROM users WHERE citizenId = ?', [citizenRowId]);
+    if (!user) return null;
+
+    const placeholder = `erased-user-${user.id}`;
+    await runQuery(
+      `UPDATE users
+       SET username = ?, firstName = 'Erased', lastName = 'Citizen', email = ?, password = ?,
+           isActive = 0, citizenId = NULL, emailVerified = 0, emailVerifiedAt = NULL,
+           mfaEnabled = 0, mfaEnabledAt = NULL, totpSecret_encrypted = NULL,
+           oidcIssuer = NULL, oidcSubject = NULL, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [placeholder, `${placeholder}@erased.invalid`, unusablePassword, user.id]
+    );
+
+    const sessions = await runQuery(
+      `UPDATE auth_sessions SET revokedAt = CURRENT_TIMESTAMP, revokedReason = 'citizen_erased'
+       WHERE userId = ? AND revokedAt IS NULL`,
+      [user.id]
+    );
+    await runQuery('DELETE FROM account_tokens WHERE userId = ?', [user.id]);
+    await runQuery('DELETE FROM mfa_recovery_codes WHERE userId = ?', [user.id]);
+
+    console.log(`🔒 Account ${user.id} linked to the erased citizen anonymized and signed out (${sessions.changes} session(s) revoked)`);
+    return { userId: user.id, revokedSessions: sessions.changes };
+  }
+
+  /**
+   * Count the row's values that the citizen key protects and list the columns
+   * that have to be wiped because it does not
+   * @returns {string[]} - Columns to set to NULL
+   */
+  async classify(row, columns, keyScope, counts) {
+    const wipe = [];
+
+    for (const column of columns) {
+      if (!row[column]) continue;
+
+      if (await this.isUnderScope(row[column], keyScope)) {
+        counts.shreddedFields++;
+      } else {
+        counts.wipedFields++;
+        wipe.push(column);
+      }
+    }
+
+    return wipe;
+  }
+
+  /**
+   * Check whether a value is encrypted under a data key of the given scope
+   */
+  async isUnderScope(storedValue, keyScope) {
+    try {
+      const envelope = parseEnvelope(storedValue);
+      if (!envelope || envelope.format !== 'envelope' || envelope.kt !== 'dek') return false;
+
+      const dataKey = await this.encryptionService.dataKeyService.describeKey(envelope.kid);
+      return !!dataKey && dataKey.scope === keyScope;
+    } catch (error) {
+      // Malformed values are wiped
+      return false;
+    }
+  }
+
+  /**
+   * List erasure certificates, newest first
+   */
+  async listCertificates() {
+    const rows = await allQuery('SELECT * FROM erasure_certificates ORDER BY id DESC');
+    return rows.map(row => ({ ...row, destroyedKeys: JSON.parse(row.destroyedKeys) }));
+  }
+
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ErasureService;
@@ -1,9 +1,29 @@
 const axios = require('axios');
-const fs = require('fs');
-const https = require('https');
+const MtlsAgent = require('./mtlsAgent');
+const { retry, CircuitBreaker, Bulkhead } = require('./resilience');
+const { IntegrityError } = require('./cipherEnvelope');
+
+const GCM_TAG_BITS = 128;
+
+/**
+ * Errors worth retrying and counting against the circuit breaker:
+ * no response (network error, timeout), 429 and 5xx. A 4xx such as a failed
+ * GCM tag check is the caller's problem, not DSM's.
+ */
+const isTransientError = (error) => {
+  if (error.isCircuitOpen || error.isBulkheadFull) return false;
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+const retryAfterMs = (error) => {
+  const seconds = parseInt(error.response?.headers?.['retry-after']);
+  return isNaN(seconds) ? 0 : seconds * 1000;
+};
 
 class FortanixDSMService {
   constructor() {
+    this.name = 'fortanix';
     this.authMethod = process.env.FORTANIX_AUTH_METHOD || 'api_key';
     
     // Use correct endpoint based on authentication method
@@ -19,6 +39,46 @@ class FortanixDSMService {
     this.accessToken = null;
     this.tokenExpiry = null;
     this.demoMode = false;
+
+    // Keep a slow or failing DSM from hanging every request that touches encrypted data
+    this.requestTimeoutMs = parseInt(process.env.DSM_REQUEST_TIMEOUT_MS || '10000');
+    // Items per batch encrypt/decrypt round trip
+    this.batchSize = parseInt(process.env.DSM_BATCH_SIZE || '100');
+    this.retryOptions = {
+      attempts: parseInt(process.env.DSM_RETRY_ATTEMPTS || '3'),
+      baseDelayMs: parseInt(process.env.DSM_RETRY_BASE_DELAY_MS || '100'),
+      maxDelayMs: parseInt(process.env.DSM_RETRY_MAX_DELAY_MS || '2000'),
+      shouldRetry: isTransientError,
+      retryAfterMs,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`🔁 DSM request failed (${error.response?.status || error.code || error.message}), retry ${attempt} in ${delay}ms`);
+      }
+    };
+    this.circuitBreaker = new CircuitBreaker('Fortanix DSM', {
+      failureThreshold: parseInt(process.env.DSM_CIRCUIT_FAILURE_THRESHOLD || '5'),
+      resetTimeoutMs: parseInt(process.env.DSM_CIRCUIT_RESET_MS || '30000'),
+      isFailure: isTransientError
+    });
+    this.bulkhead = new Bulkhead('Fortanix DSM', {
+      maxConcurrent: parseInt(process.env.DSM_MAX_CONCURRENT_REQUESTS || '8'),
+      maxQueue: parseInt(process.env.DSM_MAX_QUEUED_REQUESTS || '1000')
+    });
+
+    if (this.authMethod === 'trusted_ca') {
+      // One keep-alive mTLS agent for auth and crypto calls, rebuilt when CCM rotates the certificate
+      this.mtlsAgent = new MtlsAgent();
+      this.mtlsAgent.on('reload', () => {
+        // The token was issued to the old certificate
+        this.accessToken = null;
+      });
+    }
+  }
+
+  /**
+   * Check whether the environment has enough DSM settings to initialize
+   */
+  static isConfigured() {
+    return !!(process.env.FORTANIX_DSM_ENDPOINT && process.env.FORTANIX_API_KEY && process.env.FORTANIX_KEY_ID);
   }
 
   /**
@@ -53,7 +113,8 @@ class FortanixDSMService {
         url: `${this.endpoint}/sys/v1/session/auth`,
         headers: {
           'Authorization': `Basic ${this.apiKey}`
-        }
+        },
+        timeout: this.requestTimeoutMs
       });
 
       this.accessToken = response.data.access_token;
@@ -76,33 +137,13 @@ class FortanixDSMService {
     try {
       console.log('🔐 Authenticating to Fortanix DSM with Trusted CA Certificates...');
       
-      // Check if certificate files exist (CCM only provides cert and key, not ca.pem)
-      const certPaths = {
-        cert: '/opt/fortanix/enclave-os/default_cert/app_public.pem',
-        key: '/opt/fortanix/enclave-os/default_cert/app_private.pem'
-      };
-      
-      // Verify required certificate files exist
-      const missingFiles = [];
-      for (const [type, path] of Object.entries(certPaths)) {
-        if (!fs.existsSync(path)) {
-          missingFiles.push(`${type}: ${path}`);
-        }
-      }
-      
-      if (missingFiles.length > 0) {
-        throw new Error(`Certificate files not found: ${missingFiles.join(', ')}. Trusted CA authentication requires certificates to be present in the confidential computing environment.`);
-      }
+      // Throws if the certificate files are missing (CCM provides cert and key; the DSM CA is optional)
+      const httpsAgent = this.mtlsAgent.getAgent();
       
       console.log(`📜 Using certificates:`);
-      console.log(`   Public Key: ${certPaths.cert}`);
-      console.log(`   Private Key: ${certPaths.key}`);
-      
-      const httpsAgent = new https.Agent({
-        cert: fs.readFileSync(certPaths.cert),
-        key: fs.readFileSync(certPaths.key),
-        rejectUnauthorized: false  // No CA cert validation needed
-      });
+      console.log(`   Public Key: ${this.mtlsAgent.certPath}`);
+      console.log(`   Private Key: ${this.mtlsAgent.keyPath}`);
+      console.log(`   DSM CA: ${this.mtlsAgent.caPath || '(not pinned)'}`);
       
       console.log('📤 Making Trusted CA authentication request:');
       console.log(`   Endpoint: ${this.endpoint}/sys/v1/session/auth`);
@@ -121,7 +162,8 @@ class FortanixDSMService {
         httpsAgent: httpsAgent,
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        timeout: this.requestTimeoutMs
       });
 
       this.accessToken = response.data.access_token;
@@ -148,15 +190,122 @@ class FortanixDSMService {
   }
 
   /**
-   * Encrypt data using Fortanix DSM
+   * Send a crypto request to DSM through the bulkhead and circuit breaker
+   * A token DSM has already expired (401) is refreshed once. Idempotent
+   * requests are also retried with jittered backoff on transient errors.
+   * @param {string} path - API path, e.g. '/crypto/v1/decrypt'
+   * @param {Object} body - Request body
+   * @param {Object} options - { idempotent }
+   * @returns {Object} - Response data
+   */
+  async callDsm(path, body, { idempotent = false } = {}) {
+    const send = async () => {
+      for (let attempt = 0; ; attempt++) {
+        await this.ensureAuthenticated();
+        try {
+          const response = await axios.post(`${this.endpoint}${path}`, body, this.requestConfig());
+          return response.data;
+        } catch (error) {
+          if (error.response?.status !== 401 || attempt > 0) throw error;
+          console.log('🔑 DSM rejected the access token, re-authenticating...');
+          this.accessToken = null;
+        }
+      }
+    };
+
+    return this.bulkhead.run(() => this.circuitBreaker.execute(() => {
+      return idempotent ? retry(send, this.retryOptions) : send();
+    }));
+  }
+
+  /**
+   * Request config for crypto operations
+   */
+  requestConfig() {
+    // For Trusted CA, use BOTH Bearer token AND certificates for crypto operations
+    const requestConfig = {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.accessToken}`
+      },
+      timeout: this.requestTimeoutMs
+    };
+
+    if (this.authMethod === 'trusted_ca') {
+      // Use certificate authentication along with Bearer token
+      requestConfig.httpsAgent = this.mtlsAgent.getAgent();
+    }
+
+    return requestConfig;
+  }
+
+  /**
+   * Switch the key used for new encryptions (key rotation)
+   * @param {string} keyId - DSM key id (kid)
+   */
+  async setActiveKey(keyId) {
+    this.keyId = keyId;
+  }
+
+  /**
+   * Build a DSM encrypt request (AES-GCM)
+   */
+  encryptRequest(plaintext, keyId, aad) {
+    const request = {
+      key: { kid: keyId },
+      alg: 'AES',
+      mode: 'GCM',
+      plain: Buffer.from(plaintext, 'utf8').toString('base64'),
+      tag_len: GCM_TAG_BITS
+    };
+    if (aad) {
+      request.ad = Buffer.from(aad, 'utf8').toString('base64');
+    }
+    return request;
+  }
+
+  /**
+   * Build a DSM decrypt request
+   * Values with a tag are AES-GCM; values without one are legacy AES-CBC.
+   * @throws {IntegrityError} - Value is not a DSM ciphertext
+   */
+  decryptRequest(ciphertext, keyId, aad) {
+    let cipherData;
+    try {
+      cipherData = JSON.parse(ciphertext);
+    } catch (error) {
+      cipherData = null;
+    }
+    if (!cipherData || !cipherData.cipher || !cipherData.iv) {
+      throw new IntegrityError('Malformed ciphertext: cipher and iv are required');
+    }
+
+    const request = {
+      key: { kid: keyId },
+      alg: 'AES',
+      mode: cipherData.tag ? 'GCM' : 'CBC',
+      cipher: cipherData.cipher,
+      iv: cipherData.iv
+    };
+    if (cipherData.tag) {
+      request.tag = cipherData.tag;
+      if (aad) {
+        request.ad = Buffer.from(aad, 'utf8').toString('base64');
+      }
+    }
+    return request;
+  }
+
+  /**
+   * Encrypt data using Fortanix DSM (AES-GCM)
    * @param {string} plaintext - Data to encrypt
-   * @returns {string} - Base64 encoded encrypted data
+   * @param {string} keyId - DSM key id, defaults to the active key
+   * @param {string} aad - Associated data the ciphertext is bound to
+   * @returns {string} - JSON string with base64 cipher, iv and tag
    */
-  async encryptData(plaintext) {
+  async encryptData(plaintext, keyId = this.keyId, aad = null) {
     try {
       if (!plaintext) return null;
-
-      await this.ensureAuthenticated();
       
       // Demo mode simulation
       if (this.demoMode) {
@@ -165,40 +314,17 @@ class FortanixDSMService {
         return simulatedCipher;
       }
 
-      // For Trusted CA, use BOTH Bearer token AND certificates for crypto operations
-      let requestConfig = {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.accessToken}`
-        }
-      };
-
-      if (this.authMethod === 'trusted_ca') {
-        // Use certificate authentication along with Bearer token
-        requestConfig.httpsAgent = new https.Agent({
-          cert: fs.readFileSync('/opt/fortanix/enclave-os/default_cert/app_public.pem'),
-          key: fs.readFileSync('/opt/fortanix/enclave-os/default_cert/app_private.pem'),
-          rejectUnauthorized: false
-        });
-      }
+      // Only idempotent decrypts are retried
+      const data = await this.callDsm('/crypto/v1/encrypt', this.encryptRequest(plaintext, keyId, aad));
 
-      const response = await axios.post(
-        `${this.endpoint}/crypto/v1/encrypt`,
-        {
-          key: { kid: this.keyId },
-          alg: 'AES',
-          mode: 'CBC',
-          plain: Buffer.from(plaintext, 'utf8').toString('base64')
-        },
-        requestConfig
-      );
-
-      // Store both cipher and iv as JSON string for decryption
+      // Store cipher, iv and authentication tag as JSON string for decryption
       return JSON.stringify({
-        cipher: response.data.cipher,
-        iv: response.data.iv
+        cipher: data.cipher,
+        iv: data.iv,
+        tag: data.tag
       });
     } catch (error) {
+      if (error.isCircuitOpen || error.isBulkheadFull) throw error;
       console.error('❌ Encryption failed:', error.response?.data || error.message);
       throw new Error('Failed to encrypt data with Fortanix DSM');
     }
@@ -206,64 +332,123 @@ class FortanixDSMService {
 
   /**
    * Decrypt data using Fortanix DSM
-   * @param {string} ciphertext - Base64 encoded encrypted data
+   * Values with a tag are AES-GCM; values without one are legacy AES-CBC.
+   * @param {string} ciphertext - JSON string with base64 cipher, iv and tag
+   * @param {string} keyId - DSM key id, defaults to the active key
+   * @param {string} aad - Associated data used when the value was encrypted
    * @returns {string} - Decrypted plaintext
    */
-  async decryptData(ciphertext) {
+  async decryptData(ciphertext, keyId = this.keyId, aad = null) {
     try {
       if (!ciphertext) return null;
 
-      await this.ensureAuthenticated();
+      const request = this.decryptRequest(ciphertext, keyId, aad);
+      const data = await this.callDsm('/crypto/v1/decrypt', request, { idempotent: true });
 
-      // Check if this is legacy plaintext or encrypted JSON data
-      let cipherData;
-      try {
-        cipherData = JSON.parse(ciphertext);
-        // Verify it has the expected structure
-        if (!cipherData.cipher || !cipherData.iv) {
-          throw new Error('Invalid cipher format');
-        }
-      } catch (error) {
-        // This is legacy plaintext data, return as-is
-        console.log('📄 Legacy plaintext data detected, returning as-is');
-        return ciphertext;
+      // Return the decrypted plaintext
+      return Buffer.from(data.plain, 'base64').toString('utf8');
+    } catch (error) {
+      if (error.isCircuitOpen || error.isBulkheadFull || error.isIntegrityError) throw error;
+      console.error('❌ Decryption failed:', error.response?.data || error.message);
+      throw new Error('Failed to decrypt data with Fortanix DSM');
+    }
+  }
+
+  /**
+   * Encrypt many values in as few DSM round trips as possible (batch API)
+   * All-or-nothing: any failed item fails the whole call.
+   * @param {Array} items - [{ plaintext, keyId, aad }], keyId defaults to the active key
+   * @returns {string[]} - JSON ciphertexts in item order (null for empty plaintexts)
+   */
+  async encryptBatch(items) {
+    const results = new Array(items.length).fill(null);
+    const pending = items.map((item, index) => ({ ...item, index })).filter(item => item.plaintext);
+    if (pending.length === 0) return results;
+
+    if (this.demoMode) {
+      for (const item of pending) {
+        results[item.index] = await this.encryptData(item.plaintext, item.keyId, item.aad);
       }
+      return results;
+    }
 
-      // For Trusted CA, use BOTH Bearer token AND certificates for crypto operations
-      let requestConfig = {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.accessToken}`
-        }
-      };
+    try {
+      for (let i = 0; i < pending.length; i += this.batchSize) {
+        const chunk = pending.slice(i, i + this.batchSize);
+        const responses = await this.callDsm('/crypto/v1/keys/batch/encrypt', chunk.map(item => ({
+          kid: item.keyId || this.keyId,
+          request: this.encryptRequest(item.plaintext, item.keyId || this.keyId, item.aad)
+        })));
 
-      if (this.authMethod === 'trusted_ca') {
-        // Use certificate authentication along with Bearer token
-        requestConfig.httpsAgent = new https.Agent({
-          cert: fs.readFileSync('/opt/fortanix/enclave-os/default_cert/app_public.pem'),
-          key: fs.readFileSync('/opt/fortanix/enclave-os/default_cert/app_private.pem'),
-          rejectUnauthorized: false
+        chunk.forEach((item, position) => {
+          const response = responses[position];
+          if (!response || response.error || response.status >= 300) {
+            throw new Error(`item ${item.index}: ${response?.error || 'missing response'}`);
+          }
+          const { cipher, iv, tag } = response.body;
+          results[item.index] = JSON.stringify({ cipher, iv, tag });
         });
       }
+      return results;
+    } catch (error) {
+      if (error.isCircuitOpen || error.isBulkheadFull) throw error;
+      console.error('❌ Batch encryption failed:', error.response?.data || error.message);
+      throw new Error('Failed to encrypt data with Fortanix DSM');
+    }
+  }
 
-      const response = await axios.post(
-        `${this.endpoint}/crypto/v1/decrypt`,
-        {
-          key: { kid: this.keyId },
-          alg: 'AES',
-          mode: 'CBC',
-          cipher: cipherData.cipher,
-          iv: cipherData.iv
-        },
-        requestConfig
-      );
+  /**
+   * Decrypt many values in as few DSM round trips as possible (batch API)
+   * Items fail individually, so one bad value does not hide the others.
+   * @param {Array} items - [{ ciphertext, keyId, aad }], keyId defaults to the active key
+   * @returns {Array} - [{ value } | { error }] in item order
+   */
+  async decryptBatch(items) {
+    const results = items.map(() => ({ value: null }));
+    const pending = [];
 
-      // Return the decrypted plaintext
-      return Buffer.from(response.data.plain, 'base64').toString('utf8');
-    } catch (error) {
-      console.error('❌ Decryption failed:', error.response?.data || error.message);
-      throw new Error('Failed to decrypt data with Fortanix DSM');
+    items.forEach((item, index) => {
+      if (!item.ciphertext) return;
+      try {
+        const request = this.decryptRequest(item.ciphertext, item.keyId || this.keyId, item.aad);
+        pending.push({ index, kid: item.keyId || this.keyId, request });
+      } catch (error) {
+        results[index] = { error };
+      }
+    });
+
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const chunk = pending.slice(i, i + this.batchSize);
+      let responses;
+      try {
+        responses = await this.callDsm(
+          '/crypto/v1/keys/batch/decrypt',
+          chunk.map(({ kid, request }) => ({ kid, request })),
+          { idempotent: true }
+        );
+      } catch (error) {
+        if (!error.isCircuitOpen && !error.isBulkheadFull) {
+          console.error('❌ Batch decryption failed:', error.response?.data || error.message);
+        }
+        const failure = error.isCircuitOpen || error.isBulkheadFull
+          ? error
+          : new Error('Failed to decrypt data with Fortanix DSM');
+        chunk.forEach(({ index }) => { results[index] = { error: failure }; });
+        continue;
+      }
+
+      chunk.forEach(({ index }, position) => {
+        const response = responses[position];
+        if (!response || response.error || response.status >= 300) {
+          console.error(`❌ Decryption failed for batch item ${index}:`, response?.error || 'missing response');
+          results[index] = { error: new Error('Failed to decrypt data with Fortanix DSM') };
+        } else {
+          results[index] = { value: Buffer.from(response.body.plain, 'base64').toString('utf8') };
+        }
+      });
     }
+
+    return results;
   }
 
   /**
@@ -313,19 +498,44 @@ class FortanixDSMService {
    * Health check for the service
    */
   async healthCheck() {
+    const resilience = {
+      circuitBreaker: this.circuitBreaker.getStatus(),
+      bulkhead: this.bulkhead.getStatus()
+    };
+    // Client certificate in use (trusted_ca only)
+    const mtls = this.mtlsAgent?.getStatus();
+
+    // While the circuit is open DSM is known to be down - do not wait on it
+    if (this.circuitBreaker.state !== 'closed') {
+      return {
+        status: 'degraded',
+        provider: this.name,
+        error: resilience.circuitBreaker.lastError?.message,
+        endpoint: this.endpoint,
+        resilience,
+        mtls
+      };
+    }
+
     try {
       await this.ensureAuthenticated();
       return {
         status: 'healthy',
+        provider: this.name,
         endpoint: this.endpoint,
         authenticated: !!this.accessToken,
-        keyId: this.keyId
+        keyId: this.keyId,
+        resilience,
+        mtls
       };
     } catch (error) {
       return {
         status: 'unhealthy',
+        provider: this.name,
         error: error.message,
-        endpoint: this.endpoint
+        endpoint: this.endpoint,
+        resilience,
+        mtls
       };
     }
   }
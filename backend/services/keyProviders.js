@@ -0,0 +1,47 @@
+const FortanixDSMService = require('./fortanixService');
+const LocalKeystoreService = require('./localKeystoreService');
+
+// Every key provider exposes the same surface so EncryptionService can use any of them:
+//   name, endpoint, keyId
+//   initialize(), encryptData(plaintext, keyId?, aad?), decryptData(ciphertext, keyId?, aad?),
+//   encryptBatch([{plaintext, keyId, aad}]), decryptBatch([{ciphertext, keyId, aad}]),
+//   setActiveKey(keyId), healthCheck()
+// encryptData uses AES-GCM and returns JSON {cipher, iv, tag}; decryptData also
+// accepts older AES-CBC values ({cipher, iv} without a tag). The batch variants
+// take many values per round trip; decryptBatch returns [{value} | {error}] per item.
+// Providers that can mint keys themselves (local) also expose addKey().
+const KEY_PROVIDERS = {
+  fortanix: FortanixDSMService,
+  local: LocalKeystoreService
+};
+
+/**
+ * Create a key provider by name
+ * @param {string} name - Provider name ('fortanix' or 'local'), defaults to KEY_PROVIDER
+ * @returns {Object} - Uninitialized key provider instance
+ */
+const createKeyProvider = (name = process.env.KEY_PROVIDER || 'fortanix') => {
+  const Provider = KEY_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown key provider '${name}'. Expected one of: ${Object.keys(KEY_PROVIDERS).join(', ')}`);
+  }
+  return new Provider();
+};
+
+/**
+ * Check whether the selected key provider has the settings it needs
+ * @returns {boolean}
+ */
+const isKeyProviderConfigured = () => {
+  const name = process.env.KEY_PROVIDER || 'fortanix';
+  if (name === 'fortanix') {
+    return FortanixDSMService.isConfigured();
+  }
+  return !!KEY_PROVIDERS[name];
+};
+
+module.exports = {
+  KEY_PROVIDERS,
+  createKeyProvider,
+  isKeyProviderConfigured
+};
@@ -0,0 +1,372 @@
+const { runQuery, getQuery, allQuery } = require('../database/db');
+const { parseEnvelope } = require('./cipherEnvelope');
+
+const DEFAULT_BATCH_SIZE = parseInt(process.env.KEY_ROTATION_BATCH_SIZE || '100');
+
+/**
+ * Moves every *_encrypted column onto a new provider key.
+ * The job walks each table in id order, re-encrypting one batch at a time and
+ * recording its position in key_rotation_jobs so it can resume after a restart.
+ * New writes use the new key as soon as the job starts, so the app stays online.
+ */
+class KeyRotationService {
+  constructor(encryptionService) {
+    this.encryptionService = encryptionService;
+    this.runningJobId = null;
+
+    // ownerColumn selects the public id of the citizen whose data key protects the row;
+    // tables without one (account secrets) use the table's own data key
+    const { policy } = encryptionService;
+    const ownerColumns = {
+      citizens: 'citizenId',
+      service_requests: '(SELECT c.citizenId FROM citizens c WHERE c.id = service_requests.citizenId)',
+      users: null
+    };
+    this.tables = Object.keys(ownerColumns).map(table => ({
+      table,
+      rowIdColumn: policy.table(table).rowId,
+      ownerColumn: ownerColumns[table] || 'NULL',
+      keyScope: ownerColumns[table]
+        ? (row) => encryptionService.citizenKeyScope(row.ownerCitizenId)
+        : () => table,
+      fields: policy.table(table).encrypted
+    }));
+  }
+
+  /**
+   * Restore rotation state after a restart and resume interrupted jobs
+   */
+  async initialize() {
+    const jobs = await allQuery('SELECT * FROM key_rotation_jobs ORDER BY id');
+
+    for (const job of jobs) {
+      if (job.fromKeyId && !this.encryptionService.previousKeyIds.includes(job.fromKeyId)) {
+        this.encryptionService.previousKeyIds.push(job.fromKeyId);
+      }
+    }
+
+    const latest = [...jobs].reverse().find(job => job.status !== 'failed');
+    const keyProvider = this.encryptionService.keyProvider;
+    if (latest && keyProvider.keyId !== latest.toKeyId) {
+      console.log(`⚠️  Configured key ${keyProvider.keyId} was rotated to ${latest.toKeyId} - using ${latest.toKeyId}`);
+      console.log('   Update the key id in your environment to match');
+      await keyProvider.setActiveKey(latest.toKeyId);
+    }
+
+    if (latest && latest.status === 'running') {
+      console.log(`🔄 Resuming key rotation job ${latest.id}`);
+      this.runInBackground(latest.id);
+    }
+  }
+
+  /**
+   * Start rotating all encrypted columns onto a new provider key
+   * @param {Object} options - { toKeyId, batchSize }
+   * @returns {Object} - Job status
+   */
+  async start({ toKeyId, batchSize } = {}) {
+    if (this.runningJobId) {
+      throw this.createError(409, `Key rotation job ${this.runningJobId} is already running`);
+    }
+
+    const keyProvider = this.encryptionService.keyProvider;
+    if (!toKeyId) {
+      if (typeof keyProvider.addKey !== 'function') {
+        throw this.createError(400, 'toKeyId is required for this key provider');
+      }
+      toKeyId = await keyProvider.addKey();
+    }
+
+    const fromKeyId = keyProvider.keyId;
+    if (toKeyId === fromKeyId) {
+      throw this.createError(400, 'New key must be different from the active key');
+    }
+
+    // Make sure the new key is usable before anything is written with it
+    try {
+      const probe = await keyProvider.encryptData('key-rotation-check', toKeyId);
+      if (await keyProvider.decryptData(probe, toKeyId) !== 'key-rotation-check') {
+        throw new Error('Round trip mismatch');
+      }
+    } catch (error) {
+      throw this.createError(400, `Key ${toKeyId} cannot be used for encryption: ${error.message}`);
+    }
+
+    const size = Math.max(1, Math.min(parseInt(batchSize) || DEFAULT_BATCH_SIZE, 1000));
+    const result = await runQuery(
+      `INSERT INTO key_rotation_jobs (fromKeyId, toKeyId, status, currentTable, batchSize)
+       VALUES (?, ?, 'running', ?, ?)`,
+      [fromKeyId, toKeyId, this.tables[0].table, size]
+    );
+
+    await this.encryptionService.activateKey(toKeyId);
+    console.log(`🔄 Key rotation job ${result.id} started: ${fromKeyId} -> ${toKeyId}`);
+
+    this.runInBackground(result.id);
+    return await this.getStatus(result.id);
+  }
+
+  /**
+   * Resume a job that failed part-way through
+   * @param {number} jobId - Job id
+   * @returns {Object} - Job status
+   */
+  async resume(jobId) {
+    const job = await getQuery('SELECT * FROM key_rotation_jobs WHERE id = ?', [jobId]);
+    if (!job) {
+      throw this.createError(404, 'Key rotation job not found');
+    }
+    if (job.status !== 'failed') {
+      throw this.createError(409, `Only failed jobs can be resumed (job is ${job.status})`);
+    }
+    if (this.runningJobId) {
+      throw this.createError(409, `Key rotation job ${this.runningJobId} is already running`);
+    }
+
+    await runQuery(
+      `UPDATE key_rotation_jobs SET status = 'running', error = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [jobId]
+    );
+    await this.encryptionService.activateKey(job.toKeyId);
+
+    this.runInBackground(jobId);
+    return await this.getStatus(jobId);
+  }
+
+  runInBackground(jobId) {
+    this.runningJobId = jobId;
+    setImmediate(() => {
+      this.runJob(jobId).catch(error => {
+        console.error(`❌ Key rotation job ${jobId} crashed:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Walk every table from the job's saved position to the end
+   * @param {number} jobId - Job id
+   */
+  async runJob(jobId) {
+    this.runningJobId = jobId;
+
+    try {
+      const job = await getQuery('SELECT * FROM key_rotation_jobs WHERE id = ?', [jobId]);
+      const startIndex = Math.max(0, this.tables.findIndex(t => t.table === job.currentTable));
+
+      for (let i = startIndex; i < this.tables.length; i++) {
+        const { table, rowIdColumn, ownerColumn, keyScope, fields } = this.tables[i];
+        let lastRowId = table === job.currentTable ? job.lastRowId : 0;
+        const columns = fields.map(field => `${field}_encrypted`);
+
+        await runQuery(
+          `UPDATE key_rotation_jobs SET currentTable = ?, lastRowId = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+          [table, lastRowId, jobId]
+        );
+
+        while (true) {
+          const rows = await allQuery(
+            `SELECT id, ${rowIdColumn}, ${ownerColumn} AS ownerCitizenId, ${columns.join(', ')}
+             FROM ${table} WHERE id > ? ORDER BY id LIMIT ?`,
+            [lastRowId, job.batchSize]
+          );
+          if (rows.length === 0) break;
+
+          const counts = await this.reencryptBatch(table, rowIdColumn, fields, rows, job.toKeyId, keyScope);
+          lastRowId = rows[rows.length - 1].id;
+
+          await runQuery(
+            `UPDATE key_rotation_jobs
+             SET lastRowId = ?, processedRows = processedRows + ?,
+                 reencryptedFields = reencryptedFields + ?, failedFields = failedFields + ?,
+                 updatedAt = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [lastRowId, rows.length, counts.reencrypted, counts.failed, jobId]
+          );
+
+          // Give request handlers a turn between batches
+          await new Promise(resolve => setImmediate(resolve));
+        }
+
+        console.log(`✅ Key rotation job ${jobId}: finished table ${table}`);
+      }
+
+      const retired = await this.encryptionService.dataKeyService.retireKeys();
+      await runQuery(
+        `UPDATE key_rotation_jobs
+         SET status = 'completed', completedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [jobId]
+      );
+      console.log(`🎉 Key rotation job ${jobId} completed (${retired} data keys retired)`);
+    } catch (error) {
+      console.error(`❌ Key rotation job ${jobId} failed:`, error.message);
+      await runQuery(
+        `UPDATE key_rotation_jobs SET status = 'failed', error = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+        [error.message, jobId]
+      );
+    } finally {
+      this.runningJobId = null;
+    }
+  }
+
+  /**
+   * Re-encrypt one batch of rows
+   * Updates are conditional on the old value so a concurrent write (already
+   * under the new key) is never overwritten. Values are rewritten as AES-GCM
+   * bound to their row under their citizen's data key, which also upgrades
+   * legacy CBC values and values under the old per-table keys.
+   * @param {Function} keyScope - Row -> data key scope
+   * @returns {Object} - { reencrypted, failed }
+   */
+  async reencryptBatch(table, rowIdColumn, fields, rows, toKeyId, keyScope) {
+    const counts = { reencrypted: 0, failed: 0 };
+
+    for (const row of rows) {
+      for (const field of fields) {
+        const storedValue = row[`${field}_encrypted`];
+        if (!storedValue) continue;
+
+        try {
+          if (await this.isUnderKey(storedValue, toKeyId, keyScope(row))) continue;
+          counts.reencrypted += await this.rewriteValue(table, rowIdColumn, field, row, keyScope);
+        } catch (error) {
+          // Erased citizens stay shredded
+          if (error.isKeyDestroyed) continue;
+
+          console.warn(`⚠️  Could not re-encrypt ${table}.${field}_encrypted for row ${row.id}: ${error.message}`);
+          counts.failed++;
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Rewrite one stored value as AES-GCM under the active key, bound to its row
+   * Legacy values are accepted here, since rewriting is how they are retired.
+   * @returns {number} - 1 when the value was rewritten, 0 when it changed concurrently
+   */
+  async rewriteValue(table, rowIdColumn, field, row, keyScope) {
+    const column = `${field}_encrypted`;
+    const storedValue = row[column];
+    const context = {
+      table,
+      field,
+      rowId: row[rowIdColumn],
+      keyScope: keyScope(row)
+    };
+
+    const plaintext = await this.encryptionService.decryptField(storedValue, context, null, { allowLegacy: true });
+    const reencrypted = await this.encryptionService.encryptField(plaintext, context);
+    const result = await runQuery(
+      `UPDATE ${table} SET ${column} = ? WHERE id = ? AND ${column} = ?`,
+      [reencrypted, row.id, storedValue]
+    );
+    return result.changes;
+  }
+
+  /**
+   * One-off migration: encrypt legacy values in place, without a key rotation
+   * Reads refuse legacy values (see EncryptionService.isLegacyValue); run this once
+   * after upgrading from AES-CBC, or on a database filled before encryption was enabled.
+   * @param {Object} options - { batchSize }
+   * @returns {Object} - { upgraded, failed }
+   */
+  async upgradeLegacyValues({ batchSize } = {}) {
+    if (this.runningJobId) {
+      throw this.createError(409, `Key rotation job ${this.runningJobId} is already running`);
+    }
+
+    const size = Math.max(1, Math.min(parseInt(batchSize) || DEFAULT_BATCH_SIZE, 1000));
+    const counts = { upgraded: 0, failed: 0 };
+
+    for (const { table, rowIdColumn, ownerColumn, keyScope, fields } of this.tables) {
+      const columns = fields.map(field => `${field}_encrypted`);
+      let lastRowId = 0;
+
+      while (true) {
+        const rows = await allQuery(
+          `SELECT id, ${rowIdColumn}, ${ownerColumn} AS ownerCitizenId, ${columns.join(', ')}
+           FROM ${table} WHERE id > ? ORDER BY id LIMIT ?`,
+          [lastRowId, size]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          for (const field of fields) {
+            if (!this.encryptionService.isLegacyValue(row[`${field}_encrypted`])) continue;
+            try {
+              counts.upgraded += await this.rewriteValue(table, rowIdColumn, field, row, keyScope);
+            } catch (error) {
+              console.warn(`⚠️  Could not upgrade ${table}.${field}_encrypted for row ${row.id}: ${error.message}`);
+              counts.failed++;
+            }
+          }
+        }
+        lastRowId = rows[rows.length - 1].id;
+      }
+    }
+
+    console.log(`🔐 Legacy values upgraded: ${counts.upgraded} rewritten, ${counts.failed} failed`);
+    return counts;
+  }
+
+  /**
+   * Check whether a stored value is already protected by the target key
+   * (and, for data keys, by the expected scope's key)
+   * Only authenticated (GCM) values count; CBC values are always rewritten.
+   */
+  async isUnderKey(storedValue, keyId, keyScope) {
+    const envelope = parseEnvelope(storedValue);
+    if (!envelope || envelope.format !== 'envelope' || envelope.mode !== 'GCM') return false;
+
+    if (envelope.kt === 'kek') {
+      return envelope.kid === keyId;
+    }
+
+    const dataKey = await this.encryptionService.dataKeyService.describeKey(envelope.kid);
+    if (dataKey && dataKey.status === 'destroyed') return true;
+    return !!dataKey && dataKey.kekId === keyId && dataKey.scope === keyScope;
+  }
+
+  /**
+   * Get a job with progress information
+   * @param {number} jobId - Job id
+   * @returns {Object|null}
+   */
+  async getStatus(jobId) {
+    const job = await getQuery('SELECT * FROM key_rotation_jobs WHERE id = ?', [jobId]);
+    if (!job) return null;
+
+    let totalRows = 0;
+    for (const { table } of this.tables) {
+      const { count } = await getQuery(`SELECT COUNT(*) as count FROM ${table}`);
+      totalRows += count;
+    }
+
+    return {
+      ...job,
+      running: this.runningJobId === job.id,
+      totalRows,
+      percentComplete: job.status === 'completed'
+        ? 100
+        : (totalRows > 0 ? Math.min(99, Math.floor((job.processedRows / totalRows) * 100)) : 0)
+    };
+  }
+
+  /**
+   * List all rotation jobs, newest first
+   */
+  async list() {
+    return await allQuery('SELECT * FROM key_rotation_jobs ORDER BY id DESC');
+  }
+
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = KeyRotationService;
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { IntegrityError } = require('./cipherEnvelope');
+
+const KEY_BYTES = 32; // AES-256
+const GCM_IV_BYTES = 12;
+
+class LocalKeystoreService {
+  constructor() {
+    this.name = 'local';
+    this.keystorePath = process.env.LOCAL_KEYSTORE_PATH || path.join(__dirname, '..', 'keystore', 'local-keystore.json');
+    this.endpoint = `file://${this.keystorePath}`;
+    this.keyId = process.env.LOCAL_KEY_ID || null;
+    this.keys = {};
+  }
+
+  /**
+   * Load the keystore file, creating it with a fresh AES-256 key if missing
+   */
+  loadKeystore() {
+    if (!fs.existsSync(this.keystorePath)) {
+      console.log(`🗝️  No local keystore found, creating ${this.keystorePath}`);
+      fs.mkdirSync(path.dirname(this.keystorePath), { recursive: true, mode: 0o700 });
+      this.keys = {};
+      const keyId = this.createKey();
+      this.saveKeystore(keyId);
+    }
+
+    const keystore = JSON.parse(fs.readFileSync(this.keystorePath, 'utf8'));
+    this.keys = keystore.keys || {};
+
+    if (!this.keyId) {
+      this.keyId = keystore.activeKeyId;
+    }
+
+    if (!this.keys[this.keyId]) {
+      throw new Error(`Key ${this.keyId} not found in local keystore ${this.keystorePath}`);
+    }
+  }
+
+  /**
+   * Persist the keystore with owner-only permissions
+   * @param {string} activeKeyId - Key used for new encryptions
+   */
+  saveKeystore(activeKeyId) {
+    const keystore = { activeKeyId, keys: this.keys };
+    fs.writeFileSync(this.keystorePath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Generate a new AES-256 key and add it to the in-memory keystore
+   * @returns {string} - Id of the new key
+   */
+  createKey() {
+    const keyId = crypto.randomUUID();
+    this.keys[keyId] = {
+      alg: 'AES',
+      size: KEY_BYTES * 8,
+      material: crypto.randomBytes(KEY_BYTES).toString('base64'),
+      createdAt: new Date().toISOString()
+    };
+    return keyId;
+  }
+
+  /**
+   * Generate a new key and persist it (does not make it active)
+   * @returns {string} - Id of the new key
+   */
+  async addKey() {
+    const keyId = this.createKey();
+    this.saveKeystore(this.keyId);
+    console.log(`🗝️  Added key ${keyId} to local keystore`);
+    return keyId;
+  }
+
+  /**
+   * Switch the key used for new encryptions (key rotation)
+   * @param {string} keyId - Key id from the keystore
+   */
+  async setActiveKey(keyId) {
+    this.getKeyMaterial(keyId);
+    this.keyId = keyId;
+    this.saveKeystore(keyId);
+  }
+
+  /**
+   * Resolve raw key material for a key id
+   * @param {string} keyId - Key id from the keystore
+   * @returns {Buffer} - AES key bytes
+   */
+  getKeyMaterial(keyId) {
+    const key = this.keys[keyId];
+    if (!key) {
+      throw new Error(`Key ${keyId} not found in local keystore`);
+    }
+    return Buffer.from(key.material, 'base64');
+  }
+
+  /**
+   * Encrypt data with a local key (AES-GCM)
+   * @param {string} plaintext - Data to encrypt
+   * @param {string} keyId - Keystore key id, defaults to the active key
+   * @param {string} aad - Associated data the ciphertext is bound to
+   * @returns {string} - JSON string with base64 cipher, iv and tag (same shape as DSM)
+   */
+  async encryptData(plaintext, keyId = this.keyId, aad = null) {
+    try {
+      if (!plaintext) return null;
+
+      const iv = crypto.randomBytes(GCM_IV_BYTES);
+      const cipher = crypto.createCipheriv('aes-256-gcm', this.getKeyMaterial(keyId), iv);
+      if (aad) {
+        cipher.setAAD(Buffer.from(aad, 'utf8'));
+      }
+      const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+      return JSON.stringify({
+        cipher: encrypted.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+      });
+    } catch (error) {
+      console.error('❌ Local encryption failed:', error.message);
+      throw new Error('Failed to encrypt data with local keystore');
+    }
+  }
+
+  /**
+   * Decrypt data with a local key
+   * Values with a tag are AES-GCM; values without one are legacy AES-CBC.
+   * @param {string} ciphertext - JSON string with base64 cipher, iv and tag
+   * @param {string} keyId - Keystore key id, defaults to the active key
+   * @param {string} aad - Associated data used when the value was encrypted
+   * @returns {string} - Decrypted plaintext
+   */
+  async decryptData(ciphertext, keyId = this.keyId, aad = null) {
+    if (!ciphertext) return null;
+
+    let cipherData;
+    try {
+      cipherData = JSON.parse(ciphertext);
+    } catch (error) {
+      cipherData = null;
+    }
+    if (!cipherData || !cipherData.cipher || !cipherData.iv) {
+      throw new IntegrityError('Malformed ciphertext: cipher and iv are required');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        cipherData.tag ? 'aes-256-gcm' : 'aes-256-cbc',
+        this.getKeyMaterial(keyId),
+        Buffer.from(cipherData.iv, 'base64')
+      );
+      if (cipherData.tag) {
+        decipher.setAuthTag(Buffer.from(cipherData.tag, 'base64'));
+        if (aad) {
+          decipher.setAAD(Buffer.from(aad, 'utf8'));
+        }
+      }
+      const decrypted = Buffer.concat([
+        decipher.update(Buffer.from(cipherData.cipher, 'base64')),
+        decipher.final()
+      ]);
+
+      return decrypted.toString('utf8');
+    } catch (error) {
+      console.error('❌ Local decryption failed:', error.message);
+      throw new Error('Failed to decrypt data with local keystore');
+    }
+  }
+
+  /**
+   * Encrypt many values (same contract as the DSM batch API)
+   * @param {Array} items - [{ plaintext, keyId, aad }]
+   * @returns {string[]} - JSON ciphertexts in item order
+   */
+  async encryptBatch(items) {
+    return Promise.all(items.map(({ plaintext, keyId, aad }) => this.encryptData(plaintext, keyId || this.keyId, aad)));
+  }
+
+  /**
+   * Decrypt many values; items fail individually
+   * @param {Array} items - [{ ciphertext, keyId, aad }]
+   * @returns {Array} - [{ value } | { error }] in item order
+   */
+  async decryptBatch(items) {
+    return Promise.all(items.map(({ ciphertext, keyId, aad }) => {
+      return this.decryptData(ciphertext, keyId || this.keyId, aad)
+        .then(value => ({ value }), error => ({ error }));
+    }));
+  }
+
+  /**
+   * Initialize the service and test encryption round trip
+   */
+  async initialize() {
+    try {
+      console.log('🔧 Initializing local software keystore...');
+      console.log(`📁 Keystore: ${this.keystorePath}`);
+
+      this.loadKeystore();
+      console.log(`🔑 Key ID: ${this.keyId}`);
+
+      const testData = 'Springfield City Services - Test Encryption';
+      const decrypted = await this.decryptData(await this.encryptData(testData));
+
+      if (decrypted !== testData) {
+        throw new Error('Encryption/Decryption test failed');
+      }
+
+      console.log('🎉 Local keystore initialized successfully!');
+      console.log('⚠️  Keys are held in software - use Fortanix DSM for production data');
+    } catch (error) {
+      console.error('❌ Failed to initialize local keystore:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Health check for the service
+   */
+  async healthCheck() {
+    const loaded = !!this.keys[this.keyId];
+    return {
+      status: loaded ? 'healthy' : 'unhealthy',
+      provider: this.name,
+      endpoint: this.endpoint,
+      keyId: this.keyId
+    };
+  }
+}
+
+module.exports = LocalKeystoreService;
@@ -0,0 +1,157 @@
+const { runQuery, getQuery, allQuery } = require('../database/db');
+
+// Failed attempts are counted per username and per client IP. After a few free
+// attempts each further failure delays the next one (1s, 2s, 4s, ... up to
+// MAX_DELAY_SECONDS); at the threshold the subject is locked out, and every
+// lockout within LOCKOUT_MEMORY_SECONDS doubles the next one.
+const SUBJECTS = {
+  username: { freeAttempts: 2, thresholdEnv: 'LOGIN_LOCKOUT_THRESHOLD', defaultThreshold: 5 },
+  ip: { freeAttempts: 10, thresholdEnv: 'LOGIN_IP_LOCKOUT_THRESHOLD', defaultThreshold: 20 }
+};
+const MAX_DELAY_SECONDS = 30;
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+const LOCKOUT_MEMORY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Brute-force protection for the login endpoints.
+ * State lives in login_throttle, one row per (scope, subject); check() runs
+ * before a password or MFA code is verified, so a locked account gives no
+ * answer about its credentials.
+ */
+class LoginThrottleService {
+  constructor() {
+    this.windowSeconds = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS || '900');
+    this.lockoutSeconds = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900');
+    this.thresholds = Object.fromEntries(Object.entries(SUBJECTS).map(([scope, subject]) =>
+      [scope, parseInt(process.env[subject.thresholdEnv] || String(subject.defaultThreshold))]
+    ));
+  }
+
+  subjects({ username, ip }) {
+    return [
+      ['username', username ? String(username).trim().toLowerCase() : null],
+      ['ip', ip || null]
+    ].filter(([, subject]) => subject);
+  }
+
+  /**
+   * Whether a login attempt may go ahead
+   * @param {Object} client - { username, ip }
+   * @returns {Object|null} - null, or { scope, locked, retryAfter (seconds), until }
+   */
+  async check(client) {
+    const now = Date.now();
+    for (const [scope, subject] of this.subjects(client)) {
+      const row = await getQuery('SELECT * FROM login_throttle WHERE scope = ? AND subject = ?', [scope, subject]);
+      if (!row) continue;
+
+      if (row.lockedUntil && new Date(row.lockedUntil) > now) {
+        return this.block(scope, true, row.lockedUntil, now);
+      }
+      if (row.nextAttemptAt && new Date(row.nextAttemptAt) > now) {
+        return this.block(scope, false, row.nextAttemptAt, now);
+      }
+    }
+    return null;
+  }
+
+  block(scope, locked, until, now) {
+    return { scope, locked, until, retryAfter: Math.max(1, Math.ceil((new Date(until) - now) / 1000)) };
+  }
+
+  /**
+   * Count a failed attempt
+   * @param {Object} client - { username, ip }
+   * @returns {Object[]} - Lockouts this failure caused: [{ scope, subject, until, lockouts }]
+   */
+  async recordFailure(client) {
+    const now = new Date();
+    const windowStart = new Date(now - this.windowSeconds * 1000).toISOString();
+    const memoryStart = new Date(now - LOCKOUT_MEMORY_SECONDS * 1000).toISOString();
+    const lockouts = [];
+
+    for (const [scope, subject] of this.subjects(client)) {
+      await runQuery(
+        `INSERT INTO login_throttle (scope, subject, failures, lastFailureAt) VALUES (?, ?, 1, ?)
+         ON CONFLICT (scope, subject) DO UPDATE SET
+           failures = CASE WHEN lastFailureAt < ? THEN 1 ELSE failures + 1 END,
+           lockouts = CASE WHEN lastFailureAt < ? THEN 0 ELSE lockouts END,
+           lastFailureAt = excluded.lastFailureAt`,
+        [scope, subject, now.toISOString(), windowStart, memoryStart]
+      );
+      const row = await getQuery('SELECT failures, lockouts FROM login_throttle WHERE scope = ? AND subject = ?', [scope, subject]);
+
+      if (row.failures >= this.thresholds[scope]) {
+        const seconds = Math.min(this.lockoutSeconds * 2 ** row.lockouts, MAX_LOCKOUT_SECONDS);
+        const until = new Date(now.getTime() + seconds * 1000).toISOString();
+        // The count starts again once the lockout is over
+        await runQuery(
+          `UPDATE login_throttle SET failures = 0, lockouts = lockouts + 1, lockedUntil = ?, nextAttemptAt = NULL
+           WHERE scope = ? AND subject = ?`,
+          [until, scope, subject]
+        );
+        lockouts.push({ scope, subject, until, lockouts: row.lockouts + 1 });
+      } else {
+        const delayed = row.failures - SUBJECTS[scope].freeAttempts;
+        const nextAttemptAt = delayed > 0
+          ? new Date(now.getTime() + Math.min(2 ** (delayed - 1), MAX_DELAY_SECONDS) * 1000).toISOString()
+          : null;
+        await runQuery('UPDATE login_throttle SET nextAttemptAt = ? WHERE scope = ? AND subject = ?', [nextAttemptAt, scope, subject]);
+      }
+    }
+    return lockouts;
+  }
+
+  /**
+   * Forget a username's failures after a complete login (password and, if enabled, MFA).
+   * The IP count is kept: logging in to one account must not reset an attack on others.
+   * @param {string} username
+   */
+  async recordSuccess(username) {
+    await this.unlock('username', username);
+  }
+
+  /**
+   * Lift a lockout and clear the failure count
+   * @param {string} scope - 'username' or 'ip'
+   * @param {string} subject - Username or IP address
+   * @returns {boolean} - Whether there was anything to clear
+   */
+  async unlock(scope, subject) {
+    const [[, normalized] = []] = this.subjects({ [scope]: subject });
+    if (!normalized) return false;
+
+    const result = await runQuery('DELETE FROM login_throttle WHERE scope = ? AND subject = ?', [scope, normalized]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Subjects that are locked out right now
+   * @returns {Object[]}
+   */
+  async listLocked() {
+    return allQuery(
+      `SELECT scope, subject, lockedUntil, lockouts, lastFailureAt FROM login_throttle
+       WHERE lockedUntil > ? ORDER BY lockedUntil DESC`,
+      [new Date().toISOString()]
+    );
+  }
+}
+
+let loginThrottleService = null;
+
+/**
+ * The login throttle used by the auth routes (created on first use)
+ * @returns {LoginThrottleService}
+ */
+const getLoginThrottleService = () => {
+  if (!loginThrottleService) {
+    loginThrottleService = new LoginThrottleService();
+  }
+  return loginThrottleService;
+};
+
+module.exports = {
+  LoginThrottleService,
+  getLoginThrottleService
+};
@@ -0,0 +1,108 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createMailTransport } = require('./mailTransports');
+
+// Available in every template
+const COMMON_VARIABLES = {
+  appName: 'Springfield City Services',
+  helpDesk: '555-CITY (2489)'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// {{name}} placeholders; unknown names are an error rather than an empty gap in the email
+const fillTemplate = (source, variables, escape) => source.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+  if (!(name in variables)) {
+    throw new Error(`Email template variable '${name}' is not set`);
+  }
+  return escape(variables[name]);
+});
+
+/**
+ * Templated email.
+ * Each template is a pair of files in config/email-templates: <name>.txt (first line
+ * "Subject: ...", a blank line, then the text body) and <name>.html. Values are
+ * HTML-escaped in the HTML part. Links point at APP_URL, the address of the React app.
+ */
+class MailService {
+  constructor(transport = createMailTransport()) {
+    this.transport = transport;
+    this.from = process.env.MAIL_FROM || 'Springfield City Services <no-reply@springfield.gov>';
+    this.appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    this.templateDir = path.resolve(process.env.MAIL_TEMPLATE_DIR || path.join(__dirname, '..', 'config', 'email-templates'));
+    this.templates = new Map();
+  }
+
+  /**
+   * Link into the React app; the value travels in the URL fragment, which browsers do not send to servers or in Referer headers
+   * @param {string} name - Fragment parameter, e.g. 'reset'
+   * @param {string} value - e.g. the token
+   */
+  appLink(name, value) {
+    return `${this.appUrl}/#${name}=${encodeURIComponent(value)}`;
+  }
+
+  async loadTemplate(name) {
+    if (!this.templates.has(name)) {
+      const [text, html] = await Promise.all([
+        fs.readFile(path.join(this.templateDir, `${name}.txt`), 'utf8'),
+        fs.readFile(path.join(this.templateDir, `${name}.html`), 'utf8')
+      ]);
+      const match = text.match(/^Subject:\s*(.+)\r?\n\r?\n([\s\S]*)$/);
+      if (!match) {
+        throw new Error(`Email template ${name}.txt must start with a "Subject:" line and a blank line`);
+      }
+      this.templates.set(name, { subject: match[1].trim(), text: match[2], html });
+    }
+    return this.templates.get(name);
+  }
+
+  /**
+   * Render a template
+   * @param {string} name - Template name, e.g. 'password-reset'
+   * @param {Object} variables - Placeholder values
+   * @returns {Object} - { subject, text, html }
+   */
+  async render(name, variables = {}) {
+    const template = await this.loadTemplate(name);
+    const values = { ...COMMON_VARIABLES, ...variables };
+    return {
+      subject: fillTemplate(template.subject, values, String),
+      text: fillTemplate(template.text, values, String),
+      html: fillTemplate(template.html, values, escapeHtml)
+    };
+  }
+
+  /**
+   * Render and send a template
+   * @param {string} name - Template name
+   * @param {string} to - Recipient address
+   * @param {Object} variables - Placeholder values
+   * @returns {Object} - Transport result ({ messageId, ... })
+   */
+  async send(name, to, variables = {}) {
+    const rendered = await this.render(name, variables);
+    const result = await this.transport.send({ from: this.from, to, template: name, ...rendered });
+    // Addresses are PII and are not logged
+    console.log(`📧 Sent ${name} email via ${this.transport.name} (${result.messageId})`);
+    return result;
+  }
+}
+
+let mailService = null;
+
+/**
+ * The mail service used by the API (created on first use with MAIL_TRANSPORT)
+ * @returns {MailService}
+ */
+const getMailService = () => {
+  if (!mailService) {
+    mailService = new MailService();
+  }
+  return mailService;
+};
+
+module.exports = {
+  MailService,
+  getMailService
+};
@@ -0,0 +1,28 @@
+const OutboxMailTransport = require('./outboxMailTransport');
+const SmtpMailTransport = require('./smtpMailTransport');
+
+// Every mail transport exposes the same surface so MailService can use any of them:
+//   name, endpoint, send({ from, to, subject, text, html, template }) -> { messageId, ... }
+// send() throws an error with statusCode 502/503 when the message cannot be delivered.
+const MAIL_TRANSPORTS = {
+  outbox: OutboxMailTransport,
+  smtp: SmtpMailTransport
+};
+
+/**
+ * Create a mail transport by name
+ * @param {string} name - Transport name ('outbox' or 'smtp'), defaults to MAIL_TRANSPORT
+ * @returns {Object} - Mail transport instance
+ */
+const createMailTransport = (name = process.env.MAIL_TRANSPORT || 'outbox') => {
+  const Transport = MAIL_TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown mail transport '${name}'. Expected one of: ${Object.keys(MAIL_TRANSPORTS).join(', ')}`);
+  }
+  return new Transport();
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createMailTransport
+};
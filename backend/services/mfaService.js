@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../database/db');
+const totp = require('./totp');
+
+// Roles that must use MFA; their sessions only reach the enrollment endpoints until they have
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES ?? 'admin,supervisor,staff,clerk')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Springfield City Services';
+const RECOVERY_CODE_COUNT = 10;
+// The TOTP secret is stored like any other policy field (users.totpSecret_encrypted)
+const SECRET_FIELD = 'totpSecret';
+const SECRET_KEY_SCOPE = 'users';
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether the MFA policy requires a role to use MFA
+ * @param {string} role - users.role
+ * @returns {boolean}
+ */
+const isMfaRequiredForRole = (role) => MFA_REQUIRED_ROLES.includes(role);
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * TOTP multi-factor authentication.
+ * Enrollment stores a new secret (encrypted through the field-encryption layer,
+ * bound to the username) and turns MFA on once the user proves their app has it.
+ * Each code is accepted once (users.mfaLastUsedStep); recovery codes are stored
+ * hashed and are single-use.
+ */
+class MfaService {
+  constructor(encryptionService) {
+    this.encryptionService = encryptionService;
+  }
+
+  secretContext(user) {
+    return { table: 'users', field: SECRET_FIELD, rowId: user.username, keyScope: SECRET_KEY_SCOPE };
+  }
+
+  async readSecret(user) {
+    if (!user.totpSecret_encrypted) return null;
+    try {
+      return await this.encryptionService.decryptField(user.totpSecret_encrypted, this.secretContext(user));
+    } catch (error) {
+      // Never fall back to a label here: an unreadable secret must not verify anything
+      console.error(`❌ Cannot read TOTP secret of user ${user.username}: ${error.message}`);
+      throw createError(503, 'MFA is temporarily unavailable');
+    }
+  }
+
+  /**
+   * MFA state of a user
+   * @param {Object} user - users row
+   * @returns {Object} - { enabled, required, enrollmentPending, recoveryCodesRemaining }
+   */
+  async status(user) {
+    const { remaining } = await getQuery(
+      'SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE userId = ? AND usedAt IS NULL',
+      [user.id]
+    );
+    return {
+      enabled: !!user.mfaEnabled,
+      required: isMfaRequiredForRole(user.role),
+      enrollmentPending: !user.mfaEnabled && !!user.totpSecret_encrypted,
+      recoveryCodesRemaining: user.mfaEnabled ? remaining : 0
+    };
+  }
+
+  /**
+   * Generate and store a new secret; MFA stays off until activate()
+   * @param {Object} user - users row
+   * @returns {Object} - { secret, otpauthUrl }
+   */
+  async startEnrollment(user) {
+    if (user.mfaEnabled) {
+      throw createError(409, 'MFA is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    const encryptedSecret = await this.encryptionService.encryptField(secret, this.secretContext(user));
+    await runQuery(
+      'UPDATE users SET totpSecret_encrypted = ?, mfaLastUsedStep = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [encryptedSecret, user.id]
+    );
+
+    return {
+      secret,
+      otpauthUrl: totp.provisioningUri({ secret, account: user.username, issuer: MFA_ISSUER })
+    };
+  }
+
+  /**
+   * Turn MFA on with a code from the newly enrolled app
+   * @param {Object} user - users row
+   * @param {string} code - Current TOTP code
+   * @returns {string[]} - Recovery codes (shown once)
+   */
+  async activate(user, code) {
+    if (user.mfaEnabled) {
+      throw createError(409, 'MFA is already enabled');
+    }
+    if (!user.totpSecret_encrypted) {
+      throw createError(409, 'Start MFA enrollment first');
+    }
+    if (!await this.verifyCode(user, code)) {
+      throw createError(400, 'Invalid authentication code');
+    }
+
+    await runQuery(
+      'UPDATE users SET mfaEnabled = 1, mfaEnabledAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [user.id]
+    );
+    console.log(`🔐 MFA enabled for user ${user.username}`);
+    return this.regenerateRecoveryCodes(user);
+  }
+
+  /**
+   * Check a TOTP code; a code (time step) that was already used is rejected
+   * @param {Object} user - users row
+   * @param {string} code - Code entered by the user
+   * @returns {boolean}
+   */
+  async verifyCode(user, code) {
+    const secret = await this.readSecret(user);
+    if (!secret) return false;
+
+    const step = totp.matchStep(secret, code);
+    if (step === null) return false;
+
+    // Conditional update so two requests with the same code cannot both succeed
+    const result = await runQuery(
+      'UPDATE users SET mfaLastUsedStep = ? WHERE id = ? AND (mfaLastUsedStep IS NULL OR mfaLastUsedStep < ?)',
+      [step, user.id, step]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {Object} user - users row
+   * @param {string} recoveryCode - Code entered by the user
+   * @returns {boolean}
+   */
+  async useRecoveryCode(user, recoveryCode) {
+    if (!normalizeRecoveryCode(recoveryCode)) return false;
+
+    const result = await runQuery(
+      `UPDATE mfa_recovery_codes SET usedAt = CURRENT_TIMESTAMP
+       WHERE userId = ? AND codeHash = ? AND usedAt IS NULL`,
+      [user.id, hashRecoveryCode(recoveryCode)]
+    );
+    if (result.changes === 1) {
+      console.log(`🔑 Recovery code used by user ${user.username}`);
+    }
+    return result.changes === 1;
+  }
+
+  /**
+   * Second login step: a TOTP code or a recovery code
+   * @param {Object} user - users row
+   * @param {Object} proof - { code } or { recoveryCode }
+   * @returns {boolean}
+   */
+  async verifyLogin(user, { code, recoveryCode }) {
+    if (!user.mfaEnabled) return false;
+    if (recoveryCode) return this.useRecoveryCode(user, recoveryCode);
+    return this.verifyCode(user, code);
+  }
+
+  /**
+   * Replace all recovery codes of a user
+   * @param {Object} user - users row
+   * @returns {string[]} - New codes (shown once, stored hashed)
+   */
+  async regenerateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = totp.base32Encode(crypto.randomBytes(5)).toLowerCase();
+      return `${raw.substring(0, 4)}-${raw.substring(4)}`;
+    });
+
+    await runQuery('DELETE FROM mfa_recovery_codes WHERE userId = ?', [user.id]);
+    await runQuery(
+      `INSERT INTO mfa_recovery_codes (userId, codeHash) VALUES ${codes.map(() => '(?, ?)').join(', ')}`,
+      codes.flatMap(code => [user.id, hashRecoveryCode(code)])
+    );
+    return codes;
+  }
+
+  /**
+   * Turn MFA off and forget the secret and recovery codes (user opt-out or admin reset)
+   * @param {Object} user - users row
+   */
+  async disable(user) {
+    await runQuery(
+      `UPDATE users SET mfaEnabled = 0, totpSecret_encrypted = NULL, mfaLastUsedStep = NULL, mfaEnabledAt = NULL,
+       updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [user.id]
+    );
+    await runQuery('DELETE FROM mfa_recovery_codes WHERE userId = ?', [user.id]);
+    console.log(`🔓 MFA disabled for user ${user.username}`);
+  }
+
+  /**
+   * Users of MFA-required roles who have not enrolled yet, for admins
+   * @returns {Object[]}
+   */
+  async listUnenrolled() {
+    if (MFA_REQUIRED_ROLES.length === 0) return [];
+    return allQuery(
+      `SELECT id, username, role, lastLogin FROM users
+       WHERE isActive = 1 AND mfaEnabled = 0 AND role IN (${MFA_REQUIRED_ROLES.map(() => '?').join(', ')})
+       ORDER BY username`,
+      MFA_REQUIRED_ROLES
+    );
+  }
+}
+
+module.exports = {
+  MfaService,
+  MFA_REQUIRED_ROLES,
+  isMfaRequiredForRole
+};
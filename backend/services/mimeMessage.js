@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Header values must not start new header lines
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+// RFC 2047 encoded-word for non-ASCII header text (subjects)
+const encodeHeader = (value) => {
+  const text = headerValue(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+};
+
+// Base64 body wrapped at 76 characters per line
+const base64Body = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+const bareAddress = (address) => {
+  const match = String(address).match(/<([^>]+)>/);
+  return headerValue(match ? match[1] : address);
+};
+
+/**
+ * Build an RFC 5322 message with text and HTML alternatives
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Object} - { messageId, raw } (raw uses CRLF line endings)
+ */
+const buildMimeMessage = ({ from, to, subject, text, html }) => {
+  const domain = bareAddress(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  const boundary = `=_alt_${crypto.randomBytes(12).toString('hex')}`;
+
+  const lines = [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+    ''
+  ];
+
+  return { messageId, raw: lines.join('\r\n') };
+};
+
+module.exports = {
+  buildMimeMessage,
+  bareAddress
+};
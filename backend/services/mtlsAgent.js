@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const https = require('https');
+const tls = require('tls');
+
+// CCM provisions the enclave certificate here
+const DEFAULT_CERT_PATH = '/opt/fortanix/enclave-os/default_cert/app_public.pem';
+const DEFAULT_KEY_PATH = '/opt/fortanix/enclave-os/default_cert/app_private.pem';
+const RELOAD_DEBOUNCE_MS = 1000;
+const OLD_AGENT_DRAIN_MS = 30000;
+
+/**
+ * Keep-alive HTTPS agent presenting the enclave client certificate (mTLS).
+ * The agent is built once and rebuilt when the certificate, key or CA file
+ * changes on disk (CCM rotates the enclave certificate), emitting 'reload'.
+ * The DSM server certificate is always verified: against the pinned DSM CA (caPath)
+ * when one is set, otherwise against the system trust store. Skipping the check
+ * needs an explicit FORTANIX_TLS_REJECT_UNAUTHORIZED=false.
+ */
+class MtlsAgent extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.certPath = options.certPath || process.env.FORTANIX_CLIENT_CERT_PATH || DEFAULT_CERT_PATH;
+    this.keyPath = options.keyPath || process.env.FORTANIX_CLIENT_KEY_PATH || DEFAULT_KEY_PATH;
+    this.caPath = options.caPath || process.env.FORTANIX_CA_CERT_PATH || null;
+    const rejectSetting = options.rejectUnauthorized ?? process.env.FORTANIX_TLS_REJECT_UNAUTHORIZED;
+    this.rejectUnauthorized = String(rejectSetting) !== 'false';
+    if (!this.rejectUnauthorized) {
+      console.warn('⚠️ FORTANIX_TLS_REJECT_UNAUTHORIZED=false: the DSM server certificate is NOT verified');
+    }
+    this.watchIntervalMs = options.watchIntervalMs || parseInt(process.env.FORTANIX_CERT_WATCH_INTERVAL_MS || '5000');
+    this.maxSockets = options.maxSockets || parseInt(process.env.DSM_MAX_CONCURRENT_REQUESTS || '8');
+
+    this.agent = null;
+    this.credentials = null;
+    this.certificate = null;
+    this.loadedAt = null;
+    this.reloads = 0;
+    this.watching = false;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Files the agent is built from
+   * @returns {string[]}
+   */
+  watchedPaths() {
+    return [this.certPath, this.keyPath, this.caPath].filter(Boolean);
+  }
+
+  /**
+   * List required files that do not exist
+   * @returns {string[]} - "type: path" entries
+   */
+  missingFiles() {
+    const files = { cert: this.certPath, key: this.keyPath, ca: this.caPath };
+    return Object.entries(files)
+      .filter(([, path]) => path && !fs.existsSync(path))
+      .map(([type, path]) => `${type}: ${path}`);
+  }
+
+  /**
+   * Read the files and build a new agent
+   * The cert/key pair is validated first, so a half-written rotation never replaces a working agent.
+   */
+  load() {
+    const missing = this.missingFiles();
+    if (missing.length > 0) {
+      throw new Error(`Certificate files not found: ${missing.join(', ')}. Trusted CA authentication requires certificates to be present in the confidential computing environment.`);
+    }
+
+    const material = {
+      cert: fs.readFileSync(this.certPath),
+      key: fs.readFileSync(this.keyPath),
+      ...(this.caPath && { ca: fs.readFileSync(this.caPath) })
+    };
+    tls.createSecureContext(material);
+
+    const previous = this.agent;
+    this.agent = new https.Agent({
+      ...material,
+      rejectUnauthorized: this.rejectUnauthorized,
+      keepAlive: true,
+      maxSockets: this.maxSockets
+    });
+    this.credentials = material;
+    this.certificate = new crypto.X509Certificate(material.cert);
+    this.loadedAt = new Date().toISOString();
+
+    if (previous) {
+      // Give requests already on the old agent time to finish before closing its sockets
+      setTimeout(() => previous.destroy(), OLD_AGENT_DRAIN_MS).unref();
+    }
+    return this.agent;
+  }
+
+  /**
+   * Get the current agent, building it on first use
+   * @returns {https.Agent}
+   */
+  getAgent() {
+    if (!this.agent) {
+      this.load();
+      this.watch();
+    }
+    return this.agent;
+  }
+
+  /**
+   * Rebuild the agent whenever a certificate file changes
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    for (const path of this.watchedPaths()) {
+      fs.watchFile(path, { interval: this.watchIntervalMs, persistent: false }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+        // Certificate and key are usually replaced together - reload once
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(path), RELOAD_DEBOUNCE_MS);
+        this.reloadTimer.unref();
+      });
+    }
+  }
+
+  reload(changedPath) {
+    try {
+      this.load();
+      this.reloads++;
+      console.log(`🔁 Reloaded mTLS certificate after ${changedPath} changed (valid until ${this.certificate.validTo})`);
+      this.emit('reload', this.getStatus());
+    } catch (error) {
+      // Keep the working agent; the next change triggers another attempt
+      console.error(`❌ mTLS certificate reload failed, keeping the current certificate: ${error.message}`);
+    }
+  }
+
+  stop() {
+    for (const path of this.watchedPaths()) {
+      fs.unwatchFile(path);
+    }
+    clearTimeout(this.reloadTimer);
+    this.watching = false;
+    if (this.agent) {
+      this.agent.destroy();
+      this.agent = null;
+      this.credentials = null;
+    }
+  }
+
+  /**
+   * Certificate details for health checks and logs
+   */
+  getStatus() {
+    return {
+      certPath: this.certPath,
+      keyPath: this.keyPath,
+      caPath: this.caPath,
+      rejectUnauthorized: this.rejectUnauthorized,
+      subject: this.certificate?.subject || null,
+      validTo: this.certificate?.validTo || null,
+      fingerprint256: this.certificate?.fingerprint256 || null,
+      loadedAt: this.loadedAt,
+      reloads: this.reloads
+    };
+  }
+}
+
+module.exports = MtlsAgent;
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { runQuery, getQuery, userService } = require('../database/db');
+const { getPasswordService } = require('./passwordService');
+const { getSessionService } = require('./sessionService');
+
+const STATE_TTL_SECONDS = 600;
+const HANDOFF_TTL_SECONDS = 60;
+const HTTP_TIMEOUT_MS = 10000;
+// Accepted difference between our clock and the identity provider's
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+const csv = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * OIDC settings from the environment; null when single sign-on is not configured
+ * @returns {Object|null}
+ */
+const oidcConfigFromEnv = () => {
+  if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID || !process.env.OIDC_REDIRECT_URI) return null;
+  return {
+    issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid profile email',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    adminGroups: csv(process.env.OIDC_ADMIN_GROUPS),
+    staffGroups: csv(process.env.OIDC_STAFF_GROUPS),
+    providerName: process.env.OIDC_PROVIDER_NAME || 'City SSO',
+    postLoginUrl: process.env.OIDC_POST_LOGIN_URL || '/'
+  };
+};
+
+/**
+ * OpenID Connect single sign-on for city staff.
+ * The backend is the OIDC client: it runs the authorization code flow with
+ * PKCE (S256), keeps the verifier and nonce in oidc_login_states, checks the
+ * ID token signature against the provider's JWKS, and maps the groups claim
+ * to the admin or staff role. Users are created on their first SSO login and
+ * linked by (issuer, subject); role and profile are refreshed on every login,
+ * so removing someone from the groups takes their access away.
+ * The browser gets back a one-time handoff code (in the URL fragment) that the
+ * React app exchanges for a normal session.
+ */
+class OidcService {
+  constructor(config) {
+    this.config = config;
+    this.discovery = null;
+    this.keys = new Map();
+  }
+
+  get providerName() {
+    return this.config.providerName;
+  }
+
+  // Where the app sends the browser to start a login (next to the callback, so it also works when the app is served elsewhere in development)
+  get loginUrl() {
+    return new URL('/api/auth/oidc/login', this.config.redirectUri).toString();
+  }
+
+  async discover() {
+    if (!this.discovery) {
+      const response = await axios.get(`${this.config.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+      if (response.data.issuer !== this.config.issuer) {
+        throw new Error(`Discovery document is for issuer ${response.data.issuer}, expected ${this.config.issuer}`);
+      }
+      this.discovery = response.data;
+    }
+    return this.discovery;
+  }
+
+  /**
+   * Signing key for an ID token; the key set is fetched again for an unknown kid (key rollover)
+   * @param {string} kid - Key id from the token header
+   * @returns {crypto.KeyObject}
+   */
+  async signingKey(kid) {
+    if (!this.keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+      this.keys = new Map(
+        (response.data.keys || [])
+          .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+          .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+      );
+    }
+    if (!this.keys.has(kid)) {
+      throw createError(401, 'ID token is signed with an unknown key');
+    }
+    return this.keys.get(kid);
+  }
+
+  /**
+   * Start a login: store state, nonce and PKCE verifier and build the authorization URL
+   * @returns {string} - URL to redirect the browser to
+   */
+  async authorizationUrl() {
+    const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+
+    await runQuery('DELETE FROM oidc_login_states WHERE expiresAt < ?', [new Date().toISOString()]);
+    await runQuery(
+      'INSERT INTO oidc_login_states (state, codeVerifier, nonce, expiresAt) VALUES (?, ?, ?, ?)',
+      [state, codeVerifier, nonce, new Date(Date.now() + STATE_TTL_SECONDS * 1000).toISOString()]
+    );
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: base64url(sha256(codeVerifier)),
+      code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+  }
+
+  /**
+   * Finish a login from the provider's redirect
+   * @param {Object} params - { code, state } from the callback query
+   * @returns {Object} - ID token claims
+   */
+  async completeLogin({ code, state }) {
+    // Each state can be used once; only the request that deletes it goes on
+    const pending = state ? await getQuery('SELECT * FROM oidc_login_states WHERE state = ?', [state]) : null;
+    const claimed = pending && (await runQuery('DELETE FROM oidc_login_states WHERE state = ?', [state])).changes === 1;
+    if (!claimed || new Date(pending.expiresAt) <= new Date()) {
+      throw createError(400, 'SSO login expired or was started elsewhere - please try again');
+    }
+    if (!code) {
+      throw createError(400, 'No authorization code in the SSO response');
+    }
+
+    const { token_endpoint: tokenEndpoint } = await this.discover();
+    let tokens;
+    try {
+      const response = await axios.post(tokenEndpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.config.redirectUri,
+        client_id: this.config.clientId,
+        code_verifier: pending.codeVerifier,
+        ...(this.config.clientSecret && { client_secret: this.config.clientSecret })
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: HTTP_TIMEOUT_MS
+      });
+      tokens = response.data;
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      console.error(`❌ OIDC token exchange failed: ${reason}`);
+      throw createError(502, 'The identity provider rejected the login');
+    }
+
+    return this.verifyIdToken(tokens.id_token, pending.nonce);
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+    if (!decoded) {
+      throw createError(502, 'The identity provider returned no ID token');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, await this.signingKey(decoded.header.kid), {
+        algorithms: ['RS256'],
+        issuer: this.config.issuer,
+        audience: this.config.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw createError(401, `Invalid ID token: ${error.message}`);
+    }
+    if (claims.nonce !== nonce) {
+      throw createError(401, 'Invalid ID token: nonce mismatch');
+    }
+    return claims;
+  }
+
+  /**
+   * Role granted by the provider's groups; admin wins over staff
+   * @param {Object} claims - ID token claims
+   * @returns {string|null} - 'admin', 'staff' or null (no access)
+   */
+  roleForClaims(claims) {
+    const value = claims[this.config.groupsClaim];
+    const groups = Array.isArray(value) ? value : csv(value);
+    if (groups.some(group => this.config.adminGroups.includes(group))) return 'admin';
+    if (groups.some(group => this.config.staffGroups.includes(group))) return 'staff';
+    return null;
+  }
+
+  /**
+   * Find or create the local user for verified claims
+   * @param {Object} claims - ID token claims
+   * @returns {Object} - users row
+   */
+  async provisionUser(claims) {
+    const role = this.roleForClaims(claims);
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const profile = {
+      role,
+      firstName: claims.given_name || String(claims.name || '').split(' ')[0] || 'SSO',
+      lastName: claims.family_name || String(claims.name || '').split(' ').slice(1).join(' ') || 'User',
+      email
+    };
+
+    const existing = await userService.getByOidcSubject(this.config.issuer, claims.sub);
+    if (!role) {
+      if (existing) {
+        // Taken out of the groups: end the sessions that are still running
+        await getSessionService().revokeAllForUser(existing.id, 'SSO access removed');
+      }
+      throw createError(403, 'Your account is not in a group with access to this application');
+    }
+    if (!email) {
+      throw createError(403, 'The identity provider did not supply an email address');
+    }
+
+    if (existing) {
+      if (!existing.isActive) {
+        throw createError(403, 'This account has been deactivated');
+      }
+      return userService.updateSsoProfile(existing.id, profile);
+    }
+
+    const username = String(claims.preferred_username || email).toLowerCase();
+    // Never take over a local account (e.g. the break-glass admin) because a name or email matches
+    if (await userService.findConflicting(username, email)) {
+      throw createError(409, 'A local account with this username or email already exists - ask an administrator to link it');
+    }
+
+    const passwordHash = await getPasswordService().hash(crypto.randomBytes(32).toString('hex'));
+    const user = await userService.createSsoUser({
+      ...profile,
+      username,
+      passwordHash,
+      oidcIssuer: this.config.issuer,
+      oidcSubject: claims.sub
+    });
+    console.log(`👤 Provisioned SSO user ${username} (${role})`);
+    return user;
+  }
+
+  /**
+   * One-time code the React app exchanges for a session
+   * @param {Object} user - users row
+   * @returns {string}
+   */
+  async createHandoff(user) {
+    const code = base64url(crypto.randomBytes(32));
+    await runQuery('DELETE FROM oidc_handoffs WHERE expiresAt < ?', [new Date().toISOString()]);
+    await runQuery(
+      'INSERT INTO oidc_handoffs (codeHash, userId, expiresAt) VALUES (?, ?, ?)',
+      [sha256(code).toString('hex'), user.id, new Date(Date.now() + HANDOFF_TTL_SECONDS * 1000).toISOString()]
+    );
+    return code;
+  }
+
+  /**
+   * Redeem a handoff code
+   * @param {string} code - Code from createHandoff()
+   * @returns {number} - users.id
+   */
+  async redeemHandoff(code) {
+    const codeHash = sha256(String(code || '')).toString('hex');
+    const result = await runQuery(
+      'UPDATE oidc_handoffs SET usedAt = CURRENT_TIMESTAMP WHERE codeHash = ? AND usedAt IS NULL AND expiresAt > ?',
+      [codeHash, new Date().toISOString()]
+    );
+    if (result.changes !== 1) {
+      throw createError(401, 'SSO login expired - please sign in again');
+    }
+    const { userId } = await getQuery('SELECT userId FROM oidc_handoffs WHERE codeHash = ?', [codeHash]);
+    return userId;
+  }
+
+  /**
+   * Where the browser goes after the callback, with the outcome in the fragment
+   * @param {Object} result - { code } or { error }
+   * @returns {string}
+   */
+  postLoginUrl({ code, error }) {
+    const fragment = code ? `sso=${encodeURIComponent(code)}` : `sso_error=${encodeURIComponent(error)}`;
+    return `${this.config.postLoginUrl}#${fragment}`;
+  }
+}
+
+let oidcService;
+
+/**
+ * The SSO client (created on first use)
+ * @returns {OidcService|null} - null when OIDC_* is not configured
+ */
+const getOidcService = () => {
+  if (oidcService === undefined) {
+    const config = oidcConfigFromEnv();
+    oidcService = config ? new OidcService(config) : null;
+  }
+  return oidcService;
+};
+
+module.exports = {
+  OidcService,
+  getOidcService
+};
@@ -0,0 +1,48 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { buildMimeMessage } = require('./mimeMessage');
+
+/**
+ * Mail transport that writes messages to a local directory instead of sending them,
+ * for development and offline installs. Each message is stored twice: as a .eml file
+ * (opens in any mail client) and as .json with the rendered text and HTML, which is
+ * what tests and scripts read to follow the links.
+ */
+class OutboxMailTransport {
+  constructor() {
+    this.name = 'outbox';
+    this.directory = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'));
+  }
+
+  get endpoint() {
+    return this.directory;
+  }
+
+  /**
+   * Store a message
+   * @param {Object} message - { from, to, subject, text, html, template }
+   * @returns {Object} - { messageId, file }
+   */
+  async send(message) {
+    const { messageId, raw } = buildMimeMessage(message);
+    const sentAt = new Date().toISOString();
+    const baseName = `${sentAt.replace(/[:.]/g, '-')}-${message.template || 'message'}-${messageId.slice(1, 9)}`;
+
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    await fs.writeFile(path.join(this.directory, `${baseName}.eml`), raw, { mode: 0o600 });
+    await fs.writeFile(path.join(this.directory, `${baseName}.json`), JSON.stringify({
+      messageId,
+      sentAt,
+      template: message.template || null,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    }, null, 2), { mode: 0o600 });
+
+    return { messageId, file: path.join(this.directory, `${baseName}.eml`) };
+  }
+}
+
+module.exports = OutboxMailTransport;
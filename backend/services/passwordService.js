@@ -0,0 +1,111 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+const BCRYPT_PREFIX = /^\$2[aby]\$\d{2}\$/;
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const COMMON_PASSWORDS = ['password', 'passw0rd', 'qwerty', 'letmein', 'welcome', 'admin', 'secure', 'changeme', 'springfield', '123456789012'];
+
+/**
+ * Password hashing (bcrypt) and password policy.
+ * Rows written before hashing hold the plaintext; verify() still accepts them
+ * and reports needsRehash so the caller can replace them on the next login.
+ */
+class PasswordService {
+  constructor() {
+    this.rounds = parseInt(process.env.BCRYPT_ROUNDS || '12');
+    this.minLength = parseInt(process.env.PASSWORD_MIN_LENGTH || '12');
+    this.dummyHash = null;
+  }
+
+  async hash(password) {
+    return bcrypt.hash(password, this.rounds);
+  }
+
+  /**
+   * Check a password against the stored value
+   * @param {string|null} stored - bcrypt hash or legacy plaintext; null for unknown users
+   * @param {string} password - Candidate password
+   * @returns {Object} - { valid, needsRehash }
+   */
+  async verify(stored, password) {
+    if (!stored) {
+      // Spend the same time as for a real user so usernames cannot be probed by timing
+      this.dummyHash = this.dummyHash || await this.hash(crypto.randomBytes(16).toString('hex'));
+      await bcrypt.compare(password, this.dummyHash);
+      return { valid: false, needsRehash: false };
+    }
+
+    if (!BCRYPT_PREFIX.test(stored)) {
+      const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+      const valid = crypto.timingSafeEqual(digest(stored), digest(password));
+      return { valid, needsRehash: valid };
+    }
+
+    const valid = await bcrypt.compare(password, stored);
+    return { valid, needsRehash: valid && bcrypt.getRounds(stored) < this.rounds };
+  }
+
+  /**
+   * Check a new password against the policy
+   * @param {string} password - New password
+   * @param {Object} context - { username }
+   * @returns {string[]} - Violations (empty when the password is acceptable)
+   */
+  validate(password, { username = null } = {}) {
+    if (typeof password !== 'string' || password.length === 0) {
+      return ['Password is required'];
+    }
+
+    const errors = [];
+    if (password.length < this.minLength) {
+      errors.push(`Password must be at least ${this.minLength} characters`);
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+      errors.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes`);
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+    if (classes < 3) {
+      errors.push('Password must contain at least three of: lowercase letters, uppercase letters, digits, symbols');
+    }
+
+    const lowered = password.toLowerCase();
+    if (username && lowered.includes(String(username).toLowerCase())) {
+      errors.push('Password must not contain the username');
+    }
+    if (COMMON_PASSWORDS.includes(lowered.replace(/[\d\W_]+$/, ''))) {
+      errors.push('Password is too common');
+    }
+    return errors;
+  }
+
+  /**
+   * Random password that satisfies the policy, for admin resets
+   * @returns {string}
+   */
+  generateTemporary() {
+    for (;;) {
+      const candidate = crypto.randomBytes(48).toString('base64url').substring(0, Math.max(this.minLength, 16));
+      if (this.validate(candidate).length === 0) return candidate;
+    }
+  }
+}
+
+let passwordService = null;
+
+/**
+ * The password service used by the application (created on first use)
+ * @returns {PasswordService}
+ */
+const getPasswordService = () => {
+  if (!passwordService) {
+    passwordService = new PasswordService();
+  }
+  return passwordService;
+};
+
+module.exports = {
+  PasswordService,
+  getPasswordService
+};
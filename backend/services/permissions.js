@@ -0,0 +1,145 @@
+// Actions a role may perform. Routes check these with requirePermission (middleware/auth).
+// Citizen records are row-scoped: users without access-all-citizens only reach
+// the citizen record linked to their account (users.citizenId) and its service requests.
+const PERMISSIONS = [
+  'read-catalog',           // service types and agencies
+  'read-citizens',          // citizen records (own record only without access-all-citizens)
+  'access-all-citizens',    // lifts row scoping
+  'read-citizen-pii',       // decrypted PII, subject to the role's masking profile
+  'manage-citizens',        // register and update citizens
+  'erase-citizens',         // right-to-erasure and erasure certificates
+  'read-requests',
+  'create-requests',
+  'use-portal',             // citizen self-service portal (own profile, requests and payments)
+  'update-request-status',
+  'view-dashboard',
+  'view-revenue',
+  'manage-keys',            // key rotation
+  'view-pii-access-log',
+  'view-security-events',   // logins, lockouts, unlocks
+  'manage-users',
+  'manage-api-keys'         // service-to-service API keys
+];
+
+// Case work shared by the staff roles; they differ in how much PII they see (services/piiMasking)
+const CASEWORK_PERMISSIONS = [
+  'read-catalog',
+  'read-citizens',
+  'access-all-citizens',
+  'read-citizen-pii',
+  'manage-citizens',
+  'read-requests',
+  'create-requests',
+  'update-request-status',
+  'view-dashboard'
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  supervisor: [...CASEWORK_PERMISSIONS, 'view-revenue'],
+  staff: CASEWORK_PERMISSIONS,
+  clerk: CASEWORK_PERMISSIONS,
+  // Reporting without PII: records come back with public columns only
+  analyst: [
+    'read-catalog',
+    'read-citizens',
+    'access-all-citizens',
+    'read-requests',
+    'view-dashboard',
+    'view-revenue'
+  ],
+  citizen: [
+    'read-catalog',
+    'read-citizens',
+    'read-citizen-pii',
+    'read-requests',
+    'create-requests',
+    'use-portal'
+  ]
+};
+
+// Scopes an API key can be given (services/apiKeyService) and the permissions each one grants.
+// Keys act for a system, not a citizen, so reading requests lifts citizen row scoping;
+// a key limited to an agency only reaches that agency's requests (see agencyScope).
+const API_KEY_SCOPES = {
+  'catalog:read': ['read-catalog'],
+  'service-requests:read': ['read-requests', 'access-all-citizens'],
+  'service-requests:write': ['create-requests', 'update-request-status', 'access-all-citizens'],
+  'citizens:read': ['read-citizens', 'access-all-citizens'],
+  'citizen-pii:read': ['read-citizen-pii']
+};
+// Scopes that reach citizens outside any agency, so they cannot be limited to one
+const UNSCOPED_API_KEY_SCOPES = ['citizens:read'];
+
+/**
+ * Permissions granted by API key scopes
+ * @param {string[]} scopes - Entries of API_KEY_SCOPES
+ * @returns {string[]}
+ */
+const permissionsForScopes = (scopes) => [...new Set(scopes.flatMap(scope => API_KEY_SCOPES[scope] || []))];
+
+/**
+ * Permissions of a role (none for unknown roles)
+ * @param {string} role - users.role
+ * @returns {string[]}
+ */
+const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a role has a permission
+ * @param {string} role - users.role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => permissionsForRole(role).includes(permission);
+
+/**
+ * Whether an authenticated caller has a permission
+ * API keys carry the permissions of their scopes; users have those of their role.
+ * @param {Object} user - req.user
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const userHasPermission = (user, permission) => (user?.apiKeyId ? user.permissions : permissionsForRole(user?.role)).includes(permission);
+
+/**
+ * Citizen record a user is limited to
+ * @param {Object} user - req.user
+ * @returns {number|null} - citizens.id the user may access (0 when no record is linked), null when not limited
+ */
+const citizenScope = (user) => {
+  if (userHasPermission(user, 'access-all-citizens')) return null;
+  return user?.citizenId || 0;
+};
+
+/**
+ * Agency a caller is limited to (API keys issued for one agency)
+ * @param {Object} user - req.user
+ * @returns {number|null} - government_agencies.id, null when not limited
+ */
+const agencyScope = (user) => user?.agencyId || null;
+
+/**
+ * Whether a user may access a citizen record
+ * @param {Object} user - req.user
+ * @param {number} citizenRowId - citizens.id
+ * @returns {boolean}
+ */
+const canAccessCitizen = (user, citizenRowId) => {
+  const scope = citizenScope(user);
+  return scope === null || (scope > 0 && scope === citizenRowId);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  UNSCOPED_API_KEY_SCOPES,
+  permissionsForRole,
+  permissionsForScopes,
+  hasPermission,
+  userHasPermission,
+  citizenScope,
+  agencyScope,
+  canAccessCitizen
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { runQuery, getQuery, allQuery } = require('../database/db');
+const { getRequestContext } = require('../middleware/requestContext');
+
+// Column holding the public id of the citizen a decrypted row belongs to
+const OWNER_FIELDS = {
+  citizens: 'citizenId',
+  service_requests: 'citizenNumber'
+};
+const GENESIS_HASH = '0'.repeat(64);
+const INSERT_CHUNK = 50;
+const BACKGROUND_FLUSH_MS = 1000;
+const VERIFY_PAGE_SIZE = 1000;
+const CHAINED_COLUMNS = ['accessedAt', 'actor', 'actorRole', 'citizenId', 'fields', 'endpoint', 'purpose', 'requestId'];
+
+/**
+ * Tamper-evident log of PII decryption ("who read whose PII").
+ * Decrypted fields are collected per request and citizen and written in one
+ * batch when the response finishes or the connection closes (a client that
+ * aborts still gets its reads logged); decryption outside a request (startup
+ * re-indexing, jobs) is logged as 'system' and flushed shortly after.
+ * Every entry stores the hash of the previous one, so editing or deleting an
+ * entry breaks the chain from that point on (see verify()).
+ */
+class PiiAccessLogService {
+  constructor() {
+    this.lastHash = null;
+    this.writes = Promise.resolve();
+    this.background = new Map();
+    this.backgroundTimer = null;
+  }
+
+  async initialize() {
+    this.lastHash = await this.chainHead();
+  }
+
+  async chainHead() {
+    const last = await getQuery('SELECT hash FROM pii_access_log ORDER BY id DESC LIMIT 1');
+    return last ? last.hash : GENESIS_HASH;
+  }
+
+  /**
+   * Note that fields of a row were decrypted
+   * @param {string} tableName - Table the row belongs to
+   * @param {Object} row - Row as read (carries the owner's public citizen id)
+   * @param {string[]} fields - Fields that were decrypted
+   */
+  record(tableName, row, fields) {
+    const citizenId = row[OWNER_FIELDS[tableName]];
+    if (!citizenId || fields.length === 0) return;
+
+    const context = getRequestContext();
+    let pending = this.background;
+    if (context) {
+      if (!context.piiAccess) {
+        context.piiAccess = new Map();
+        if (!context.responseClosed) {
+          const flush = () => this.flushRequest(context);
+          context.res.once('finish', flush);
+          context.res.once('close', flush);
+        }
+      }
+      pending = context.piiAccess;
+    } else if (!this.backgroundTimer) {
+      this.backgroundTimer = setTimeout(() => this.flushBackground(), BACKGROUND_FLUSH_MS);
+      this.backgroundTimer.unref();
+    }
+
+    if (!pending.has(citizenId)) pending.set(citizenId, new Set());
+    const citizenFields = pending.get(citizenId);
+    fields.forEach(field => citizenFields.add(`${tableName}.${field}`));
+
+    // Decryption that completes after the response closed is written straight away
+    if (context && context.responseClosed) {
+      this.flushRequest(context);
+    }
+  }
+
+  /**
+   * Write the request's batch once ('finish' and 'close' both call this)
+   */
+  flushRequest(context) {
+    const pending = context.piiAccess;
+    context.piiAccess = null;
+    context.responseClosed = true;
+    if (!pending) return;
+
+    const user = context.req.user;
+    this.write(pending, {
+      actor: user?.username || 'anonymous',
+      actorRole: user?.role || null,
+      endpoint: context.endpoint,
+      purpose: context.purpose,
+      requestId: context.requestId
+    });
+  }
+
+  flushBackground() {
+    const pending = this.background;
+    this.background = new Map();
+    this.backgroundTimer = null;
+    this.write(pending, { actor: 'system', actorRole: null, endpoint: null, purpose: null, requestId: null });
+  }
+
+  /**
+   * Append one entry per citizen; writes are serialized so the chain stays linear
+   * @param {Map} pending - citizenId -> Set of fields
+   * @param {Object} access - { actor, actorRole, endpoint, purpose, requestId }
+   */
+  write(pending, access) {
+    if (!pending || pending.size === 0) return this.writes;
+
+    const accessedAt = new Date().toISOString();
+    const entries = [...pending].map(([citizenId, fields]) => ({
+      accessedAt,
+      ...access,
+      citizenId,
+      fields: JSON.stringify([...fields].sort())
+    }));
+
+    this.writes = this.writes.then(() => this.append(entries)).catch(async (error) => {
+      // The log must not take the API down; re-read the chain head so the next batch links correctly
+      console.error(`❌ Failed to write ${entries.length} PII access log entries: ${error.message}`);
+      this.lastHash = await this.chainHead().catch(() => this.lastHash);
+    });
+    return this.writes;
+  }
+
+  async append(entries) {
+    for (let i = 0; i < entries.length; i += INSERT_CHUNK) {
+      const chunk = entries.slice(i, i + INSERT_CHUNK);
+      let previousHash = this.lastHash;
+      const values = [];
+      for (const entry of chunk) {
+        const hash = this.hashEntry(previousHash, entry);
+        values.push(...CHAINED_COLUMNS.map(column => entry[column]), previousHash, hash);
+        previousHash = hash;
+      }
+
+      const placeholders = chunk.map(() => `(${[...CHAINED_COLUMNS, 'prevHash', 'hash'].map(() => '?').join(', ')})`);
+      await runQuery(
+        `INSERT INTO pii_access_log (${CHAINED_COLUMNS.join(', ')}, prevHash, hash) VALUES ${placeholders.join(', ')}`,
+        values
+      );
+      this.lastHash = previousHash;
+    }
+  }
+
+  hashEntry(prevHash, entry) {
+    const canonical = JSON.stringify(CHAINED_COLUMNS.map(column => entry[column] ?? null));
+    return crypto.createHash('sha256').update(`${prevHash}\n${canonical}`).digest('hex');
+  }
+
+  /**
+   * Wait for entries that are queued or being written
+   */
+  async flush() {
+    if (this.backgroundTimer) {
+      clearTimeout(this.backgroundTimer);
+      this.flushBackground();
+    }
+    await this.writes;
+  }
+
+  /**
+   * Query the log, newest first
+   * @param {Object} filters - { citizenId, actor, days, limit }
+   * @returns {Object[]}
+   */
+  async query({ citizenId = null, actor = null, days = 90, limit = 500 } = {}) {
+    await this.flush();
+
+    const conditions = ['accessedAt >= ?'];
+    const params = [new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()];
+    if (citizenId) {
+      conditions.push('citizenId = ?');
+      params.push(citizenId);
+    }
+    if (actor) {
+      conditions.push('actor = ?');
+      params.push(actor);
+    }
+
+    const rows = await allQuery(
+      `SELECT id, ${CHAINED_COLUMNS.join(', ')} FROM pii_access_log
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(row => ({ ...row, fields: JSON.parse(row.fields) }));
+  }
+
+  /**
+   * Recompute the hash chain
+   * Deleting the newest entries leaves a valid but shorter chain; compare head with a previously noted value to detect that.
+   * @returns {Object} - { valid, entries, head, brokenAt: id of the first entry that does not match }
+   */
+  async verify() {
+    await this.flush();
+
+    let previousHash = GENESIS_HASH;
+    let lastId = 0;
+    let entries = 0;
+    for (;;) {
+      const rows = await allQuery(
+        `SELECT id, ${CHAINED_COLUMNS.join(', ')}, prevHash, hash FROM pii_access_log WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, VERIFY_PAGE_SIZE]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (row.prevHash !== previousHash || this.hashEntry(previousHash, row) !== row.hash) {
+          return { valid: false, entries, head: previousHash, brokenAt: row.id };
+        }
+        previousHash = row.hash;
+        entries++;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+    return { valid: true, entries, head: previousHash, brokenAt: null };
+  }
+}
+
+module.exports = PiiAccessLogService;
@@ -0,0 +1,127 @@
+const { getEncryptionPolicy } = require('./encryptionPolicy');
+const { userHasPermission } = require('./permissions');
+
+// What each role may see of decrypted PII:
+//   full   - decrypted values as stored
+//   masked - the mask style the encryption policy gives each field (j***@email.com, ***-0101, 1985)
+//   public - encrypted fields are removed; only public columns remain
+// Keyed on the roles of services/permissions. Unknown or missing roles, and callers
+// without the read-citizen-pii permission, get 'public'.
+const MASKING_PROFILES = ['full', 'masked', 'public'];
+const ROLE_PROFILES = {
+  admin: 'full',
+  supervisor: 'full',
+  staff: 'masked',
+  clerk: 'masked',
+  analyst: 'public',
+  // Row scoping limits citizens to their own record
+  citizen: 'full',
+  // Partner systems with the citizen-pii:read scope
+  'api-key': 'masked'
+};
+
+const maskers = {
+  // John -> J.
+  initial: (value) => `${value.charAt(0).toUpperCase()}.`,
+  // john.smith@email.com -> j***@email.com
+  email: (value) => {
+    const at = value.lastIndexOf('@');
+    return at > 0 ? `${value.charAt(0)}***${value.substring(at)}` : '***';
+  },
+  // 555-0101 -> ***-0101
+  last4: (value) => `***-${value.replace(/\D/g, '').slice(-4)}`,
+  redact: () => '[Redacted]',
+  // 62701 -> 627**
+  prefix3: (value) => `${value.substring(0, 3)}${'*'.repeat(Math.max(value.length - 3, 0))}`,
+  // 1985-03-15 -> 1985
+  year: (value) => (value.match(/\d{4}/) || ['****'])[0]
+};
+
+/**
+ * Mask one value with a policy mask style
+ * Fallback labels such as [Erased] or [Encrypted Email] are left as they are.
+ * @param {string} style - Mask style from the encryption policy
+ * @param {*} value - Decrypted value
+ * @returns {*} - Masked value
+ */
+const maskValue = (style, value) => {
+  if (value === null || value === undefined || value === '') return value;
+  const text = String(value);
+  if (/^\[.*\]$/.test(text)) return text;
+  return (maskers[style] || maskers.redact)(text);
+};
+
+/**
+ * Masking profile for a role
+ * @param {string} role - Caller role
+ * @returns {string} - 'full', 'masked' or 'public'
+ */
+const profileForRole = (role) => ROLE_PROFILES[role] || 'public';
+
+/**
+ * Masking profile for a request
+ * Fails closed: requests without an authenticated caller get 'public'.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getMaskingProfile = (req) => {
+  if (!req.user || !userHasPermission(req.user, 'read-citizen-pii')) {
+    return 'public';
+  }
+  return profileForRole(req.user.role);
+};
+
+/**
+ * Apply a profile to fields of one table in a record
+ */
+const applyProfile = (record, table, fields, profile) => {
+  for (const field of fields) {
+    if (!(field in record)) continue;
+    if (profile === 'public') {
+      delete record[field];
+    } else {
+      record[field] = maskValue(table.masked[field] || 'redact', record[field]);
+    }
+  }
+};
+
+/**
+ * Mask a decrypted record for a profile
+ * Covers the table's encrypted fields and the related fields it carries
+ * (e.g. the citizen's name on a service request).
+ * @param {string} tableName - Table in the encryption policy
+ * @param {Object} record - Decrypted record
+ * @param {string} profile - 'full', 'masked' or 'public'
+ * @returns {Object} - New, masked record
+ */
+const maskRecord = (tableName, record, profile) => {
+  if (!record || profile === 'full') return record;
+
+  const policy = getEncryptionPolicy();
+  const table = policy.table(tableName);
+  const masked = { ...record };
+
+  applyProfile(masked, table, table.encrypted, profile);
+  for (const [relatedTable, fields] of Object.entries(table.related)) {
+    applyProfile(masked, policy.table(relatedTable), fields, profile);
+  }
+  return masked;
+};
+
+/**
+ * Mask a list of decrypted records for a profile
+ * @returns {Object[]}
+ */
+const maskRecords = (tableName, records, profile) => {
+  return records.map(record => maskRecord(tableName, record, profile));
+};
+
+module.exports = {
+  MASKING_PROFILES,
+  ROLE_PROFILES,
+  maskValue,
+  profileForRole,
+  getMaskingProfile,
+  maskRecord,
+  maskRecords
+};
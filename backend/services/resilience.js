@@ -0,0 +1,225 @@
+// Retry, circuit breaker and bulkhead for calls to remote key services.
+// A typical call is bulkhead.run(() => breaker.execute(() => retry(send, options))):
+// the bulkhead caps outstanding requests, the breaker fails fast while the
+// service is down, and retry absorbs short blips for idempotent operations.
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable (circuit open, retry after ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.statusCode = 503;
+    this.isCircuitOpen = true;
+  }
+}
+
+class BulkheadFullError extends Error {
+  constructor(name, maxQueue) {
+    super(`${name} is overloaded (${maxQueue} requests already waiting)`);
+    this.name = 'BulkheadFullError';
+    this.statusCode = 503;
+    this.isBulkheadFull = true;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with full jitter: a random delay up to baseDelayMs * 2^attempt
+ * @param {number} attempt - Zero-based retry number
+ * @returns {number} - Delay in milliseconds
+ */
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  return Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+};
+
+/**
+ * Run an operation, retrying failures that shouldRetry accepts
+ * Only use for idempotent operations.
+ * @param {Function} operation - Async function to run
+ * @param {Object} options - { attempts, baseDelayMs, maxDelayMs, shouldRetry(error), retryAfterMs(error), onRetry(error, attempt, delay) }
+ * @returns {*} - Result of the first successful attempt
+ */
+const retry = async (operation, options = {}) => {
+  const {
+    attempts = 3,
+    baseDelayMs = 100,
+    maxDelayMs = 2000,
+    shouldRetry = () => true,
+    retryAfterMs = () => 0,
+    onRetry = null
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt + 1 >= attempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // Honour a server-requested delay (e.g. Retry-After on 429), capped at maxDelayMs
+      const delay = Math.min(maxDelayMs, Math.max(backoffDelay(attempt, baseDelayMs, maxDelayMs), retryAfterMs(error) || 0));
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Circuit breaker
+ * closed: calls pass through; failureThreshold consecutive failures open it.
+ * open: calls fail immediately with CircuitOpenError until resetTimeoutMs has passed.
+ * half-open: one trial call is let through; success closes the circuit, failure re-opens it.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    // Errors that say nothing about the service's health (e.g. a bad request) do not count
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.stats = { calls: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Run an operation through the breaker
+   * @param {Function} operation - Async function to run
+   */
+  async execute(operation) {
+    this.stats.calls++;
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeoutMs);
+      }
+      this.state = 'half-open';
+      console.log(`🟡 ${this.name} circuit half-open - sending a trial request`);
+    }
+
+    const isTrial = this.state === 'half-open';
+    if (isTrial) {
+      if (this.trialInFlight) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(this.name, Date.now() + this.resetTimeoutMs);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await operation();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🟢 ${this.name} circuit closed - service recovered`);
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.stats.opened++;
+        console.error(`🔴 ${this.name} circuit open after ${this.consecutiveFailures} failure(s) - failing fast for ${this.resetTimeoutMs / 1000}s: ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError,
+      stats: this.stats
+    };
+  }
+}
+
+/**
+ * Bulkhead: at most maxConcurrent operations run at once, the rest wait in a
+ * FIFO queue of at most maxQueue entries
+ */
+class Bulkhead {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.maxConcurrent = options.maxConcurrent || 10;
+    this.maxQueue = options.maxQueue === undefined ? 1000 : options.maxQueue;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run an operation when a slot is free
+   * @param {Function} operation - Async function to run
+   */
+  async run(operation) {
+    if (this.active >= this.maxConcurrent) {
+      if (this.queue.length >= this.maxQueue) {
+        throw new BulkheadFullError(this.name, this.maxQueue);
+      }
+      // The finishing operation hands its slot straight to us
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await operation();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue
+    };
+  }
+}
+
+module.exports = {
+  CircuitOpenError,
+  BulkheadFullError,
+  retry,
+  CircuitBreaker,
+  Bulkhead
+};
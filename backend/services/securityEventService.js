@@ -0,0 +1,64 @@
+const { runQuery, allQuery } = require('../database/db');
+
+/**
+ * Security event log (logins, lockouts, unlocks).
+ * Writing an event never fails the request that caused it; errors are only logged.
+ */
+class SecurityEventService {
+  /**
+   * Record an event
+   * @param {string} eventType - e.g. 'login_succeeded', 'login_failed', 'account_locked'
+   * @param {Object} event - { username, userId, ip, userAgent, details }
+   */
+  async record(eventType, { username = null, userId = null, ip = null, userAgent = null, details = null } = {}) {
+    try {
+      await runQuery(
+        `INSERT INTO security_events (occurredAt, eventType, username, userId, ip, userAgent, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [new Date().toISOString(), eventType, username, userId, ip, userAgent, details ? JSON.stringify(details) : null]
+      );
+    } catch (error) {
+      console.error(`❌ Failed to record security event ${eventType}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query events, newest first
+   * @param {Object} filters - { eventType, username, ip, days, limit }
+   * @returns {Object[]}
+   */
+  async query({ eventType = null, username = null, ip = null, days = 30, limit = 500 } = {}) {
+    const conditions = ['occurredAt >= ?'];
+    const params = [new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()];
+    for (const [column, value] of [['eventType', eventType], ['username', username], ['ip', ip]]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+
+    const rows = await allQuery(
+      `SELECT * FROM security_events WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+  }
+}
+
+let securityEventService = null;
+
+/**
+ * The security event log used by the API (created on first use)
+ * @returns {SecurityEventService}
+ */
+const getSecurityEventService = () => {
+  if (!securityEventService) {
+    securityEventService = new SecurityEventService();
+  }
+  return securityEventService;
+};
+
+module.exports = {
+  SecurityEventService,
+  getSecurityEventService
+};
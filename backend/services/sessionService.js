@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { runQuery, getQuery } = require('../database/db');
+const { permissionsForRole } = require('./permissions');
+const { isMfaRequiredForRole } = require('./mfaService');
+
+const ISSUER = 'citizen-services';
+const ALGORITHM = 'HS256';
+// Access tokens and MFA challenges are signed with the same key, so each carries its own audience
+const ACCESS_AUDIENCE = 'api';
+const MFA_CHALLENGE_AUDIENCE = 'mfa-challenge';
+const MFA_CHALLENGE_TTL_SECONDS = 300;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Login sessions.
+ * A session is a row in auth_sessions; the client holds a short-lived signed
+ * access token (JWT naming the session) and an opaque refresh token, of which
+ * only a hash is stored. Refreshing rotates the refresh token; presenting an
+ * already-rotated one revokes the session, since it means the token was copied.
+ * Every authenticated request checks the session row, so logout and
+ * revocation take effect immediately.
+ */
+class SessionService {
+  constructor() {
+    this.accessTtlSeconds = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900');
+    this.refreshTtlSeconds = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '43200');
+    this.secret = process.env.JWT_SECRET;
+    if (!this.secret) {
+      // Access tokens then only live until restart; clients get a new one with their refresh token
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.log('⚠️  JWT_SECRET not set - using a random signing key for this process');
+    }
+  }
+
+  /**
+   * Start a session for a user who has just authenticated
+   * @param {Object} user - users row
+   * @param {Object} client - { ip, userAgent }
+   * @param {string} authMethod - 'password' or 'oidc' (single sign-on)
+   * @returns {Object} - { accessToken, refreshToken, expiresIn, sessionId }
+   */
+  async create(user, { ip = null, userAgent = null } = {}, authMethod = 'password') {
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    await runQuery(
+      `INSERT INTO auth_sessions (id, userId, refreshTokenHash, ip, userAgent, expiresAt, authMethod)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [sessionId, user.id, sha256(secret), ip, userAgent, this.expiry(this.refreshTtlSeconds), authMethod]
+    );
+
+    return this.tokens(user, sessionId, secret);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * @param {string} refreshToken - '<sessionId>.<secret>'
+   * @returns {Object} - { accessToken, refreshToken, expiresIn, sessionId, user }
+   */
+  async refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = sessionId && secret ? await this.getSession(sessionId) : null;
+
+    if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date() || !session.isActive) {
+      throw createError(401, 'Session expired - please log in again');
+    }
+    if (session.refreshTokenHash !== sha256(secret)) {
+      await this.revoke(sessionId, 'refresh token reuse');
+      console.warn(`🚨 Refresh token reuse for session ${sessionId} (user ${session.username}) - session revoked`);
+      throw createError(401, 'Session expired - please log in again');
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    await runQuery(
+      'UPDATE auth_sessions SET refreshTokenHash = ?, lastUsedAt = CURRENT_TIMESTAMP WHERE id = ?',
+      [sha256(nextSecret), sessionId]
+    );
+
+    const user = {
+      id: session.userId,
+      username: session.username,
+      role: session.role,
+      firstName: session.firstName,
+      lastName: session.lastName,
+      email: session.email,
+      citizenId: session.citizenId,
+      permissions: permissionsForRole(session.role),
+      mustChangePassword: !!session.mustChangePassword,
+      mfaEnrollmentRequired: this.mfaEnrollmentRequired(session, session.authMethod),
+      authMethod: session.authMethod
+    };
+    return { ...this.tokens(user, sessionId, nextSecret), user };
+  }
+
+  /**
+   * Resolve an access token to its user
+   * @param {string} accessToken - Bearer token
+   * @returns {Object} - { id, username, role, citizenId, sessionId, authMethod, mustChangePassword, mfaEnrollmentRequired }
+   */
+  async authenticate(accessToken) {
+    let claims;
+    try {
+      claims = jwt.verify(accessToken, this.secret, { algorithms: [ALGORITHM], issuer: ISSUER, audience: ACCESS_AUDIENCE });
+    } catch (error) {
+      throw createError(401, error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+
+    const session = await this.getSession(claims.sid);
+    if (!session || session.revokedAt || !session.isActive || session.userId !== Number(claims.sub)) {
+      throw createError(401, 'Session has been revoked');
+    }
+
+    return {
+      id: session.userId,
+      username: session.username,
+      role: session.role,
+      citizenId: session.citizenId,
+      sessionId: session.id,
+      authMethod: session.authMethod,
+      mustChangePassword: !!session.mustChangePassword,
+      mfaEnrollmentRequired: this.mfaEnrollmentRequired(session, session.authMethod)
+    };
+  }
+
+  /**
+   * Whether the MFA policy requires this user to enroll before using the API
+   * SSO sessions are exempt: the identity provider applies its own MFA policy.
+   * @param {Object} user - users row (or session joined with it)
+   * @param {string} authMethod - How the session was started
+   * @returns {boolean}
+   */
+  mfaEnrollmentRequired(user, authMethod = 'password') {
+    return authMethod !== 'oidc' && isMfaRequiredForRole(user.role) && !user.mfaEnabled;
+  }
+
+  /**
+   * Short-lived token naming a user who passed the password step and still owes an MFA code
+   * @param {Object} user - users row
+   * @returns {string}
+   */
+  issueMfaChallenge(user) {
+    return jwt.sign({ sub: String(user.id) }, this.secret, {
+      algorithm: ALGORITHM,
+      issuer: ISSUER,
+      audience: MFA_CHALLENGE_AUDIENCE,
+      expiresIn: MFA_CHALLENGE_TTL_SECONDS
+    });
+  }
+
+  /**
+   * Resolve an MFA challenge token
+   * @param {string} mfaToken - Token from issueMfaChallenge()
+   * @returns {number} - users.id
+   */
+  verifyMfaChallenge(mfaToken) {
+    try {
+      const claims = jwt.verify(mfaToken, this.secret, { algorithms: [ALGORITHM], issuer: ISSUER, audience: MFA_CHALLENGE_AUDIENCE });
+      return Number(claims.sub);
+    } catch (error) {
+      throw createError(401, 'MFA challenge expired - please log in again');
+    }
+  }
+
+  async getSession(sessionId) {
+    return getQuery(
+      `SELECT s.*, u.username, u.role, u.firstName, u.lastName, u.email, u.citizenId, u.isActive, u.mustChangePassword, u.mfaEnabled
+       FROM auth_sessions s JOIN users u ON s.userId = u.id
+       WHERE s.id = ?`,
+      [sessionId]
+    );
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout without a valid access token)
+   * @returns {boolean} - Whether the token matched a session
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = sessionId && secret ? await this.getSession(sessionId) : null;
+    if (!session || session.refreshTokenHash !== sha256(secret)) return false;
+
+    await this.revoke(sessionId);
+    return true;
+  }
+
+  async revoke(sessionId, reason = 'logout') {
+    await runQuery(
+      'UPDATE auth_sessions SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ? WHERE id = ? AND revokedAt IS NULL',
+      [reason, sessionId]
+    );
+  }
+
+  /**
+   * Revoke every session of a user (password change or reset)
+   * @param {number} userId - users.id
+   * @param {string} reason - Stored with the session
+   * @param {string} exceptSessionId - Session to keep (the one changing the password)
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    await runQuery(
+      `UPDATE auth_sessions SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ?
+       WHERE userId = ? AND revokedAt IS NULL AND id != ?`,
+      [reason, userId, exceptSessionId || '']
+    );
+  }
+
+  tokens(user, sessionId, secret) {
+    const accessToken = jwt.sign(
+      { sub: String(user.id), username: user.username, role: user.role, sid: sessionId },
+      this.secret,
+      { algorithm: ALGORITHM, issuer: ISSUER, audience: ACCESS_AUDIENCE, expiresIn: this.accessTtlSeconds }
+    );
+    return {
+      accessToken,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: this.accessTtlSeconds,
+      sessionId
+    };
+  }
+
+  expiry(seconds) {
+    return new Date(Date.now() + seconds * 1000).toISOString();
+  }
+}
+
+let sessionService = null;
+
+/**
+ * The session service used by the API (created on first use)
+ * @returns {SessionService}
+ */
+const getSessionService = () => {
+  if (!sessionService) {
+    sessionService = new SessionService();
+  }
+  return sessionService;
+};
+
+module.exports = {
+  SessionService,
+  getSessionService
+};
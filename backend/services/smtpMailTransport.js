@@ -0,0 +1,215 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { buildMimeMessage, bareAddress } = require('./mimeMessage');
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * One SMTP conversation over a socket: reads multi-line replies and sends commands
+ */
+class SmtpConnection {
+  constructor(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`SMTP server did not answer within ${this.timeoutMs}ms`)));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk.toString('utf8');
+      this.parse();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  detach() {
+    const socket = this.socket;
+    socket.removeAllListeners('data');
+    socket.removeAllListeners('error');
+    socket.removeAllListeners('close');
+    socket.removeAllListeners('timeout');
+    socket.setTimeout(0);
+    return socket;
+  }
+
+  // Replies end with a line whose code is followed by a space ("250 OK"); "250-..." lines continue it
+  parse() {
+    let end;
+    while ((end = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, end).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(end + 1);
+      this.lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.substring(0, 3)), lines: this.lines.map(entry => entry.substring(4)) };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Send a command and check the reply code
+   * @param {string|null} line - Command, or null to only read (the greeting)
+   * @param {number[]} expected - Accepted reply codes
+   * @param {string} label - Used in errors instead of the command (never log AUTH arguments)
+   */
+  async command(line, expected, label = line) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw createError(502, `SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  close() {
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.end();
+      this.socket.destroy();
+    }
+  }
+}
+
+/**
+ * Mail transport for an SMTP relay (RFC 5321): implicit TLS (SMTP_SECURE, port 465)
+ * or STARTTLS on 587/25, AUTH PLAIN when SMTP_USER is set. STARTTLS is required
+ * unless SMTP_REQUIRE_TLS=false, so credentials and reset links are never sent in clear.
+ * Each message uses its own connection.
+ */
+class SmtpMailTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.host = process.env.SMTP_HOST;
+    this.secure = process.env.SMTP_SECURE === 'true';
+    this.port = parseInt(process.env.SMTP_PORT || (this.secure ? '465' : '587'));
+    this.requireTls = process.env.SMTP_REQUIRE_TLS !== 'false';
+    this.rejectUnauthorized = process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false';
+    this.user = process.env.SMTP_USER || null;
+    this.password = process.env.SMTP_PASSWORD || '';
+    this.timeoutMs = parseInt(process.env.SMTP_TIMEOUT_MS || '15000');
+    this.clientName = process.env.SMTP_CLIENT_NAME || os.hostname();
+  }
+
+  static isConfigured() {
+    return !!process.env.SMTP_HOST;
+  }
+
+  get endpoint() {
+    return `${this.host}:${this.port}`;
+  }
+
+  connect() {
+    const options = { host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized };
+    return new Promise((resolve, reject) => {
+      const socket = this.secure ? tls.connect(options) : net.connect(options);
+      socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', reject);
+        socket.removeAllListeners('timeout');
+        resolve(socket);
+      });
+      socket.once('error', reject);
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`Cannot connect to SMTP server ${this.endpoint}`)));
+    });
+  }
+
+  upgrade(connection) {
+    const plain = connection.detach();
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: plain, servername: this.host, rejectUnauthorized: this.rejectUnauthorized }, () => {
+        socket.removeListener('error', reject);
+        socket.removeAllListeners('timeout');
+        resolve(socket);
+      });
+      socket.once('error', reject);
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('STARTTLS handshake timed out')));
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Object} - { messageId, response }
+   */
+  async send(message) {
+    if (!this.host) {
+      throw createError(503, 'SMTP_HOST is not set');
+    }
+    const { messageId, raw } = buildMimeMessage(message);
+    const connection = new SmtpConnection(this.timeoutMs);
+
+    try {
+      connection.attach(await this.connect());
+      await connection.command(null, [220], 'greeting');
+      let ehlo = await connection.command(`EHLO ${this.clientName}`, [250]);
+
+      if (!this.secure) {
+        const canStartTls = ehlo.lines.some(line => /^STARTTLS\b/i.test(line));
+        if (canStartTls) {
+          await connection.command('STARTTLS', [220]);
+          connection.attach(await this.upgrade(connection));
+          ehlo = await connection.command(`EHLO ${this.clientName}`, [250]);
+        } else if (this.requireTls) {
+          throw createError(502, `SMTP server ${this.endpoint} does not offer STARTTLS (set SMTP_REQUIRE_TLS=false to send without TLS)`);
+        }
+      }
+
+      if (this.user) {
+        const credentials = Buffer.from(`\0${this.user}\0${this.password}`, 'utf8').toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await connection.command(`MAIL FROM:<${bareAddress(message.from)}>`, [250], 'MAIL FROM');
+      await connection.command(`RCPT TO:<${bareAddress(message.to)}>`, [250, 251], 'RCPT TO');
+      await connection.command('DATA', [354]);
+      // Lines starting with a dot are escaped; a lone dot ends the message (raw already ends with CRLF)
+      const reply = await connection.command(`${raw.replace(/^\./gm, '..')}.`, [250], 'message');
+      await connection.command('QUIT', [221]).catch(() => {});
+
+      return { messageId, response: reply.lines.join(' ') };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw createError(502, `SMTP delivery via ${this.endpoint} failed: ${error.message}`);
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+module.exports = SmtpMailTransport;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords as authenticator apps expect them:
+// HMAC-SHA1, 30 second steps, 6 digits, base32 secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const cleaned = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+/**
+ * New random secret (base32, 160 bits)
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * One-time code for a time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - base32 secret
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Find the time step a code was generated for, allowing for clock drift
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { now, window: steps accepted either side of the current one }
+ * @returns {number|null} - Matching step (callers reject steps already used), or null
+ */
+const matchStep = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = codeForStep(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options - { secret, account, issuer }
+ * @returns {string}
+ */
+const provisioningUri = ({ secret, account, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  // Spaces as %20, not '+', which some authenticator apps show literally
+  const params = Object.entries({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS })
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  codeForStep,
+  currentStep,
+  matchStep,
+  provisioningUri
+};
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const NEW_PASSWORD = 'Quiet-Harbor-Lamp-7';
+
+describe('password reset and email verification', () => {
+  let api;
+  let db;
+  let outbox;
+
+  // Messages written to the outbox transport for an address (files still being written are skipped)
+  const messagesTo = (address, template) => (fs.existsSync(outbox) ? fs.readdirSync(outbox) : [])
+    .filter(file => file.endsWith('.json'))
+    .flatMap(file => {
+      try {
+        return [JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8'))];
+      } catch (error) {
+        return [];
+      }
+    })
+    .filter(message => message.to === address && message.template === template);
+
+  // Reset emails are sent in the background, so wait for the link to arrive
+  const linkSentTo = async (address, template, name) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const [message] = messagesTo(address, template);
+      if (message) return decodeURIComponent(message.text.match(new RegExp(`#${name}=([^\\s]+)`))[1]);
+      await sleep(20);
+    }
+    throw new Error(`No ${template} email for ${address}`);
+  };
+
+  before(async () => {
+    outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+    api = await startTestServer({ MAIL_TRANSPORT: 'outbox', MAIL_OUTBOX_DIR: outbox, MAIL_REQUESTS_PER_IP: '5' });
+    db = require('../database/db');
+  });
+
+  after(async () => {
+    await api.close();
+    fs.rmSync(outbox, { recursive: true, force: true });
+  });
+
+  it('resets a password with a single-use link and signs the account out', async () => {
+    const [username] = USERS.staff;
+    const staffToken = await api.login(...USERS.staff);
+
+    const requested = await api.request('POST', '/auth/password-reset', { body: { email: 'maria.garcia@springfield.gov' } });
+    assert.strictEqual(requested.status, 202);
+    const token = await linkSentTo('maria.garcia@springfield.gov', 'password-reset', 'reset');
+
+    const weak = await api.request('POST', '/auth/password-reset/confirm', { body: { token, newPassword: 'secure4567' } });
+    assert.strictEqual(weak.status, 400);
+    const confirmed = await api.request('POST', '/auth/password-reset/confirm', { body: { token, newPassword: NEW_PASSWORD } });
+    assert.strictEqual(confirmed.status, 200);
+
+    assert.strictEqual((await api.request('GET', '/auth/me', { token: staffToken })).status, 401);
+    assert.strictEqual((await api.request('POST', '/auth/login', { body: { username, password: NEW_PASSWORD } })).status, 200);
+    const reused = await api.request('POST', '/auth/password-reset/confirm', { body: { token, newPassword: 'Another-Harbor-Lamp-8' } });
+    assert.strictEqual(reused.status, 400);
+  });
+
+  it('answers the same whether or not an account matches', async () => {
+    const known = await api.request('POST', '/auth/password-reset', { body: { username: 'admin' } });
+    const unknown = await api.request('POST', '/auth/password-reset', { body: { email: 'nobody@springfield.gov' } });
+
+    assert.deepStrictEqual([unknown.status, unknown.body.message], [known.status, known.body.message]);
+    await linkSentTo('admin@springfield.gov', 'password-reset', 'reset');
+    assert.deepStrictEqual(messagesTo('nobody@springfield.gov', 'password-reset'), []);
+  });
+
+  it('changes an email address only once the link sent to it is followed', async () => {
+    const [, , password] = USERS.citizen;
+    const citizenToken = await api.login(...USERS.citizen);
+
+    const taken = await api.request('POST', '/auth/email/change', { token: citizenToken, body: { email: 'admin@springfield.gov', currentPassword: password } });
+    assert.strictEqual(taken.status, 409);
+
+    const changed = await api.request('POST', '/auth/email/change', { token: citizenToken, body: { email: 'john.new@email.com', currentPassword: password } });
+    assert.strictEqual(changed.status, 202);
+    const before = await db.getQuery('SELECT email FROM users WHERE username = ?', ['jsmith']);
+    assert.strictEqual(before.email, 'john.smith@email.com');
+
+    const token = await linkSentTo('john.new@email.com', 'email-verification', 'verify');
+    const verified = await api.request('POST', '/auth/email/verify', { body: { token } });
+    assert.strictEqual(verified.status, 200);
+    const after = await db.getQuery('SELECT email, emailVerified FROM users WHERE username = ?', ['jsmith']);
+    assert.deepStrictEqual({ ...after }, { email: 'john.new@email.com', emailVerified: 1 });
+    assert.strictEqual((await api.request('POST', '/auth/email/verify', { body: { token } })).status, 400);
+  });
+
+  it('limits the email requests of an address', async () => {
+    // Four of the five allowed requests were used above; refused ones (the 409) do not count
+    const last = await api.request('POST', '/auth/password-reset', { body: { email: 'nobody@springfield.gov' } });
+    assert.strictEqual(last.status, 202);
+
+    const { status } = await api.request('POST', '/auth/password-reset', { body: { email: 'nobody@springfield.gov' } });
+    assert.strictEqual(status, 429);
+  });
+});
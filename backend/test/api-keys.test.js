@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+// Seeded service types 6, 8 and 10 belong to agency 4 (Public Works); type 1 to agency 1
+const AGENCY = 4;
+const AGENCY_REQUEST = 6;
+const OTHER_AGENCY_REQUEST = 1;
+
+describe('API keys', () => {
+  let api;
+  let db;
+  let adminToken;
+
+  // Create a key as admin and return the response body
+  const createKey = async (settings) => {
+    const { status, body } = await api.request('POST', '/admin/api-keys', {
+      token: adminToken,
+      body: { expiresInDays: 30, ...settings }
+    });
+    assert.strictEqual(status, 201, JSON.stringify(body));
+    return body.data;
+  };
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    adminToken = await api.login(...USERS.admin);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('stores only a hash of the key and returns it once', async () => {
+    const created = await createKey({ name: 'Assessor', scopes: ['service-requests:read'] });
+    assert.match(created.key, /^csk_[0-9a-f]{16}\./);
+    assert.strictEqual(created.status, 'active');
+
+    const row = await db.getQuery('SELECT * FROM api_keys WHERE id = ?', [created.id]);
+    const secret = created.key.split('.')[1];
+    assert.strictEqual(row.secretHash, crypto.createHash('sha256').update(secret).digest('hex'));
+    assert.ok(!JSON.stringify(row).includes(secret));
+
+    const { body } = await api.request('GET', `/admin/api-keys/${created.id}`, { token: adminToken });
+    assert.strictEqual(body.data.key, undefined);
+    assert.strictEqual(body.data.secretHash, undefined);
+  });
+
+  it('rejects unknown scopes and agency limits on unscoped ones', async () => {
+    const unknown = await api.request('POST', '/admin/api-keys', {
+      token: adminToken,
+      body: { name: 'Bad', scopes: ['everything'] }
+    });
+    assert.strictEqual(unknown.status, 400);
+
+    const unscoped = await api.request('POST', '/admin/api-keys', {
+      token: adminToken,
+      body: { name: 'Bad', scopes: ['citizens:read'], agencyId: AGENCY }
+    });
+    assert.strictEqual(unscoped.status, 400);
+
+    const staffToken = await api.login(...USERS.staff);
+    const forbidden = await api.request('GET', '/admin/api-keys', { token: staffToken });
+    assert.strictEqual(forbidden.status, 403);
+  });
+
+  it('authenticates as a bearer token, enforces scopes and records last use', async () => {
+    const { id, key } = await createKey({ name: 'Reader', scopes: ['service-requests:read'] });
+
+    const list = await api.request('GET', '/service-requests?limit=100', { token: key });
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.data.pagination.totalItems, 10);
+
+    const write = await api.request('PATCH', `/service-requests/${AGENCY_REQUEST}/status`, {
+      token: key,
+      body: { status: 'in_review' }
+    });
+    assert.strictEqual(write.status, 403);
+
+    const citizens = await api.request('GET', '/citizens', { token: key });
+    assert.strictEqual(citizens.status, 403);
+
+    const row = await db.getQuery('SELECT lastUsedAt, lastUsedIp FROM api_keys WHERE id = ?', [id]);
+    assert.ok(row.lastUsedAt);
+    assert.ok(row.lastUsedIp);
+  });
+
+  it('limits an agency key to the requests of its agency', async () => {
+    const { key } = await createKey({ name: 'Public Works', scopes: ['service-requests:read', 'service-requests:write'], agencyId: AGENCY });
+
+    const list = await api.request('GET', '/service-requests?limit=100', { token: key });
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.data.data.map(request => request.id).sort((a, b) => a - b), [6, 9, 10]);
+
+    assert.strictEqual((await api.request('GET', `/service-requests/${AGENCY_REQUEST}`, { token: key })).status, 200);
+    assert.strictEqual((await api.request('GET', `/service-requests/${OTHER_AGENCY_REQUEST}`, { token: key })).status, 404);
+
+    const otherStatus = await api.request('PATCH', `/service-requests/${OTHER_AGENCY_REQUEST}/status`, {
+      token: key,
+      body: { status: 'in_review' }
+    });
+    assert.strictEqual(otherStatus.status, 404);
+
+    const ownStatus = await api.request('PATCH', `/service-requests/${AGENCY_REQUEST}/status`, {
+      token: key,
+      body: { status: 'completed' }
+    });
+    assert.strictEqual(ownStatus.status, 200);
+
+    const otherService = await api.request('POST', '/service-requests', {
+      token: key,
+      body: { citizenId: 1, serviceTypeId: 1 }
+    });
+    assert.strictEqual(otherService.status, 403);
+  });
+
+  it('cannot be used on account endpoints', async () => {
+    const { key } = await createKey({ name: 'Accounts', scopes: ['catalog:read'] });
+
+    const { status } = await api.request('POST', '/auth/logout', { token: key });
+    assert.strictEqual(status, 403);
+  });
+
+  it('keeps the old secret working for the rotation grace period', async () => {
+    const { id, key: oldKey } = await createKey({ name: 'Rotated', scopes: ['catalog:read'] });
+
+    const rotated = await api.request('POST', `/admin/api-keys/${id}/rotate`, {
+      token: adminToken,
+      body: { graceMinutes: 5 }
+    });
+    assert.strictEqual(rotated.status, 200);
+    const newKey = rotated.body.data.key;
+    assert.notStrictEqual(newKey, oldKey);
+    assert.strictEqual(newKey.split('.')[0], oldKey.split('.')[0]);
+    assert.ok(rotated.body.data.previousSecretExpiresAt);
+
+    assert.strictEqual((await api.request('GET', '/service-types', { token: oldKey })).status, 200);
+    assert.strictEqual((await api.request('GET', '/service-types', { token: newKey })).status, 200);
+
+    // A rotation without grace ends the old secret at once
+    const immediate = await api.request('POST', `/admin/api-keys/${id}/rotate`, {
+      token: adminToken,
+      body: { graceMinutes: 0 }
+    });
+    assert.strictEqual(immediate.status, 200);
+    assert.strictEqual((await api.request('GET', '/service-types', { token: newKey })).status, 401);
+    assert.strictEqual((await api.request('GET', '/service-types', { token: immediate.body.data.key })).status, 200);
+  });
+
+  it('rejects revoked and expired keys', async () => {
+    const revoked = await createKey({ name: 'Revoked', scopes: ['catalog:read'] });
+    const revoke = await api.request('POST', `/admin/api-keys/${revoked.id}/revoke`, { token: adminToken });
+    assert.strictEqual(revoke.status, 200);
+    assert.strictEqual((await api.request('GET', '/service-types', { token: revoked.key })).status, 401);
+
+    const expired = await createKey({ name: 'Expired', scopes: ['catalog:read'] });
+    await db.runQuery('UPDATE api_keys SET expiresAt = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expired.id]);
+    assert.strictEqual((await api.request('GET', '/service-types', { token: expired.key })).status, 401);
+
+    const { body } = await api.request('GET', '/admin/api-keys', { token: adminToken });
+    const statuses = Object.fromEntries(body.data.map(apiKey => [apiKey.name, apiKey.status]));
+    assert.strictEqual(statuses.Revoked, 'revoked');
+    assert.strictEqual(statuses.Expired, 'expired');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('authenticated encryption bound to the row', () => {
+  let api;
+  let db;
+  let citizens;
+  let provider;
+  let adminToken;
+
+  const stored = async (id, column) => (await db.getQuery(`SELECT ${column} FROM citizens WHERE id = ?`, [id]))[column];
+  const store = (id, column, value) => db.runQuery(`UPDATE citizens SET ${column} = ? WHERE id = ?`, [value, id]);
+
+  // Pre-envelope AES-CBC value under the active provider key: no tag, no associated data
+  const legacyCbc = (plaintext) => {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', provider.getKeyMaterial(provider.keyId), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return JSON.stringify({ cipher: encrypted.toString('base64'), iv: iv.toString('base64') });
+  };
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    ({ encryptedCitizenService: citizens } = require('../database/encryptedDb'));
+    const LocalKeystoreService = require('../services/localKeystoreService');
+    provider = new LocalKeystoreService();
+    await provider.initialize();
+    adminToken = await api.login(...USERS.admin);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('fails on a value swapped between two citizens', async () => {
+    const first = await stored(1, 'lastName_encrypted');
+    const second = await stored(2, 'lastName_encrypted');
+    await store(1, 'lastName_encrypted', second);
+    await store(2, 'lastName_encrypted', first);
+
+    for (const id of [1, 2]) {
+      const citizen = await citizens.getById(id);
+      assert.strictEqual(citizen.lastName, '[Integrity Error]');
+      assert.deepStrictEqual(citizen.integrityErrors, ['lastName']);
+    }
+  });
+
+  it('fails on a value copied to another column of the same row', async () => {
+    await store(4, 'phone_encrypted', await stored(4, 'address_encrypted'));
+
+    assert.strictEqual((await citizens.getById(4)).phone, '[Integrity Error]');
+  });
+
+  it('refuses unauthenticated AES-CBC values by default', async () => {
+    await store(5, 'email_encrypted', legacyCbc('cbc.value@email.com'));
+
+    const citizen = await citizens.getById(5);
+
+    assert.strictEqual(citizen.email, '[Integrity Error]');
+    assert.deepStrictEqual(citizen.integrityErrors, ['email']);
+  });
+
+  it('rewrites AES-CBC values as row-bound AES-GCM with the one-off upgrade', async () => {
+    const { status, body } = await api.request('POST', '/admin/key-rotation/upgrade-legacy', { token: adminToken });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.upgraded, 1);
+    assert.strictEqual(JSON.parse(await stored(5, 'email_encrypted')).mode, 'GCM');
+    assert.strictEqual((await citizens.getById(5)).email, 'cbc.value@email.com');
+  });
+});
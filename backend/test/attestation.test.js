@@ -0,0 +1,27 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('attestation report', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('names the key provider without its endpoint', async () => {
+    const { status, body } = await api.request('GET', `/attestation?nonce=${'a'.repeat(32)}`);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.keyManagement.provider, 'local');
+    assert.ok(!('endpoint' in body.data.keyManagement));
+
+    const statement = JSON.parse(Buffer.from(body.data.statement.payload, 'base64').toString('utf8'));
+    assert.deepStrictEqual(statement.keyManagement, body.data.keyManagement);
+    assert.ok(!JSON.stringify(body).includes(process.env.LOCAL_KEYSTORE_PATH));
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const HMAC = /^[0-9a-f]{64}$/;
+
+describe('blind index search', () => {
+  let api;
+  let db;
+  let adminToken;
+  let encryptionService;
+
+  const search = async (term) => {
+    const { status, body } = await api.request('GET', `/citizens?limit=100&search=${encodeURIComponent(term)}`, { token: adminToken });
+    assert.strictEqual(status, 200);
+    return body.data.data.map(citizen => citizen.citizenId).sort();
+  };
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    adminToken = await api.login(...USERS.admin);
+    ({ encryptionService } = require('../database/encryptedDb').getErasureService());
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('finds exact emails and phone numbers regardless of formatting', async () => {
+    assert.deepStrictEqual(await search(' JOHN.Smith@email.com '), ['CTZ001']);
+    assert.deepStrictEqual(await search('(555) 0102'), ['CTZ002']);
+  });
+
+  it('matches name prefixes, every word of the term', async () => {
+    assert.deepStrictEqual(await search('mar'), ['CTZ002', 'CTZ008']);
+    assert.deepStrictEqual(await search('Jen Mart'), ['CTZ008']);
+    assert.deepStrictEqual(await search('zz'), []);
+  });
+
+  it('decrypts only the matching rows', async () => {
+    const decryptCitizenList = encryptionService.decryptCitizenList;
+    const decrypted = [];
+    encryptionService.decryptCitizenList = (rows) => {
+      decrypted.push(...rows.map(row => row.citizenId));
+      return decryptCitizenList.call(encryptionService, rows);
+    };
+
+    try {
+      await search('garcia');
+    } finally {
+      encryptionService.decryptCitizenList = decryptCitizenList;
+    }
+
+    assert.deepStrictEqual(decrypted, ['CTZ002']);
+  });
+
+  it('stores keyed hashes rather than the values', async () => {
+    const citizen = await db.getQuery('SELECT email_bidx, phone_bidx, lastName_bidx FROM citizens WHERE id = 1');
+    const tokens = await db.allQuery('SELECT token FROM citizen_search_tokens WHERE citizenRowId = 1');
+
+    assert.ok(Object.values(citizen).every(value => HMAC.test(value)));
+    assert.ok(tokens.length > 0);
+    assert.ok(tokens.every(({ token }) => HMAC.test(token)));
+  });
+
+  it('reindexes a citizen when the indexed fields change', async () => {
+    const updated = await api.request('PUT', '/citizens/4', {
+      token: adminToken,
+      body: { firstName: 'Sarah', lastName: 'Quinn', email: 'sarah.quinn@email.com', phone: '555-0104', city: 'Springfield', state: 'IL' }
+    });
+    assert.strictEqual(updated.status, 200);
+
+    assert.deepStrictEqual(await search('sarah.davis@email.com'), []);
+    assert.deepStrictEqual(await search('davis'), []);
+    assert.deepStrictEqual(await search('sarah.quinn@email.com'), ['CTZ004']);
+    assert.deepStrictEqual(await search('qui'), ['CTZ004']);
+  });
+
+  it('finds service requests by the citizen index', async () => {
+    const { body } = await api.request('GET', '/service-requests/search/Smith', { token: adminToken });
+
+    assert.ok(body.data.data.length > 0);
+    assert.ok(body.data.data.every(request => request.citizenNumber === 'CTZ001'));
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('ciphertext envelopes', () => {
+  let api;
+  let db;
+  let citizens;
+  let adminToken;
+
+  const storeEmail = (id, value) => db.runQuery('UPDATE citizens SET email_encrypted = ? WHERE id = ?', [value, id]);
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    ({ encryptedCitizenService: citizens } = require('../database/encryptedDb'));
+    adminToken = await api.login(...USERS.admin);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('stores seeded values as versioned envelopes once encryption is up', async () => {
+    const { email_encrypted: stored } = await db.getQuery('SELECT email_encrypted FROM citizens WHERE id = 1');
+    const envelope = JSON.parse(stored);
+
+    assert.strictEqual(envelope.v, 1);
+    assert.strictEqual(envelope.kt, 'dek');
+    assert.strictEqual(envelope.alg, 'AES');
+    assert.strictEqual(envelope.mode, 'GCM');
+    assert.ok(envelope.kid && envelope.iv && envelope.cipher && envelope.tag);
+    assert.ok(!isNaN(Date.parse(envelope.ts)));
+    assert.strictEqual((await citizens.getById(1)).email, 'john.smith@email.com');
+  });
+
+  for (const [label, value] of [
+    ['plaintext', 'mallory@example.com'],
+    ['invalid JSON', '{"v":1,'],
+    ['an envelope with missing parts', '{"v":1,"kid":"x","kt":"dek","alg":"AES","mode":"GCM"}'],
+    ['an unknown envelope version', '{"v":9,"kid":"x","kt":"dek","alg":"AES","mode":"GCM","ts":"2026-01-01T00:00:00Z","iv":"AA==","cipher":"AA==","tag":"AA=="}']
+  ]) {
+    it(`reports ${label} as an integrity error instead of returning it`, async () => {
+      await storeEmail(2, value);
+
+      const citizen = await citizens.getById(2);
+
+      assert.strictEqual(citizen.email, '[Integrity Error]');
+      assert.deepStrictEqual(citizen.integrityErrors, ['email']);
+    });
+  }
+
+  it('refuses non-ciphertext in the local provider', async () => {
+    const LocalKeystoreService = require('../services/localKeystoreService');
+    const provider = new LocalKeystoreService();
+    await provider.initialize();
+
+    await assert.rejects(provider.decryptData('john.smith@email.com'), { isIntegrityError: true });
+  });
+
+  it('encrypts legacy plaintext in place with the one-off upgrade', async () => {
+    await storeEmail(3, 'legacy.value@email.com');
+
+    const { status, body } = await api.request('POST', '/admin/key-rotation/upgrade-legacy', { token: adminToken });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.upgraded, 1);
+    const { email_encrypted: stored } = await db.getQuery('SELECT email_encrypted FROM citizens WHERE id = 3');
+    assert.strictEqual(JSON.parse(stored).mode, 'GCM');
+    assert.strictEqual((await citizens.getById(3)).email, 'legacy.value@email.com');
+  });
+});
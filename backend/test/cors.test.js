@@ -0,0 +1,25 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('CORS', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('allows PATCH from the frontend origin (status updates)', async () => {
+    const { status, headers } = await api.request('OPTIONS', '/service-requests/1/status', {
+      headers: { Origin: 'http://localhost:3000', 'Access-Control-Request-Method': 'PATCH' }
+    });
+
+    assert.strictEqual(status, 204);
+    assert.strictEqual(headers.get('access-control-allow-origin'), 'http://localhost:3000');
+    assert.ok(headers.get('access-control-allow-methods').split(',').includes('PATCH'));
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const REVENUE_ENDPOINTS = ['/dashboard/stats', '/dashboard/performance/categories', '/dashboard/workload/agencies'];
+
+// Revenue fields anywhere in a response body
+const revenueFields = (body) => JSON.stringify(body.data).match(/"(totalRevenue|formattedRevenue)"/g) || [];
+
+describe('dashboard revenue figures', () => {
+  let api;
+  let adminToken;
+  let staffToken;
+
+  before(async () => {
+    api = await startTestServer();
+    adminToken = await api.login(...USERS.admin);
+    staffToken = await api.login(...USERS.staff);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  for (const endpoint of REVENUE_ENDPOINTS) {
+    it(`${endpoint} leaves out revenue without view-revenue`, async () => {
+      const { status, body } = await api.request('GET', endpoint, { token: staffToken });
+
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(revenueFields(body), []);
+    });
+
+    it(`${endpoint} includes revenue with view-revenue`, async () => {
+      const { status, body } = await api.request('GET', endpoint, { token: adminToken });
+
+      assert.strictEqual(status, 200);
+      assert.ok(revenueFields(body).length > 0);
+    });
+  }
+
+  it('refuses revenue analytics without view-revenue', async () => {
+    const { status, body } = await api.request('GET', '/dashboard/analytics/revenue', { token: staffToken });
+
+    assert.strictEqual(status, 403);
+    assert.deepStrictEqual(body.details.required, ['view-revenue']);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('envelope encryption data keys', () => {
+  let api;
+  let adminToken;
+  let dataKeyService;
+
+  // Count round trips to the key provider while fn runs (the local provider's
+  // decryptBatch calls its own decryptData per item; those are one round trip)
+  const countProviderCalls = async (fn) => {
+    const { keyProvider } = dataKeyService;
+    const { decryptData, decryptBatch } = keyProvider;
+    let calls = 0;
+    let inBatch = 0;
+    keyProvider.decryptData = (...args) => {
+      if (inBatch === 0) calls++;
+      return decryptData.apply(keyProvider, args);
+    };
+    keyProvider.decryptBatch = async (...args) => {
+      calls++;
+      inBatch++;
+      try {
+        return await decryptBatch.apply(keyProvider, args);
+      } finally {
+        inBatch--;
+      }
+    };
+    try {
+      await fn();
+    } finally {
+      Object.assign(keyProvider, { decryptData, decryptBatch });
+    }
+    return calls;
+  };
+
+  const listCitizens = async () => {
+    const { status, body } = await api.request('GET', '/citizens?limit=100', { token: adminToken });
+    assert.strictEqual(status, 200);
+    return body.data.data;
+  };
+
+  before(async () => {
+    api = await startTestServer();
+    adminToken = await api.login(...USERS.admin);
+    ({ dataKeyService } = require('../database/encryptedDb').getErasureService().encryptionService);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('unwraps every citizen key of a listing in one provider call', async () => {
+    dataKeyService.cache.clear();
+
+    let citizens;
+    const calls = await countProviderCalls(async () => {
+      citizens = await listCitizens();
+    });
+
+    assert.ok(citizens.length > 1);
+    assert.strictEqual(citizens[0].firstName.startsWith('['), false);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('serves repeated listings from the key cache', async () => {
+    await listCitizens();
+
+    const calls = await countProviderCalls(listCitizens);
+
+    assert.strictEqual(calls, 0);
+  });
+
+  it('shares one unwrap between concurrent lookups of a key', async () => {
+    const { keyRef } = await dataKeyService.getActiveKey('test:concurrent');
+    dataKeyService.cache.clear();
+    const unwraps = dataKeyService.stats.unwraps;
+
+    const entries = await Promise.all([1, 2, 3].map(() => dataKeyService.getKeyByRef(keyRef)));
+
+    assert.strictEqual(dataKeyService.stats.unwraps - unwraps, 1);
+    assert.ok(entries.every(entry => entry.key.equals(entries[0].key)));
+  });
+
+  it('unwraps a key again once its cache entry expires', async () => {
+    const DataKeyService = dataKeyService.constructor;
+    const shortLived = new DataKeyService(dataKeyService.keyProvider, { ttlMs: 20 });
+    const { keyRef, key } = await shortLived.getActiveKey('test:ttl');
+
+    await shortLived.getKeyByRef(keyRef);
+    assert.strictEqual(shortLived.stats.unwraps, 0);
+
+    await sleep(30);
+    const reloaded = await shortLived.getKeyByRef(keyRef);
+    assert.strictEqual(shortLived.stats.unwraps, 1);
+    assert.ok(reloaded.key.equals(key));
+  });
+});
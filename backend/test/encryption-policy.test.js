@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EncryptionPolicy } = require('../services/encryptionPolicy');
+
+const SHIPPED_POLICY = path.join(__dirname, '..', 'config', 'encryption-policy.json');
+
+// The shipped policy with one change applied to a copy of it
+const policyWith = (change) => {
+  const policy = JSON.parse(fs.readFileSync(SHIPPED_POLICY, 'utf8'));
+  change(policy.tables);
+  return policy;
+};
+
+describe('encryption policy', () => {
+  it('loads the shipped policy', () => {
+    const policy = EncryptionPolicy.load(SHIPPED_POLICY);
+
+    assert.deepStrictEqual(policy.exactIndexFields('citizens'), ['email', 'phone', 'lastName']);
+    assert.deepStrictEqual(policy.prefixIndexFields('citizens'), ['lastName', 'firstName']);
+    assert.deepStrictEqual(policy.encryptedColumns('service_requests', 'r'), ['r.notes_encrypted', 'r.applicationData_encrypted']);
+    assert.throws(() => policy.table('payments'), /No encryption policy for table payments/);
+  });
+
+  it('derives the columns of a new field from the policy alone', () => {
+    const policy = new EncryptionPolicy(policyWith(tables => {
+      tables.citizens.encrypted.push('ssn');
+      tables.citizens.indexed.ssn = { match: ['exact'], normalize: 'digits' };
+    }));
+
+    assert.ok(policy.selectColumns('citizens').endsWith('dateOfBirth_encrypted, ssn_encrypted'));
+    const required = policy.requiredColumns().filter(([table]) => table === 'citizens').map(([, column]) => column);
+    assert.ok(required.includes('ssn_encrypted'));
+    assert.ok(required.includes('ssn_bidx'));
+    assert.notStrictEqual(policy.indexVersion('citizens'), EncryptionPolicy.load(SHIPPED_POLICY).indexVersion('citizens'));
+  });
+
+  const INVALID = [
+    ['an unsupported version', policy => { policy.version = 2; }, /unsupported version 2/],
+    ['an identifier that is not a column name', policy => { policy.tables.citizens.encrypted.push('ssn; DROP TABLE citizens'); }, /invalid identifier/],
+    ['a rowId that is not public', policy => { policy.tables.citizens.rowId = 'email'; }, /rowId must be a public field/],
+    ['a field that is encrypted and public', policy => { policy.tables.citizens.public.push('email'); }, /both encrypted and public/],
+    ['an index on a plain field', policy => { policy.tables.citizens.indexed.city = { match: ['exact'], normalize: 'text' }; }, /indexed but not encrypted/],
+    ['an unknown match type', policy => { policy.tables.citizens.indexed.email.match = ['fuzzy']; }, /match must be a list/],
+    ['an unknown normalizer', policy => { policy.tables.citizens.indexed.email.normalize = 'soundex'; }, /normalize must be one of/],
+    ['a prefix index outside citizens', policy => { policy.tables.service_requests.indexed.notes = { match: ['prefix'], normalize: 'text' }; }, /only supported for citizens/],
+    ['an unknown mask style', policy => { policy.tables.citizens.masked.email = 'hash'; }, /mask must be one of/],
+    ['a related field that is not encrypted', policy => { policy.tables.service_requests.related.citizens.push('city'); }, /lists unknown encrypted fields: city/]
+  ];
+
+  for (const [name, change, message] of INVALID) {
+    it(`rejects ${name}`, () => {
+      const policy = JSON.parse(fs.readFileSync(SHIPPED_POLICY, 'utf8'));
+      change(policy);
+
+      assert.throws(() => new EncryptionPolicy(policy), message);
+    });
+  }
+
+  it('names the file that cannot be read', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-policy-test-'));
+    const policyPath = path.join(dir, 'policy.json');
+    fs.writeFileSync(policyPath, '{ "version": 1, ');
+
+    try {
+      assert.throws(() => EncryptionPolicy.load(policyPath), new RegExp(`Cannot read encryption policy ${policyPath}`));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('citizen erasure', () => {
+  let api;
+  let db;
+  let adminToken;
+  let citizenToken;
+  let citizenRefreshToken;
+  let certificate;
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    adminToken = await api.login(...USERS.admin);
+
+    // jsmith is the portal account linked to citizen CTZ001 (row 1)
+    const [username, seededPassword, password] = USERS.citizen;
+    await api.request('POST', '/auth/change-password', { body: { username, currentPassword: seededPassword, newPassword: password } });
+    const { body } = await api.request('POST', '/auth/login', { body: { username, password } });
+    citizenToken = body.accessToken;
+    citizenRefreshToken = body.refreshToken;
+
+    const erased = await api.request('DELETE', '/citizens/1/erase', { token: adminToken, body: { reason: 'Citizen request' } });
+    assert.strictEqual(erased.status, 200);
+    certificate = erased.body.data;
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('records the closed account in the certificate', async () => {
+    const user = await db.getQuery('SELECT id FROM users WHERE id = ?', [certificate.linkedUserId]);
+
+    assert.ok(user);
+    assert.strictEqual(certificate.revokedSessions, 1);
+    const stored = await db.getQuery('SELECT linkedUserId, revokedSessions FROM erasure_certificates WHERE certificateId = ?', [certificate.certificateId]);
+    assert.deepStrictEqual({ ...stored }, { linkedUserId: certificate.linkedUserId, revokedSessions: 1 });
+  });
+
+  it('anonymizes, deactivates and unlinks the account', async () => {
+    const user = await db.getQuery('SELECT * FROM users WHERE id = ?', [certificate.linkedUserId]);
+
+    assert.strictEqual(user.username, `erased-user-${user.id}`);
+    assert.strictEqual(`${user.firstName} ${user.lastName}`, 'Erased Citizen');
+    assert.strictEqual(user.email, `erased-user-${user.id}@erased.invalid`);
+    assert.strictEqual(user.isActive, 0);
+    assert.strictEqual(user.citizenId, null);
+    assert.ok(!JSON.stringify(user).match(/smith/i));
+  });
+
+  it('revokes the access and refresh tokens', async () => {
+    const profile = await api.request('GET', '/auth/me', { token: citizenToken });
+    assert.strictEqual(profile.status, 401);
+
+    const refreshed = await api.request('POST', '/auth/refresh', { body: { refreshToken: citizenRefreshToken } });
+    assert.strictEqual(refreshed.status, 401);
+  });
+
+  it('refuses to sign the account in again', async () => {
+    const [username, , password] = USERS.citizen;
+
+    const { status } = await api.request('POST', '/auth/login', { body: { username, password } });
+
+    assert.strictEqual(status, 401);
+  });
+
+  it('leaves the citizen and the key in place when the erasure fails part-way', async () => {
+    const { getErasureService } = require('../database/encryptedDb');
+    const { dataKeyService } = getErasureService().encryptionService;
+    const before = (await api.request('GET', '/citizens/2', { token: adminToken })).body.data;
+    const destroyScope = dataKeyService.destroyScope;
+    dataKeyService.destroyScope = async (scope) => {
+      await destroyScope.call(dataKeyService, scope);
+      throw new Error('Simulated failure after the key was destroyed');
+    };
+
+    let failed;
+    try {
+      failed = await api.request('DELETE', '/citizens/2/erase', { token: adminToken });
+    } finally {
+      dataKeyService.destroyScope = destroyScope;
+    }
+
+    assert.strictEqual(failed.status, 500);
+    const keys = await db.allQuery(`SELECT status FROM data_keys WHERE scope = 'citizen:CTZ002'`);
+    assert.ok(keys.length > 0);
+    assert.ok(keys.every(key => key.status === 'active'));
+    const certificates = await db.allQuery('SELECT id FROM erasure_certificates WHERE citizenId = ?', ['CTZ002']);
+    assert.strictEqual(certificates.length, 0);
+    const after = await api.request('GET', '/citizens/2', { token: adminToken });
+    assert.deepStrictEqual(after.body.data, before);
+
+    const erased = await api.request('DELETE', '/citizens/2/erase', { token: adminToken });
+    assert.strictEqual(erased.status, 200);
+    assert.strictEqual(erased.body.data.destroyedKeys.length, keys.length);
+  });
+});
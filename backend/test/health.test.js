@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('health endpoints', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('reports only a coarse status publicly', async () => {
+    const { status, body } = await api.request('GET', '/health');
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(Object.keys(body).sort(), ['encryption', 'status', 'timestamp', 'version']);
+    assert.deepStrictEqual(body.encryption, { status: 'healthy' });
+  });
+
+  it('keeps the key provider details behind an admin permission', async () => {
+    assert.strictEqual((await api.request('GET', '/admin/health')).status, 401);
+
+    const staffToken = await api.login(...USERS.staff);
+    assert.strictEqual((await api.request('GET', '/admin/health', { token: staffToken })).status, 403);
+
+    const adminToken = await api.login(...USERS.admin);
+    const { status, body } = await api.request('GET', '/admin/health', { token: adminToken });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.encryption.status, 'healthy');
+    assert.ok(body.data.encryption.provider);
+    assert.ok(body.data.memory);
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+/**
+ * Start the API in-process on an ephemeral port, against a throwaway database and
+ * local keystore seeded with the sample data. Call once per test file (each file
+ * runs in its own process), before anything else requires the backend modules.
+ * @param {Object} env - Extra environment variables (applied before the app loads)
+ * @returns {Object} - { baseUrl, request, login, close }
+ */
+const startTestServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citizen-services-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DB_PATH: path.join(dir, 'test.db'),
+    KEY_PROVIDER: 'local',
+    LOCAL_KEYSTORE_PATH: path.join(dir, 'keystore.json'),
+    MFA_REQUIRED_ROLES: '',
+    ...env
+  });
+
+  // Startup and per-query logging would bury the test output
+  const log = console.log;
+  if (!process.env.TEST_VERBOSE) console.log = () => {};
+
+  const { app } = require('../../server');
+  const { initializeDatabase, getDb } = require('../../database/db');
+  const { initializeEncryption } = require('../../database/encryptedDb');
+  await initializeDatabase();
+  await initializeEncryption();
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} url - Path below /api
+   * @param {Object} options - { token, body, headers }
+   * @returns {Object} - { status, body, headers }
+   */
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+  };
+
+  /**
+   * Sign in a seeded user, replacing the seeded password (which must be changed first)
+   * @returns {string} - Access token
+   */
+  const login = async (username, seededPassword, newPassword) => {
+    await request('POST', '/auth/change-password', { body: { username, currentPassword: seededPassword, newPassword } });
+    const { status, body } = await request('POST', '/auth/login', { body: { username, password: newPassword } });
+    if (status !== 200) {
+      throw new Error(`Login as ${username} failed with ${status}: ${body && body.message}`);
+    }
+    return body.accessToken;
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await new Promise(resolve => getDb().close(resolve));
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, request, login, close };
+};
+
+// Seeded accounts with the passwords the suites switch them to
+const USERS = {
+  admin: ['admin', 'admin123', 'Breakglass-Key-2026!'],
+  staff: ['mgarcia', 'secure456', 'Staff-Member-2026!'],
+  citizen: ['jsmith', 'password123', 'Citizen-Pass-2026!']
+};
+
+module.exports = {
+  startTestServer,
+  USERS
+};
@@ -0,0 +1,177 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const DsmEmulator = require('../../tools/dsm-emulator');
+const { startTestServer, USERS } = require('../helpers/testServer');
+
+// Short timings so retries, timeouts and the circuit reset run in test time
+const REQUEST_TIMEOUT_MS = 250;
+const CIRCUIT_RESET_MS = 300;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const CITIZEN = {
+  citizenId: 'CTZ900',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada.lovelace@email.com',
+  phone: '555-0900',
+  address: '12 Analytical Way',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62790',
+  dateOfBirth: '1985-12-10'
+};
+
+describe('encryptedDb against the DSM emulator', () => {
+  let emulator;
+  let api;
+  let db;
+  let citizens;
+  let citizenRowId;
+
+  let adminToken;
+
+  const circuitState = async () =>
+    (await api.request('GET', '/admin/health', { token: adminToken })).body.data.encryption.resilience.circuitBreaker.state;
+
+  before(async () => {
+    emulator = new DsmEmulator();
+    const url = await emulator.start();
+
+    // Without envelope encryption every field is encrypted and decrypted by DSM itself
+    api = await startTestServer({
+      ...emulator.clientEnv(url),
+      ENVELOPE_ENCRYPTION: 'false',
+      DSM_REQUEST_TIMEOUT_MS: String(REQUEST_TIMEOUT_MS),
+      DSM_RETRY_ATTEMPTS: '3',
+      DSM_RETRY_BASE_DELAY_MS: '10',
+      DSM_RETRY_MAX_DELAY_MS: '50',
+      DSM_CIRCUIT_FAILURE_THRESHOLD: '3',
+      DSM_CIRCUIT_RESET_MS: String(CIRCUIT_RESET_MS)
+    });
+    adminToken = await api.login(...USERS.admin);
+    db = require('../../database/db');
+    ({ encryptedCitizenService: citizens } = require('../../database/encryptedDb'));
+
+    citizenRowId = (await citizens.create(CITIZEN)).id;
+  });
+
+  beforeEach(async () => {
+    // Clear injected failures, then let a successful read close the circuit and reset its failure count
+    emulator.reset();
+    await sleep(CIRCUIT_RESET_MS);
+    await citizens.getById(citizenRowId);
+    emulator.reset();
+  });
+
+  after(async () => {
+    await api.close();
+    emulator.server.closeAllConnections();
+    await emulator.stop();
+  });
+
+  it('stores DSM ciphertext and decrypts it on read', async () => {
+    const stored = await db.getQuery('SELECT firstName_encrypted, email_encrypted FROM citizens WHERE id = ?', [citizenRowId]);
+    assert.ok(!stored.firstName_encrypted.includes(CITIZEN.firstName));
+    assert.ok(stored.firstName_encrypted.includes(emulator.defaultKeyId));
+    assert.ok(!stored.email_encrypted.includes(CITIZEN.email));
+
+    const citizen = await citizens.getById(citizenRowId);
+
+    assert.strictEqual(citizen.firstName, CITIZEN.firstName);
+    assert.strictEqual(citizen.email, CITIZEN.email);
+    assert.strictEqual(emulator.stats.batchDecrypt, 1);
+  });
+
+  it('encrypts a new citizen and lists every citizen with one batch call each', async () => {
+    const created = await citizens.create({ ...CITIZEN, citizenId: 'CTZ902', email: 'ada.byron@email.com' });
+    assert.strictEqual(emulator.stats.batchEncrypt, 1);
+
+    const all = await citizens.getAll();
+    assert.ok(all.length > 10);
+    assert.ok(all.every(citizen => !citizen.firstName.startsWith('[')));
+    assert.strictEqual(all.find(citizen => citizen.id === created.id).email, 'ada.byron@email.com');
+    assert.strictEqual(emulator.stats.batchDecrypt, 1);
+    assert.deepStrictEqual({ encrypt: emulator.stats.encrypt, decrypt: emulator.stats.decrypt }, { encrypt: 0, decrypt: 0 });
+  });
+
+  it('fails only the batch items DSM cannot decrypt', async () => {
+    const { keyProvider } = require('../../database/encryptedDb').getKeyRotationService().encryptionService;
+    const [first, second] = await keyProvider.encryptBatch([{ plaintext: 'John' }, { plaintext: 'Smith' }]);
+    const tampered = JSON.stringify({ ...JSON.parse(second), tag: JSON.parse(first).tag });
+
+    const results = await keyProvider.decryptBatch([{ ciphertext: first }, { ciphertext: tampered }, { ciphertext: 'not a ciphertext' }]);
+
+    assert.deepStrictEqual(results[0], { value: 'John' });
+    assert.ok(results[1].error);
+    assert.ok(results[2].error);
+    assert.strictEqual(emulator.stats.batchDecrypt, 1);
+  });
+
+  it('re-authenticates once when DSM expires the access token', async () => {
+    emulator.expireTokens();
+
+    const citizen = await citizens.getById(citizenRowId);
+
+    assert.strictEqual(citizen.lastName, CITIZEN.lastName);
+    assert.strictEqual(emulator.stats.auth, 1);
+    assert.strictEqual(emulator.stats.batchDecrypt, 2);
+  });
+
+  it('retries 429 and 5xx responses', async () => {
+    emulator.injectFailure({ status: 429, retryAfter: 0 });
+    emulator.injectFailure({ status: 503 });
+
+    const citizen = await citizens.getById(citizenRowId);
+
+    assert.strictEqual(citizen.phone, CITIZEN.phone);
+    assert.strictEqual(emulator.stats.failed, 2);
+    assert.strictEqual(emulator.stats.batchDecrypt, 1);
+    assert.strictEqual(await circuitState(), 'closed');
+  });
+
+  it('tolerates added latency below the request timeout', async () => {
+    emulator.setLatency(REQUEST_TIMEOUT_MS / 2);
+    const started = Date.now();
+
+    const citizen = await citizens.getById(citizenRowId);
+
+    assert.strictEqual(citizen.address, CITIZEN.address);
+    assert.ok(Date.now() - started >= REQUEST_TIMEOUT_MS / 2);
+  });
+
+  it('returns fallback values when DSM is slower than the request timeout', async () => {
+    emulator.setLatency(REQUEST_TIMEOUT_MS * 2);
+
+    const citizen = await citizens.getById(citizenRowId);
+
+    assert.strictEqual(citizen.firstName, '[Encrypted]');
+    assert.strictEqual(citizen.email, '[Encrypted Email]');
+  });
+
+  it('opens the circuit on repeated 5xx responses and fails fast until DSM recovers', async () => {
+    emulator.injectFailure({ status: 500, count: Infinity });
+
+    // Each read is one (retried) batch call, so three reads reach the failure threshold
+    for (let read = 1; read <= 3; read++) {
+      const degraded = await citizens.getById(citizenRowId);
+      assert.strictEqual(degraded.firstName, '[Encrypted]');
+      assert.strictEqual(await circuitState(), read < 3 ? 'closed' : 'open');
+    }
+    const health = await api.request('GET', '/health');
+    assert.strictEqual(health.body.status, 'degraded');
+
+    // While open, reads fall back and writes fail with 503 without reaching DSM
+    const failedCalls = emulator.stats.failed;
+    assert.strictEqual((await citizens.getById(citizenRowId)).firstName, '[Encrypted]');
+    await assert.rejects(citizens.create({ ...CITIZEN, citizenId: 'CTZ901' }), { statusCode: 503 });
+    assert.strictEqual(emulator.stats.failed, failedCalls);
+
+    emulator.reset();
+    await sleep(CIRCUIT_RESET_MS);
+
+    const recovered = await citizens.getById(citizenRowId);
+    assert.strictEqual(recovered.firstName, CITIZEN.firstName);
+    assert.strictEqual(await circuitState(), 'closed');
+  });
+});
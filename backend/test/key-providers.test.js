@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KEY_PROVIDERS, createKeyProvider } = require('../services/keyProviders');
+
+const INTERFACE = ['initialize', 'encryptData', 'decryptData', 'encryptBatch', 'decryptBatch', 'setActiveKey', 'healthCheck'];
+
+describe('key providers', () => {
+  let dir;
+  let log;
+  let error;
+
+  const openKeystore = async () => {
+    const provider = createKeyProvider('local');
+    await provider.initialize();
+    return provider;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-providers-test-'));
+    process.env.LOCAL_KEYSTORE_PATH = path.join(dir, 'keystore.json');
+    delete process.env.LOCAL_KEY_ID;
+    ({ log, error } = console);
+    console.log = console.error = () => {};
+  });
+
+  after(() => {
+    Object.assign(console, { log, error });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('implements the same interface in every provider', () => {
+    for (const [name, Provider] of Object.entries(KEY_PROVIDERS)) {
+      const missing = INTERFACE.filter(method => typeof Provider.prototype[method] !== 'function');
+      assert.deepStrictEqual(missing, [], `${name} is missing ${missing.join(', ')}`);
+    }
+  });
+
+  it('rejects an unknown provider name', () => {
+    assert.throws(() => createKeyProvider('vault'), /Unknown key provider 'vault'/);
+  });
+
+  it('creates an owner-only keystore and round-trips values with AES-GCM', async () => {
+    const provider = await openKeystore();
+
+    assert.strictEqual(fs.statSync(process.env.LOCAL_KEYSTORE_PATH).mode & 0o777, 0o600);
+    const ciphertext = await provider.encryptData('555-0101', undefined, 'citizens|phone|CTZ001');
+    assert.deepStrictEqual(Object.keys(JSON.parse(ciphertext)).sort(), ['cipher', 'iv', 'tag']);
+    assert.strictEqual(await provider.decryptData(ciphertext, undefined, 'citizens|phone|CTZ001'), '555-0101');
+    await assert.rejects(provider.decryptData(ciphertext, undefined, 'citizens|phone|CTZ002'));
+  });
+
+  it('keeps old keys readable after switching the active key', async () => {
+    const provider = await openKeystore();
+    const oldKeyId = provider.keyId;
+    const ciphertext = await provider.encryptData('1985-03-15');
+
+    const newKeyId = await provider.addKey();
+    await provider.setActiveKey(newKeyId);
+    const reopened = await openKeystore();
+
+    assert.strictEqual(reopened.keyId, newKeyId);
+    assert.strictEqual(await reopened.decryptData(ciphertext, oldKeyId), '1985-03-15');
+    await assert.rejects(reopened.decryptData(ciphertext, newKeyId));
+  });
+
+  it('fails batch items individually', async () => {
+    const provider = await openKeystore();
+    const [first, second] = await provider.encryptBatch([{ plaintext: 'John' }, { plaintext: 'Smith' }]);
+
+    const results = await provider.decryptBatch([
+      { ciphertext: first },
+      { ciphertext: 'not a ciphertext' },
+      { ciphertext: second }
+    ]);
+
+    assert.deepStrictEqual(results[0], { value: 'John' });
+    assert.ok(results[1].error);
+    assert.deepStrictEqual(results[2], { value: 'Smith' });
+  });
+});
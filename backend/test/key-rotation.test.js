@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('key rotation', () => {
+  let api;
+  let db;
+  let adminToken;
+  let rotationService;
+
+  const waitForJob = async (id) => {
+    for (let attempt = 0; attempt < 250; attempt++) {
+      const { body } = await api.request('GET', `/admin/key-rotation/${id}`, { token: adminToken });
+      if (body.data.status !== 'running') return body.data;
+      await sleep(20);
+    }
+    throw new Error(`Key rotation job ${id} did not finish`);
+  };
+
+  const assertDataReadable = async () => {
+    const citizen = await api.request('GET', '/citizens/1', { token: adminToken });
+    assert.strictEqual(citizen.body.data.firstName, 'John');
+
+    const found = await api.request('GET', '/citizens?search=Smith', { token: adminToken });
+    assert.ok(found.body.data.data.some(entry => entry.citizenId === 'CTZ001'));
+  };
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    adminToken = await api.login(...USERS.admin);
+    rotationService = require('../database/encryptedDb').getKeyRotationService();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('moves every value onto a new key in batches', async () => {
+    const started = await api.request('POST', '/admin/key-rotation', { token: adminToken, body: { batchSize: 2 } });
+    assert.strictEqual(started.status, 202);
+    const { id, fromKeyId, toKeyId } = started.body.data;
+    assert.notStrictEqual(toKeyId, fromKeyId);
+
+    const second = await api.request('POST', '/admin/key-rotation', { token: adminToken, body: {} });
+    assert.strictEqual(second.status, 409);
+
+    const job = await waitForJob(id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.processedRows, job.totalRows);
+    assert.strictEqual(job.failedFields, 0);
+    assert.ok(job.reencryptedFields > 0);
+
+    const keys = await db.allQuery(`SELECT kekId, status FROM data_keys WHERE scope LIKE 'citizen:%' AND status != 'destroyed'`);
+    assert.ok(keys.filter(key => key.status === 'active').every(key => key.kekId === toKeyId));
+    assert.ok(keys.every(key => key.status !== 'retiring'));
+    await assertDataReadable();
+  });
+
+  it('resumes a failed job from where it stopped', async () => {
+    const reencryptBatch = rotationService.reencryptBatch;
+    rotationService.reencryptBatch = async () => {
+      rotationService.reencryptBatch = reencryptBatch;
+      throw new Error('Simulated provider outage');
+    };
+
+    const started = await api.request('POST', '/admin/key-rotation', { token: adminToken, body: { batchSize: 3 } });
+    const failed = await waitForJob(started.body.data.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error, 'Simulated provider outage');
+
+    const resumed = await api.request('POST', `/admin/key-rotation/${failed.id}/resume`, { token: adminToken });
+    assert.strictEqual(resumed.status, 202);
+    const job = await waitForJob(failed.id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.processedRows, job.totalRows);
+
+    const again = await api.request('POST', `/admin/key-rotation/${failed.id}/resume`, { token: adminToken });
+    assert.strictEqual(again.status, 409);
+    await assertDataReadable();
+  });
+
+  it('keeps key rotation to users with manage-keys', async () => {
+    const staffToken = await api.login(...USERS.staff);
+
+    const { status } = await api.request('POST', '/admin/key-rotation', { token: staffToken, body: {} });
+
+    assert.strictEqual(status, 403);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const ATTACKER_IP = '203.0.113.10';
+const CITIZEN_IP = '198.51.100.20';
+
+describe('per-IP login throttling behind a trusted proxy', () => {
+  let api;
+  let adminToken;
+
+  // Requests arrive from 127.0.0.1, like nginx in the container, and name the client in X-Forwarded-For
+  const loginFrom = (ip, username, password) =>
+    api.request('POST', '/auth/login', { body: { username, password }, headers: { 'X-Forwarded-For': ip } });
+
+  before(async () => {
+    api = await startTestServer({ TRUST_PROXY: 'loopback', LOGIN_IP_LOCKOUT_THRESHOLD: '3' });
+    adminToken = await api.login(...USERS.admin);
+    const [username, seededPassword, password] = USERS.citizen;
+    await api.request('POST', '/auth/change-password', { body: { username, currentPassword: seededPassword, newPassword: password } });
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('locks out the forwarded client IP without affecting other clients', async () => {
+    for (const username of ['alice', 'bob', 'carol']) {
+      await loginFrom(ATTACKER_IP, username, 'wrong-password');
+    }
+
+    const [username, , password] = USERS.citizen;
+    const blocked = await loginFrom(ATTACKER_IP, username, password);
+    assert.strictEqual(blocked.status, 423);
+    assert.match(blocked.body.message, /from this address/);
+
+    const other = await loginFrom(CITIZEN_IP, username, password);
+    assert.strictEqual(other.status, 200);
+    assert.ok(other.body.accessToken);
+  });
+
+  it('records and lists the forwarded address, not the proxy', async () => {
+    const lockouts = await api.request('GET', '/admin/lockouts', { token: adminToken });
+    assert.strictEqual(lockouts.status, 200);
+    assert.deepStrictEqual(JSON.stringify(lockouts.body.data).match(/\d+\.\d+\.\d+\.\d+/g), [ATTACKER_IP]);
+
+    const events = await api.request('GET', '/admin/security-events?eventType=login_succeeded', { token: adminToken });
+    assert.ok(events.body.data.some(event => event.username === 'jsmith' && event.ip === CITIZEN_IP));
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../services/totp');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('TOTP multi-factor authentication', () => {
+  let api;
+  let activatedStep;
+  const secrets = {};
+  const tokens = {};
+
+  // Enroll and activate MFA for a seeded user; returns the step of the code used
+  const enableMfa = async (account) => {
+    tokens[account] = await api.login(...USERS[account]);
+    const enrollment = await api.request('POST', '/auth/mfa/enroll', { token: tokens[account] });
+    secrets[account] = enrollment.body.data.secret;
+    const step = totp.currentStep();
+    const activation = await api.request('POST', '/auth/mfa/activate', {
+      token: tokens[account],
+      body: { code: totp.codeForStep(secrets[account], step) }
+    });
+    assert.strictEqual(activation.status, 200);
+    assert.strictEqual(activation.body.data.recoveryCodes.length, 10);
+    return step;
+  };
+
+  const passwordLogin = (account) => {
+    const [username, , password] = USERS[account];
+    return api.request('POST', '/auth/login', { body: { username, password } });
+  };
+
+  before(async () => {
+    api = await startTestServer({ LOGIN_LOCKOUT_THRESHOLD: '3' });
+    activatedStep = await enableMfa('admin');
+    await enableMfa('staff');
+    await enableMfa('citizen');
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('asks for a code after the password and accepts each code only once', async () => {
+    const code = totp.codeForStep(secrets.admin, activatedStep + 1);
+
+    const first = await passwordLogin('admin');
+    assert.strictEqual(first.body.mfaRequired, true);
+    assert.strictEqual(first.body.accessToken, undefined);
+    const verified = await api.request('POST', '/auth/login/mfa', { body: { mfaToken: first.body.mfaToken, code } });
+    assert.strictEqual(verified.status, 200);
+    assert.ok(verified.body.accessToken);
+
+    const second = await passwordLogin('admin');
+    const replayed = await api.request('POST', '/auth/login/mfa', { body: { mfaToken: second.body.mfaToken, code } });
+    assert.strictEqual(replayed.status, 401);
+  });
+
+  it('does not change the password of an MFA account without a session', async () => {
+    const [username, , password] = USERS.admin;
+
+    const { status } = await api.request('POST', '/auth/change-password', {
+      body: { username, currentPassword: password, newPassword: 'Stolen-Password-2026!' }
+    });
+
+    assert.strictEqual(status, 401);
+    assert.strictEqual((await passwordLogin('admin')).body.mfaRequired, true);
+  });
+
+  it('changes the password of an MFA account from a signed-in session', async () => {
+    const [, , password] = USERS.admin;
+
+    const { status } = await api.request('POST', '/auth/change-password', {
+      token: tokens.admin,
+      body: { currentPassword: password, newPassword: 'Rotated-Breakglass-2026!' }
+    });
+
+    assert.strictEqual(status, 200);
+  });
+
+  for (const [endpoint, account, body] of [
+    ['/auth/mfa/recovery-codes', 'staff', { code: '000000' }],
+    ['/auth/mfa/disable', 'citizen', { password: USERS.citizen[2], code: '000000' }]
+  ]) {
+    it(`locks the account after repeated wrong codes at ${endpoint}`, async () => {
+      const statuses = [];
+      for (let attempt = 0; attempt < 3; attempt++) {
+        statuses.push((await api.request('POST', endpoint, { token: tokens[account], body })).status);
+      }
+      assert.deepStrictEqual(statuses, [401, 401, 423]);
+
+      // The right code is refused while the account is locked
+      const right = { ...body, code: totp.codeForStep(secrets[account], totp.currentStep()) };
+      assert.strictEqual((await api.request('POST', endpoint, { token: tokens[account], body: right })).status, 423);
+    });
+  }
+});
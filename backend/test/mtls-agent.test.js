@@ -0,0 +1,47 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const MtlsAgent = require('../services/mtlsAgent');
+
+describe('mTLS agent server verification', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { ca: process.env.FORTANIX_CA_CERT_PATH, reject: process.env.FORTANIX_TLS_REJECT_UNAUTHORIZED };
+    delete process.env.FORTANIX_CA_CERT_PATH;
+    delete process.env.FORTANIX_TLS_REJECT_UNAUTHORIZED;
+  });
+
+  afterEach(() => {
+    for (const [name, value] of [['FORTANIX_CA_CERT_PATH', saved.ca], ['FORTANIX_TLS_REJECT_UNAUTHORIZED', saved.reject]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('verifies DSM against the system trust store when no CA is pinned', () => {
+    const agent = new MtlsAgent();
+
+    assert.strictEqual(agent.caPath, null);
+    assert.strictEqual(agent.rejectUnauthorized, true);
+  });
+
+  it('keeps verifying when the setting is empty or not "false"', () => {
+    for (const value of ['', 'true', '0', 'no']) {
+      process.env.FORTANIX_TLS_REJECT_UNAUTHORIZED = value;
+      assert.strictEqual(new MtlsAgent().rejectUnauthorized, true, `FORTANIX_TLS_REJECT_UNAUTHORIZED=${value}`);
+    }
+  });
+
+  it('skips verification only on an explicit opt-out', () => {
+    process.env.FORTANIX_TLS_REJECT_UNAUTHORIZED = 'false';
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      assert.strictEqual(new MtlsAgent().rejectUnauthorized, false);
+    } finally {
+      console.warn = warn;
+    }
+    assert.match(warnings.join('\n'), /NOT verified/);
+  });
+});
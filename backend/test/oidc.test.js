@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const MockOidcIdp = require('../tools/mock-oidc-idp');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('OIDC single sign-on', () => {
+  let idp;
+  let api;
+  let db;
+
+  // Follow the browser's redirects through the mock IdP; returns the app URL fragment
+  const signInAtIdp = async (username) => {
+    const start = await fetch(`${api.baseUrl}/auth/oidc/login`, { redirect: 'manual' });
+    const authorize = new URL(start.headers.get('location'));
+    authorize.searchParams.set('login_hint', username);
+
+    const idpResponse = await fetch(authorize, { redirect: 'manual' });
+    const { search } = new URL(idpResponse.headers.get('location'));
+
+    const callback = await fetch(`${api.baseUrl}/auth/oidc/callback${search}`, { redirect: 'manual' });
+    return new URLSearchParams(callback.headers.get('location').split('#')[1]);
+  };
+
+  // Full SSO login; returns the session response
+  const ssoLogin = async (username) => {
+    const fragment = await signInAtIdp(username);
+    assert.ok(fragment.get('sso'), fragment.get('sso_error'));
+    return api.request('POST', '/auth/oidc/session', { body: { code: fragment.get('sso') } });
+  };
+
+  before(async () => {
+    idp = new MockOidcIdp();
+    const url = await idp.start();
+    api = await startTestServer(idp.clientEnv(url));
+    db = require('../database/db');
+  });
+
+  after(async () => {
+    await api.close();
+    await idp.stop();
+  });
+
+  it('provisions users just in time with the role of their groups', async () => {
+    const admin = await ssoLogin('alice.admin');
+    const staff = await ssoLogin('bob.staff');
+
+    assert.strictEqual(admin.status, 200);
+    assert.strictEqual(admin.body.user.role, 'admin');
+    assert.strictEqual(staff.body.user.role, 'staff');
+    const stored = await db.getQuery('SELECT role, oidcSubject FROM users WHERE username = ?', ['bob.staff']);
+    assert.deepStrictEqual({ ...stored }, { role: 'staff', oidcSubject: 'mock-0002' });
+    assert.strictEqual((await api.request('GET', '/citizens', { token: staff.body.accessToken })).status, 200);
+  });
+
+  it('accepts each handoff code once', async () => {
+    const fragment = await signInAtIdp('bob.staff');
+
+    const first = await api.request('POST', '/auth/oidc/session', { body: { code: fragment.get('sso') } });
+    const second = await api.request('POST', '/auth/oidc/session', { body: { code: fragment.get('sso') } });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 401);
+  });
+
+  it('refuses users outside the mapped groups', async () => {
+    const fragment = await signInAtIdp('carol.library');
+
+    assert.match(fragment.get('sso_error'), /not in a group/);
+    assert.strictEqual(await db.getQuery('SELECT id FROM users WHERE username = ?', ['carol.library']), undefined);
+  });
+
+  it('signs users out once they are removed from the groups', async () => {
+    const { body } = await ssoLogin('bob.staff');
+    idp.addUser({ sub: 'mock-0002', username: 'bob.staff', givenName: 'Bob', familyName: 'Staff', groups: [] });
+
+    const fragment = await signInAtIdp('bob.staff');
+
+    assert.ok(fragment.get('sso_error'));
+    assert.strictEqual((await api.request('GET', '/auth/me', { token: body.accessToken })).status, 401);
+  });
+
+  it('never takes over a local account and keeps the password login for break-glass', async () => {
+    idp.addUser({ username: 'admin', email: 'admin@springfield.gov', groups: ['city-it-admins'] });
+
+    const fragment = await signInAtIdp('admin');
+
+    assert.match(fragment.get('sso_error'), /local account/);
+    const local = await db.getQuery('SELECT oidcSubject FROM users WHERE username = ?', ['admin']);
+    assert.strictEqual(local.oidcSubject, null);
+    assert.ok(await api.login(...USERS.admin));
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+const { PasswordService } = require('../services/passwordService');
+
+const BCRYPT = /^\$2[aby]\$\d{2}\$/;
+
+describe('PasswordService', () => {
+  const passwords = Object.assign(new PasswordService(), { rounds: 4 });
+
+  it('applies the password policy', () => {
+    assert.deepStrictEqual(passwords.validate('Short-1!'), ['Password must be at least 12 characters']);
+    assert.deepStrictEqual(passwords.validate('alllowercaseletters'), ['Password must contain at least three of: lowercase letters, uppercase letters, digits, symbols']);
+    assert.deepStrictEqual(passwords.validate('Mgarcia-Rules-2026', { username: 'mgarcia' }), ['Password must not contain the username']);
+    assert.deepStrictEqual(passwords.validate('Springfield2026!'), ['Password is too common']);
+    assert.deepStrictEqual(passwords.validate('Quiet-Harbor-Lamp-7'), []);
+    assert.deepStrictEqual(passwords.validate(passwords.generateTemporary()), []);
+  });
+
+  it('accepts legacy plaintext rows and asks for them to be rehashed', async () => {
+    assert.deepStrictEqual(await passwords.verify('admin123', 'admin123'), { valid: true, needsRehash: true });
+    assert.deepStrictEqual(await passwords.verify('admin123', 'admin124'), { valid: false, needsRehash: false });
+    assert.deepStrictEqual(await passwords.verify(null, 'admin123'), { valid: false, needsRehash: false });
+  });
+
+  it('asks for hashes below the configured cost to be rehashed', async () => {
+    const stronger = Object.assign(new PasswordService(), { rounds: 5 });
+    const stored = await passwords.hash('Quiet-Harbor-Lamp-7');
+
+    assert.deepStrictEqual(await passwords.verify(stored, 'Quiet-Harbor-Lamp-7'), { valid: true, needsRehash: false });
+    assert.deepStrictEqual(await stronger.verify(stored, 'Quiet-Harbor-Lamp-7'), { valid: true, needsRehash: true });
+  });
+});
+
+describe('password lifecycle', () => {
+  let api;
+  let db;
+
+  const storedPassword = async (username) => (await db.getQuery('SELECT password FROM users WHERE username = ?', [username])).password;
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('stores the seeded passwords as bcrypt hashes', async () => {
+    for (const [username, seededPassword] of Object.values(USERS)) {
+      const stored = await storedPassword(username);
+      assert.match(stored, BCRYPT);
+      assert.ok(!stored.includes(seededPassword));
+    }
+  });
+
+  it('upgrades a plaintext row on the next login', async () => {
+    await db.runQuery(
+      `INSERT INTO users (username, password, role, firstName, lastName, email, isActive, mustChangePassword)
+       VALUES ('legacy', 'Quiet-Harbor-Lamp-7', 'staff', 'Legacy', 'User', 'legacy@springfield.gov', 1, 0)`
+    );
+
+    const { status } = await api.request('POST', '/auth/login', { body: { username: 'legacy', password: 'Quiet-Harbor-Lamp-7' } });
+
+    assert.strictEqual(status, 200);
+    assert.match(await storedPassword('legacy'), BCRYPT);
+  });
+
+  it('limits a session to the auth endpoints until the seeded password is changed', async () => {
+    const [username, seededPassword] = USERS.staff;
+    const { body } = await api.request('POST', '/auth/login', { body: { username, password: seededPassword } });
+
+    assert.strictEqual(body.user.mustChangePassword, true);
+    assert.strictEqual((await api.request('GET', '/auth/me', { token: body.accessToken })).status, 200);
+    const blocked = await api.request('GET', '/citizens', { token: body.accessToken });
+    assert.strictEqual(blocked.status, 403);
+    assert.deepStrictEqual(blocked.body.details, { mustChangePassword: true });
+  });
+
+  it('refuses a new password that breaks the policy or a wrong current password', async () => {
+    const [username, seededPassword] = USERS.staff;
+
+    const weak = await api.request('POST', '/auth/change-password', { body: { username, currentPassword: seededPassword, newPassword: 'secure4567' } });
+    assert.strictEqual(weak.status, 400);
+    assert.ok(weak.body.details.length > 0);
+
+    const wrong = await api.request('POST', '/auth/change-password', { body: { username, currentPassword: 'not-it', newPassword: 'Quiet-Harbor-Lamp-7' } });
+    assert.strictEqual(wrong.status, 401);
+  });
+
+  it('lets an admin reset a password, signing the user out and forcing a change', async () => {
+    const adminToken = await api.login(...USERS.admin);
+    const staffToken = await api.login(...USERS.staff);
+    const { id } = await db.getQuery('SELECT id FROM users WHERE username = ?', [USERS.staff[0]]);
+
+    const reset = await api.request('POST', `/admin/users/${id}/reset-password`, { token: adminToken, body: {} });
+    assert.strictEqual(reset.status, 200);
+    const { temporaryPassword } = reset.body.data;
+
+    assert.strictEqual((await api.request('GET', '/auth/me', { token: staffToken })).status, 401);
+    const login = await api.request('POST', '/auth/login', { body: { username: USERS.staff[0], password: temporaryPassword } });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.user.mustChangePassword, true);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+const { getRequestContext } = require('../middleware/requestContext');
+
+describe('PII access log endpoints', () => {
+  let api;
+  let db;
+  let adminToken;
+
+  // Entries are written once the response finishes
+  const entriesFor = async (requestId) => {
+    await require('../database/encryptedDb').getPiiAccessLogService().flush();
+    return db.allQuery('SELECT citizenId, endpoint FROM pii_access_log WHERE requestId = ?', [requestId]);
+  };
+  const lastRequestId = async () => (await db.getQuery('SELECT requestId FROM pii_access_log ORDER BY id DESC LIMIT 1')).requestId;
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    adminToken = await api.login(...USERS.admin);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('logs the route pattern instead of the citizen id in the path', async () => {
+    const { status } = await api.request('GET', '/citizens/citizen-id/CTZ001', { token: adminToken });
+    assert.strictEqual(status, 200);
+
+    const entries = await entriesFor(await lastRequestId());
+
+    assert.deepStrictEqual(entries.map(entry => ({ ...entry })), [{ citizenId: 'CTZ001', endpoint: 'GET /api/citizens/citizen-id/:citizenId' }]);
+  });
+
+  it('logs the route pattern instead of the search term', async () => {
+    const { status, body } = await api.request('GET', '/service-requests/search/REQ-2024-003?page=1', { token: adminToken });
+    assert.strictEqual(status, 200);
+    assert.ok(body.data.data.length > 0);
+
+    const entries = await entriesFor(await lastRequestId());
+
+    assert.ok(entries.length > 0);
+    entries.forEach(entry => assert.strictEqual(entry.endpoint, 'GET /api/service-requests/search/:term'));
+    const logged = await db.allQuery('SELECT endpoint FROM pii_access_log');
+    assert.ok(!JSON.stringify(logged).includes('REQ-2024-003'));
+    assert.ok(!JSON.stringify(logged).includes('CTZ001'));
+  });
+
+  it('logs the decryption of a request the client aborts before the response', async () => {
+    const { encryptedCitizenService: citizens } = require('../database/encryptedDb');
+    const getById = citizens.getById;
+    const controller = new AbortController();
+    let decrypted;
+    let closed;
+    const decryptedSignal = new Promise(resolve => { decrypted = resolve; });
+
+    // Hold the response after decrypting until the client has gone away
+    citizens.getById = async function (...args) {
+      const citizen = await getById.apply(this, args);
+      const { res } = getRequestContext();
+      closed = new Promise(resolve => res.once('close', resolve));
+      decrypted();
+      await closed;
+      return citizen;
+    };
+    try {
+      const aborted = fetch(`${api.baseUrl}/citizens/5`, {
+        headers: { Authorization: `Bearer ${adminToken}` },
+        signal: controller.signal
+      });
+      await decryptedSignal;
+      controller.abort();
+      await assert.rejects(aborted, { name: 'AbortError' });
+    } finally {
+      citizens.getById = getById;
+    }
+
+    await closed;
+    await require('../database/encryptedDb').getPiiAccessLogService().flush();
+    const entries = await db.allQuery("SELECT actor, endpoint FROM pii_access_log WHERE citizenId = 'CTZ005'");
+    assert.deepStrictEqual(entries.map(entry => ({ ...entry })), [{ actor: 'admin', endpoint: 'GET /api/citizens/:id' }]);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const PASSWORD = 'Role-Account-2026!';
+
+describe('role-based PII masking', () => {
+  let api;
+  const tokens = {};
+
+  const citizenAs = async (role) => (await api.request('GET', '/citizens/1', { token: tokens[role] })).body.data;
+
+  before(async () => {
+    api = await startTestServer();
+    const { runQuery } = require('../database/db');
+    const { getPasswordService } = require('../services/passwordService');
+
+    tokens.admin = await api.login(...USERS.admin);
+    tokens.staff = await api.login(...USERS.staff);
+    for (const role of ['supervisor', 'clerk', 'analyst', 'auditor']) {
+      await runQuery(
+        'INSERT INTO users (username, password, role, firstName, lastName, email, isActive) VALUES (?, ?, ?, ?, ?, ?, 1)',
+        [`${role}1`, await getPasswordService().hash(PASSWORD), role, 'Test', role, `${role}1@springfield.gov`]
+      );
+      const { body } = await api.request('POST', '/auth/login', { body: { username: `${role}1`, password: PASSWORD } });
+      tokens[role] = body.accessToken;
+    }
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('gives every masking role a set of permissions', () => {
+    const { ROLE_PROFILES } = require('../services/piiMasking');
+    const { ROLE_PERMISSIONS } = require('../services/permissions');
+
+    const roles = Object.keys(ROLE_PROFILES).filter(role => role !== 'api-key');
+    assert.deepStrictEqual(roles.filter(role => !ROLE_PERMISSIONS[role]), []);
+  });
+
+  it('shows supervisors and admins the full values', async () => {
+    for (const role of ['supervisor', 'admin']) {
+      const citizen = await citizenAs(role);
+      assert.strictEqual(citizen.email, 'john.smith@email.com');
+      assert.strictEqual(citizen.dateOfBirth, '1985-03-15');
+    }
+  });
+
+  it('masks values for clerks and staff', async () => {
+    for (const role of ['clerk', 'staff']) {
+      const citizen = await citizenAs(role);
+      assert.strictEqual(citizen.firstName, 'J.');
+      assert.strictEqual(citizen.email, 'j***@email.com');
+      assert.strictEqual(citizen.phone, '***-0101');
+      assert.strictEqual(citizen.dateOfBirth, '1985');
+    }
+  });
+
+  it('shows analysts public columns only', async () => {
+    const citizen = await citizenAs('analyst');
+
+    assert.strictEqual(citizen.citizenId, 'CTZ001');
+    assert.strictEqual(citizen.city, 'Springfield');
+    for (const field of ['firstName', 'lastName', 'email', 'phone', 'address', 'zipCode', 'dateOfBirth']) {
+      assert.ok(!(field in citizen), `${field} is left out`);
+    }
+  });
+
+  it('masks service requests and dashboard activity the same way', async () => {
+    const request = (await api.request('GET', '/service-requests/1', { token: tokens.clerk })).body.data;
+    assert.strictEqual(request.email, 'j***@email.com');
+
+    const activity = (await api.request('GET', '/dashboard/recent-activity', { token: tokens.analyst })).body.data;
+    assert.ok(activity.length > 0);
+    assert.ok(activity.every(entry => !('firstName' in entry) && !('email' in entry)));
+  });
+
+  it('fails closed for unknown and missing roles', async () => {
+    const { getMaskingProfile } = require('../services/piiMasking');
+
+    assert.strictEqual(getMaskingProfile({}), 'public');
+    assert.strictEqual(getMaskingProfile({ user: { role: 'auditor', permissions: [] } }), 'public');
+    assert.strictEqual((await api.request('GET', '/citizens/1', { token: tokens.auditor })).status, 403);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { retry, CircuitBreaker, Bulkhead } = require('../services/resilience');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An operation that fails the first `failures` times
+const flaky = (failures, error = new Error('DSM 503')) => {
+  const operation = async () => {
+    operation.calls++;
+    if (operation.calls <= failures) throw error;
+    return 'ok';
+  };
+  operation.calls = 0;
+  return operation;
+};
+
+describe('resilience', () => {
+  let log;
+  let consoleError;
+
+  before(() => {
+    ({ log, error: consoleError } = console);
+    console.log = console.error = () => {};
+  });
+
+  after(() => {
+    Object.assign(console, { log, error: consoleError });
+  });
+
+  describe('retry', () => {
+    it('retries until an attempt succeeds', async () => {
+      const operation = flaky(2);
+      const delays = [];
+
+      const result = await retry(operation, { attempts: 3, baseDelayMs: 5, onRetry: (error, attempt, delay) => delays.push(delay) });
+
+      assert.strictEqual(result, 'ok');
+      assert.strictEqual(operation.calls, 3);
+      assert.strictEqual(delays.length, 2);
+      assert.ok(delays.every(delay => delay >= 0 && delay < 20));
+    });
+
+    it('gives up after the last attempt and on errors that must not be retried', async () => {
+      const exhausted = flaky(5);
+      await assert.rejects(retry(exhausted, { attempts: 3, baseDelayMs: 1 }), /DSM 503/);
+      assert.strictEqual(exhausted.calls, 3);
+
+      const rejected = flaky(5, Object.assign(new Error('Bad request'), { status: 400 }));
+      await assert.rejects(retry(rejected, { attempts: 3, baseDelayMs: 1, shouldRetry: error => error.status !== 400 }), /Bad request/);
+      assert.strictEqual(rejected.calls, 1);
+    });
+
+    it('waits for a requested Retry-After, capped at the maximum delay', async () => {
+      const delays = [];
+
+      await retry(flaky(1), { baseDelayMs: 1, maxDelayMs: 30, retryAfterMs: () => 1000, onRetry: (error, attempt, delay) => delays.push(delay) });
+
+      assert.deepStrictEqual(delays, [30]);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    it('opens after the failure threshold and fails fast', async () => {
+      const breaker = new CircuitBreaker('DSM', { failureThreshold: 2, resetTimeoutMs: 1000 });
+      const operation = flaky(Infinity);
+
+      await assert.rejects(breaker.execute(operation));
+      assert.strictEqual(breaker.state, 'closed');
+      await assert.rejects(breaker.execute(operation));
+      assert.strictEqual(breaker.state, 'open');
+
+      await assert.rejects(breaker.execute(operation), { isCircuitOpen: true, statusCode: 503 });
+      assert.strictEqual(operation.calls, 2);
+      assert.strictEqual(breaker.getStatus().lastError.message, 'DSM 503');
+    });
+
+    it('closes again after a successful trial call, or re-opens after a failed one', async () => {
+      const breaker = new CircuitBreaker('DSM', { failureThreshold: 1, resetTimeoutMs: 20 });
+      await assert.rejects(breaker.execute(flaky(1)));
+
+      await sleep(25);
+      await assert.rejects(breaker.execute(flaky(1)));
+      assert.strictEqual(breaker.state, 'open');
+
+      await sleep(25);
+      assert.strictEqual(await breaker.execute(flaky(0)), 'ok');
+      assert.strictEqual(breaker.state, 'closed');
+    });
+
+    it('lets only one trial call through while half-open', async () => {
+      const breaker = new CircuitBreaker('DSM', { failureThreshold: 1, resetTimeoutMs: 10 });
+      await assert.rejects(breaker.execute(flaky(1)));
+      await sleep(15);
+
+      const trial = breaker.execute(() => sleep(20).then(() => 'ok'));
+      await assert.rejects(breaker.execute(flaky(0)), { isCircuitOpen: true });
+      assert.strictEqual(await trial, 'ok');
+    });
+
+    it('does not count errors that say nothing about the service', async () => {
+      const breaker = new CircuitBreaker('DSM', { failureThreshold: 1, isFailure: error => error.status !== 400 });
+
+      await assert.rejects(breaker.execute(flaky(1, Object.assign(new Error('Bad request'), { status: 400 }))));
+
+      assert.strictEqual(breaker.state, 'closed');
+    });
+  });
+
+  describe('Bulkhead', () => {
+    it('caps concurrent operations and runs the rest in order', async () => {
+      const bulkhead = new Bulkhead('DSM', { maxConcurrent: 2 });
+      let running = 0;
+      let peak = 0;
+      const finished = [];
+
+      await Promise.all([1, 2, 3, 4, 5].map(n => bulkhead.run(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(5);
+        running--;
+        finished.push(n);
+      })));
+
+      assert.strictEqual(peak, 2);
+      assert.deepStrictEqual(finished, [1, 2, 3, 4, 5]);
+      assert.deepStrictEqual({ active: bulkhead.active, queued: bulkhead.queue.length }, { active: 0, queued: 0 });
+    });
+
+    it('rejects calls once the queue is full', async () => {
+      const bulkhead = new Bulkhead('DSM', { maxConcurrent: 1, maxQueue: 1 });
+
+      const running = bulkhead.run(() => sleep(10));
+      const queued = bulkhead.run(() => sleep(1));
+      await assert.rejects(bulkhead.run(() => sleep(1)), { isBulkheadFull: true, statusCode: 503 });
+      await Promise.all([running, queued]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('service request routes', () => {
+  let api;
+  let db;
+  let adminToken;
+
+  const historyOf = (requestId) => db.allQuery('SELECT * FROM request_history WHERE requestId = ? ORDER BY id', [requestId]);
+  const statusOf = async (requestId) => (await db.getQuery('SELECT status FROM service_requests WHERE id = ?', [requestId])).status;
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    adminToken = await api.login(...USERS.admin);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  describe('GET /:id', () => {
+    it('returns the decrypted request with its status history', async () => {
+      await api.request('PATCH', '/service-requests/1/status', { token: adminToken, body: { status: 'in_review', comments: 'Site visit booked' } });
+
+      const { status, body } = await api.request('GET', '/service-requests/1', { token: adminToken });
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.data.requestNumber, 'REQ-2024-001');
+      assert.strictEqual(body.data.firstName, 'John');
+      assert.deepStrictEqual(
+        body.data.history.map(({ oldStatus, newStatus, changedBy, comments }) => ({ oldStatus, newStatus, changedBy, comments })),
+        [{ oldStatus: 'submitted', newStatus: 'in_review', changedBy: 'admin', comments: 'Site visit booked' }]
+      );
+    });
+
+    it('returns 404 for an unknown request', async () => {
+      const { status, body } = await api.request('GET', '/service-requests/999', { token: adminToken });
+
+      assert.strictEqual(status, 404);
+      assert.strictEqual(body.message, 'Service request not found');
+    });
+
+    it("does not decrypt another citizen's request for a citizen account", async () => {
+      const { encryptedServiceRequestService } = require('../database/encryptedDb');
+      const citizenToken = await api.login(...USERS.citizen);
+      const { id } = await db.getQuery('SELECT id FROM service_requests WHERE citizenId != 1 LIMIT 1');
+      const getById = encryptedServiceRequestService.getById;
+      const decrypted = [];
+      encryptedServiceRequestService.getById = async (requestId) => {
+        decrypted.push(requestId);
+        return getById.call(encryptedServiceRequestService, requestId);
+      };
+
+      let response;
+      try {
+        response = await api.request('GET', `/service-requests/${id}`, { token: citizenToken });
+      } finally {
+        encryptedServiceRequestService.getById = getById;
+      }
+
+      assert.strictEqual(response.status, 404);
+      assert.deepStrictEqual(decrypted, []);
+    });
+  });
+
+  describe('GET /citizen/:citizenId', () => {
+    it('returns the requests of the citizen', async () => {
+      const { status, body } = await api.request('GET', '/service-requests/citizen/2', { token: adminToken });
+
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body.data.map(request => request.requestNumber), ['REQ-2024-002']);
+    });
+
+    it('returns 404 for an unknown citizen', async () => {
+      const { status, body } = await api.request('GET', '/service-requests/citizen/999', { token: adminToken });
+
+      assert.strictEqual(status, 404);
+      assert.strictEqual(body.message, 'Citizen not found');
+    });
+  });
+
+  describe('PATCH /:id/status', () => {
+    it('rejects an unknown status with 400', async () => {
+      const { status, body } = await api.request('PATCH', '/service-requests/2/status', { token: adminToken, body: { status: 'archived' } });
+
+      assert.strictEqual(status, 400);
+      assert.ok(body.details.validStatuses.includes('approved'));
+    });
+
+    it('returns 404 for an unknown request', async () => {
+      const { status } = await api.request('PATCH', '/service-requests/999/status', { token: adminToken, body: { status: 'approved' } });
+
+      assert.strictEqual(status, 404);
+    });
+
+    it('updates the status and writes a request_history row', async () => {
+      const { status, body } = await api.request('PATCH', '/service-requests/2/status', {
+        token: adminToken,
+        body: { status: 'approved', comments: 'All documents in order' }
+      });
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.data.status, 'approved');
+      assert.ok(body.data.completedDate);
+      const history = await historyOf(2);
+      assert.strictEqual(history.length, 1);
+      assert.deepStrictEqual(
+        { oldStatus: history[0].oldStatus, newStatus: history[0].newStatus, changedBy: history[0].changedBy, comments: history[0].comments },
+        { oldStatus: 'in_review', newStatus: 'approved', changedBy: 'admin', comments: 'All documents in order' }
+      );
+    });
+
+    it('returns 409 when the status changed after it was read', async () => {
+      // Another change lands between the status read and the guarded update
+      const connection = db.getDb();
+      const get = connection.get;
+      connection.get = function (sql, params, callback) {
+        if (!sql.startsWith('SELECT status FROM service_requests')) {
+          return get.call(this, sql, params, callback);
+        }
+        connection.get = get;
+        return get.call(this, sql, params, (err, row) => {
+          connection.run("UPDATE service_requests SET status = 'rejected' WHERE id = ?", params, () => callback(err, row));
+        });
+      };
+
+      const { status } = await api.request('PATCH', '/service-requests/4/status', { token: adminToken, body: { status: 'approved' } });
+
+      assert.strictEqual(status, 409);
+      assert.strictEqual(await statusOf(4), 'rejected');
+      assert.deepStrictEqual(await historyOf(4), []);
+    });
+
+    it('leaves the status unchanged when the history row cannot be written', async () => {
+      await db.runQuery("CREATE TEMP TRIGGER fail_history BEFORE INSERT ON request_history BEGIN SELECT RAISE(ABORT, 'history unavailable'); END");
+      try {
+        const { status } = await api.request('PATCH', '/service-requests/8/status', { token: adminToken, body: { status: 'in_review' } });
+
+        assert.strictEqual(status, 500);
+      } finally {
+        await db.runQuery('DROP TRIGGER fail_history');
+      }
+      assert.strictEqual(await statusOf(8), 'submitted');
+      assert.deepStrictEqual(await historyOf(8), []);
+
+      const retry = await api.request('PATCH', '/service-requests/8/status', { token: adminToken, body: { status: 'in_review' } });
+      assert.strictEqual(retry.status, 200);
+      assert.strictEqual((await historyOf(8)).length, 1);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+const JWT_SECRET = 'session-test-signing-key';
+const PROTECTED = ['/citizens', '/portal/profile', '/service-requests', '/service-types', '/agencies', '/dashboard/stats', '/admin/security-events'];
+
+describe('sessions', () => {
+  let api;
+  let db;
+
+  // Sign in as staff and return the login response body
+  const signIn = async () => {
+    const [username, , password] = USERS.staff;
+    const { status, body } = await api.request('POST', '/auth/login', { body: { username, password } });
+    assert.strictEqual(status, 200);
+    return body;
+  };
+
+  before(async () => {
+    api = await startTestServer({ JWT_SECRET });
+    db = require('../database/db');
+    await api.login(...USERS.staff);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('requires a token on every API router', async () => {
+    for (const url of PROTECTED) {
+      const { status } = await api.request('GET', url);
+      assert.strictEqual(status, 401, url);
+    }
+  });
+
+  it('rejects forged and expired access tokens', async () => {
+    const { accessToken } = await signIn();
+    const claims = jwt.decode(accessToken);
+    const options = { algorithm: 'HS256', issuer: claims.iss, audience: claims.aud };
+    const payload = { sub: claims.sub, username: claims.username, role: 'admin', sid: claims.sid };
+
+    const forged = jwt.sign(payload, 'some-other-key', { ...options, expiresIn: 60 });
+    const forgedResponse = await api.request('GET', '/citizens', { token: forged });
+    assert.strictEqual(forgedResponse.status, 401);
+    assert.strictEqual(forgedResponse.body.message, 'Invalid access token');
+
+    const expired = jwt.sign({ ...payload, exp: Math.floor(Date.now() / 1000) - 10 }, JWT_SECRET, options);
+    const expiredResponse = await api.request('GET', '/citizens', { token: expired });
+    assert.strictEqual(expiredResponse.status, 401);
+    assert.strictEqual(expiredResponse.body.message, 'Access token expired');
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const { refreshToken } = await signIn();
+
+    const refreshed = await api.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+    assert.strictEqual(refreshed.status, 200);
+    assert.notStrictEqual(refreshed.body.data.refreshToken, refreshToken);
+    assert.strictEqual((await api.request('GET', '/citizens', { token: refreshed.body.data.accessToken })).status, 200);
+  });
+
+  it('revokes the whole session when a rotated refresh token is used again', async () => {
+    const { refreshToken } = await signIn();
+    const { body } = await api.request('POST', '/auth/refresh', { body: { refreshToken } });
+    const { accessToken, refreshToken: current } = body.data;
+
+    const reused = await api.request('POST', '/auth/refresh', { body: { refreshToken } });
+    assert.strictEqual(reused.status, 401);
+
+    assert.strictEqual((await api.request('GET', '/citizens', { token: accessToken })).status, 401);
+    assert.strictEqual((await api.request('POST', '/auth/refresh', { body: { refreshToken: current } })).status, 401);
+    const sessionId = refreshToken.split('.')[0];
+    const session = await db.getQuery('SELECT revokedReason FROM auth_sessions WHERE id = ?', [sessionId]);
+    assert.strictEqual(session.revokedReason, 'refresh token reuse');
+  });
+
+  it('revokes the session on logout, with the access or the refresh token', async () => {
+    const first = await signIn();
+    await api.request('POST', '/auth/logout', { token: first.accessToken });
+    assert.strictEqual((await api.request('GET', '/auth/me', { token: first.accessToken })).status, 401);
+    assert.strictEqual((await api.request('POST', '/auth/refresh', { body: { refreshToken: first.refreshToken } })).status, 401);
+
+    const second = await signIn();
+    await api.request('POST', '/auth/logout', { body: { refreshToken: second.refreshToken } });
+    assert.strictEqual((await api.request('GET', '/auth/me', { token: second.accessToken })).status, 401);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, USERS } = require('./helpers/testServer');
+
+describe('statistics overviews', () => {
+  let api;
+  let db;
+  let staffToken;
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+    staffToken = await api.login(...USERS.staff);
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('counts citizens without decrypting them', async () => {
+    const { status, body } = await api.request('GET', '/citizens/stats/overview', { token: staffToken });
+    const { count } = await db.getQuery('SELECT COUNT(*) as count FROM citizens');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.totalCitizens, count);
+    assert.ok(!('ageDistribution' in body.data));
+    assert.ok(body.data.topCities.some(entry => entry.city === 'Springfield'));
+    const logged = await db.allQuery("SELECT id FROM pii_access_log WHERE endpoint = 'GET /api/citizens/stats/overview'");
+    assert.strictEqual(logged.length, 0);
+  });
+
+  it('counts service requests without decrypting them', async () => {
+    const { status, body } = await api.request('GET', '/service-requests/stats/overview', { token: staffToken });
+    const { count } = await db.getQuery('SELECT COUNT(*) as count FROM service_requests');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data.totalRequests, count);
+    assert.strictEqual(Object.values(body.data.agencyWorkload).reduce((sum, n) => sum + n, 0), count);
+    const logged = await db.allQuery("SELECT id FROM pii_access_log WHERE endpoint = 'GET /api/service-requests/stats/overview'");
+    assert.strictEqual(logged.length, 0);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AsyncResource } = require('node:async_hooks');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('database transactions', () => {
+  let api;
+  let db;
+
+  const eventCount = async () => (await db.getQuery("SELECT COUNT(*) AS count FROM security_events WHERE eventType = 'test_outside_write'")).count;
+
+  before(async () => {
+    api = await startTestServer();
+    db = require('../database/db');
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('holds writes made outside the transaction until it ends, so a rollback keeps them', async () => {
+    let outsideWrite;
+    let outsideDone = false;
+    // Bound here, so it runs like another request would: outside the transaction
+    const writeOutside = AsyncResource.bind(() => db.runQuery(
+      "INSERT INTO security_events (occurredAt, eventType) VALUES (?, 'test_outside_write')", [new Date().toISOString()]
+    ));
+
+    await assert.rejects(db.runTransaction(async () => {
+      await db.runQuery("UPDATE service_requests SET status = 'rejected' WHERE id = 3");
+      outsideWrite = writeOutside().then(() => { outsideDone = true; });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(outsideDone, false);
+      throw new Error('abort');
+    }), /abort/);
+
+    await outsideWrite;
+    assert.strictEqual(await eventCount(), 1);
+    assert.strictEqual((await db.getQuery('SELECT status FROM service_requests WHERE id = 3')).status, 'approved');
+  });
+
+  it('keeps the PII access log chain intact when a transaction rolls back', async () => {
+    const accessLog = require('../database/encryptedDb').getPiiAccessLogService();
+    const append = (citizenId) => accessLog.write(new Map([[citizenId, new Set(['citizens.email'])]]), {
+      actor: 'admin', actorRole: 'admin', endpoint: 'GET /api/citizens/:id', purpose: null, requestId: null
+    });
+
+    const appendOutside = AsyncResource.bind(append);
+
+    let appended;
+    await assert.rejects(db.runTransaction(async () => {
+      await db.runQuery("UPDATE service_requests SET status = 'rejected' WHERE id = 3");
+      appended = appendOutside('CTZ001');
+      throw new Error('abort');
+    }), /abort/);
+    await appended;
+    await append('CTZ002');
+
+    const { valid, entries } = await accessLog.verify();
+    assert.strictEqual(valid, true);
+    assert.ok(entries >= 2);
+  });
+});
@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const KEY_BYTES = 32; // AES-256
+const GCM_IV_BYTES = 12;
+const CBC_IV_BYTES = 16;
+const DEFAULT_APP_ID = 'emulator-app';
+const DEFAULT_APP_SECRET = 'emulator-secret';
+
+/**
+ * Local stand-in for a Fortanix DSM tenant.
+ * Implements the endpoints FortanixDSMService uses - session auth, encrypt and
+ * decrypt, single and batch - with real AES-256 (GCM and CBC), so the whole encryptedDb path can
+ * run against it. Failures are injected through /__emulator/* or the methods
+ * below: expired tokens, error statuses (429, 5xx) and added latency.
+ *
+ *   node tools/dsm-emulator.js       (npm run dsm-emulator)
+ */
+class DsmEmulator {
+  constructor(options = {}) {
+    this.appId = options.appId || DEFAULT_APP_ID;
+    this.appSecret = options.appSecret || DEFAULT_APP_SECRET;
+    this.apiKey = Buffer.from(`${this.appId}:${this.appSecret}`).toString('base64');
+    this.tokenTtlSeconds = options.tokenTtlSeconds || 600;
+    this.keys = new Map();
+    this.tokens = new Map();
+    this.server = null;
+    this.reset();
+
+    for (const keyId of options.keyIds || []) {
+      this.createKey(keyId);
+    }
+    if (this.keys.size === 0) {
+      this.createKey();
+    }
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Clear injected failures, latency and request counters (keys and tokens are kept)
+   */
+  reset() {
+    this.failures = [];
+    this.latencyMs = 0;
+    this.stats = { auth: 0, encrypt: 0, decrypt: 0, batchEncrypt: 0, batchDecrypt: 0, failed: 0 };
+  }
+
+  /**
+   * Add an AES-256 key
+   * @param {string} keyId - Key id (kid), generated when omitted
+   * @returns {string} - Key id
+   */
+  createKey(keyId = crypto.randomUUID()) {
+    this.keys.set(keyId, crypto.randomBytes(KEY_BYTES));
+    return keyId;
+  }
+
+  /**
+   * The first key, used as FORTANIX_KEY_ID by default
+   */
+  get defaultKeyId() {
+    return this.keys.keys().next().value;
+  }
+
+  /**
+   * Make every issued access token fail with 401 until the client re-authenticates
+   */
+  expireTokens() {
+    for (const session of this.tokens.values()) {
+      session.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Fail the next requests with an HTTP status
+   * @param {Object} failure - { status, count = 1, path, retryAfter, message }
+   *   path limits the failure to one endpoint, e.g. '/crypto/v1/encrypt';
+   *   count: Infinity fails every request until reset()
+   */
+  injectFailure({ status, count = 1, path = null, retryAfter = null, message = null }) {
+    if (!status) {
+      throw new Error('Failure status is required');
+    }
+    this.failures.push({ status, remaining: count, path, retryAfter, message });
+  }
+
+  describeFailures() {
+    return this.failures.map(failure => ({
+      ...failure,
+      remaining: failure.remaining === Infinity ? 'always' : failure.remaining
+    }));
+  }
+
+  /**
+   * Delay every response
+   * @param {number} latencyMs - Milliseconds added before each response
+   */
+  setLatency(latencyMs) {
+    this.latencyMs = Math.max(0, Number(latencyMs) || 0);
+  }
+
+  /**
+   * Environment for FortanixDSMService pointing at this emulator
+   * @param {string} url - Base URL the emulator listens on
+   */
+  clientEnv(url) {
+    return {
+      KEY_PROVIDER: 'fortanix',
+      FORTANIX_AUTH_METHOD: 'api_key',
+      FORTANIX_DSM_ENDPOINT: url,
+      FORTANIX_API_KEY: this.apiKey,
+      FORTANIX_KEY_ID: this.defaultKeyId,
+      FORTANIX_APP_ID: this.appId
+    };
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    // Control endpoints for tests - never delayed or failed
+    app.get('/__emulator/state', (req, res) => {
+      res.json({
+        keys: [...this.keys.keys()],
+        activeTokens: [...this.tokens.values()].filter(session => session.expiresAt > Date.now()).length,
+        latencyMs: this.latencyMs,
+        failures: this.describeFailures(),
+        stats: this.stats
+      });
+    });
+    app.post('/__emulator/failures', (req, res) => {
+      try {
+        this.injectFailure({ ...req.body, count: req.body.count === 'always' ? Infinity : req.body.count });
+        res.status(201).json({ failures: this.describeFailures() });
+      } catch (error) {
+        res.status(400).json({ message: error.message });
+      }
+    });
+    app.post('/__emulator/latency', (req, res) => {
+      this.setLatency(req.body.latencyMs);
+      res.json({ latencyMs: this.latencyMs });
+    });
+    app.post('/__emulator/expire-tokens', (req, res) => {
+      this.expireTokens();
+      res.status(204).end();
+    });
+    app.post('/__emulator/keys', (req, res) => {
+      res.status(201).json({ kid: this.createKey(req.body.kid) });
+    });
+    app.post('/__emulator/reset', (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    app.use((req, res, next) => this.simulateConditions(req, res, next));
+
+    app.post('/sys/v1/session/auth', (req, res) => {
+      this.stats.auth++;
+      if (!this.isValidCredential(req.headers.authorization)) {
+        return this.sendError(res, 401, 'Invalid API key or app credentials');
+      }
+
+      const accessToken = crypto.randomBytes(32).toString('base64');
+      this.tokens.set(accessToken, { expiresAt: Date.now() + this.tokenTtlSeconds * 1000 });
+      res.json({
+        token_type: 'Bearer',
+        expires_in: this.tokenTtlSeconds,
+        access_token: accessToken,
+        entity_id: this.appId
+      });
+    });
+
+    app.post('/crypto/v1/encrypt', (req, res) => {
+      this.stats.encrypt++;
+      this.handleCrypto(req, res, (key, body) => this.encrypt(key, body));
+    });
+
+    app.post('/crypto/v1/decrypt', (req, res) => {
+      this.stats.decrypt++;
+      this.handleCrypto(req, res, (key, body) => this.decrypt(key, body));
+    });
+
+    app.post('/crypto/v1/keys/batch/encrypt', (req, res) => {
+      this.stats.batchEncrypt++;
+      this.handleBatch(req, res, (key, body) => this.encrypt(key, body));
+    });
+
+    app.post('/crypto/v1/keys/batch/decrypt', (req, res) => {
+      this.stats.batchDecrypt++;
+      this.handleBatch(req, res, (key, body) => this.decrypt(key, body));
+    });
+
+    app.use((req, res) => this.sendError(res, 404, `No route for ${req.method} ${req.path}`));
+
+    return app;
+  }
+
+  /**
+   * Apply injected latency and failures before the request is handled
+   */
+  async simulateConditions(req, res, next) {
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    const failure = this.failures.find(entry => !entry.path || entry.path === req.path);
+    if (!failure) return next();
+
+    failure.remaining--;
+    if (failure.remaining <= 0) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+    }
+
+    this.stats.failed++;
+    if (failure.retryAfter !== null) {
+      res.set('Retry-After', String(failure.retryAfter));
+    }
+    this.sendError(res, failure.status, failure.message || `Injected failure (${failure.status})`);
+  }
+
+  /**
+   * Accept the API key (Basic base64(appId:secret)) or, as with trusted CA
+   * authentication, the app id with an empty password
+   */
+  isValidCredential(authorization) {
+    if (!authorization || !authorization.startsWith('Basic ')) return false;
+
+    const credential = authorization.substring('Basic '.length);
+    if (credential === this.apiKey) return true;
+
+    return Buffer.from(credential, 'base64').toString('utf8') === `${this.appId}:`;
+  }
+
+  /**
+   * Check the bearer token
+   * @returns {string|null} - Error message, or null when the token is valid
+   */
+  checkSession(req) {
+    const authorization = req.headers.authorization || '';
+    const session = this.tokens.get(authorization.replace(/^Bearer /, ''));
+    if (!authorization.startsWith('Bearer ') || !session) {
+      return 'Invalid access token';
+    }
+    if (session.expiresAt <= Date.now()) {
+      return 'Access token expired';
+    }
+    return null;
+  }
+
+  /**
+   * Run one crypto operation
+   * @param {string} keyId - Key id (kid)
+   * @param {Object} request - Encrypt or decrypt request body
+   * @returns {Object} - { status, body } or { status, error }
+   */
+  runOperation(keyId, request, operation) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      return { status: 404, error: `Sobject does not exist: ${keyId}` };
+    }
+    if (request?.alg !== 'AES' || !['GCM', 'CBC'].includes(request?.mode)) {
+      return { status: 400, error: `Unsupported algorithm or mode: ${request?.alg}/${request?.mode}` };
+    }
+
+    try {
+      return { status: 200, body: { kid: keyId, ...operation(key, request) } };
+    } catch (error) {
+      return { status: 400, error: error.message };
+    }
+  }
+
+  /**
+   * Check the bearer token and key, then run a crypto operation
+   */
+  handleCrypto(req, res, operation) {
+    const sessionError = this.checkSession(req);
+    if (sessionError) {
+      return this.sendError(res, 401, sessionError);
+    }
+
+    const result = this.runOperation(req.body?.key?.kid, req.body, operation);
+    if (result.error) {
+      return this.sendError(res, result.status, result.error);
+    }
+    res.json(result.body);
+  }
+
+  /**
+   * Batch API: [{ kid, request }] in, [{ status, body } | { status, error }] out
+   * Items fail individually; the call itself only fails on auth or a malformed body.
+   */
+  handleBatch(req, res, operation) {
+    const sessionError = this.checkSession(req);
+    if (sessionError) {
+      return this.sendError(res, 401, sessionError);
+    }
+    if (!Array.isArray(req.body)) {
+      return this.sendError(res, 400, 'Batch request must be an array');
+    }
+
+    res.json(req.body.map(item => this.runOperation(item?.kid, item?.request, operation)));
+  }
+
+  encrypt(key, { mode, plain, iv, ad, tag_len: tagBits = 128 }) {
+    if (typeof plain !== 'string') {
+      throw new Error('plain is required');
+    }
+
+    const ivBuffer = iv ? Buffer.from(iv, 'base64') : crypto.randomBytes(mode === 'GCM' ? GCM_IV_BYTES : CBC_IV_BYTES);
+    if (mode === 'CBC') {
+      const cipher = crypto.createCipheriv('aes-256-cbc', key, ivBuffer);
+      const encrypted = Buffer.concat([cipher.update(Buffer.from(plain, 'base64')), cipher.final()]);
+      return { cipher: encrypted.toString('base64'), iv: ivBuffer.toString('base64') };
+    }
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, ivBuffer, { authTagLength: tagBits / 8 });
+    if (ad) {
+      cipher.setAAD(Buffer.from(ad, 'base64'));
+    }
+    const encrypted = Buffer.concat([cipher.update(Buffer.from(plain, 'base64')), cipher.final()]);
+    return {
+      cipher: encrypted.toString('base64'),
+      iv: ivBuffer.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  decrypt(key, { mode, cipher, iv, tag, ad }) {
+    if (typeof cipher !== 'string' || typeof iv !== 'string') {
+      throw new Error('cipher and iv are required');
+    }
+
+    try {
+      if (mode === 'CBC') {
+        const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(iv, 'base64'));
+        const plain = Buffer.concat([decipher.update(Buffer.from(cipher, 'base64')), decipher.final()]);
+        return { plain: plain.toString('base64') };
+      }
+
+      if (typeof tag !== 'string') {
+        throw new Error('tag is required for GCM');
+      }
+      const tagBuffer = Buffer.from(tag, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'), {
+        authTagLength: tagBuffer.length
+      });
+      decipher.setAuthTag(tagBuffer);
+      if (ad) {
+        decipher.setAAD(Buffer.from(ad, 'base64'));
+      }
+      const plain = Buffer.concat([decipher.update(Buffer.from(cipher, 'base64')), decipher.final()]);
+      return { plain: plain.toString('base64') };
+    } catch (error) {
+      throw new Error(`Decryption failed: ${error.message}`);
+    }
+  }
+
+  sendError(res, status, message) {
+    res.status(status).type('text/plain').send(message);
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port, 0 picks a free one
+   * @returns {string} - Base URL
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, resolve);
+      this.server.once('error', reject);
+    });
+    const address = this.server.address();
+    return `http://${host}:${address.port}`;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+module.exports = DsmEmulator;
+
+if (require.main === module) {
+  const emulator = new DsmEmulator({
+    appId: process.env.DSM_EMULATOR_APP_ID,
+    appSecret: process.env.DSM_EMULATOR_APP_SECRET,
+    keyIds: (process.env.DSM_EMULATOR_KEY_IDS || '').split(',').filter(Boolean),
+    tokenTtlSeconds: parseInt(process.env.DSM_EMULATOR_TOKEN_TTL || '600')
+  });
+
+  emulator.start(parseInt(process.env.DSM_EMULATOR_PORT || '4443')).then((url) => {
+    console.log(`🧪 Fortanix DSM emulator listening on ${url}`);
+    console.log('   Point the backend at it with:');
+    for (const [name, value] of Object.entries(emulator.clientEnv(url))) {
+      console.log(`   ${name}=${value}`);
+    }
+  }).catch((error) => {
+    console.error('❌ Failed to start DSM emulator:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => emulator.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => emulator.stop().then(() => process.exit(0)));
+}
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_CLIENT_ID = 'citizen-services';
+const DEFAULT_CLIENT_SECRET = 'mock-idp-secret';
+const DEFAULT_REDIRECT_URI = 'http://localhost:3001/api/auth/oidc/callback';
+const CODE_TTL_MS = 60 * 1000;
+const DEFAULT_USERS = [
+  { sub: 'mock-0001', username: 'alice.admin', givenName: 'Alice', familyName: 'Admin', groups: ['city-it-admins'] },
+  { sub: 'mock-0002', username: 'bob.staff', givenName: 'Bob', familyName: 'Staff', groups: ['city-staff'] },
+  { sub: 'mock-0003', username: 'carol.library', givenName: 'Carol', familyName: 'Library', groups: ['city-library'] }
+];
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Local OpenID Connect provider for development and tests.
+ * Serves discovery, JWKS, an authorization endpoint (a page to pick a user, or
+ * login_hint=<username> to sign in without the page) and a token endpoint
+ * that checks the client secret, redirect URI and PKCE (S256) and returns an
+ * RS256 ID token with the user's groups. Users and keys are managed through
+ * /__idp/* or the methods below.
+ *
+ *   node tools/mock-oidc-idp.js      (npm run mock-idp)
+ */
+class MockOidcIdp {
+  constructor(options = {}) {
+    this.clientId = options.clientId || DEFAULT_CLIENT_ID;
+    this.clientSecret = options.clientSecret || DEFAULT_CLIENT_SECRET;
+    this.redirectUris = options.redirectUris || [DEFAULT_REDIRECT_URI];
+    this.tokenTtlSeconds = options.tokenTtlSeconds || 300;
+    this.issuer = null;
+    this.server = null;
+    this.codes = new Map();
+    this.users = new Map();
+    this.rotateKeys();
+    this.reset();
+
+    for (const user of options.users || DEFAULT_USERS) {
+      this.addUser(user);
+    }
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Forget pending codes and request counters (users and keys are kept)
+   */
+  reset() {
+    this.codes.clear();
+    this.stats = { authorize: 0, token: 0, rejected: 0 };
+  }
+
+  /**
+   * Add or replace a user
+   * @param {Object} user - { username, sub, email, givenName, familyName, groups }
+   */
+  addUser({ username, sub = crypto.randomUUID(), email, givenName = username, familyName = 'User', groups = [] }) {
+    this.users.set(username, { username, sub, email: email || `${username}@springfield.gov`, givenName, familyName, groups });
+    return this.users.get(username);
+  }
+
+  /**
+   * Sign with a new key; the JWKS then only lists the new key
+   */
+  rotateKeys() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.signingKey = { kid: crypto.randomUUID(), privateKey, publicKey };
+  }
+
+  /**
+   * Environment for the backend's OIDC client pointing at this provider
+   * @param {string} url - Base URL the provider listens on (the issuer)
+   */
+  clientEnv(url) {
+    return {
+      OIDC_ISSUER: url,
+      OIDC_CLIENT_ID: this.clientId,
+      OIDC_CLIENT_SECRET: this.clientSecret,
+      OIDC_REDIRECT_URI: this.redirectUris[0],
+      OIDC_ADMIN_GROUPS: 'city-it-admins',
+      OIDC_STAFF_GROUPS: 'city-staff',
+      OIDC_PROVIDER_NAME: 'Mock City IdP'
+    };
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Control endpoints for tests
+    app.get('/__idp/state', (req, res) => {
+      res.json({ users: [...this.users.values()], kid: this.signingKey.kid, pendingCodes: this.codes.size, stats: this.stats });
+    });
+    app.post('/__idp/users', (req, res) => {
+      if (!req.body.username) {
+        return res.status(400).json({ error: 'username is required' });
+      }
+      res.status(201).json(this.addUser(req.body));
+    });
+    app.post('/__idp/rotate-keys', (req, res) => {
+      this.rotateKeys();
+      res.json({ kid: this.signingKey.kid });
+    });
+    app.post('/__idp/reset', (req, res) => {
+      this.reset();
+      res.json({ reset: true });
+    });
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+      res.json({
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        jwks_uri: `${this.issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+        scopes_supported: ['openid', 'profile', 'email'],
+        claims_supported: ['sub', 'email', 'preferred_username', 'name', 'given_name', 'family_name', 'groups']
+      });
+    });
+
+    app.get('/jwks', (req, res) => {
+      const jwk = this.signingKey.publicKey.export({ format: 'jwk' });
+      res.json({ keys: [{ ...jwk, kid: this.signingKey.kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => this.handleAuthorize(req, res, req.query));
+    app.post('/authorize', (req, res) => this.handleAuthorize(req, res, req.body));
+    app.post('/token', (req, res) => this.handleToken(req, res));
+
+    return app;
+  }
+
+  /**
+   * Authorization endpoint: show the sign-in page, or issue a code for the chosen user
+   */
+  handleAuthorize(req, res, params) {
+    this.stats.authorize++;
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, state, nonce } = params;
+
+    // Without a valid client and redirect URI there is nowhere safe to send an error
+    if (clientId !== this.clientId || !this.redirectUris.includes(redirectUri)) {
+      this.stats.rejected++;
+      return res.status(400).type('text/plain').send('Unknown client_id or redirect_uri');
+    }
+
+    const redirect = (query) => {
+      const url = new URL(redirectUri);
+      Object.entries({ ...query, state }).forEach(([name, value]) => value !== undefined && url.searchParams.set(name, value));
+      res.redirect(url.toString());
+    };
+
+    if (responseType !== 'code') {
+      return redirect({ error: 'unsupported_response_type' });
+    }
+    if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+      return redirect({ error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+    }
+    if (params.deny) {
+      return redirect({ error: 'access_denied' });
+    }
+
+    const username = params.username || params.login_hint;
+    if (!username) {
+      return res.type('html').send(this.signInPage(params));
+    }
+    const user = this.users.get(username);
+    if (!user) {
+      return redirect({ error: 'access_denied', error_description: `Unknown user ${username}` });
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    this.codes.set(code, {
+      user,
+      clientId,
+      redirectUri,
+      nonce,
+      codeChallenge: params.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    redirect({ code });
+  }
+
+  signInPage(params) {
+    const hidden = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+      .filter(name => params[name] !== undefined)
+      .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+      .join('');
+    const buttons = [...this.users.values()]
+      .map(user => `<button name="username" value="${escapeHtml(user.username)}">${escapeHtml(user.username)} <small>(${escapeHtml(user.groups.join(', ') || 'no groups')})</small></button>`)
+      .join('<br>');
+
+    return `<!doctype html><html><head><title>Mock City IdP</title></head>
+      <body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto">
+        <h2>🧪 Mock City IdP</h2><p>Sign in as:</p>
+        <form method="post" action="/authorize">${hidden}${buttons}<br><br><button name="deny" value="1">Cancel</button></form>
+      </body></html>`;
+  }
+
+  /**
+   * Token endpoint: authorization code grant with client secret and PKCE
+   */
+  handleToken(req, res) {
+    this.stats.token++;
+    const reject = (status, error, description) => {
+      this.stats.rejected++;
+      res.status(status).json({ error, error_description: description });
+    };
+
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Basic ')) {
+      [clientId, clientSecret] = Buffer.from(authorization.substring('Basic '.length), 'base64').toString('utf8').split(':');
+    }
+    if (clientId !== this.clientId || clientSecret !== this.clientSecret) {
+      return reject(401, 'invalid_client', 'Client authentication failed');
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+      return reject(400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes are single-use
+    const pending = this.codes.get(req.body.code);
+    this.codes.delete(req.body.code);
+    if (!pending || pending.expiresAt <= Date.now() || pending.clientId !== clientId) {
+      return reject(400, 'invalid_grant', 'Unknown or expired code');
+    }
+    if (pending.redirectUri !== req.body.redirect_uri) {
+      return reject(400, 'invalid_grant', 'redirect_uri does not match');
+    }
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return reject(400, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const { user } = pending;
+    const idToken = jwt.sign({
+      sub: user.sub,
+      nonce: pending.nonce,
+      email: user.email,
+      email_verified: true,
+      preferred_username: user.username,
+      name: `${user.givenName} ${user.familyName}`,
+      given_name: user.givenName,
+      family_name: user.familyName,
+      groups: user.groups
+    }, this.signingKey.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.signingKey.kid,
+      issuer: this.issuer,
+      audience: clientId,
+      expiresIn: this.tokenTtlSeconds
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: this.tokenTtlSeconds,
+      id_token: idToken
+    });
+  }
+
+  /**
+   * Start listening; the base URL becomes the issuer
+   * @param {number} port - Port, 0 picks a free one
+   * @returns {string} - Base URL
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, resolve);
+      this.server.once('error', reject);
+    });
+    const address = this.server.address();
+    this.issuer = `http://${host === '127.0.0.1' ? 'localhost' : host}:${address.port}`;
+    return this.issuer;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+module.exports = MockOidcIdp;
+
+if (require.main === module) {
+  const idp = new MockOidcIdp({
+    clientId: process.env.MOCK_IDP_CLIENT_ID,
+    clientSecret: process.env.MOCK_IDP_CLIENT_SECRET,
+    redirectUris: (process.env.MOCK_IDP_REDIRECT_URIS || DEFAULT_REDIRECT_URI).split(',').filter(Boolean)
+  });
+
+  idp.start(parseInt(process.env.MOCK_IDP_PORT || '4444')).then((url) => {
+    console.log(`🧪 Mock OIDC identity provider listening on ${url}`);
+    console.log(`   Users: ${[...idp.users.values()].map(user => `${user.username} (${user.groups.join(', ') || 'no groups'})`).join(', ')}`);
+    console.log('   Point the backend at it with:');
+    for (const [name, value] of Object.entries(idp.clientEnv(url))) {
+      console.log(`   ${name}=${value}`);
+    }
+  }).catch((error) => {
+    console.error('❌ Failed to start mock identity provider:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => idp.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => idp.stop().then(() => process.exit(0)));
+}
@@ -277,6 +277,18 @@ const sendSuccessResponse = (res, data, message = 'Success', statusCode = 200) =
   });
 };
 
+// Express 'trust proxy' setting from TRUST_PROXY: unset or 'false' ignores X-Forwarded-For,
+// a number trusts that many proxy hops, anything else is a comma-separated list of proxy
+// addresses, subnets or names ('loopback', 'linklocal', 'uniquelocal')
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+// Client address as resolved through the trusted proxies, with IPv4-mapped IPv6 addresses unwrapped
+const clientIp = (req) => (req.ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1') || null;
+
 // Pagination helper
 const paginate = (array, page = 1, limit = 10) => {
   const offset = (page - 1) * limit;
@@ -326,5 +338,7 @@ module.exports = {
   sendErrorResponse,
   sendSuccessResponse,
   paginate,
+  parseTrustProxy,
+  clientIp,
   checkDatabaseHealth
 };
\ No newline at end of file
@@ -1,34 +1,84 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import axios from 'axios';
 import Navigation from './components/Navigation';
 import Login from './components/Login';
+import MfaEnrollment from './components/MfaEnrollment';
+import PasswordReset from './components/PasswordReset';
 import Dashboard from './pages/Dashboard';
 import Citizens from './pages/Citizens';
 import ServiceRequests from './pages/ServiceRequests';
 import Services from './pages/Services';
 import Agencies from './pages/Agencies';
+import CitizenPortal from './pages/CitizenPortal';
+import { hasStoredSession, hasPermission, refreshSession, completeSsoLogin, onSessionEnd, logout } from './auth';
 import './App.css';
 
 function App() {
   const [currentPage, setCurrentPage] = useState('dashboard');
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loginError, setLoginError] = useState('');
+  const [loginNotice, setLoginNotice] = useState('');
+  // Forgot password screen: { token } from a reset link, or { token: null } to ask for a link
+  const [passwordReset, setPasswordReset] = useState(null);
 
   useEffect(() => {
-    // Check if user is already logged in
-    const savedUser = localStorage.getItem('user');
-    if (savedUser) {
-      setUser(JSON.parse(savedUser));
+    onSessionEnd(() => setUser(null));
+    // Left behind by versions that kept the user object instead of a session
+    localStorage.removeItem('user');
+
+    // Links from emails: #reset=<token> (password reset) or #verify=<token> (email verification)
+    const link = new URLSearchParams(window.location.hash.substring(1));
+    if (link.has('reset') || link.has('verify')) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      if (link.has('reset')) {
+        setPasswordReset({ token: link.get('reset') });
+      } else {
+        axios.post('/api/auth/email/verify', { token: link.get('verify') }, { skipAuth: true })
+          .then(response => setLoginNotice(`${response.data.message}: ${response.data.data.email}`))
+          .catch(error => setLoginError(error.response?.data?.message || 'Email verification failed. Please try again.'));
+      }
     }
-    setLoading(false);
+
+    // Coming back from single sign-on: #sso=<one-time code> or #sso_error=<message>
+    const sso = new URLSearchParams(window.location.hash.substring(1));
+    if (sso.has('sso') || sso.has('sso_error')) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      if (sso.has('sso_error')) {
+        setLoginError(sso.get('sso_error'));
+      } else {
+        completeSsoLogin(sso.get('sso'))
+          .then(setUser)
+          .catch(error => setLoginError(error.response?.data?.message || 'Single sign-on failed. Please try again.'))
+          .finally(() => setLoading(false));
+        return;
+      }
+    }
+
+    // Resume the previous session if its refresh token is still valid
+    if (!hasStoredSession()) {
+      setLoading(false);
+      return;
+    }
+    refreshSession()
+      .then(sessionUser => {
+        if (sessionUser.mustChangePassword) {
+          // The password change form needs the current password, so start over at login
+          return logout();
+        }
+        setUser(sessionUser);
+      })
+      .catch(() => {})
+      .finally(() => setLoading(false));
   }, []);
 
   const handleLogin = (userData) => {
     setUser(userData);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('user');
+  const handleLogout = async () => {
+    await logout();
     setUser(null);
     setCurrentPage('dashboard');
   };
@@ -44,8 +94,38 @@ function App() {
     );
   }
 
+  if (passwordReset) {
+    return (
+      <PasswordReset
+        token={passwordReset.token}
+        onDone={(message) => {
+          setPasswordReset(null);
+          setLoginError('');
+          setLoginNotice(message);
+        }}
+      />
+    );
+  }
+
   if (!user) {
-    return <Login onLogin={handleLogin} />;
+    return (
+      <Login
+        key={`${loginError}|${loginNotice}`}
+        onLogin={handleLogin}
+        onForgotPassword={() => setPasswordReset({ token: null })}
+        initialError={loginError}
+        initialNotice={loginNotice}
+      />
+    );
+  }
+
+  if (user.mfaEnrollmentRequired) {
+    return <MfaEnrollment user={user} onComplete={handleLogin} onCancel={handleLogout} />;
+  }
+
+  // Citizens get the self-service portal instead of the staff screens
+  if (hasPermission(user, 'use-portal') && !hasPermission(user, 'access-all-citizens')) {
+    return <CitizenPortal user={user} onLogout={handleLogout} />;
   }
 
   return (
@@ -82,7 +162,7 @@ function App() {
         
         <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
           <Routes>
-            <Route path="/" element={<Dashboard />} />
+            <Route path="/" element={hasPermission(user, 'view-dashboard') ? <Dashboard /> : <Services />} />
             <Route path="/citizens" element={<Citizens />} />
             <Route path="/service-requests" element={<ServiceRequests />} />
             <Route path="/services" element={<Services />} />
@@ -0,0 +1,87 @@
+import axios from 'axios';
+
+// The refresh token is kept across reloads; the access token only in memory
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+let accessToken = null;
+let refreshing = null;
+let sessionEndHandler = () => {};
+
+export const setSession = (session) => {
+  accessToken = session.accessToken;
+  localStorage.setItem(REFRESH_TOKEN_KEY, session.refreshToken);
+};
+
+export const clearSession = () => {
+  accessToken = null;
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+export const hasStoredSession = () => !!localStorage.getItem(REFRESH_TOKEN_KEY);
+
+// Permissions come with the user object from login, refresh and /api/auth/me
+export const hasPermission = (user, permission) => !!user?.permissions?.includes(permission);
+
+// Called when the session cannot be refreshed any more (expired, revoked, logged out elsewhere)
+export const onSessionEnd = (handler) => {
+  sessionEndHandler = handler;
+};
+
+// Trade the refresh token for new tokens; concurrent callers share one request,
+// since the server rotates the refresh token and rejects a second use of the old one
+export const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    refreshing = axios.post('/api/auth/refresh', { refreshToken }, { skipAuth: true })
+      .then(response => {
+        setSession(response.data.data);
+        return response.data.data.user;
+      })
+      .catch(error => {
+        if (error.response) clearSession();
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Finish a single sign-on: the backend redirects to the app with a one-time code in the URL fragment
+export const completeSsoLogin = async (code) => {
+  const response = await axios.post('/api/auth/oidc/session', { code }, { skipAuth: true });
+  setSession(response.data);
+  return response.data.user;
+};
+
+export const logout = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  clearSession();
+  if (refreshToken) {
+    await axios.post('/api/auth/logout', { refreshToken }, { skipAuth: true }).catch(() => {});
+  }
+};
+
+axios.interceptors.request.use(config => {
+  if (accessToken && !config.skipAuth) {
+    config.headers.Authorization = `Bearer ${accessToken}`;
+  }
+  return config;
+});
+
+// On 401, refresh once and replay the request; if that fails the session is over
+axios.interceptors.response.use(undefined, async error => {
+  const config = error.config;
+  if (error.response?.status !== 401 || !config || config.skipAuth || config.retriedAfterRefresh || !hasStoredSession()) {
+    throw error;
+  }
+
+  try {
+    await refreshSession();
+  } catch (refreshError) {
+    sessionEndHandler();
+    throw error;
+  }
+  return axios({ ...config, retriedAfterRefresh: true });
+});
@@ -1,13 +1,59 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { setSession } from '../auth';
 
-const Login = ({ onLogin }) => {
+const Login = ({ onLogin, onForgotPassword, initialError = '', initialNotice = '' }) => {
   const [credentials, setCredentials] = useState({
     username: '',
     password: ''
   });
-  const [error, setError] = useState('');
+  const [error, setError] = useState(initialError);
   const [loading, setLoading] = useState(false);
+  // Set when the server requires a new password before the user can continue
+  const [pendingUser, setPendingUser] = useState(null);
+  const [passwords, setPasswords] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  });
+  // Set when the account uses MFA and the code step is still open
+  const [mfaToken, setMfaToken] = useState(null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Single sign-on for staff, when the backend has an identity provider configured
+  const [sso, setSso] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/auth/oidc/config', { skipAuth: true })
+      .then(response => setSso(response.data.data.enabled ? response.data.data : null))
+      .catch(() => setSso(null));
+  }, []);
+
+  // Set while the server refuses attempts (423 locked out, 429 wait before the next try)
+  const [throttle, setThrottle] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!throttle) return undefined;
+    const timer = setInterval(() => {
+      if (Date.now() >= throttle.until) {
+        setThrottle(null);
+      }
+      setNow(Date.now());
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [throttle]);
+
+  // Remember a lockout or delay from the response; returns whether it was one
+  const handleThrottle = (error) => {
+    const details = error.response?.data?.details;
+    if (![423, 429].includes(error.response?.status) || !details?.retryAfter) {
+      return false;
+    }
+    setThrottle({ locked: details.locked, message: error.response.data.message, until: Date.now() + details.retryAfter * 1000 });
+    setNow(Date.now());
+    setError('');
+    return true;
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -17,6 +63,16 @@ const Login = ({ onLogin }) => {
     }));
   };
 
+  // Successful login response: continue to the password change or into the app
+  const startSession = (data) => {
+    setSession(data);
+    if (data.user.mustChangePassword) {
+      setPendingUser(data.user);
+    } else {
+      onLogin(data.user);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -24,15 +80,19 @@ const Login = ({ onLogin }) => {
 
     try {
       const response = await axios.post('/api/auth/login', credentials);
-      
-      if (response.data.success) {
-        localStorage.setItem('user', JSON.stringify(response.data.user));
-        onLogin(response.data.user);
+
+      if (response.data.success && response.data.mfaRequired) {
+        setMfaToken(response.data.mfaToken);
+      } else if (response.data.success) {
+        startSession(response.data);
       } else {
         setError(response.data.message);
       }
     } catch (error) {
       console.error('Login error:', error);
+      if (handleThrottle(error)) {
+        return;
+      }
       if (error.response?.data?.message) {
         setError(error.response.data.message);
       } else {
@@ -43,6 +103,89 @@ const Login = ({ onLogin }) => {
     }
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/auth/login/mfa', {
+        mfaToken,
+        [useRecoveryCode ? 'recoveryCode' : 'code']: mfaCode.trim()
+      });
+      setMfaToken(null);
+      startSession(response.data);
+    } catch (error) {
+      console.error('MFA error:', error);
+      if (handleThrottle(error)) {
+        return;
+      }
+      if (error.response?.status === 401 && error.response.data?.message?.startsWith('MFA challenge expired')) {
+        // The challenge only lives a few minutes; go back to the password step
+        setMfaToken(null);
+      }
+      setError(error.response?.data?.message || 'Verification failed. Please try again.');
+    } finally {
+      setMfaCode('');
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('The new passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/auth/change-password', {
+        username: credentials.username,
+        currentPassword: credentials.password,
+        newPassword: passwords.newPassword
+      });
+
+      onLogin({
+        ...pendingUser,
+        mustChangePassword: false,
+        mfaEnrollmentRequired: response.data.data.mfaEnrollmentRequired
+      });
+    } catch (error) {
+      console.error('Password change error:', error);
+      const details = error.response?.data?.details;
+      setError(Array.isArray(details) ? details.join('. ') : (error.response?.data?.message || 'Password change failed. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const secondsLeft = throttle ? Math.max(1, Math.ceil((throttle.until - now) / 1000)) : 0;
+  const throttleNotice = throttle && (
+    <div className={`mt-4 px-4 py-3 rounded relative border ${throttle.locked ? 'bg-red-50 border-red-300 text-red-800' : 'bg-yellow-50 border-yellow-300 text-yellow-800'}`}>
+      {throttle.locked ? (
+        <>
+          <p className="font-semibold">🔒 {throttle.message}</p>
+          <p className="text-sm mt-1">
+            Try again at {new Date(throttle.until).toLocaleTimeString()} ({Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')} left),
+            or call the Help Desk at 555-CITY (2489) to have it unlocked.
+          </p>
+        </>
+      ) : (
+        <p>⏳ Too many failed attempts. You can try again in {secondsLeft} second{secondsLeft === 1 ? '' : 's'}.</p>
+      )}
+    </div>
+  );
 
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
@@ -60,59 +203,192 @@ const Login = ({ onLogin }) => {
           </p>
         </div>
 
-        {/* Login Form */}
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
-            <div className="space-y-4">
-              <div>
-                <label htmlFor="username" className="block text-sm font-medium text-gray-700">
-                  Username
-                </label>
-                <input
-                  id="username"
-                  name="username"
-                  type="text"
-                  required
-                  className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                  placeholder="Enter your username"
-                  value={credentials.username}
-                  onChange={handleChange}
-                />
+        {/* MFA code step */}
+        {mfaToken ? (
+          <form className="mt-8 space-y-6" onSubmit={handleMfaSubmit}>
+            <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+              <label htmlFor="mfaCode" className="block text-sm font-medium text-gray-700">
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                id="mfaCode"
+                name="mfaCode"
+                type="text"
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                placeholder={useRecoveryCode ? 'xxxx-xxxx' : '6-digit code from your authenticator app'}
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+              />
+              <button
+                type="button"
+                className="mt-2 text-sm text-blue-700 hover:text-blue-900"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setMfaCode(''); setError(''); }}
+              >
+                {useRecoveryCode ? 'Use a code from the authenticator app' : 'Lost your device? Use a recovery code'}
+              </button>
+
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+              {throttleNotice}
+
+              <div className="mt-6">
+                <button
+                  type="submit"
+                  disabled={loading || !!throttle}
+                  className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Verifying...' : 'Verify and Sign in'}
+                </button>
+              </div>
+            </div>
+          </form>
+        ) : pendingUser ? (
+          /* Forced password change */
+          <form className="mt-8 space-y-6" onSubmit={handleChangePassword}>
+            <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+              <p className="text-sm text-gray-700 mb-4">
+                Your password must be changed before you continue. Use at least 12 characters with three of: lowercase, uppercase, digits, symbols.
+              </p>
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700">
+                    New Password
+                  </label>
+                  <input
+                    id="newPassword"
+                    name="newPassword"
+                    type="password"
+                    required
+                    className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                    value={passwords.newPassword}
+                    onChange={handlePasswordChange}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                    Confirm New Password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    required
+                    className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                    value={passwords.confirmPassword}
+                    onChange={handlePasswordChange}
+                  />
+                </div>
               </div>
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                  Password
-                </label>
-                <input
-                  id="password"
-                  name="password"
-                  type="password"
-                  required
-                  className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
-                  placeholder="Enter your password"
-                  value={credentials.password}
-                  onChange={handleChange}
-                />
+
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+
+              <div className="mt-6">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Changing password...' : 'Change Password and Continue'}
+                </button>
               </div>
             </div>
+          </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="username" className="block text-sm font-medium text-gray-700">
+                    Username
+                  </label>
+                  <input
+                    id="username"
+                    name="username"
+                    type="text"
+                    required
+                    className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                    placeholder="Enter your username"
+                    value={credentials.username}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    required
+                    className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                    placeholder="Enter your password"
+                    value={credentials.password}
+                    onChange={handleChange}
+                  />
+                </div>
+              </div>
 
-            {error && (
-              <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
-                <span className="block sm:inline">{error}</span>
+              {initialNotice && !error && (
+                <div className="mt-4 bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{initialNotice}</span>
+                </div>
+              )}
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+              {throttleNotice}
+
+              <div className="mt-6">
+                <button
+                  type="submit"
+                  disabled={loading || !!throttle}
+                  className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Signing in...' : 'Sign in to Services Portal'}
+                </button>
               </div>
-            )}
 
-            <div className="mt-6">
-              <button
-                type="submit"
-                disabled={loading}
-                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {loading ? 'Signing in...' : 'Sign in to Services Portal'}
-              </button>
+              {onForgotPassword && (
+                <div className="mt-4 text-center">
+                  <button type="button" className="text-sm text-blue-700 hover:text-blue-900" onClick={onForgotPassword}>
+                    Forgot your password?
+                  </button>
+                </div>
+              )}
+
+              {sso && (
+                <div className="mt-6">
+                  <div className="relative flex items-center">
+                    <div className="flex-grow border-t border-gray-200"></div>
+                    <span className="mx-3 text-xs text-gray-500">City staff</span>
+                    <div className="flex-grow border-t border-gray-200"></div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => window.location.assign(sso.loginUrl)}
+                    className="mt-4 w-full flex justify-center py-2 px-4 border border-blue-900 text-sm font-medium rounded-md text-blue-900 bg-white hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                  >
+                    Sign in with {sso.providerName}
+                  </button>
+                </div>
+              )}
             </div>
-          </div>
-        </form>
+          </form>
+        )}
 
         {/* Security Notice */}
         <div className="text-center">
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Required MFA setup for roles under the MFA policy; the rest of the API stays closed until it is done
+const MfaEnrollment = ({ user, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    axios.post('/api/auth/mfa/enroll')
+      .then(response => setEnrollment(response.data.data))
+      .catch(error => setError(error.response?.data?.message || 'MFA setup is unavailable. Please try again later.'));
+  }, []);
+
+  const handleActivate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/auth/mfa/activate', { code: code.trim() });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+    } catch (error) {
+      console.error('MFA activation error:', error);
+      setError(error.response?.data?.message || 'Verification failed. Please try again.');
+    } finally {
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-20 w-20 bg-blue-900 rounded-lg flex items-center justify-center">
+            <span className="text-3xl text-white">🔐</span>
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-bold text-gray-900">
+            Set Up Two-Step Verification
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Required for {user.role} accounts
+          </p>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+          {recoveryCodes ? (
+            <>
+              <p className="text-sm text-gray-700 mb-4">
+                Two-step verification is on. Store these recovery codes somewhere safe - each one signs you in once if you lose your device. They are not shown again.
+              </p>
+              <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 bg-gray-50 p-4 rounded">
+                {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+              </ul>
+              <button
+                type="button"
+                onClick={() => onComplete({ ...user, mfaEnabled: true, mfaEnrollmentRequired: false })}
+                className="mt-6 group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                I have saved my recovery codes
+              </button>
+            </>
+          ) : (
+            <form onSubmit={handleActivate}>
+              {enrollment && (
+                <div className="text-sm text-gray-700 space-y-3">
+                  <p>Add this account to your authenticator app with the setup key, or open the link on the device that has the app:</p>
+                  <p className="font-mono text-gray-900 bg-gray-50 p-3 rounded break-all">{enrollment.secret}</p>
+                  <a href={enrollment.otpauthUrl} className="block text-blue-700 hover:text-blue-900 break-all">
+                    {enrollment.otpauthUrl}
+                  </a>
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700 pt-2">
+                    Code from the app
+                  </label>
+                  <input
+                    id="code"
+                    name="code"
+                    type="text"
+                    required
+                    autoComplete="one-time-code"
+                    inputMode="numeric"
+                    className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                    placeholder="6-digit code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                  />
+                </div>
+              )}
+
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+
+              <div className="mt-6 space-y-3">
+                <button
+                  type="submit"
+                  disabled={loading || !enrollment}
+                  className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Verifying...' : 'Turn On Two-Step Verification'}
+                </button>
+                <button
+                  type="button"
+                  onClick={onCancel}
+                  className="w-full text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Sign out
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MfaEnrollment;
@@ -1,16 +1,18 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { hasPermission } from '../auth';
 
 const Navigation = ({ user, onLogout }) => {
   const location = useLocation();
   
+  // Only what the user's role allows (the API enforces the same permissions)
   const navItems = [
-    { path: '/', label: 'Dashboard', icon: '📊' },
-    { path: '/citizens', label: 'Citizens', icon: '👥' },
-    { path: '/service-requests', label: 'Service Requests', icon: '📋' },
-    { path: '/services', label: 'Services Catalog', icon: '🏛️' },
-    { path: '/agencies', label: 'Agencies', icon: '🏢' }
-  ];
+    { path: '/', label: 'Dashboard', icon: '📊', permission: 'view-dashboard' },
+    { path: '/citizens', label: 'Citizens', icon: '👥', permission: 'read-citizens' },
+    { path: '/service-requests', label: 'Service Requests', icon: '📋', permission: 'read-requests' },
+    { path: '/services', label: 'Services Catalog', icon: '🏛️', permission: 'read-catalog' },
+    { path: '/agencies', label: 'Agencies', icon: '🏢', permission: 'read-catalog' }
+  ].filter(item => hasPermission(user, item.permission));
 
   return (
     <nav className="bg-white shadow-sm border-b border-gray-200">
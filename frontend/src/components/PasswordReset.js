@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const inputClass = 'mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm';
+const buttonClass = 'group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-900 hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Forgot password: without a token, ask for a reset link by email; with the token from the link, choose a new password
+const PasswordReset = ({ token = null, onDone }) => {
+  const [email, setEmail] = useState('');
+  const [passwords, setPasswords] = useState({ newPassword: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const requestLink = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post('/api/auth/password-reset', { email: email.trim() }, { skipAuth: true });
+      setSent(response.data.message);
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      setError(error.response?.data?.message || 'The request failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const resetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('The new passwords do not match.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/auth/password-reset/confirm', {
+        token,
+        newPassword: passwords.newPassword
+      }, { skipAuth: true });
+      onDone(response.data.message);
+    } catch (error) {
+      console.error('Password reset error:', error);
+      const details = error.response?.data?.details;
+      setError(Array.isArray(details) ? details.join('. ') : (error.response?.data?.message || 'Password reset failed. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-20 w-20 bg-blue-900 rounded-lg flex items-center justify-center">
+            <span className="text-3xl text-white">🏛️</span>
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-bold text-gray-900">
+            Springfield City Services
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {token ? 'Choose a new password' : 'Reset your password'}
+          </p>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow-md border border-gray-200">
+          {token ? (
+            <form onSubmit={resetPassword}>
+              <p className="text-sm text-gray-700 mb-4">
+                Use at least 12 characters with three of: lowercase, uppercase, digits, symbols. You will be signed out on all devices.
+              </p>
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700">
+                    New Password
+                  </label>
+                  <input
+                    id="newPassword"
+                    name="newPassword"
+                    type="password"
+                    required
+                    autoFocus
+                    autoComplete="new-password"
+                    className={inputClass}
+                    value={passwords.newPassword}
+                    onChange={handlePasswordChange}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                    Confirm New Password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    required
+                    autoComplete="new-password"
+                    className={inputClass}
+                    value={passwords.confirmPassword}
+                    onChange={handlePasswordChange}
+                  />
+                </div>
+              </div>
+
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+
+              <div className="mt-6">
+                <button type="submit" disabled={loading} className={buttonClass}>
+                  {loading ? 'Saving...' : 'Set New Password'}
+                </button>
+              </div>
+            </form>
+          ) : sent ? (
+            <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded">
+              <p>{sent}.</p>
+              <p className="text-sm mt-1">The link expires after a short time. Check your spam folder if it does not arrive.</p>
+            </div>
+          ) : (
+            <form onSubmit={requestLink}>
+              <p className="text-sm text-gray-700 mb-4">
+                Enter the email address of your account and we will send you a link to choose a new password.
+              </p>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email Address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                required
+                autoFocus
+                className={inputClass}
+                placeholder="you@example.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+
+              {error && (
+                <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+
+              <div className="mt-6">
+                <button type="submit" disabled={loading} className={buttonClass}>
+                  {loading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          <button
+            type="button"
+            className="mt-4 text-sm text-blue-700 hover:text-blue-900"
+            onClick={() => onDone('')}
+          >
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasswordReset;
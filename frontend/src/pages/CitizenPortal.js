@@ -0,0 +1,543 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const TABS = [
+  { id: 'profile', label: 'My Profile', icon: '👤' },
+  { id: 'services', label: 'Apply for a Service', icon: '🏛️' },
+  { id: 'requests', label: 'My Requests', icon: '📋' },
+  { id: 'payments', label: 'Payments & Receipts', icon: '🧾' }
+];
+
+const PROFILE_LABELS = {
+  email: 'Email',
+  phone: 'Phone',
+  address: 'Street Address',
+  city: 'City',
+  state: 'State',
+  zipCode: 'ZIP Code'
+};
+
+const STATUS_STYLES = {
+  submitted: 'bg-blue-100 text-blue-800',
+  in_review: 'bg-yellow-100 text-yellow-800',
+  pending_documents: 'bg-orange-100 text-orange-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  completed: 'bg-gray-100 text-gray-800',
+  pending: 'bg-yellow-100 text-yellow-800'
+};
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent sm:text-sm';
+const primaryButtonClass = 'bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed';
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Receipts show cents
+const formatAmount = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const errorMessage = (error, fallback) => {
+  const details = error.response?.data?.details;
+  const message = error.response?.data?.message || fallback;
+  return Array.isArray(details) ? `${message}: ${details.join(', ')}` : message;
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {String(status || '').replace(/_/g, ' ')}
+  </span>
+);
+
+const Notice = ({ type, children }) => (
+  <div className={`px-4 py-3 rounded border ${
+    type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'
+  }`}>
+    {children}
+  </div>
+);
+
+const Loading = ({ label }) => (
+  <div className="flex flex-col items-center py-12">
+    <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+    <p className="mt-4 text-gray-600">{label}</p>
+  </div>
+);
+
+const ProfileTab = () => {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({});
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const showProfile = (data) => {
+    setProfile(data);
+    setForm(Object.fromEntries(data.editableFields.map(field => [field, data[field] || ''])));
+  };
+
+  useEffect(() => {
+    axios.get('/api/portal/profile')
+      .then(response => showProfile(response.data.data))
+      .catch(error => setError(errorMessage(error, 'Failed to load your profile')));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setSaved(false);
+    setError('');
+
+    // Only send what changed
+    const changes = Object.fromEntries(Object.entries(form).filter(([field, value]) => value !== (profile[field] || '')));
+    try {
+      const response = await axios.put('/api/portal/profile', changes);
+      showProfile(response.data.data);
+      setSaved(true);
+    } catch (error) {
+      console.error('Profile update error:', error);
+      setError(errorMessage(error, 'Failed to update your profile'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!profile) {
+    return error ? <Notice type="error">{error}</Notice> : <Loading label="Loading your profile..." />;
+  }
+
+  const unchanged = Object.entries(form).every(([field, value]) => value === (profile[field] || ''));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="text-4xl mb-3">👤</div>
+        <h3 className="text-xl font-semibold text-gray-900">{profile.firstName} {profile.lastName}</h3>
+        <span className="inline-flex mt-2 px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+          {profile.citizenId}
+        </span>
+        <dl className="mt-4 space-y-2 text-sm text-gray-600">
+          <div><dt className="inline font-medium">Date of birth: </dt><dd className="inline">{formatDate(profile.dateOfBirth)}</dd></div>
+          <div><dt className="inline font-medium">Registered: </dt><dd className="inline">{formatDate(profile.createdAt)}</dd></div>
+        </dl>
+        <p className="mt-4 text-xs text-gray-500">
+          To correct your name or date of birth, contact City Hall at 555-CITY (2489).
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="lg:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">Contact Details</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {profile.editableFields.map(field => (
+            <div key={field} className={field === 'address' ? 'md:col-span-2' : ''}>
+              <label htmlFor={field} className="block text-sm font-medium text-gray-700">{PROFILE_LABELS[field] || field}</label>
+              <input
+                id={field}
+                name={field}
+                type={field === 'email' ? 'email' : 'text'}
+                required
+                className={inputClass}
+                value={form[field]}
+                onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+              />
+            </div>
+          ))}
+        </div>
+
+        {error && <Notice type="error">{error}</Notice>}
+        {saved && <Notice>Your profile has been updated.</Notice>}
+
+        <button type="submit" disabled={saving || unchanged} className={primaryButtonClass}>
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const ServicesTab = ({ onSubmitted }) => {
+  const [services, setServices] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/service-types')
+      .then(response => setServices(response.data.data))
+      .catch(error => setError(errorMessage(error, 'Failed to load the services catalog')));
+  }, []);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      // Filed for the citizen record linked to this account
+      const response = await axios.post('/api/service-requests', { serviceTypeId: selected.id, notes });
+      setSelected(null);
+      setNotes('');
+      onSubmitted(response.data.data);
+    } catch (error) {
+      console.error('Service request error:', error);
+      setError(errorMessage(error, 'Failed to submit your application'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!services) {
+    return error ? <Notice type="error">{error}</Notice> : <Loading label="Loading services..." />;
+  }
+
+  if (selected) {
+    return (
+      <form onSubmit={handleApply} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4 max-w-2xl">
+        <div>
+          <h3 className="text-xl font-semibold text-gray-900">{selected.name}</h3>
+          <p className="text-sm text-gray-600">{selected.agencyName} · {selected.formattedFee} · {selected.estimatedCompletion}</p>
+        </div>
+        <p className="text-gray-700">{selected.description}</p>
+        {selected.requiredDocumentsList.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-700">Required documents</h4>
+            <ul className="mt-1 list-disc list-inside text-sm text-gray-600">
+              {selected.requiredDocumentsList.map(document => <li key={document}>{document}</li>)}
+            </ul>
+          </div>
+        )}
+        <div>
+          <label htmlFor="notes" className="block text-sm font-medium text-gray-700">Tell us about your request</label>
+          <textarea id="notes" rows={4} className={inputClass} value={notes} onChange={(e) => setNotes(e.target.value)} />
+        </div>
+
+        {error && <Notice type="error">{error}</Notice>}
+
+        <div className="flex items-center space-x-4">
+          <button type="submit" disabled={submitting} className={primaryButtonClass}>
+            {submitting ? 'Submitting...' : 'Submit Application'}
+          </button>
+          <button type="button" onClick={() => setSelected(null)} className="text-gray-600 hover:text-gray-900">
+            Back to catalog
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {services.map(service => (
+        <div key={service.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 flex flex-col">
+          <span className="self-start inline-flex px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800 capitalize">
+            {service.category}
+          </span>
+          <h3 className="mt-2 text-lg font-semibold text-gray-900">{service.name}</h3>
+          <p className="text-sm text-gray-500">{service.agencyName}</p>
+          <p className="mt-2 text-sm text-gray-600 flex-1">{service.description}</p>
+          <div className="mt-4 flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              <div className="font-semibold">{service.formattedFee}</div>
+              <div className="text-xs text-gray-500">{service.estimatedCompletion}</div>
+            </div>
+            <button onClick={() => setSelected(service)} className={primaryButtonClass}>Apply</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const RequestsTab = ({ highlight }) => {
+  const [requests, setRequests] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get('/api/portal/requests')
+      .then(response => setRequests(response.data.data))
+      .catch(error => setError(errorMessage(error, 'Failed to load your requests')));
+  }, []);
+
+  const showDetails = async (id) => {
+    setError('');
+    try {
+      const response = await axios.get(`/api/portal/requests/${id}`);
+      setDetails(response.data.data);
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to load the request'));
+    }
+  };
+
+  if (!requests) {
+    return error ? <Notice type="error">{error}</Notice> : <Loading label="Loading your requests..." />;
+  }
+
+  if (details) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-6 max-w-3xl">
+        <div className="flex items-start justify-between">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">{details.serviceName}</h3>
+            <p className="text-sm text-gray-600">{details.requestNumber} · {details.agencyName}</p>
+          </div>
+          <StatusBadge status={details.status} />
+        </div>
+
+        {details.notes && <p className="text-gray-700">{details.notes}</p>}
+
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Progress</h4>
+          <ol className="border-l-2 border-blue-200 pl-4 space-y-3">
+            <li>
+              <div className="text-sm font-medium text-gray-900">Submitted</div>
+              <div className="text-xs text-gray-500">{formatDate(details.submittedDate)}</div>
+            </li>
+            {details.history.map((entry, index) => (
+              <li key={index}>
+                <div className="text-sm font-medium text-gray-900 capitalize">{entry.newStatus.replace(/_/g, ' ')}</div>
+                <div className="text-xs text-gray-500">{formatDate(entry.changedDate)}</div>
+                {entry.comments && <div className="text-sm text-gray-600">{entry.comments}</div>}
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        {details.payments.length > 0 && (
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Payments</h4>
+            <ul className="space-y-1 text-sm text-gray-700">
+              {details.payments.map(payment => (
+                <li key={payment.id}>
+                  {formatDate(payment.paymentDate)} · {formatAmount(payment.amount)} · <StatusBadge status={payment.status} />
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <button onClick={() => setDetails(null)} className="text-blue-600 hover:text-blue-800 font-medium">
+          ← Back to my requests
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {highlight && <Notice>Application {highlight} has been submitted. You can follow its progress here.</Notice>}
+      {error && <Notice type="error">{error}</Notice>}
+
+      {requests.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">📋</div>
+          <h3 className="text-lg font-medium text-gray-900">No requests yet</h3>
+          <p className="text-gray-600">Applications you submit will appear here.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {requests.map(request => (
+            <button
+              key={request.id}
+              onClick={() => showDetails(request.id)}
+              className="w-full text-left p-4 hover:bg-gray-50 flex items-center justify-between"
+            >
+              <div>
+                <div className="font-medium text-gray-900">{request.serviceName}</div>
+                <div className="text-sm text-gray-500">{request.requestNumber} · Submitted {formatDate(request.submittedDate)}</div>
+              </div>
+              <StatusBadge status={request.status} />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Receipt = ({ receipt, onClose }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 max-w-xl space-y-6">
+    <div className="text-center">
+      <div className="text-3xl">🏛️</div>
+      <h3 className="text-xl font-bold text-gray-900">Springfield City Government</h3>
+      <p className="text-sm text-gray-600">Official Payment Receipt</p>
+    </div>
+
+    <dl className="grid grid-cols-2 gap-y-2 text-sm">
+      <dt className="text-gray-500">Receipt number</dt><dd className="text-gray-900 font-medium">{receipt.receiptNumber}</dd>
+      <dt className="text-gray-500">Date</dt><dd className="text-gray-900">{formatDate(receipt.paymentDate)}</dd>
+      <dt className="text-gray-500">Paid by</dt>
+      <dd className="text-gray-900">
+        {receipt.paidBy.firstName} {receipt.paidBy.lastName} ({receipt.paidBy.citizenId})<br />
+        {receipt.paidBy.address}<br />
+        {receipt.paidBy.city}, {receipt.paidBy.state} {receipt.paidBy.zipCode}
+      </dd>
+      <dt className="text-gray-500">Service</dt><dd className="text-gray-900">{receipt.serviceName} ({receipt.requestNumber})</dd>
+      <dt className="text-gray-500">Agency</dt><dd className="text-gray-900">{receipt.agency.name}</dd>
+      <dt className="text-gray-500">Payment method</dt><dd className="text-gray-900 capitalize">{receipt.paymentMethod.replace(/_/g, ' ')}</dd>
+      <dt className="text-gray-500">Transaction</dt><dd className="text-gray-900">{receipt.transactionId}</dd>
+      <dt className="text-gray-500 font-semibold">Amount paid</dt><dd className="text-gray-900 font-bold">{formatAmount(receipt.amount)}</dd>
+    </dl>
+
+    <p className="text-xs text-gray-500">
+      Questions about this payment: {receipt.agency.contactEmail} · {receipt.agency.contactPhone}
+    </p>
+
+    <div className="flex items-center space-x-4">
+      <button onClick={() => window.print()} className={primaryButtonClass}>🖨️ Print</button>
+      <button onClick={onClose} className="text-gray-600 hover:text-gray-900">Back to payments</button>
+    </div>
+  </div>
+);
+
+const PaymentsTab = () => {
+  const [summary, setSummary] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get('/api/portal/payments')
+      .then(response => setSummary(response.data.data))
+      .catch(error => setError(errorMessage(error, 'Failed to load your payments')));
+  }, []);
+
+  const showReceipt = async (id) => {
+    setError('');
+    try {
+      const response = await axios.get(`/api/portal/payments/${id}/receipt`);
+      setReceipt(response.data.data);
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to load the receipt'));
+    }
+  };
+
+  if (receipt) {
+    return <Receipt receipt={receipt} onClose={() => setReceipt(null)} />;
+  }
+
+  if (!summary) {
+    return error ? <Notice type="error">{error}</Notice> : <Loading label="Loading your payments..." />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <Notice type="error">{error}</Notice>}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 flex items-center justify-between">
+        <div className="text-gray-600">Total paid</div>
+        <div className="text-2xl font-bold text-green-600">{formatAmount(summary.totalPaid)}</div>
+      </div>
+
+      {summary.payments.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="text-6xl mb-4">🧾</div>
+          <h3 className="text-lg font-medium text-gray-900">No payments yet</h3>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Date</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Service</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {summary.payments.map(payment => (
+                <tr key={payment.id}>
+                  <td className="px-4 py-3 text-gray-700">{formatDate(payment.paymentDate)}</td>
+                  <td className="px-4 py-3 text-gray-900">
+                    {payment.serviceName}
+                    <div className="text-xs text-gray-500">{payment.requestNumber}</div>
+                  </td>
+                  <td className="px-4 py-3 text-gray-900">{formatAmount(payment.amount)}</td>
+                  <td className="px-4 py-3"><StatusBadge status={payment.status} /></td>
+                  <td className="px-4 py-3 text-right">
+                    {payment.status === 'completed' && payment.receiptNumber && (
+                      <button onClick={() => showReceipt(payment.id)} className="text-blue-600 hover:text-blue-800 font-medium">
+                        View receipt
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Self-service portal for citizen accounts: everything is limited to the citizen record linked to the account
+const CitizenPortal = ({ user, onLogout }) => {
+  const [tab, setTab] = useState('profile');
+  const [submitted, setSubmitted] = useState(null);
+
+  const handleSubmitted = (request) => {
+    setSubmitted(request.requestNumber);
+    setTab('requests');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-gradient-to-r from-blue-900 to-indigo-800 shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center justify-between">
+          <div className="flex items-center space-x-4">
+            <div className="bg-white p-2 rounded-lg">
+              <span className="text-2xl">🏛️</span>
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-white">Springfield City Services</h1>
+              <p className="text-blue-200 text-sm">Welcome, {user.firstName} {user.lastName}</p>
+            </div>
+          </div>
+          <button
+            onClick={onLogout}
+            className="flex items-center px-3 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors"
+          >
+            <span className="mr-2">🚪</span>
+            Logout
+          </button>
+        </div>
+      </header>
+
+      <nav className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 flex space-x-1 overflow-x-auto">
+          {TABS.map(item => (
+            <button
+              key={item.id}
+              onClick={() => { setTab(item.id); setSubmitted(null); }}
+              className={`flex items-center px-4 py-3 text-sm font-medium border-b-2 whitespace-nowrap ${
+                tab === item.id
+                  ? 'border-blue-600 text-blue-700'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <span className="mr-2">{item.icon}</span>
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </nav>
+
+      <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+        {tab === 'profile' && <ProfileTab />}
+        {tab === 'services' && <ServicesTab onSubmitted={handleSubmitted} />}
+        {tab === 'requests' && <RequestsTab highlight={submitted} />}
+        {tab === 'payments' && <PaymentsTab />}
+      </main>
+    </div>
+  );
+};
+
+export default CitizenPortal;
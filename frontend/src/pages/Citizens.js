@@ -19,7 +19,7 @@ const Citizens = () => {
     } else {
       const filtered = citizens.filter(citizen =>
         `${citizen.firstName} ${citizen.lastName}`.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        citizen.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        citizen.email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         citizen.citizenId.toLowerCase().includes(searchTerm.toLowerCase())
       );
       setFilteredCitizens(filtered);
@@ -153,20 +153,25 @@ const Citizens = () => {
                   </span>
                 </div>
                 
+                {/* Fields the user's role may not see are left out of the response */}
                 <h3 className="text-lg font-semibold text-gray-900">
-                  {citizen.firstName} {citizen.lastName}
+                  {'firstName' in citizen ? `${citizen.firstName} ${citizen.lastName}` : 'Restricted'}
                 </h3>
                 
                 <div className="space-y-2 mt-3">
-                  <div className="flex items-center text-sm text-gray-600">
-                    <span className="mr-2">📧</span>
-                    <span className="truncate">{citizen.email}</span>
-                  </div>
+                  {citizen.email && (
+                    <div className="flex items-center text-sm text-gray-600">
+                      <span className="mr-2">📧</span>
+                      <span className="truncate">{citizen.email}</span>
+                    </div>
+                  )}
                   
-                  <div className="flex items-center text-sm text-gray-600">
-                    <span className="mr-2">📱</span>
-                    <span>{citizen.phone}</span>
-                  </div>
+                  {citizen.phone && (
+                    <div className="flex items-center text-sm text-gray-600">
+                      <span className="mr-2">📱</span>
+                      <span>{citizen.phone}</span>
+                    </div>
+                  )}
                   
                   <div className="flex items-center text-sm text-gray-600">
                     <span className="mr-2">📍</span>
@@ -175,13 +180,19 @@ const Citizens = () => {
                     </span>
                   </div>
                   
-                  <div className="flex items-center text-sm text-gray-600">
-                    <span className="mr-2">🎂</span>
-                    <span>
-                      Age {calculateAge(citizen.dateOfBirth)} 
-                      ({formatDate(citizen.dateOfBirth)})
-                    </span>
-                  </div>
+                  {citizen.dateOfBirth && (
+                    <div className="flex items-center text-sm text-gray-600">
+                      <span className="mr-2">🎂</span>
+                      {/^\d{4}$/.test(citizen.dateOfBirth) ? (
+                        <span>Born {citizen.dateOfBirth}</span>
+                      ) : (
+                        <span>
+                          Age {calculateAge(citizen.dateOfBirth)} 
+                          ({formatDate(citizen.dateOfBirth)})
+                        </span>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 <div className="mt-4 pt-4 border-t border-gray-100">
@@ -8,8 +8,7 @@ const Dashboard = () => {
     totalRequests: 0,
     pendingRequests: 0,
     completedRequests: 0,
-    totalCitizens: 0,
-    totalRevenue: 0
+    totalCitizens: 0
   });
   const [recentActivity, setRecentActivity] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -200,17 +199,20 @@ const Dashboard = () => {
           </div>
         </div>
         
-        <div className="bg-white border-l-4 border-blue-700 rounded-lg p-6 shadow-sm">
-          <div className="flex items-center">
-            <div className="bg-blue-700 rounded-lg p-3 mr-4">
-              <div className="text-2xl text-white">💰</div>
-            </div>
-            <div>
-              <div className="text-2xl font-bold text-gray-900">{formatCurrency(stats.totalRevenue)}</div>
-              <div className="text-sm text-gray-600">Revenue Collected</div>
+        {/* Only sent to users with view-revenue */}
+        {stats.totalRevenue !== undefined && (
+          <div className="bg-white border-l-4 border-blue-700 rounded-lg p-6 shadow-sm">
+            <div className="flex items-center">
+              <div className="bg-blue-700 rounded-lg p-3 mr-4">
+                <div className="text-2xl text-white">💰</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-gray-900">{formatCurrency(stats.totalRevenue)}</div>
+                <div className="text-sm text-gray-600">Revenue Collected</div>
+              </div>
             </div>
           </div>
-        </div>
+        )}
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">